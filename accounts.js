@@ -0,0 +1,118 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Lists the sub-accounts of a multi-client account (MCA).
+ *
+ * @param {!Object} api - The MerchantCenterAPI or MerchantAPI instance.
+ * @param {string} mcaId - The ID of the multi-client account.
+ * @return {!Array<!Object>} The sub-accounts, with their `id` and `name`.
+ * @throws {ApiError} If a page still can't be fetched after retries.
+ */
+function getSubAccounts(api, mcaId) {
+  let pageToken = '';
+  let accounts = [];
+  while (pageToken != null) {
+    const response =
+        api.listSubAccounts(mcaId, ACCOUNT_LIST_PAGE_SIZE, pageToken);
+    if (response.error) {
+      Logger.log(
+          'Error(' + response.error.code + '): ' + response.error.message);
+      throw response.error;
+    }
+    (response.resources || []).forEach(function(account) {
+      accounts.push({'id': String(account.id), 'name': account.name || ''});
+    });
+    pageToken = response.nextPageToken || null;
+  }
+  Logger.log(accounts.length + ' sub-accounts in account ' + mcaId);
+  return accounts;
+}
+
+/**
+ * Keeps the sub-accounts selected in the 'mca.accounts' table, or all of them
+ * if none is selected.
+ *
+ * @param {!Array<!Object>} subAccounts - The sub-accounts, as returned by
+ *     `getSubAccounts`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The sub-accounts to run for.
+ */
+function selectAccounts(subAccounts, config) {
+  if (config.mcaAccounts.length == 0) {
+    return subAccounts;
+  }
+  const missing = config.mcaAccounts.filter(function(accountId) {
+    return !subAccounts.some(function(account) {
+      return account.id == accountId;
+    });
+  });
+  if (missing.length > 0) {
+    Logger.log(
+        'Not sub-accounts of ' + config.merchantId + ', skipped: ' +
+        missing.join(', '));
+  }
+  return subAccounts.filter(function(account) {
+    return config.mcaAccounts.includes(account.id);
+  });
+}
+
+/**
+ * Writes the roll-up of the labels assigned in each sub-account to the
+ * 'account summary' tab: the number of benchmarked offers, how many got each
+ * exported label, and the error of the accounts that couldn't be run.
+ *
+ * @param {!Array<!Object>} accounts - The accounts of the run, with their `id`
+ *     and `name`.
+ * @param {!Array<!Object>} labelUpdates - The labels returned by `mergeData`.
+ * @param {!Object} failures - The error message of the failed accounts, keyed
+ *     by account ID.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ */
+function writeAccountSummary(accounts, labelUpdates, failures, config) {
+  let counts = {};
+  accounts.forEach(function(account) {
+    counts[account.id] = {'offers': 0, 'unlabeled': 0, 'labels': {}};
+  });
+  labelUpdates.forEach(function(update) {
+    const count = counts[update.account];
+    if (!count) {
+      return;
+    }
+    count.offers++;
+    if (update.label == '') {
+      count.unlabeled++;
+    } else {
+      count.labels[update.label] = (count.labels[update.label] || 0) + 1;
+    }
+  });
+  let rows = [['account_id', 'account_name', 'benchmarked_offers']
+                  .concat(config.exportLabels)
+                  .concat(['unlabeled', 'status'])];
+  accounts.forEach(function(account) {
+    const count = counts[account.id];
+    rows.push([account.id, account.name, count.offers]
+                  .concat(config.exportLabels.map(function(label) {
+                    return count.labels[label] || 0;
+                  }))
+                  .concat([
+                    count.unlabeled,
+                    failures[account.id] ? 'error: ' + failures[account.id] :
+                                           'ok'
+                  ]));
+  });
+  pushToSheets(ACCOUNT_SUMMARY_SHEET, rows, UPDATED_AT_OUTPUT);
+}
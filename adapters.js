@@ -0,0 +1,317 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * The environment the solution runs in, created on first use. See `getEnv`.
+ * @type {?Object}
+ */
+let currentEnv = null;
+
+/**
+ * Returns the environment the solution runs in, with:
+ *   - `config`: The configuration, as returned by `readConfig`.
+ *   - `sheets`: The sheet writer, see `SpreadsheetWriter`.
+ *   - `http`: The HTTP fetcher, with the `fetch` and `fetchAll` methods of
+ *     `UrlFetchApp`.
+ *   - `tokens`: The token provider, with the `getOAuthToken` method of
+ *     `ScriptApp`.
+ *   - `properties`: The script properties, with the `getProperty`,
+ *     `setProperty` and `deleteProperty` methods of `Properties`.
+ *   - `triggers`: The trigger scheduler, see `ScriptTriggers`.
+ *   - `mail`: The email sender, with the `sendEmail` method of `MailApp`.
+ *   - `sleep`: Waits for a number of milliseconds, like `Utilities.sleep`.
+ *
+ * Unless another environment was set with `setEnv`, the Apps Script one is
+ * created on first use, so nothing is read from the spreadsheet at load time.
+ *
+ * @return {!Object} The environment.
+ */
+function getEnv() {
+  if (!currentEnv) {
+    currentEnv = createAppsScriptEnv();
+  }
+  return currentEnv;
+}
+
+/**
+ * Replaces the environment the solution runs in, e.g. with fakes for testing.
+ *
+ * @param {?Object} env - The environment, see `getEnv`, or null to go back to
+ *     the Apps Script one.
+ */
+function setEnv(env) {
+  currentEnv = env;
+}
+
+/**
+ * Creates the environment backed by the Apps Script services.
+ *
+ * @return {!Object} The environment, see `getEnv`.
+ */
+function createAppsScriptEnv() {
+  const spreadsheet = SpreadsheetApp.getActive();
+  return {
+    'config': readConfig(new SpreadsheetSettings(spreadsheet)),
+    'sheets': new SpreadsheetWriter(spreadsheet),
+    'http': UrlFetchApp,
+    'tokens': ScriptApp,
+    'properties': PropertiesService.getScriptProperties(),
+    'triggers': new ScriptTriggers(),
+    'mail': MailApp,
+    'sleep': function(milliseconds) {
+      Utilities.sleep(milliseconds);
+    }
+  };
+}
+
+/**
+ * Settings source reading the named ranges of a spreadsheet.
+ */
+class SpreadsheetSettings {
+  /**
+   * @param {!Spreadsheet} spreadsheet
+   */
+  constructor(spreadsheet) {
+    this.spreadsheet = spreadsheet;
+  }
+
+  /**
+   * Reads the value of a named range.
+   *
+   * @param {string} name
+   * @return {*} The value, or null if the range doesn't exist.
+   */
+  getValue(name) {
+    const range = this.spreadsheet.getRangeByName(name);
+    return range ? range.getValue() : null;
+  }
+
+  /**
+   * Reads the values of a named range.
+   *
+   * @param {string} name
+   * @return {!Array<!Array>} The values, or an empty list if the range doesn't
+   *     exist.
+   */
+  getValues(name) {
+    const range = this.spreadsheet.getRangeByName(name);
+    return range ? range.getValues() : [];
+  }
+}
+
+/**
+ * Sheet writer reading and writing the tabs of a spreadsheet. Missing tabs are
+ * created when written to.
+ */
+class SpreadsheetWriter {
+  /**
+   * @param {!Spreadsheet} spreadsheet
+   */
+  constructor(spreadsheet) {
+    this.spreadsheet = spreadsheet;
+  }
+
+  /**
+   * Replaces the content of a sheet, and records the time of the update.
+   *
+   * @param {string} sheetName
+   * @param {!Array<!Array>} rows
+   * @param {string=} updatedAtRangeName - Optional named range where the
+   *     timestamp of the update is recorded.
+   */
+  write(sheetName, rows, updatedAtRangeName) {
+    const sheet = this.getOrCreateSheet(sheetName);
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+    if (updatedAtRangeName) {
+      const updatedAt = Utilities.formatDate(
+          new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+      this.spreadsheet.getRangeByName(updatedAtRangeName).setValue(updatedAt);
+    }
+  }
+
+  /**
+   * Replaces the content of the columns the rows span, leaving the other
+   * columns of the sheet untouched.
+   *
+   * @param {string} sheetName
+   * @param {!Array<!Array>} rows
+   */
+  writeColumns(sheetName, rows) {
+    const sheet = this.getOrCreateSheet(sheetName);
+    sheet.getRange(1, 1, sheet.getMaxRows(), rows[0].length).clearContent();
+    sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  }
+
+  /**
+   * Appends rows at the end of a sheet, adding a header row to new sheets.
+   *
+   * @param {string} sheetName
+   * @param {!Array<string>} headers
+   * @param {!Array<!Array>} rows
+   */
+  append(sheetName, headers, rows) {
+    let sheet = this.spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(sheetName);
+      sheet.appendRow(headers);
+    }
+    if (rows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length)
+          .setValues(rows);
+    }
+  }
+
+  /**
+   * Returns the position of the last row with content of a sheet.
+   *
+   * @param {string} sheetName
+   * @return {number} The last row, or 0 if the sheet is empty or missing.
+   */
+  getLastRow(sheetName) {
+    const sheet = this.spreadsheet.getSheetByName(sheetName);
+    return sheet ? sheet.getLastRow() : 0;
+  }
+
+  /**
+   * Reads a block of rows of a sheet.
+   *
+   * @param {string} sheetName
+   * @param {number} firstRow - The first row to read, starting at 1.
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @return {!Array<!Array>} The values, or an empty list if the sheet is
+   *     missing.
+   */
+  read(sheetName, firstRow, numRows, numColumns) {
+    const sheet = this.spreadsheet.getSheetByName(sheetName);
+    if (!sheet || numRows < 1) {
+      return [];
+    }
+    return sheet.getRange(firstRow, 1, numRows, numColumns).getValues();
+  }
+
+  /**
+   * Removes the rows of a sheet after a given one.
+   *
+   * @param {string} sheetName
+   * @param {number} numRows - The number of rows to keep.
+   */
+  truncate(sheetName, numRows) {
+    const sheet = this.spreadsheet.getSheetByName(sheetName);
+    if (sheet && sheet.getLastRow() > numRows) {
+      sheet.deleteRows(numRows + 1, sheet.getLastRow() - numRows);
+    }
+  }
+
+  /**
+   * Deletes a block of rows of a sheet.
+   *
+   * @param {string} sheetName
+   * @param {number} firstRow - The first row to delete, starting at 1.
+   * @param {number} numRows
+   */
+  deleteRows(sheetName, firstRow, numRows) {
+    const sheet = this.spreadsheet.getSheetByName(sheetName);
+    if (sheet && numRows > 0) {
+      sheet.deleteRows(firstRow, numRows);
+    }
+  }
+
+  /**
+   * Deletes a sheet, if it exists.
+   *
+   * @param {string} sheetName
+   */
+  remove(sheetName) {
+    const sheet = this.spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+      this.spreadsheet.deleteSheet(sheet);
+    }
+  }
+
+  /**
+   * Returns a sheet, creating it if it doesn't exist yet.
+   *
+   * @param {string} sheetName
+   * @return {!Sheet}
+   */
+  getOrCreateSheet(sheetName) {
+    return this.spreadsheet.getSheetByName(sheetName) ||
+        this.spreadsheet.insertSheet(sheetName);
+  }
+}
+
+/**
+ * Trigger scheduler backed by the triggers of the Apps Script project.
+ */
+class ScriptTriggers {
+  /**
+   * Runs a function once, after a delay.
+   *
+   * @param {string} handler - The name of the function.
+   * @param {number} delayMs - The delay, in milliseconds.
+   */
+  scheduleOnce(handler, delayMs) {
+    ScriptApp.newTrigger(handler).timeBased().after(delayMs).create();
+  }
+
+  /**
+   * Runs a function every day or every week, at an hour of the day.
+   *
+   * @param {string} handler - The name of the function.
+   * @param {!Object} schedule - The `frequency`, one of
+   *     `SCHEDULE_FREQUENCIES`, the `day` of the week of weekly runs, one of
+   *     `WEEK_DAYS`, and the `hour` of the day.
+   */
+  scheduleRecurring(handler, schedule) {
+    let trigger = ScriptApp.newTrigger(handler).timeBased();
+    if (schedule.frequency == SCHEDULE_FREQUENCIES.DAILY) {
+      trigger = trigger.everyDays(1);
+    } else {
+      trigger =
+          trigger.everyWeeks(1).onWeekDay(ScriptApp.WeekDay[schedule.day]);
+    }
+    trigger.atHour(schedule.hour).create();
+  }
+
+  /**
+   * Counts the triggers running a function.
+   *
+   * @param {string} handler - The name of the function.
+   * @return {number} The number of triggers.
+   */
+  count(handler) {
+    return ScriptApp.getProjectTriggers()
+        .filter(function(trigger) {
+          return trigger.getHandlerFunction() == handler;
+        })
+        .length;
+  }
+
+  /**
+   * Deletes the triggers running a function.
+   *
+   * @param {string} handler - The name of the function.
+   */
+  deleteAll(handler) {
+    ScriptApp.getProjectTriggers().forEach(function(trigger) {
+      if (trigger.getHandlerFunction() == handler) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    });
+  }
+}
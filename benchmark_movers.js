@@ -0,0 +1,314 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Compares the benchmark prices of this run with the ones of the previous run,
+ * writes the offers whose benchmark moved to the 'benchmark movers' tab, the
+ * run-over-run change of each brand to the 'brand changes' tab and its change
+ * over every run of the history to the 'brand trend' tab, then appends the
+ * benchmark prices to the 'benchmark history' tab, see `pruneHistory` for the
+ * runs it keeps.
+ *
+ * @param {!Array<!Object>} labelUpdates - The benchmarked products, as
+ *     returned by `mergeData`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @param {string=} runId - The start time of the run, as an ISO 8601
+ *     timestamp. A run retried with the same ID is compared with the run
+ *     before it, and isn't added to the history again.
+ * @return {?Object} The highlights for the run summary, see
+ *     `summarizeBenchmarkMovers`, or null if there's no previous run.
+ */
+function trackBenchmarkMovers(labelUpdates, config, runId) {
+  const runTimestamp = formatTimestamp(runId || new Date().toISOString());
+  const runRows = labelUpdates.map(function(update) {
+    return [
+      runTimestamp, update.offerId, update.country, update.account || '',
+      update.brand, update.price, update.benchmarkPrice, update.relativePrice,
+      update.priceLabel, runId || ''
+    ];
+  });
+  const runs = readHistoryRuns(
+      BENCHMARK_HISTORY_SHEET, BENCHMARK_HISTORY_HEADERS.length, runId);
+  const lastRun = runs.length > 0 ? runs[runs.length - 1] : null;
+  let highlights = null;
+  if (lastRun) {
+    const moves = compareBenchmarks(
+        readBenchmarkHistory(lastRun.rows), labelUpdates,
+        config.moversThreshold);
+    const movers = moves.filter(function(move) {
+      return move.movement != '' || move.crossedLabel;
+    });
+    const brandChanges = getBrandChanges(moves);
+    pushToSheets(
+        BENCHMARK_MOVERS_SHEET,
+        [BENCHMARK_MOVERS_HEADERS].concat(movers.map(function(move) {
+          return [
+            move.offerId, move.country, move.account, move.brand, move.title,
+            move.movement, move.previousBenchmarkPrice, move.benchmarkPrice,
+            move.benchmarkChange, move.price, move.previousPriceLabel,
+            move.priceLabel, move.crossedLabel, lastRun.timestamp
+          ];
+        })),
+        UPDATED_AT_BENCHMARK);
+    pushToSheets(
+        BRAND_CHANGES_SHEET,
+        [BRAND_CHANGES_HEADERS].concat(brandChanges.map(function(change) {
+          return [
+            change.brand, change.offers, change.benchmarkChange,
+            change.dropped, change.rose, change.previousRelativePrice,
+            change.relativePrice
+          ];
+        })),
+        UPDATED_AT_BENCHMARK);
+    const brandTrend = getBrandTrend(
+        runs.concat([{'timestamp': runTimestamp, 'rows': runRows}]),
+        config.moversThreshold);
+    pushToSheets(
+        BRAND_TREND_SHEET,
+        [BRAND_TREND_HEADERS].concat(brandTrend.map(function(point) {
+          return [
+            point.brand, point.timestamp, point.offers, point.benchmarkChange,
+            point.cumulativeChange, point.relativePrice
+          ];
+        })),
+        UPDATED_AT_BENCHMARK);
+    highlights = summarizeBenchmarkMovers(
+        moves, brandChanges, config.moversThreshold, lastRun.timestamp);
+    Logger.log(
+        movers.length + ' benchmark movers since ' + lastRun.timestamp);
+  } else {
+    Logger.log('No previous run found in the benchmark history');
+  }
+  appendToHistory(
+      BENCHMARK_HISTORY_SHEET, BENCHMARK_HISTORY_HEADERS, runId, runRows,
+      config.historyRuns);
+  return highlights;
+}
+
+/**
+ * @param {!Array<!Array>} rows - The rows of a run in the 'benchmark history'
+ *     tab.
+ * @return {!Object} The benchmark of each offer, with its `brand`, `price`,
+ *     `benchmarkPrice`, `relativePrice` and `priceLabel`, keyed by `labelKey`.
+ */
+function readBenchmarkHistory(rows) {
+  let benchmarks = {};
+  rows.forEach(function(row) {
+    benchmarks[labelKey(row[2], row[1], String(row[3]))] = {
+      'brand': String(row[4]),
+      'price': Number(row[5]),
+      'benchmarkPrice': Number(row[6]),
+      'relativePrice': Number(row[7]),
+      'priceLabel': String(row[8])
+    };
+  });
+  return benchmarks;
+}
+
+/**
+ * Compares the benchmark of the offers benchmarked in both runs.
+ *
+ * @param {!Object} previousBenchmarks - The benchmarks of the previous run, as
+ *     returned by `readBenchmarkHistory`.
+ * @param {!Array<!Object>} labelUpdates - The benchmarked products, as
+ *     returned by `mergeData`.
+ * @param {number} threshold - The change of benchmark price from which an
+ *     offer is a mover.
+ * @return {!Array<!Object>} The offers, with their `offerId`, `country`,
+ *     `account`, `brand`, `title`, `price`, `previousBenchmarkPrice`,
+ *     `benchmarkPrice`, relative `benchmarkChange`, `previousRelativePrice`,
+ *     `relativePrice`, `previousPriceLabel` and `priceLabel`. The `movement`
+ *     is 'dropped' or 'rose' if the benchmark changed by more than the
+ *     threshold, and `crossedLabel` whether the offer got another price label
+ *     only because the benchmark moved, as our price didn't change.
+ */
+function compareBenchmarks(previousBenchmarks, labelUpdates, threshold) {
+  let moves = [];
+  labelUpdates.forEach(function(update) {
+    const account = String(update.account || '');
+    const previous =
+        previousBenchmarks[labelKey(update.country, update.offerId, account)];
+    if (!previous || !(previous.benchmarkPrice > 0)) {
+      return;
+    }
+    const change = update.benchmarkPrice / previous.benchmarkPrice - 1;
+    let movement = '';
+    if (change < -threshold) {
+      movement = 'dropped';
+    } else if (change > threshold) {
+      movement = 'rose';
+    }
+    moves.push({
+      'offerId': update.offerId,
+      'country': update.country,
+      'account': account,
+      'brand': update.brand,
+      'title': update.title,
+      'price': update.price,
+      'previousBenchmarkPrice': previous.benchmarkPrice,
+      'benchmarkPrice': update.benchmarkPrice,
+      'benchmarkChange': change,
+      'previousRelativePrice': previous.relativePrice,
+      'relativePrice': update.relativePrice,
+      'previousPriceLabel': previous.priceLabel,
+      'priceLabel': update.priceLabel,
+      'movement': movement,
+      'crossedLabel': change != 0 && update.price == previous.price &&
+          update.priceLabel != previous.priceLabel
+    });
+  });
+  return moves;
+}
+
+/**
+ * Averages the benchmark moves of the offers of each brand since the previous
+ * run.
+ *
+ * @param {!Array<!Object>} moves - The offers, as returned by
+ *     `compareBenchmarks`.
+ * @return {!Array<!Object>} The change of each `brand`, with its number of
+ *     `offers`, their average `benchmarkChange`, how many `dropped` and
+ *     `rose`, and their average `previousRelativePrice` and `relativePrice`,
+ *     from the largest move to the smallest.
+ */
+function getBrandChanges(moves) {
+  let brands = {};
+  moves.forEach(function(move) {
+    const brand = move.brand || '(no brand)';
+    if (!brands[brand]) {
+      brands[brand] = {
+        'brand': brand,
+        'offers': 0,
+        'benchmarkChange': 0,
+        'dropped': 0,
+        'rose': 0,
+        'previousRelativePrice': 0,
+        'relativePrice': 0
+      };
+    }
+    let change = brands[brand];
+    change.offers++;
+    change.benchmarkChange += move.benchmarkChange;
+    change.previousRelativePrice += move.previousRelativePrice;
+    change.relativePrice += move.relativePrice;
+    if (move.movement != '') {
+      change[move.movement]++;
+    }
+  });
+  return Object.values(brands)
+      .map(function(change) {
+        change.benchmarkChange /= change.offers;
+        change.previousRelativePrice /= change.offers;
+        change.relativePrice /= change.offers;
+        return change;
+      })
+      .sort(function(a, b) {
+        return Math.abs(b.benchmarkChange) - Math.abs(a.benchmarkChange) ||
+            a.brand.localeCompare(b.brand);
+      });
+}
+
+/**
+ * Follows the benchmark of the offers of each brand over the runs of the
+ * history: each run is compared with the one before, see `getBrandChanges`,
+ * and the changes are compounded from the first run.
+ *
+ * @param {!Array<!Object>} runs - The `timestamp` and 'benchmark history' tab
+ *     `rows` of each run, from the oldest to the most recent.
+ * @param {number} threshold - The change of benchmark price from which an
+ *     offer is a mover.
+ * @return {!Array<!Object>} The change of each `brand` at each run after the
+ *     first one, with the `timestamp` of the run, its number of `offers`, their
+ *     average `benchmarkChange` since the run before, the `cumulativeChange`
+ *     since the first run, and their average `relativePrice`, by brand then
+ *     run.
+ */
+function getBrandTrend(runs, threshold) {
+  let trend = [];
+  let cumulativeChanges = {};
+  for (let i = 1; i < runs.length; i++) {
+    const updates = runs[i].rows.map(function(row) {
+      return {
+        'offerId': String(row[1]),
+        'country': String(row[2]),
+        'account': String(row[3]),
+        'brand': String(row[4]),
+        'price': Number(row[5]),
+        'benchmarkPrice': Number(row[6]),
+        'relativePrice': Number(row[7]),
+        'priceLabel': String(row[8])
+      };
+    });
+    const moves = compareBenchmarks(
+        readBenchmarkHistory(runs[i - 1].rows), updates, threshold);
+    getBrandChanges(moves).forEach(function(change) {
+      const cumulativeChange =
+          (1 + (cumulativeChanges[change.brand] || 0)) *
+              (1 + change.benchmarkChange) -
+          1;
+      cumulativeChanges[change.brand] = cumulativeChange;
+      trend.push({
+        'brand': change.brand,
+        'timestamp': runs[i].timestamp,
+        'offers': change.offers,
+        'benchmarkChange': change.benchmarkChange,
+        'cumulativeChange': cumulativeChange,
+        'relativePrice': change.relativePrice
+      });
+    });
+  }
+  // The points of a brand stay in run order.
+  return trend.sort(function(a, b) {
+    return a.brand.localeCompare(b.brand);
+  });
+}
+
+/**
+ * @param {!Array<!Object>} moves - The offers, as returned by
+ *     `compareBenchmarks`.
+ * @param {!Array<!Object>} brandChanges - The changes of each brand, as
+ *     returned by `getBrandChanges`.
+ * @param {number} threshold - The change of benchmark price from which an
+ *     offer is a mover.
+ * @param {string} since - The timestamp of the previous run.
+ * @return {!Object} The highlights, with the `threshold`, the previous run as
+ *     `since`, the number of offers whose benchmark `dropped` or `rose` and
+ *     that `crossed` a label boundary, and the `brands` with the largest
+ *     moves, see `getBrandChanges`.
+ */
+function summarizeBenchmarkMovers(moves, brandChanges, threshold, since) {
+  let highlights = {
+    'threshold': threshold,
+    'since': since,
+    'dropped': 0,
+    'rose': 0,
+    'crossed': 0,
+    'brands': brandChanges
+                  .filter(function(change) {
+                    return change.benchmarkChange != 0;
+                  })
+                  .slice(0, SUMMARY_TOP_BRANDS)
+  };
+  moves.forEach(function(move) {
+    if (move.movement != '') {
+      highlights[move.movement]++;
+    }
+    if (move.crossedLabel) {
+      highlights.crossed++;
+    }
+  });
+  return highlights;
+}
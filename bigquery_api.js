@@ -0,0 +1,259 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Access to the BigQuery API of a project: creating the dataset and tables of
+ * the export, loading rows into them and running queries.
+ */
+class BigQueryApi {
+  /**
+   * @param {string} projectId - The Google Cloud project of the dataset.
+   * @param {string} location - The location of the dataset and jobs, e.g.
+   *     'US' or 'EU'.
+   * @param {string} token - The OAuth token to be used to call the API.
+   * @param {!HttpClient} client - The HTTP client sending the calls.
+   * @param {function(number)} sleep - Waits for a number of milliseconds,
+   *     between two checks of a running job.
+   */
+  constructor(projectId, location, token, client, sleep) {
+    this.projectId = projectId;
+    this.location = location;
+    this.token = token;
+    this.client = client;
+    this.sleep = sleep;
+    this.basePath =
+        'https://bigquery.googleapis.com/bigquery/v2/projects/' + projectId;
+    this.uploadPath =
+        'https://bigquery.googleapis.com/upload/bigquery/v2/projects/' +
+        projectId;
+  }
+
+  /**
+   * Sends a JSON request to the API.
+   *
+   * @param {string} method - The HTTP method.
+   * @param {string} url - The URL to call.
+   * @param {!Object=} payload - The request body, if any.
+   * @return {!Object} The response.
+   * @throws {ApiError} If the call fails, after retries.
+   */
+  call(method, url, payload) {
+    let params = {
+      'method': method,
+      'contentType': 'application/json',
+      'headers': {'Authorization': 'Bearer ' + this.token}
+    };
+    if (payload !== undefined) {
+      params.payload = JSON.stringify(payload);
+    }
+    return this.client.fetch(url, params);
+  }
+
+  /**
+   * Checks whether a resource of the project exists.
+   *
+   * @param {string} path - The path of the resource under the project, e.g.
+   *     '/datasets/price_benchmark'.
+   * @return {boolean} Whether it exists.
+   * @throws {ApiError} If the call fails for another reason than a missing
+   *     resource.
+   */
+  exists(path) {
+    try {
+      this.call('get', this.basePath + path);
+      return true;
+    } catch (e) {
+      if (e instanceof ApiError && e.code == 404) {
+        return false;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Creates a dataset, unless it already exists.
+   *
+   * @param {string} datasetId - The dataset.
+   * @return {boolean} Whether it was created.
+   */
+  ensureDataset(datasetId) {
+    if (this.exists('/datasets/' + datasetId)) {
+      return false;
+    }
+    try {
+      this.call('post', this.basePath + '/datasets', {
+        'datasetReference':
+            {'projectId': this.projectId, 'datasetId': datasetId},
+        'location': this.location
+      });
+    } catch (e) {
+      // A retried insert finds the dataset created by the first attempt,
+      // whose response was lost.
+      if (!(e instanceof ApiError && e.code == 409)) {
+        throw e;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Creates a table partitioned by day, unless it already exists.
+   *
+   * @param {string} datasetId - The dataset of the table.
+   * @param {!Object} table - The table, one of `BIGQUERY_TABLES`.
+   * @return {boolean} Whether it was created.
+   */
+  ensureTable(datasetId, table) {
+    if (this.exists('/datasets/' + datasetId + '/tables/' + table.name)) {
+      return false;
+    }
+    try {
+      this.call('post', this.basePath + '/datasets/' + datasetId + '/tables', {
+        'tableReference': {
+          'projectId': this.projectId,
+          'datasetId': datasetId,
+          'tableId': table.name
+        },
+        'schema': {'fields': table.fields},
+        'timePartitioning': {'type': 'DAY', 'field': table.partitionField}
+      });
+    } catch (e) {
+      // Like for datasets, a retried insert finds the table already created.
+      if (!(e instanceof ApiError && e.code == 409)) {
+        throw e;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Loads rows into a table, with a load job, and waits for it to finish.
+   *
+   * @param {string} datasetId - The dataset of the table.
+   * @param {string} tableId - The table, with a partition decorator (e.g.
+   *     'benchmark$20240501') to only write to that partition.
+   * @param {!Array<!Object>} rows - The rows, keyed by column.
+   * @param {string} writeDisposition - 'WRITE_TRUNCATE' to replace the rows
+   *     of the table or partition, 'WRITE_APPEND' to add to them.
+   * @return {!Object} The finished job.
+   * @throws {Error} If the job fails.
+   */
+  load(datasetId, tableId, rows, writeDisposition) {
+    const jobReference = {
+      'projectId': this.projectId,
+      'jobId': 'price_benchmark_' + tableId.replace(/\W/g, '_') + '_' +
+          Date.now(),
+      'location': this.location
+    };
+    const job = {
+      'jobReference': jobReference,
+      'configuration': {
+        'load': {
+          'destinationTable': {
+            'projectId': this.projectId,
+            'datasetId': datasetId,
+            'tableId': tableId
+          },
+          'sourceFormat': 'NEWLINE_DELIMITED_JSON',
+          'writeDisposition': writeDisposition,
+          // Adds the columns of the tables created by older versions.
+          'schemaUpdateOptions': ['ALLOW_FIELD_ADDITION']
+        }
+      }
+    };
+    const boundary = 'boundary_' + jobReference.jobId;
+    const payload = [
+      '--' + boundary, 'Content-Type: application/json; charset=UTF-8', '',
+      JSON.stringify(job), '--' + boundary,
+      'Content-Type: application/octet-stream', '',
+      rows.map(function(row) {
+            return JSON.stringify(row);
+          }).join('\n'),
+      '--' + boundary + '--'
+    ].join('\r\n');
+    try {
+      this.client.fetch(this.uploadPath + '/jobs?uploadType=multipart', {
+        'method': 'post',
+        'contentType': 'multipart/related; boundary=' + boundary,
+        'headers': {'Authorization': 'Bearer ' + this.token},
+        'payload': payload
+      });
+    } catch (e) {
+      // A retried upload finds the job created by the first attempt, whose
+      // response was lost: the rows are only loaded once.
+      if (!(e instanceof ApiError && e.code == 409)) {
+        throw e;
+      }
+    }
+    return this.waitForJob(jobReference);
+  }
+
+  /**
+   * Runs a GoogleSQL query, e.g. a DML statement, and waits for it to finish.
+   *
+   * @param {string} query - The query.
+   * @return {!Object} The query response or the finished job.
+   * @throws {Error} If the query fails.
+   */
+  query(query) {
+    const response = this.call('post', this.basePath + '/queries', {
+      'query': query,
+      'useLegacySql': false,
+      'location': this.location
+    });
+    return response.jobComplete ? response :
+                                  this.waitForJob(response.jobReference);
+  }
+
+  /**
+   * Waits for a job to finish, checking its status every
+   * `BIGQUERY_JOB_POLL.INTERVAL_MS`.
+   *
+   * @param {!Object} jobReference - The `jobId` and `location` of the job.
+   * @return {!Object} The finished job.
+   * @throws {Error} If the job fails or doesn't finish in time.
+   */
+  waitForJob(jobReference) {
+    const url = this.basePath + '/jobs/' + jobReference.jobId +
+        '?location=' + encodeURIComponent(jobReference.location);
+    for (let i = 0; i < BIGQUERY_JOB_POLL.MAX_CHECKS; i++) {
+      const job = this.call('get', url);
+      if (job.status.state == 'DONE') {
+        if (job.status.errorResult) {
+          throw new Error(
+              'BigQuery job ' + jobReference.jobId +
+              ' failed: ' + job.status.errorResult.message);
+        }
+        return job;
+      }
+      this.sleep(BIGQUERY_JOB_POLL.INTERVAL_MS);
+    }
+    throw new Error(
+        'BigQuery job ' + jobReference.jobId + ' is still running');
+  }
+}
+
+/**
+ * Creates the BigQuery API client of the export.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @return {!BigQueryApi} The client.
+ */
+function createBigQueryApi(env) {
+  return new BigQueryApi(
+      env.config.bigqueryProjectId, env.config.bigqueryLocation,
+      env.tokens.getOAuthToken(), createHttpClient(env), env.sleep);
+}
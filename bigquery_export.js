@@ -0,0 +1,182 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Exports the benchmark of every product and the labels assigned by a run to
+ * the `benchmark` and `labels` tables of the BigQuery dataset.
+ *
+ * Both tables keep one partition per day: the rows of the run replace the
+ * partition of the day, so running again on the same day doesn't duplicate
+ * them. A failed export is logged without failing the run, as the sheets are
+ * already written.
+ *
+ * @param {!Array<!Object>} labelUpdates - The benchmarked products, as
+ *     returned by `mergeData`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {boolean} Whether the export succeeded.
+ */
+function exportBenchmarkToBigQuery(labelUpdates, config) {
+  const now = new Date();
+  const runDate =
+      Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const runTimestamp = now.toISOString();
+  const benchmarkRows = labelUpdates.map(function(update) {
+    return {
+      'run_date': runDate,
+      'run_timestamp': runTimestamp,
+      'account': String(update.account || config.merchantId),
+      'offer_id': String(update.offerId),
+      'country': update.country,
+      'title': update.title,
+      'price': update.price,
+      'currency': update.currency,
+      'benchmark_price': update.benchmarkPrice,
+      'relative_price': update.relativePrice,
+      'impressions': Number(update.impressions),
+      'clicks': Number(update.clicks)
+    };
+  });
+  const labelRows = labelUpdates
+                        .filter(function(update) {
+                          return update.label != '';
+                        })
+                        .map(function(update) {
+                          return {
+                            'run_date': runDate,
+                            'run_timestamp': runTimestamp,
+                            'account':
+                                String(update.account || config.merchantId),
+                            'offer_id': String(update.offerId),
+                            'country': update.country,
+                            'label': update.label,
+                            'previous_label': update.currentLabel,
+                            'relative_price': update.relativePrice
+                          };
+                        });
+  return exportToBigQuery(
+      [BIGQUERY_TABLES.BENCHMARK, BIGQUERY_TABLES.LABELS], function(api) {
+        loadPartition(
+            api, config, BIGQUERY_TABLES.BENCHMARK, runDate, benchmarkRows);
+        loadPartition(api, config, BIGQUERY_TABLES.LABELS, runDate, labelRows);
+      });
+}
+
+/**
+ * Exports the rows of the Ads report to the `ads_report` table of the
+ * BigQuery dataset, partitioned by the day of the metrics.
+ *
+ * The rows of the reporting window are first deleted from the table, so the
+ * table keeps the days before the window, and days reported again are
+ * replaced rather than duplicated.
+ *
+ * @param {!Array<!Array>} adsData - The rows of the 'AdsData' tab, headers
+ *     first.
+ * @param {!Object} dateRange - The `startDate` and `endDate` of the reporting
+ *     window, as yyyy-MM-dd.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {boolean} Whether the export succeeded.
+ */
+function exportAdsDataToBigQuery(adsData, dateRange, config) {
+  const exportedAt = new Date().toISOString();
+  const accountId = String(config.accountCid).replaceAll('-', '');
+  // The columns are in the order of `getAdsDataHeaders`, the customer ID last.
+  const rows = adsData.slice(1)
+                   .filter(function(row) {
+                     return row[0] !== '' &&
+                         formatDay(row[0]) >= dateRange.startDate &&
+                         formatDay(row[0]) <= dateRange.endDate;
+                   })
+                   .map(function(row) {
+                     return {
+                       'date': formatDay(row[0]),
+                       'label_slot': String(row[1]),
+                       'label_value': String(row[2]),
+                       'clicks': Number(row[3]),
+                       'impressions': Number(row[4]),
+                       'cost': Number(row[5]),
+                       'conversions': Number(row[7]),
+                       'conversions_value': Number(row[8]),
+                       'all_conversions': Number(row[9]),
+                       'all_conversions_value': Number(row[10]),
+                       'customer_id': String(row[11] || accountId),
+                       'exported_at': exportedAt
+                     };
+                   });
+  const table = BIGQUERY_TABLES.ADS_REPORT;
+  return exportToBigQuery([table], function(api) {
+    api.query(
+        'DELETE FROM `' + config.bigqueryProjectId + '.' +
+        config.bigqueryDataset + '.' + table.name + '` WHERE ' +
+        table.partitionField + ' BETWEEN \'' + dateRange.startDate +
+        '\' AND \'' + dateRange.endDate + '\'');
+    if (rows.length > 0) {
+      api.load(config.bigqueryDataset, table.name, rows, 'WRITE_APPEND');
+    }
+    Logger.log(
+        rows.length + ' rows exported to ' + config.bigqueryDataset + '.' +
+        table.name + ' from ' + dateRange.startDate + ' to ' +
+        dateRange.endDate);
+  });
+}
+
+/**
+ * Creates the dataset and tables of an export if they're missing, then runs
+ * the export. Errors are logged rather than thrown.
+ *
+ * @param {!Array<!Object>} tables - The tables written, from
+ *     `BIGQUERY_TABLES`.
+ * @param {function(!BigQueryApi)} write - Writes the rows to the tables.
+ * @return {boolean} Whether the export succeeded.
+ */
+function exportToBigQuery(tables, write) {
+  const env = getEnv();
+  const datasetId = env.config.bigqueryDataset;
+  try {
+    const api = createBigQueryApi(env);
+    if (api.ensureDataset(datasetId)) {
+      Logger.log('Created the BigQuery dataset ' + datasetId);
+    }
+    tables.forEach(function(table) {
+      if (api.ensureTable(datasetId, table)) {
+        Logger.log(
+            'Created the BigQuery table ' + datasetId + '.' + table.name);
+      }
+    });
+    write(api);
+    return true;
+  } catch (e) {
+    Logger.log('BigQuery export failed: ' + e.message);
+    return false;
+  }
+}
+
+/**
+ * Replaces the partition of a day of a table with the given rows.
+ *
+ * @param {!BigQueryApi} api - The BigQuery API client.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @param {!Object} table - The table, from `BIGQUERY_TABLES`.
+ * @param {string} day - The day of the partition, as yyyy-MM-dd.
+ * @param {!Array<!Object>} rows - The rows, all of that day.
+ */
+function loadPartition(api, config, table, day, rows) {
+  api.load(
+      config.bigqueryDataset, table.name + '$' + day.replaceAll('-', ''), rows,
+      'WRITE_TRUNCATE');
+  Logger.log(
+      rows.length + ' rows exported to ' + config.bigqueryDataset + '.' +
+      table.name + ' for ' + day);
+}
@@ -0,0 +1,313 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Reads the configuration of the control panel.
+ *
+ * Settings are read from a settings source rather than from the spreadsheet,
+ * so the configuration can also be built outside of Apps Script. Optional
+ * settings fall back to their default value when their named range is missing
+ * or blank.
+ *
+ * @param {!Object} settings - The settings source, with a `getValue(name)`
+ *     method returning null for missing ranges, and a `getValues(name)` method
+ *     returning an empty list for missing ranges.
+ * @return {!Object} The configuration.
+ */
+function readConfig(settings) {
+  /**
+   * Reads a single setting.
+   *
+   * @param {string} name - The name of the range.
+   * @param {*} [defaultValue=''] - The value to use when the range is missing
+   *     or blank.
+   * @return {*} The value of the setting.
+   */
+  function get(name, defaultValue) {
+    const value = settings.getValue(name);
+    if (value === null || value === undefined || value === '') {
+      return defaultValue === undefined ? '' : defaultValue;
+    }
+    return value;
+  }
+
+  const customLabelNumber = get('customLabelNumber');
+
+  // Country / currency pairs to run the benchmark for. When the 'markets'
+  // table is missing or empty, the single country and currency filters are
+  // used.
+  let markets = [];
+  settings.getValues('markets').forEach(function(row, i) {
+    if (row[0] && row[1]) {
+      markets.push({
+        'country': String(row[0]).trim().toUpperCase(),
+        'currency': String(row[1]).trim().toUpperCase()
+      });
+    }
+  });
+  if (markets.length == 0) {
+    markets.push({
+      'country': get('countryFilter'),
+      'currency': get('currencyFilter')
+    });
+  }
+
+  // Ordered price tiers, with their label and the lower (inclusive) and upper
+  // (exclusive) bounds of the relative price. Blank bounds are open-ended.
+  // When the 'rules.tiers' table is missing or empty, the Below / At / Above
+  // benchmark rules are used instead.
+  let labelTiers = [];
+  settings.getValues('rules.tiers').forEach(function(row, i) {
+    if (row[0]) {
+      labelTiers.push({
+        'name': String(row[0]),
+        'from': row[1] === '' ? -Infinity : parsePercentage(row[1]),
+        'to': row[2] === '' ? Infinity : parsePercentage(row[2])
+      });
+    }
+  });
+
+  // Sub-accounts of the multi-client account to run for. When the
+  // 'mca.accounts' table is missing or empty, every sub-account is run.
+  let mcaAccounts = [];
+  settings.getValues('mca.accounts').forEach(function(row, i) {
+    if (String(row[0]).trim() != '') {
+      mcaAccounts.push(String(row[0]).trim());
+    }
+  });
+
+  let exportLabels = [];
+  settings.getValues('exportLabels').forEach(function(row, i) {
+    if (row[0]) {
+      exportLabels.push(row[1]);
+    }
+  });
+
+  // Shopping ad groups and Performance Max asset groups whose listing groups
+  // are built from the labels, by campaign type and ID.
+  let listingGroupTargets = [];
+  settings.getValues('listingGroups.targets').forEach(function(row, i) {
+    if (row[0] && String(row[1]).trim() != '') {
+      listingGroupTargets.push({
+        'type': String(row[0]).trim(),
+        'id': String(row[1]).trim()
+      });
+    }
+  });
+
+  // Labels the listing groups are split by, each included or excluded, with
+  // an optional modifier of the default bid of the Shopping ad groups. When
+  // the 'listingGroups.labels' table is missing or empty, every exported
+  // label is included.
+  let listingGroupLabels = [];
+  settings.getValues('listingGroups.labels').forEach(function(row, i) {
+    if (row[0]) {
+      listingGroupLabels.push({
+        'label': String(row[0]),
+        'action': row[1] || LISTING_GROUP_ACTIONS.INCLUDE,
+        'bidModifier': row[2] === '' || row[2] === undefined ? null :
+                                                              Number(row[2])
+      });
+    }
+  });
+
+  // Custom label slots (0-4) reported on by the Ads add-on report, as a comma
+  // separated list. Defaults to the slot the labels are written to.
+  let reportLabelNumbers = [];
+  String(get('reporting.labelNumbers', customLabelNumber))
+      .split(',')
+      .forEach(function(labelNumber, i) {
+        if (/^[0-4]$/.test(labelNumber.trim())) {
+          reportLabelNumbers.push(Number(labelNumber.trim()));
+        }
+      });
+
+  // Numbers of days the label performance is aggregated over, as a comma
+  // separated list.
+  let performanceWindows = [];
+  String(get('performance.windows', '7, 28'))
+      .split(',')
+      .forEach(function(days, i) {
+        if (/^\d+$/.test(days.trim()) && Number(days) > 0) {
+          performanceWindows.push(Number(days));
+        }
+      });
+
+  return {
+    'merchantId': get('merchantId'),
+    // Whether the Merchant ID is a multi-client account, whose sub-accounts
+    // are each run.
+    'mcaEnabled': get('mca.enabled', false),
+    'mcaAccounts': mcaAccounts,
+    'customLabelNumber': customLabelNumber,
+    'activateLabels': get('activateLabels', false),
+    'markets': markets,
+    'merchantBackend': get('merchantBackend', MERCHANT_BACKENDS.CONTENT_API),
+    'belowBenchmarkRule':
+        -Math.abs(parsePercentage(get('rules.belowBenchmark'))),
+    'belowBenchmarkName': get('labelName.below'),
+    'atBenchmarkRule': Math.abs(parsePercentage(get('rules.atBenchmark'))),
+    'atBenchmarkName': get('labelName.at'),
+    'aboveBenchmarkRule': parsePercentage(get('rules.aboveBenchmark')),
+    'aboveBenchmarkName': get('labelName.above'),
+    'labelTiers': labelTiers,
+    // Label of the rows that don't fall in any tier.
+    'unlabeledName': get('labelName.unlabeled'),
+    // Rules assigning labels from more than the relative price, evaluated in
+    // order before the price tiers. Each row has a label and its conditions.
+    'labelRulesTable': settings.getValues('rules.conditions'),
+    // Margin of relative price by which an offer can leave the range of its
+    // previous label and still keep it, to stop labels flapping at the edges.
+    'labelHysteresis':
+        Math.abs(parsePercentage(get('stability.hysteresis', 0))),
+    // Consecutive runs a new label must be calculated in before it replaces
+    // the previous label of an offer.
+    'labelMinRuns': Number(get('stability.minRuns', 1)),
+    // Runs kept in the history tabs, older ones are deleted, or 0 to keep
+    // every run that fits in `HISTORY_MAX_CELLS`.
+    'historyRuns': Number(get('history.keepRuns', 0)),
+    // How the variants of an item group are labeled together, from the
+    // relative prices of the variants, or 'Off' to label each one on its own.
+    'itemGroupAggregation':
+        get('itemGroups.aggregation', ITEM_GROUP_AGGREGATIONS.OFF),
+    // Custom attribute holding the product cost. Without it, the cost of goods
+    // sold attribute is used to calculate the margin.
+    'costAttribute': get('rules.costAttribute'),
+    'exportLabels': exportLabels,
+    // Whether to write the prices reaching the At and Below benchmark labels
+    // to the 'price recommendations' tab.
+    'recommendationsEnabled': get('recommendations.enabled', false),
+    // Custom attribute holding the lowest price a product can be sold at.
+    // Together with the cost, it sets the floor of the recommended prices.
+    'minPriceAttribute': get('recommendations.minPriceAttribute'),
+    'stockEnabled': get('stockInfo.enabled', false),
+    'stockAttribute': get('stockInfo.attribute'),
+    'stockThreshold': get('stockInfo.threshold'),
+    // Whether the products are fetched one by one in batches, or read from
+    // the paged list of every product of the account.
+    'productSource': get('products.source', PRODUCT_SOURCES.BATCH_GET),
+    // Days the product data is reused for before being fetched again, 0 to
+    // always fetch it.
+    'productCacheDays': Number(get('products.cacheDays', 0)),
+    // Whether to keep the benchmark of every offer across runs, and report
+    // the offers and brands whose benchmark moved since the previous run.
+    'moversEnabled': get('movers.enabled', false),
+    // Change of benchmark price from which an offer is reported as a mover.
+    'moversThreshold':
+        Math.abs(parsePercentage(get('movers.threshold', 0.05))),
+    'labelPushMode': get('labelPush.mode', LABEL_PUSH_MODES.OFF),
+    // Content API supplemental feed ID or Merchant API data source ID the
+    // labels are written to. Without it, the Content API updates the products
+    // in place.
+    'labelPushDataSource': get('labelPush.dataSource'),
+    // Whether to clear the label of the products left unlabeled, e.g. out of
+    // stock. By default they keep the label set in Merchant Center.
+    'labelPushClear': get('labelPush.clearLabels', false),
+    // Window of the Merchant Center impressions and clicks, and of the Google
+    // Ads metrics of the products: a preset, or a start date and optional end
+    // date.
+    'statsWindow': {
+      'preset': get('stats.window', 'LAST_30_DAYS'),
+      'startDate': get('stats.startDate'),
+      'endDate': get('stats.endDate')
+    },
+    // Window of the 'AdsData' tab of the Ads report.
+    'adsWindow': {
+      'preset': get('reporting.window', 'LAST_90_DAYS'),
+      'startDate': get('reporting.startDate'),
+      'endDate': get('reporting.endDate')
+    },
+    // Time zone the windows are counted in, instead of the one of the
+    // accounts.
+    'timeZone': get('reporting.timeZone'),
+    // Whether the Ads report only fetches the days missing from the 'AdsData'
+    // tab and appends them, instead of rewriting it.
+    'adsIncremental': get('reporting.incremental', false),
+    'managerCid': get('reporting.ManagerCID'),
+    'accountCid': get('reporting.AccountCID'),
+    // Whether the Ads report covers every client account of the manager
+    // account, instead of the Account CID only.
+    'adsAllClients': get('reporting.allClients', false),
+    'adsApiVersion': get('reporting.apiVersion', ADS_API_VERSION),
+    'reportLabelNumbers': reportLabelNumbers,
+    // Whether to add the Google Ads cost, conversions and ROAS of each product
+    // to the 'benchmark data' tab.
+    'adsProductMetrics': get('reporting.productMetrics', false),
+    'performanceWindows': performanceWindows,
+    // Days compared before and after each run in the 'label lift' tab.
+    'liftDays': Number(get('performance.liftDays', 7)),
+    'listingGroupMode': get('listingGroups.mode', LISTING_GROUP_MODES.OFF),
+    'listingGroupTargets': listingGroupTargets,
+    'listingGroupLabels': listingGroupLabels,
+    // Whether the products with another label, or none, are included in or
+    // excluded from the listing groups.
+    'listingGroupOthers':
+        get('listingGroups.others', LISTING_GROUP_ACTIONS.INCLUDE),
+    // Whether to replace the listing groups split by anything else than the
+    // labels, e.g. built by hand.
+    'listingGroupOverwrite': get('listingGroups.overwrite', false),
+    // Google Cloud project of the BigQuery export. Without it, nothing is
+    // exported.
+    'bigqueryProjectId': get('bigquery.projectId'),
+    'bigqueryDataset': get('bigquery.dataset', 'price_benchmark'),
+    // Location of the dataset created by the export, e.g. US or EU.
+    'bigqueryLocation': get('bigquery.location', 'US'),
+    // Recurring runs of the labeling and of the Ads report, installed with
+    // `installSchedules`: a frequency, the day of the week of weekly runs, and
+    // the hour of the day, in the script time zone.
+    'boosterSchedule': {
+      'frequency': get('schedule.booster', SCHEDULE_FREQUENCIES.WEEKLY),
+      'day': String(get('schedule.boosterDay', 'MONDAY')).toUpperCase(),
+      'hour': Number(get('schedule.boosterHour', 6))
+    },
+    'reportSchedule': {
+      'frequency': get('schedule.report', SCHEDULE_FREQUENCIES.OFF),
+      'day': String(get('schedule.reportDay', 'MONDAY')).toUpperCase(),
+      'hour': Number(get('schedule.reportHour', 7))
+    },
+    // Recipients of the run summaries and failure alerts, as a comma
+    // separated list.
+    'notificationEmail': get('notifications.email'),
+    // Webhook the run summaries and failure alerts are posted to, e.g. of a
+    // Google Chat space.
+    'notificationWebhook': get('notifications.webhookUrl'),
+    // Whether to log every API request, not only the retries and failures.
+    'logHttpRequests': get('logging.httpRequests', false)
+  };
+}
+
+/**
+ * Parses a percentage entered in the control panel. It can be a percent
+ * formatted cell (0.05) or text with a percent sign ('±5%', '-15%'). Other
+ * numbers are fractions too: a cell holding 1 is 100%, not 1%, and '±5' is
+ * 500%, see `validateSettings`, which stops the runs on the ones above 100%.
+ * @param {number|string} value The value of the cell.
+ * @return {number} The percentage as a fraction, e.g. 0.05 for 5%, or NaN if
+ *     the value is blank or not a percentage.
+ */
+function parsePercentage(value) {
+  if (typeof value == 'number') {
+    return value;
+  }
+  const text = String(value).replace('±', '').replace('+', '').trim();
+  if (text == '') {
+    return NaN;
+  }
+  if (text.endsWith('%')) {
+    return Number(text.replace('%', '')) / 100;
+  }
+  return Number(text);
+}
@@ -14,76 +14,291 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-const SPREADSHEET = SpreadsheetApp.getActive();
-const ADS_DATA_SHEET = SPREADSHEET.getSheetByName('AdsData');
-const MERCHANT_ID = SPREADSHEET.getRangeByName('merchantId').getValue();
-const CUSTOM_LABEL_NUMBER =
-    SPREADSHEET.getRangeByName('customLabelNumber').getValue();
-const ACTIVATE_LABELS = SPREADSHEET.getRangeByName('activateLabels').getValue();
-const COUNTRY_FILTER = SPREADSHEET.getRangeByName('countryFilter').getValue();
-const CURRENCY_FILTER = SPREADSHEET.getRangeByName('currencyFilter').getValue();
-
-let BELOW_BENCHMARK_RULE =
-    spreadsheet.getRangeByName('rules.belowBenchmark').getValue();
-if (BELOW_BENCHMARK_RULE > 0) {
-  BELOW_BENCHMARK_RULE *= -1;
-}
-const BELOW_BENCHMARK_NAME =
-    spreadsheet.getRangeByName('labelName.below').getValue();
-
-let AT_BENCHMARK_RULE_RAW =
-    spreadsheet.getRangeByName('rules.atBenchmark').getValue();
-if (isNaN(AT_BENCHMARK_RULE_RAW)) {
-  AT_BENCHMARK_RULE_RAW =
-      Number(AT_BENCHMARK_RULE_RAW.replace('±', '').replace('%', ''));
-  if (AT_BENCHMARK_RULE_RAW > 1 || AT_BENCHMARK_RULE_RAW < 1) {
-    AT_BENCHMARK_RULE_RAW = AT_BENCHMARK_RULE_RAW / 100;
-  }
-}
-if (AT_BENCHMARK_RULE_RAW < 0) {
-  AT_BENCHMARK_RULE_RAW *= -1;
-}
-const AT_BENCHMARK_RULE = AT_BENCHMARK_RULE_RAW;
-const AT_BENCHMARK_NAME = spreadsheet.getRangeByName('labelName.at').getValue();
-
-const ABOVE_BENCHMARK_RULE =
-    spreadsheet.getRangeByName('rules.aboveBenchmark').getValue();
-const ABOVE_BENCHMARK_NAME =
-    spreadsheet.getRangeByName('labelName.above').getValue();
-
-const EXPORT_LABELS = [];
-let labels = SPREADSHEET.getRangeByName('exportLabels').getValues();
-labels.forEach(function(row, i) {
-  if (row[0]) {
-    EXPORT_LABELS.push(row[1]);
-  }
-});
-
-const STOCK_ENABLED =
-    SPREADSHEET.getRangeByName('stockInfo.enabled').getValue();
-const STOCK_ATTRIBUTE =
-    SPREADSHEET.getRangeByName('stockInfo.attribute').getValue();
-const STOCK_THRESHOLD =
-    SPREADSHEET.getRangeByName('stockInfo.threshold').getValue();
-
-const RANGE_OUTPUT = SPREADSHEET.getRangeByName('updatedAt.output');
-const RANGE_BENCHMARK = SPREADSHEET.getRangeByName('updatedAt.benchmark');
-
-const MANAGER_CID =
-    SPREADSHEET.getRangeByName('reporting.ManagerCID').getValue();
-const ACCOUNT_CID =
-    SPREADSHEET.getRangeByName('reporting.AccountCID').getValue();
+const ADS_DATA_SHEET = 'AdsData';
+const BENCHMARK_SHEET = 'benchmark data';
+const SUPPLEMENTAL_FEED_SHEET = 'output - supplemental feed';
+
+// Named ranges recording when the outputs were last updated.
+const UPDATED_AT_OUTPUT = 'updatedAt.output';
+const UPDATED_AT_BENCHMARK = 'updatedAt.benchmark';
+
+const MERCHANT_BACKENDS = {
+  CONTENT_API: 'Content API',
+  MERCHANT_API: 'Merchant API',
+};
+
+// Margin under which two tier bounds are considered equal.
+const TIER_TOLERANCE = 1e-9;
+
+// The fields the rule conditions can use, with their type.
+const RULE_FIELDS = {
+  priceLabel: 'text',
+  relativePrice: 'percentage',
+  brand: 'text',
+  title: 'text',
+  productType: 'text',
+  impressions: 'number',
+  clicks: 'number',
+  stock: 'number',
+  margin: 'percentage',
+};
+
+const VALIDATION_SHEET = 'validation';
+const CHECK_STATUS = {
+  PASS: 'PASS',
+  WARNING: 'WARNING',
+  FAIL: 'FAIL',
+  SKIPPED: 'SKIPPED',
+};
+
+// Number of days of the reporting window presets, which end yesterday.
+// 'LAST_MONTH', the previous calendar month, is also accepted.
+const DATE_RANGE_PRESETS = {
+  'LAST_7_DAYS': 7,
+  'LAST_14_DAYS': 14,
+  'LAST_28_DAYS': 28,
+  'LAST_30_DAYS': 30,
+  'LAST_90_DAYS': 90,
+};
+const LABEL_PERFORMANCE_SHEET = 'label performance';
+const LABEL_LIFT_SHEET = 'label lift';
+// Totals and rates of the label performance, as named in its headers.
+const PERFORMANCE_TOTALS =
+    ['impressions', 'clicks', 'cost', 'conversions', 'conversions_value'];
+const PERFORMANCE_METRICS = ['ctr', 'cvr', 'roas', 'cpc'];
+const LABEL_HISTORY_SHEET = 'label history';
+const LABEL_CHANGES_SHEET = 'label changes';
+// The history tabs end with the ID of the run, see `readLastRun`.
+const LABEL_HISTORY_HEADERS = [
+  'run_timestamp', 'id', 'country', 'label', 'relative_price',
+  'benchmark_price', 'account', 'pending_label', 'pending_runs', 'run_id'
+];
+// Cells a history tab may take, whatever `historyRuns`, as a spreadsheet holds
+// at most 10 million cells. The last run is always kept.
+const HISTORY_MAX_CELLS = 2000000;
+// Rows of a history tab read at a time when looking for the last run.
+const HISTORY_READ_CHUNK = 5000;
+
+// Relative price of an item group from the ones of its variants, see
+// `getItemGroupPrices`.
+const ITEM_GROUP_AGGREGATIONS = {
+  OFF: 'Off',
+  MINIMUM: 'Minimum',
+  MEDIAN: 'Median',
+  IMPRESSION_WEIGHTED: 'Impression-weighted',
+};
+
+// Benchmark of every offer across runs, see `trackBenchmarkMovers`.
+const BENCHMARK_HISTORY_SHEET = 'benchmark history';
+const BENCHMARK_HISTORY_HEADERS = [
+  'run_timestamp', 'id', 'country', 'account', 'brand', 'price',
+  'benchmark_price', 'relative_price', 'price_label', 'run_id'
+];
+const BENCHMARK_MOVERS_SHEET = 'benchmark movers';
+const BENCHMARK_MOVERS_HEADERS = [
+  'id', 'country', 'account', 'brand', 'title', 'movement',
+  'previous_benchmark_price', 'benchmark_price', 'benchmark_change', 'price',
+  'previous_price_label', 'price_label', 'crossed_label', 'previous_run'
+];
+const BRAND_CHANGES_SHEET = 'brand changes';
+const BRAND_CHANGES_HEADERS = [
+  'brand', 'offers', 'benchmark_change', 'dropped', 'rose',
+  'previous_relative_price', 'relative_price'
+];
+const BRAND_TREND_SHEET = 'brand trend';
+const BRAND_TREND_HEADERS = [
+  'brand', 'run_timestamp', 'offers', 'benchmark_change', 'cumulative_change',
+  'relative_price'
+];
+// Number of brands highlighted in the run summary.
+const SUMMARY_TOP_BRANDS = 3;
+
+const LABEL_PUSH_MODES = {
+  OFF: 'Off',
+  DIRECT: 'Direct',
+  DRY_RUN: 'Dry run',
+};
+const LABEL_PUSH_SHEET = 'label push';
+
+// Listing groups built from the labels, see `updateListingGroupTrees`.
+const LISTING_GROUP_MODES = {
+  OFF: 'Off',
+  PREVIEW: 'Preview',
+  APPLY: 'Apply',
+};
+const LISTING_GROUP_TARGETS = {
+  SHOPPING: 'Shopping',
+  PERFORMANCE_MAX: 'Performance Max',
+};
+const LISTING_GROUP_ACTIONS = {
+  INCLUDE: 'Include',
+  EXCLUDE: 'Exclude',
+};
+const LISTING_GROUPS_SHEET = 'listing groups';
+const LISTING_GROUPS_HEADERS = [
+  'campaign_type', 'id', 'operation', 'listing_group', 'action', 'cpc_bid',
+  'status'
+];
+// Google Ads CPC bids are multiples of 0.01.
+const CPC_BID_INCREMENT_MICROS = 10000;
 
 const PROPERTY_NAMES = {
   DEVELOPER_TOKEN: 'DeveloperToken',
+  RUN_STATE: 'runState',
+  INSTALLED_SCHEDULES: 'installedSchedules',
+};
+
+// Recurring runs, see `installSchedules`.
+const SCHEDULE_FREQUENCIES = {
+  OFF: 'Off',
+  DAILY: 'Daily',
+  WEEKLY: 'Weekly',
+};
+// In the order of `Date.getDay`, as named by `ScriptApp.WeekDay`.
+const WEEK_DAYS = [
+  'SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'
+];
+const SCHEDULE_SHEET = 'schedule';
+const SCHEDULE_HEADERS = [
+  'job', 'function', 'frequency', 'day', 'hour', 'triggers', 'next_run',
+  'status'
+];
+
+// Runs split across executions, see `startBoosterRun`.
+const CHECKPOINT_SHEET = 'run checkpoints';
+const CHECKPOINT_HEADERS = ['key', 'step', 'items'];
+// Cells hold at most 50000 characters.
+const CHECKPOINT_CELL_SIZE = 40000;
+const RUN_PHASES = {
+  ACCOUNTS: 'accounts',
+  BENCHMARK: 'benchmark',
+  STATS: 'stats',
+  PRODUCTS: 'products',
+  ADS_METRICS: 'ads metrics',
+  MERGE: 'merge',
+  // The side effects of the merge outside the spreadsheet, one step each.
+  LABEL_PUSH: 'label push',
+  BIGQUERY: 'bigquery',
+  LISTING_GROUPS: 'listing groups',
+  SUMMARY: 'summary',
+  DONE: 'done',
+};
+// Apps Script stops executions after 6 minutes.
+const RUN_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+const CONTINUATION_HANDLER = 'resumeVisibilityBooster';
+const CONTINUATION_DELAY_MS = 60 * 1000;
+
+// Retries of the failed API calls, see `HttpClient`.
+const HTTP_RETRY = {
+  MAX_RETRIES: 5,
+  INITIAL_DELAY_MS: 1000,
+  MAX_DELAY_MS: 32000,
+  MAX_RETRY_AFTER_MS: 60000,
+  RETRYABLE_STATUSES: [408, 429, 500, 502, 503, 504],
+  // Statuses of the requests the API didn't process, so even the ones that
+  // aren't idempotent can be sent again.
+  UNPROCESSED_STATUSES: [408, 429],
 };
 
+const ACCOUNT_SUMMARY_SHEET = 'account summary';
+// The largest page of the Content API account list.
+const ACCOUNT_LIST_PAGE_SIZE = 250;
+
+const PRICE_RECOMMENDATIONS_SHEET = 'price recommendations';
+const PRICE_RECOMMENDATIONS_HEADERS = [
+  'id', 'offer_id', 'country', 'account', 'title', 'current_price', 'currency',
+  'benchmark_price', 'relative_price', 'label', 'at_benchmark_price',
+  'at_change', 'at_change_pct', 'below_benchmark_price', 'below_change',
+  'below_change_pct', 'floor_price', 'constraint', 'impressions', 'clicks',
+  'estimated_clicks_at_benchmark', 'approved_price'
+];
+const SALE_PRICE_FEED_SHEET = 'output - sale price feed';
+
+const PRODUCT_SOURCES = {
+  BATCH_GET: 'Batch get',
+  PRODUCT_LIST: 'Product list',
+};
+const PRODUCT_CACHE_SHEET = 'product cache';
+const PRODUCT_CACHE_HEADERS = ['account', 'id', 'fetched_at', 'data'];
+// The largest page of the Content API product list.
+const PRODUCT_LIST_PAGE_SIZE = 250;
+
+// Subject prefix of the run summaries and failure alerts.
+const NOTIFICATION_TITLE = 'Price Visibility Booster';
+
+// Tables of the BigQuery export, see `exportBenchmarkToBigQuery`. Each table
+// is partitioned by day on its `partitionField`.
+const BIGQUERY_TABLES = {
+  BENCHMARK: {
+    'name': 'benchmark',
+    'partitionField': 'run_date',
+    'fields': [
+      {'name': 'run_date', 'type': 'DATE'},
+      {'name': 'run_timestamp', 'type': 'TIMESTAMP'},
+      {'name': 'account', 'type': 'STRING'},
+      {'name': 'offer_id', 'type': 'STRING'},
+      {'name': 'country', 'type': 'STRING'},
+      {'name': 'title', 'type': 'STRING'},
+      {'name': 'price', 'type': 'FLOAT'},
+      {'name': 'currency', 'type': 'STRING'},
+      {'name': 'benchmark_price', 'type': 'FLOAT'},
+      {'name': 'relative_price', 'type': 'FLOAT'},
+      {'name': 'impressions', 'type': 'INTEGER'},
+      {'name': 'clicks', 'type': 'INTEGER'},
+    ],
+  },
+  LABELS: {
+    'name': 'labels',
+    'partitionField': 'run_date',
+    'fields': [
+      {'name': 'run_date', 'type': 'DATE'},
+      {'name': 'run_timestamp', 'type': 'TIMESTAMP'},
+      {'name': 'account', 'type': 'STRING'},
+      {'name': 'offer_id', 'type': 'STRING'},
+      {'name': 'country', 'type': 'STRING'},
+      {'name': 'label', 'type': 'STRING'},
+      {'name': 'previous_label', 'type': 'STRING'},
+      {'name': 'relative_price', 'type': 'FLOAT'},
+    ],
+  },
+  ADS_REPORT: {
+    'name': 'ads_report',
+    'partitionField': 'date',
+    'fields': [
+      {'name': 'date', 'type': 'DATE'},
+      {'name': 'label_slot', 'type': 'STRING'},
+      {'name': 'label_value', 'type': 'STRING'},
+      {'name': 'clicks', 'type': 'INTEGER'},
+      {'name': 'impressions', 'type': 'INTEGER'},
+      {'name': 'cost', 'type': 'FLOAT'},
+      {'name': 'conversions', 'type': 'FLOAT'},
+      {'name': 'conversions_value', 'type': 'FLOAT'},
+      {'name': 'all_conversions', 'type': 'FLOAT'},
+      {'name': 'all_conversions_value', 'type': 'FLOAT'},
+      {'name': 'customer_id', 'type': 'STRING'},
+      {'name': 'exported_at', 'type': 'TIMESTAMP'},
+    ],
+  },
+};
+// Checks of the status of the BigQuery jobs, for up to a minute.
+const BIGQUERY_JOB_POLL = {
+  INTERVAL_MS: 2000,
+  MAX_CHECKS: 30,
+};
+
+// Version of the Google Ads API, unless `reporting.apiVersion` is set. Each
+// version is sunset about a year after its release.
+const ADS_API_VERSION = 'v21';
+
 const PAGE_SIZE = 1000;
 const BATCH_SIZE = 1000;
+// Calls the Merchant API client sends at once in place of a batch, as the API
+// has no batch methods and UrlFetchApp sends a `fetchAll` all in parallel.
+const MERCHANT_API_PARALLEL_CALLS = 50;
 
 const HEADERS = [
-  'date', 'productCustomAttribute1', 'clicks', 'impressions', 'cost', 'avgCpc',
+  'date', 'labelSlot', 'labelValue', 'clicks', 'impressions', 'cost', 'avgCpc',
   'conversions', 'conversionsValue', 'allConversions', 'allConversionsValue'
 ];
-const FIRST_COLUMN = 'A';
-const LAST_COLUMN = 'J';
\ No newline at end of file
+// Column added after `HEADERS` when reporting on every client account.
+const CUSTOMER_ID_HEADER = 'customerId';
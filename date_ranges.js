@@ -0,0 +1,149 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Resolves a reporting window of the control panel to its first and last day.
+ *
+ * A window is either a preset of `DATE_RANGE_PRESETS`, ending yesterday, or
+ * explicit dates: a start date and an optional end date, yesterday by default.
+ * Days are counted in the given time zone, so "yesterday" is the previous day
+ * of the account rather than of the script.
+ *
+ * @param {!Object} dateWindow - The window, with its `preset`, `startDate` and
+ *     `endDate`.
+ * @param {string} timeZone - The time zone of the account, e.g. 'Europe/Paris'.
+ * @param {!Date=} now - The current time, now by default.
+ * @return {!Object} The `startDate` and `endDate`, as yyyy-MM-dd, included.
+ * @throws {Error} If the preset is unknown.
+ */
+function resolveDateRange(dateWindow, timeZone, now) {
+  const today =
+      Utilities.formatDate(now || new Date(), timeZone, 'yyyy-MM-dd');
+  const yesterday = shiftDate(today, -1);
+  if (dateWindow.startDate) {
+    return {
+      'startDate': formatDay(dateWindow.startDate),
+      'endDate': dateWindow.endDate ? formatDay(dateWindow.endDate) : yesterday
+    };
+  }
+  if (dateWindow.preset == 'LAST_MONTH') {
+    const lastDay = shiftDate(today.slice(0, 8) + '01', -1);
+    return {'startDate': lastDay.slice(0, 8) + '01', 'endDate': lastDay};
+  }
+  const days = DATE_RANGE_PRESETS[dateWindow.preset];
+  if (!days) {
+    throw new Error('Unknown date range: ' + dateWindow.preset);
+  }
+  return {'startDate': shiftDate(yesterday, 1 - days), 'endDate': yesterday};
+}
+
+/**
+ * Checks a reporting window of the control panel.
+ *
+ * @param {!Object} dateWindow - The window, with its `preset`, `startDate` and
+ *     `endDate`.
+ * @return {string} What's wrong with the window, or '' if it's valid.
+ */
+function checkDateWindow(dateWindow) {
+  if (!dateWindow.startDate) {
+    const presets = Object.keys(DATE_RANGE_PRESETS).concat(['LAST_MONTH']);
+    if (!presets.includes(dateWindow.preset)) {
+      return '"' + dateWindow.preset + '" should be one of: ' +
+          presets.join(', ') + ', or set a start date';
+    }
+    return '';
+  }
+  const startDate = formatDay(dateWindow.startDate);
+  const endDate = dateWindow.endDate ? formatDay(dateWindow.endDate) : '';
+  const invalid = [startDate, endDate].filter(function(date) {
+    return date != '' && !/^\d{4}-\d{2}-\d{2}$/.test(date);
+  });
+  if (invalid.length > 0) {
+    return '"' + invalid[0] + '" should be a date, as yyyy-MM-dd';
+  }
+  if (endDate != '' && endDate < startDate) {
+    return 'The end date is before the start date';
+  }
+  return '';
+}
+
+/**
+ * Lists the days of a date range.
+ *
+ * @param {!Object} dateRange - The `startDate` and `endDate`, as yyyy-MM-dd.
+ * @return {!Array<string>} The days, as yyyy-MM-dd, in order.
+ */
+function listDays(dateRange) {
+  let days = [];
+  for (let day = dateRange.startDate; day <= dateRange.endDate;
+       day = shiftDate(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Returns the time zone the reporting windows of a Merchant Center account are
+ * counted in: the `reporting.timeZone` setting, or the time zone of the
+ * account, or the time zone of the script if the API doesn't return it.
+ *
+ * @param {!Object} api - The MerchantCenterAPI or MerchantAPI instance.
+ * @param {string} merchantId - The Merchant Center account.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {string} The time zone, e.g. 'Europe/Paris'.
+ */
+function getMerchantTimeZone(api, merchantId, config) {
+  if (config.timeZone) {
+    return config.timeZone;
+  }
+  const account = api.getAccount(merchantId);
+  if (account.error) {
+    Logger.log(
+        'Using the script time zone, the account couldn\'t be read: ' +
+        account.error.message);
+  } else if (account.timeZone && account.timeZone.id) {
+    return account.timeZone.id;
+  }
+  return Session.getScriptTimeZone();
+}
+
+/**
+ * Moves a day by a number of days.
+ *
+ * @param {string} day - The day, as yyyy-MM-dd.
+ * @param {number} days - The number of days to add, negative to go back.
+ * @return {string} The resulting day, as yyyy-MM-dd.
+ */
+function shiftDate(day, days) {
+  let date = new Date(day + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toJSON().slice(0, 10);
+}
+
+/**
+ * Formats a day read from a sheet, where Sheets may have turned it into a
+ * date.
+ *
+ * @param {!Date|string} value - The day, or a timestamp starting with it.
+ * @return {string} The day, as yyyy-MM-dd.
+ */
+function formatDay(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(
+        value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  return String(value).slice(0, 10);
+}
@@ -14,10 +14,10 @@
 /**
  * This function converts the processed data into a 2D array.
  * @param {!Object} finalData The processed data.
+ * @param {!Array<string>} headers The columns of the 'AdsData' tab.
  * @return {!Array} A 2D array of data.
  */
-function rowAsArray(finalData) {
-  const headers = HEADERS;
+function rowAsArray(finalData, headers) {
   let dataArray = [];
   dataArray.push(headers);
   for (date in finalData) {
@@ -36,11 +36,11 @@ function rowAsArray(finalData) {
 
 /**
  * This function creates a placeholder object for processed data.
+ * @param {!Array<string>} headers The columns of the 'AdsData' tab.
  * @return {!Object} A placeholder object.
  */
-function createRow() {
+function createRow(headers) {
   let dataPlaceholder = {};
-  const headers = HEADERS;
   for (header in headers) {
     dataPlaceholder[headers[header]] = 0;
   }
@@ -49,27 +49,22 @@ function createRow() {
 
 /**
  * This function gets ads data from Google Ads API.
+ * @param {!GoogleAdsApi} googleAdsApi The Google Ads API client.
+ * @param {string} customerId The Google Ads account to report on.
+ * @param {number} labelNumber The custom label slot (0-4) to report on.
+ * @param {!Object} dateRange The `startDate` and `endDate` to report on, as
+ *     yyyy-MM-dd.
  * @return {!Object} A 2D array of data.
  */
-function getAdsData() {
-  const DEVELOPER_TOKEN =
-      PropertiesService.getScriptProperties().getProperty('DeveloperToken');
-  const managerAccountId = MANAGER_CID.replaceAll('-', '');
-  const customerId = ACCOUNT_CID.replaceAll('-', '');
-  const googleAdsApi = new GoogleAdsApi(DEVELOPER_TOKEN, managerAccountId);
-
-  let currentDate = new Date();
-  currentDate.setDate(currentDate.getDate() - 1);
-  let lastDay = currentDate.toJSON().slice(0, 10);
-  let firstDate = new Date();
-  firstDate.setDate(currentDate.getDate() - 90);
-  let firstDay = firstDate.toJSON().slice(0, 10);
-
+function getAdsData(googleAdsApi, customerId, labelNumber, dateRange) {
+  const firstDay = dateRange.startDate;
+  const lastDay = dateRange.endDate;
+  const labelField = 'segments.product_custom_attribute' + labelNumber;
   let queryResult;
   let query = `
     SELECT
       segments.date,
-      segments.product_custom_attribute1,
+      ` + labelField + `,
       metrics.clicks,
       metrics.impressions,
       metrics.cost_micros,
@@ -87,31 +82,198 @@ function getAdsData() {
       firstDay + `'
       AND segments.date <= '` +
       lastDay + `'
-      AND segments.product_custom_attribute1 IS NOT NULL
+      AND ` + labelField + ` IS NOT NULL
     `;
   try {
-    queryResult = googleAdsApi.executeSearch(query, customerId, false);
+    queryResult = googleAdsApi.searchStream(query, customerId);
   } catch (e) {
-    console.log(e);
-    return e;
+    Logger.log(
+        'Error getting the Ads data of custom_label_' + labelNumber + ': ' +
+        e.message);
+    throw e;
   }
   return queryResult;
 }
 
+/**
+ * This function gets the Ads metrics of each product over a date range, the
+ * window of the Merchant Center statistics. The metrics are split by the
+ * country the products were advertised in, as the same offer can be sold in
+ * several markets.
+ * @param {!GoogleAdsApi} googleAdsApi The Google Ads API client.
+ * @param {string} customerId The Google Ads account to report on.
+ * @param {!Array<string>} merchantIds The Merchant Center accounts of the
+ *     products.
+ * @param {!Object} dateRange The `startDate` and `endDate`, as yyyy-MM-dd.
+ * @return {!Array<!Array>} The metrics of each product, as
+ *     `[productMetricsKey, {cost, conversions, conversionsValue}]` pairs.
+ */
+function getProductAdsMetrics(
+    googleAdsApi, customerId, merchantIds, dateRange) {
+  const query = `
+    SELECT
+      segments.product_merchant_id,
+      segments.product_country,
+      segments.product_item_id,
+      metrics.cost_micros,
+      metrics.conversions,
+      metrics.conversions_value
+    FROM
+      shopping_performance_view
+    WHERE
+      segments.date BETWEEN '` +
+      dateRange.startDate + `' AND '` + dateRange.endDate + `'
+      AND metrics.impressions > 0
+      AND segments.product_merchant_id IN (` +
+      merchantIds.join(', ') + `)
+    `;
+  let queryResult;
+  try {
+    queryResult = googleAdsApi.searchStream(query, customerId);
+  } catch (e) {
+    Logger.log('Error getting the Ads metrics of the products: ' + e.message);
+    throw e;
+  }
+  const rows = queryResult.records.map(flatten);
+  const countryCodes = getCountryCodes(
+      googleAdsApi, customerId, rows.map(function(row) {
+        return row['segments.productCountry'];
+      }));
+  let metrics = {};
+  rows.forEach(function(row) {
+    const key = productMetricsKey(
+        row['segments.productMerchantId'],
+        countryCodes[row['segments.productCountry']] || '',
+        row['segments.productItemId']);
+    // Rows are split by the other segments of the view, e.g. the ad group.
+    metrics[key] = metrics[key] || {
+      'cost': 0,
+      'conversions': 0,
+      'conversionsValue': 0
+    };
+    metrics[key].cost += Number(row['metrics.costMicros'] || 0) / 1e6;
+    metrics[key].conversions += Number(row['metrics.conversions'] || 0);
+    metrics[key].conversionsValue +=
+        Number(row['metrics.conversionsValue'] || 0);
+  });
+  return Object.entries(metrics);
+}
+
+/**
+ * This function reads the country codes of geo target constants, the way
+ * Google Ads reports the country of a product.
+ * @param {!GoogleAdsApi} googleAdsApi The Google Ads API client.
+ * @param {string} customerId The Google Ads account to query.
+ * @param {!Array<string>} resourceNames The resource names of the constants,
+ *     e.g. 'geoTargetConstants/2840', repeated or not.
+ * @return {!Object} The country code of each constant, e.g. 'US', keyed by
+ *     resource name.
+ */
+function getCountryCodes(googleAdsApi, customerId, resourceNames) {
+  const unique = Array.from(new Set(resourceNames.filter(Boolean)));
+  if (unique.length == 0) {
+    return {};
+  }
+  const query = `
+    SELECT
+      geo_target_constant.resource_name,
+      geo_target_constant.country_code
+    FROM
+      geo_target_constant
+    WHERE
+      geo_target_constant.resource_name IN ('` +
+      unique.join(`', '`) + `')
+    `;
+  let countryCodes = {};
+  googleAdsApi.searchStream(query, customerId)
+      .records.forEach(function(record) {
+        const constant = record.geoTargetConstant;
+        countryCodes[constant.resourceName] = constant.countryCode;
+      });
+  return countryCodes;
+}
+
+/**
+ * This function builds the key of a product in the Ads metrics.
+ * @param {string} merchantId The Merchant Center account of the product.
+ * @param {string} country The country the product was advertised in, e.g.
+ *     'US'.
+ * @param {string} offerId The offer ID, which Google Ads reports in lower case.
+ * @return {string} The key.
+ */
+function productMetricsKey(merchantId, country, offerId) {
+  return merchantId + '/' + country + '/' + String(offerId).toLowerCase();
+}
+
+/**
+ * This function creates the Google Ads API client of the report.
+ * @param {!Object} env The environment, as returned by `getEnv`.
+ * @return {!GoogleAdsApi} The client.
+ */
+function createGoogleAdsApi(env) {
+  const developerToken = env.properties.getProperty('DeveloperToken');
+  const managerAccountId = String(env.config.managerCid).replaceAll('-', '');
+  return new GoogleAdsApi(
+      developerToken, managerAccountId, env.tokens.getOAuthToken(),
+      createHttpClient(env), env.config.adsApiVersion);
+}
+
+/**
+ * This function lists the client accounts of a manager account, at any depth
+ * of its hierarchy. Manager and disabled accounts are left out.
+ * @param {!GoogleAdsApi} googleAdsApi The Google Ads API client.
+ * @param {string} managerId The manager account.
+ * @return {!Array<string>} The customer IDs of the client accounts.
+ */
+function listClientAccounts(googleAdsApi, managerId) {
+  const query = `
+    SELECT
+      customer_client.id,
+      customer_client.descriptive_name
+    FROM
+      customer_client
+    WHERE
+      customer_client.manager = false
+      AND customer_client.status = 'ENABLED'
+    `;
+  return googleAdsApi.searchStream(query, managerId)
+      .records.map(function(record) {
+        return String(record.customerClient.id);
+      });
+}
+
+/**
+ * This function lists the columns of the 'AdsData' tab.
+ * @param {!Object} config The configuration, as returned by `readConfig`.
+ * @return {!Array<string>} The headers, with the customer ID of the rows when
+ *     reporting on every client account.
+ */
+function getAdsDataHeaders(config) {
+  return config.adsAllClients ? HEADERS.concat([CUSTOMER_ID_HEADER]) : HEADERS;
+}
+
 /**
  * This function processes the data from Google Ads API.
  * @param {!Object} data The data from Google Ads API.
+ * @param {number} labelNumber The custom label slot (0-4) the data is for.
+ * @param {!Object=} finalData Processed data of other label slots to add to.
+ * @param {string=} customerId The client account the data is for, when
+ *     reporting on every client account.
  * @return {!Object} A 2D array of data.
  */
-function processData(data) {
-  let finalData = {};
+function processData(data, labelNumber, finalData, customerId) {
+  finalData = finalData || {};
+  const headers = customerId ? HEADERS.concat([CUSTOMER_ID_HEADER]) : HEADERS;
+  const labelField = 'segments.productCustomAttribute' + labelNumber;
+  const labelSlot = 'custom_label_' + labelNumber;
   const flatObjects2 = data.records.map(deepObject => flatten(deepObject));
   for (item in flatObjects2) {
     row = flatObjects2[item];
-    let processedRow = createRow();
+    let processedRow = createRow(headers);
     let date = row['segments.date'];
-    if (row['segments.productCustomAttribute1']) {
-      let label = row['segments.productCustomAttribute1'];
+    if (row[labelField]) {
+      let label =
+          reportedDaysKey(customerId, labelSlot) + ':' + row[labelField];
       if (!finalData[date]) {
         finalData[date] = {};
       }
@@ -119,8 +281,11 @@ function processData(data) {
       finalData[date][label] = processedRow;
       finalData[date][label]['date'] = date;
 
-      finalData[date][label]['productCustomAttribute1'] =
-          row['segments.productCustomAttribute1'];
+      finalData[date][label]['labelSlot'] = labelSlot;
+      finalData[date][label]['labelValue'] = row[labelField];
+      if (customerId) {
+        finalData[date][label][CUSTOMER_ID_HEADER] = customerId;
+      }
       finalData[date][label]['conversions'] = row['metrics.conversions'];
       finalData[date][label]['allConversions'] = row['metrics.allConversions'];
       finalData[date][label]['allConversionsValue'] =
@@ -146,33 +311,179 @@ function processData(data) {
 }
 
 /**
- * This function pushes the processed data to a spreadsheet.
+ * This function pushes the processed data to a spreadsheet. Only the columns
+ * of the report are cleared, so formulas next to them are kept.
  * @param {!Object} data The processed data.
  * @return {!Object} A 2D array of data.
  */
 function pushToSpreadsheet(data) {
-  const sheet = ADS_DATA_SHEET;
-  const firstColumn = FIRST_COLUMN;
-  const lastColumn = LAST_COLUMN;
-  const sheetRange = firstColumn + ':' + lastColumn;
-  sheet.getRange(sheetRange).clearContent();
-
-  const start_row = 1;
-  const endRow = data.length;
-  const dataRange = firstColumn + start_row + ':' + lastColumn + endRow;
   if (data.length > 0) {
-    sheet.getRange(dataRange).setValues(data);
+    getEnv().sheets.writeColumns(ADS_DATA_SHEET, data);
   }
   return;
 }
 
 /**
- * This function runs the report.
- * @return {!Object} A 2D array of data.
+ * This function gets the time zone of a Google Ads account, unless another
+ * one is set in the control panel.
+ * @param {!GoogleAdsApi} googleAdsApi The Google Ads API client.
+ * @param {string} customerId The Google Ads account.
+ * @param {!Object} config The configuration, as returned by `readConfig`.
+ * @return {string} The time zone, e.g. 'Europe/Paris'.
+ */
+function getAdsTimeZone(googleAdsApi, customerId, config) {
+  if (config.timeZone) {
+    return config.timeZone;
+  }
+  const result = googleAdsApi.executeSearch(
+      'SELECT customer.time_zone FROM customer LIMIT 1', customerId, false);
+  const customer = (result.records[0] || {}).customer || {};
+  return customer.timeZone || Session.getScriptTimeZone();
+}
+
+/**
+ * This function reads the days already in the 'AdsData' tab.
+ * @param {!Array<!Array>} adsData The rows of the tab, headers first.
+ * @return {!Object} The set of days of each label slot, keyed by
+ *     `reportedDaysKey`.
+ */
+function getReportedDays(adsData) {
+  let days = {};
+  adsData.slice(1).forEach(function(row) {
+    if (row[0] !== '') {
+      const key = reportedDaysKey(row[HEADERS.length], row[1]);
+      days[key] = days[key] || new Set();
+      days[key].add(formatDay(row[0]));
+    }
+  });
+  return days;
+}
+
+/**
+ * This function builds the key of the rows of a label slot.
+ * @param {string|undefined} customerId The client account of the rows, if
+ *     reporting on every client account.
+ * @param {string} labelSlot The label slot, e.g. 'custom_label_0'.
+ * @return {string} The key.
+ */
+function reportedDaysKey(customerId, labelSlot) {
+  return customerId ? customerId + '/' + labelSlot : labelSlot;
+}
+
+/**
+ * This function reads the 'AdsData' tab.
+ * @param {!Array<string>} headers The columns of the tab.
+ * @return {!Array<!Array>} The rows of the tab, headers first, or an empty
+ *     list if it's missing.
+ */
+function readAdsDataSheet(headers) {
+  const sheets = getEnv().sheets;
+  return sheets.read(
+      ADS_DATA_SHEET, 1, sheets.getLastRow(ADS_DATA_SHEET), headers.length);
+}
+
+/**
+ * This function checks whether the 'AdsData' tab has the customer ID column of
+ * the rows of every client account, after the columns of the report.
+ * @return {boolean} Whether the header of the column is the customer ID.
+ */
+function hasCustomerIdColumn() {
+  const headers =
+      getEnv().sheets.read(ADS_DATA_SHEET, 1, 1, HEADERS.length + 1)[0] || [];
+  return headers[HEADERS.length] === CUSTOMER_ID_HEADER;
+}
+
+/**
+ * This function runs the report, and sends an alert to the recipients of the
+ * notification settings if it fails, as it runs on a schedule, see
+ * `getScheduledJobs`.
  */
 function runReport() {
-  let results = getAdsData();
-  let processedData = processData(results);
-  let dataMatrix = rowAsArray(processedData);
-  pushToSpreadsheet(dataMatrix);
-}
\ No newline at end of file
+  const env = getEnv();
+  runWithFailureAlert(env, function() {
+    writeAdsReport(env);
+  }, 'Ads report');
+}
+
+/**
+ * This function writes the report. By default, the 'AdsData' tab is rewritten
+ * with the whole reporting window. With `reporting.incremental`, only the
+ * days of the window missing from the tab are fetched, and appended to it.
+ * With `reporting.allClients`, every client account of the manager account is
+ * reported on, and each row has the customer ID of its account. As turning it
+ * on or off adds or drops that column, the tab is then rewritten, even in
+ * incremental mode.
+ * @param {!Object} env The environment, as returned by `getEnv`.
+ */
+function writeAdsReport(env) {
+  const config = env.config;
+  const managerId = String(config.managerCid).replaceAll('-', '');
+  const googleAdsApi = createGoogleAdsApi(env);
+  const customerIds = config.adsAllClients ?
+      listClientAccounts(googleAdsApi, managerId) :
+      [String(config.accountCid).replaceAll('-', '')];
+  if (config.adsAllClients) {
+    Logger.log(customerIds.length + ' client accounts under ' + managerId);
+  }
+  const headers = getAdsDataHeaders(config);
+  const timeZone = getAdsTimeZone(
+      googleAdsApi, config.adsAllClients ? managerId : customerIds[0], config);
+  const dateRange = resolveDateRange(config.adsWindow, timeZone);
+  Logger.log(
+      'Ads data from ' + dateRange.startDate + ' to ' + dateRange.endDate +
+      ' (' + timeZone + ')');
+  const hadCustomerIds = hasCustomerIdColumn();
+  let append = config.adsIncremental;
+  if (append && env.sheets.getLastRow(ADS_DATA_SHEET) > 0 &&
+      hadCustomerIds != Boolean(config.adsAllClients)) {
+    Logger.log(
+        'reporting.allClients changed the columns of ' + ADS_DATA_SHEET +
+        ', rewriting it');
+    append = false;
+  }
+  const reportedDays =
+      append ? getReportedDays(readAdsDataSheet(headers)) : {};
+  let processedData = {};
+  customerIds.forEach(function(customerId) {
+    // Only the rows of the client accounts have a customer ID.
+    const rowCustomerId = config.adsAllClients ? customerId : '';
+    config.reportLabelNumbers.forEach(function(labelNumber) {
+      const key =
+          reportedDaysKey(rowCustomerId, 'custom_label_' + labelNumber);
+      const known = reportedDays[key] || new Set();
+      const missing = listDays(dateRange).filter(function(day) {
+        return !known.has(day);
+      });
+      if (missing.length == 0) {
+        Logger.log('No missing days for ' + key);
+        return;
+      }
+      let results = getAdsData(
+          googleAdsApi, customerId, labelNumber,
+          {'startDate': missing[0], 'endDate': missing[missing.length - 1]});
+      processData(results, labelNumber, processedData, rowCustomerId);
+    });
+  });
+  let dataMatrix = rowAsArray(processedData, headers);
+  if (append) {
+    // The range fetched for a gap can overlap days already reported.
+    const rows = dataMatrix.slice(1).filter(function(row) {
+      const key = reportedDaysKey(row[HEADERS.length], row[1]);
+      return !(reportedDays[key] && reportedDays[key].has(row[0]));
+    });
+    env.sheets.append(ADS_DATA_SHEET, headers, rows);
+    Logger.log(rows.length + ' rows appended to ' + ADS_DATA_SHEET);
+    dataMatrix = readAdsDataSheet(headers);
+  } else if (hadCustomerIds && !config.adsAllClients) {
+    // Clears the customer IDs of the rows written before.
+    pushToSpreadsheet(dataMatrix.map(function(row) {
+      return row.concat(['']);
+    }));
+  } else {
+    pushToSpreadsheet(dataMatrix);
+  }
+  writeLabelPerformance(dataMatrix, config);
+  if (config.bigqueryProjectId) {
+    exportAdsDataToBigQuery(dataMatrix, dateRange, config);
+  }
+}
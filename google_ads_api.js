@@ -21,51 +21,86 @@ class GoogleAdsApi {
    *
    * @param {string} developerToken
    * @param {string} managerCustomerId
+   * @param {string} token - The OAuth token to be used to call the API.
+   * @param {!HttpClient} client - The HTTP client sending the calls.
+   * @param {string} apiVersion - The version of the API, e.g. 'v21'.
    */
-  constructor(developerToken, managerCustomerId) {
+  constructor(developerToken, managerCustomerId, token, client, apiVersion) {
     this.developerToken = developerToken;
     this.managerCustomerId = managerCustomerId;
+    this.client = client;
     this.commonOptions = {
       'contentType': 'application/json',
-      'muteHttpExceptions': true,
       'headers': {
         'developer-token': developerToken,
-        'Authorization': 'Bearer ' + ScriptApp.getOAuthToken(),
+        'Authorization': 'Bearer ' + token,
         'login-customer-id': managerCustomerId,
       }
     };
-    this.basePath = 'https://googleads.googleapis.com/v14/customers/';
+    this.basePath =
+        'https://googleads.googleapis.com/' + apiVersion + '/customers/';
   }
 
   /**
-   * Checks and parses the content of an API response.
+   * Sends a POST request to the API.
    *
-   * @param {HTTPResponse!} httpResponse
+   * @param {string} customerId
+   * @param {string} path
+   * @param {Object!} options
+   * @param {boolean=} idempotent - Whether the request can be sent again if
+   *     it fails, true by default.
    * @return {Object!}
+   * @throws {ApiError} If the call fails, after retries.
+   */
+  post(customerId, path, options, idempotent) {
+    const request = Object.assign({}, this.commonOptions, {
+      'method': 'post',
+      'payload': JSON.stringify(options),
+      'idempotent': idempotent !== false
+    });
+    return this.client.fetch(this.basePath + customerId + path, request);
+  };
+
+  /**
+   * Executes the given query on the API, streaming every row in a single
+   * response instead of pages. Better suited to large reports.
+   *
+   * @param {string} query
+   * @param {string} customerId
+   * @return {Object!} The `count` and `records` of the result, as returned by
+   *     `executeSearch`.
    */
-  getResultFrom(httpResponse) {
-    if (httpResponse.toString().startsWith('<!DOCTYPE html>')) {
-      return {};
-    } else {
-      return JSON.parse(httpResponse.getContentText('UTF-8'));
-    }
+  searchStream(query, customerId) {
+    const batches =
+        this.post(customerId, '/googleAds:searchStream', {'query': query});
+    let records = [];
+    (Array.isArray(batches) ? batches : [batches]).forEach(function(batch) {
+      records = records.concat(batch.results || []);
+    });
+    return {count: records.length, records: records};
   }
 
   /**
-   * Sends a POST request to the API.
+   * Sends mutate operations to a service of the API in a single request: if
+   * one of them fails, none is applied.
    *
    * @param {string} customerId
-   * @param {string} path
-   * @param {Object!} options
-   * @return {Object!}
+   * @param {string} service - The mutated resources, e.g. 'adGroupCriteria'.
+   * @param {!Array<!Object>} operations - The operations, as JSON objects of
+   *     the REST API.
+   * @param {boolean} validateOnly - Whether to only validate the operations,
+   *     without applying them.
+   * @return {Object!} The response, with the `results` of the operations.
+   * @throws {ApiError} If the request fails, e.g. on an invalid operation.
+   *     A mutate failing on a server error isn't retried, as it may have been
+   *     applied.
    */
-  post(customerId, path, options) {
-    const request = this.commonOptions;
-    request.method = 'post';
-    request.payload = JSON.stringify(options);
-    return this.getResultFrom(
-        UrlFetchApp.fetch(this.basePath + customerId + path, request));
-  };
+  mutate(customerId, service, operations, validateOnly) {
+    return this.post(
+        customerId, '/' + service + ':mutate',
+        {'operations': operations, 'validateOnly': validateOnly},
+        Boolean(validateOnly));
+  }
 
   /**
    * Executes the given query on the API.
@@ -77,17 +112,12 @@ class GoogleAdsApi {
    */
   executeSearch(query, customerId, countOnly) {
     let resultRecords = [];
-    const options = {
-      'query': query,
-      'pageSize': 10000,
-      'returnTotalResultsCount': true
-    };
+    // The pages have a fixed size of 10000 rows.
+    const options = {'query': query, 'returnTotalResultsCount': true};
     let resultCount;
     do {
       const result = this.post(customerId, '/googleAds:search', options);
-      if (result.error !== undefined) {
-        throw new Error(JSON.stringify(result.error));
-      } else if (result.results === undefined) {
+      if (result.results === undefined) {
         result.results = [];
       }
       resultCount = result.totalResultsCount;
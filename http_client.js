@@ -0,0 +1,338 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Error of an API call, after retries.
+ *
+ * Like the errors returned by Google APIs, `code` is the HTTP status and
+ * `status` the canonical error status, e.g. 'RESOURCE_EXHAUSTED'.
+ */
+class ApiError extends Error {
+  /**
+   * @param {!Object} error - The error, with:
+   *   - `message`: What went wrong.
+   *   - `code`: The HTTP status, or 0 if no response was received.
+   *   - `status`: The error status, e.g. 'NOT_FOUND', 'NETWORK_ERROR' or
+   *     'INVALID_RESPONSE' for responses that aren't JSON.
+   *   - `details`: The details returned by the API, if any.
+   *   - `retryable`: Whether the call could succeed if sent again.
+   *   - `method` and `url`: The request.
+   *   - `attempts`: The number of times the request was sent.
+   */
+  constructor(error) {
+    super(error.message);
+    this.name = 'ApiError';
+    this.code = error.code;
+    this.status = error.status || '';
+    this.details = error.details || [];
+    this.retryable = error.retryable;
+    this.method = error.method;
+    this.url = error.url;
+    this.attempts = error.attempts || 1;
+  }
+
+  /**
+   * @return {!Object} The error in the shape returned by Google APIs, so it
+   *     can be logged with `JSON.stringify`.
+   */
+  toJSON() {
+    return {
+      'code': this.code,
+      'status': this.status,
+      'message': this.message,
+      'details': this.details
+    };
+  }
+}
+
+/**
+ * Sends the API calls of the solution, parsing their JSON responses.
+ *
+ * Failed calls are retried with an exponential backoff and jitter, when their
+ * HTTP status is one of `HTTP_RETRY.RETRYABLE_STATUSES`, e.g. for the HTML
+ * error pages of the load balancers, or no response was received. A delay
+ * requested by the API, with a `Retry-After` header or a `RetryInfo` detail,
+ * is waited for instead, unless it's longer than `maxRetryAfterMs`. A
+ * successful response that isn't JSON fails right away.
+ *
+ * Requests sent with `idempotent: false`, e.g. the mutates of the Google Ads
+ * API, may have been applied when they fail on a server error or without a
+ * response, so they're only retried with one of the
+ * `HTTP_RETRY.UNPROCESSED_STATUSES`, which reject the request.
+ */
+class HttpClient {
+  /**
+   * @param {!Object} http - The HTTP fetcher, e.g. UrlFetchApp.
+   * @param {!Object=} options - Optional settings, with:
+   *   - `maxRetries`: The number of retries of a failed call.
+   *   - `initialDelayMs`: The delay before the first retry, doubled for each
+   *     following one.
+   *   - `maxDelayMs`: The maximum delay between two retries.
+   *   - `maxRetryAfterMs`: The longest delay requested by the API to wait for.
+   *   - `sleep`: Waits for a number of milliseconds, e.g. `Utilities.sleep`.
+   *   - `random`: Returns a random number in [0, 1), for the jitter.
+   *   - `logRequests`: Whether to log every request and response, not only
+   *     the retries and failures.
+   */
+  constructor(http, options) {
+    options = options || {};
+    this.http = http;
+    this.maxRetries = options.maxRetries !== undefined ?
+        options.maxRetries :
+        HTTP_RETRY.MAX_RETRIES;
+    this.initialDelayMs = options.initialDelayMs || HTTP_RETRY.INITIAL_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs || HTTP_RETRY.MAX_DELAY_MS;
+    this.maxRetryAfterMs =
+        options.maxRetryAfterMs || HTTP_RETRY.MAX_RETRY_AFTER_MS;
+    this.sleep = options.sleep || function(milliseconds) {};
+    this.random = options.random || Math.random;
+    this.logRequests = !!options.logRequests;
+  }
+
+  /**
+   * Sends a request, retrying it if it fails.
+   *
+   * @param {string} url - The URL to call.
+   * @param {!Object} params - The request parameters, as given to
+   *     `UrlFetchApp.fetch`, and `idempotent: false` for a request that
+   *     mustn't be applied twice.
+   * @return {!Object} The parsed response.
+   * @throws {ApiError} If the call still fails after the retries, or can't be
+   *     retried.
+   */
+  fetch(url, params) {
+    const request = Object.assign({}, params, {'url': url});
+    const result = this.fetchAll([request])[0];
+    if (result instanceof ApiError) {
+      throw result;
+    }
+    return result;
+  }
+
+  /**
+   * Sends requests in parallel, retrying the ones that fail.
+   *
+   * @param {!Array<!Object>} requests - The requests, as given to
+   *     `UrlFetchApp.fetchAll`, see `fetch`.
+   * @return {!Array<!Object|!ApiError>} The parsed responses, in the same
+   *     order, or the error of the calls that still failed after the retries.
+   */
+  fetchAll(requests) {
+    const idempotent = requests.map(function(request) {
+      return request.idempotent !== false;
+    });
+    requests = requests.map(function(request) {
+      let params = Object.assign({}, request, {'muteHttpExceptions': true});
+      delete params.idempotent;
+      return params;
+    });
+    let results = new Array(requests.length);
+    let pending = requests.map(function(request, i) {
+      return i;
+    });
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      const started = Date.now();
+      let responses;
+      try {
+        responses = this.http.fetchAll(pending.map(function(i) {
+          return requests[i];
+        }));
+      } catch (e) {
+        // No response at all, e.g. a timeout or a DNS failure.
+        responses = pending.map(function(i) {
+          return {'exception': e};
+        });
+      }
+      const elapsed = Date.now() - started;
+      let retries = [];
+      let delay = 0;
+      pending.forEach((index, i) => {
+        const request = requests[index];
+        const result = this.parseResponse(request, responses[i], attempt);
+        if (result instanceof ApiError && !idempotent[index] &&
+            !HTTP_RETRY.UNPROCESSED_STATUSES.includes(result.code)) {
+          result.retryable = false;
+        }
+        this.logResponse(request, result, elapsed);
+        if (!(result instanceof ApiError) || !result.retryable ||
+            attempt > this.maxRetries) {
+          results[index] = result;
+          return;
+        }
+        const retryDelay =
+            this.getRetryDelay(result, responses[i], attempt);
+        if (retryDelay > this.maxRetryAfterMs) {
+          result.retryable = false;
+          results[index] = result;
+          return;
+        }
+        retries.push(index);
+        delay = Math.max(delay, retryDelay);
+      });
+      if (retries.length > 0) {
+        Logger.log(
+            'Retrying ' + retries.length + ' failed request(s) in ' +
+            Math.round(delay) + ' ms (attempt ' + (attempt + 1) + ' of ' +
+            (this.maxRetries + 1) + ')');
+        this.sleep(delay);
+      }
+      pending = retries;
+    }
+    return results;
+  }
+
+  /**
+   * Parses a response, turning failed calls into errors.
+   *
+   * @param {!Object} request - The request.
+   * @param {!HTTPResponse|!Object} response - The response, or the
+   *     `exception` thrown when no response was received.
+   * @param {number} attempt - The number of times the request was sent.
+   * @return {!Object|!ApiError} The parsed response, or the error.
+   */
+  parseResponse(request, response, attempt) {
+    const method = (request.method || 'get').toUpperCase();
+    const fields = {
+      'method': method,
+      'url': request.url,
+      'attempts': attempt
+    };
+    if (response.exception) {
+      return new ApiError(Object.assign(fields, {
+        'message': String(response.exception.message || response.exception),
+        'code': 0,
+        'status': 'NETWORK_ERROR',
+        'retryable': true
+      }));
+    }
+    const code = response.getResponseCode();
+    const text = response.getContentText();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch (e) {
+      // E.g. the HTML error pages of the load balancers, or a login page.
+      return new ApiError(Object.assign(fields, {
+        'message': 'Response is not JSON (HTTP ' + code + '): ' +
+            text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+                .slice(0, 200),
+        'code': code,
+        'status': 'INVALID_RESPONSE',
+        'retryable': HTTP_RETRY.RETRYABLE_STATUSES.includes(code)
+      }));
+    }
+    if (code < 400) {
+      return body;
+    }
+    const error = body.error || {};
+    return new ApiError(Object.assign(fields, {
+      'message': error.message || 'HTTP ' + code,
+      'code': code,
+      'status': error.status || '',
+      'details': error.details,
+      'retryable': HTTP_RETRY.RETRYABLE_STATUSES.includes(code)
+    }));
+  }
+
+  /**
+   * Calculates the delay before retrying a failed call: the delay requested by
+   * the API if any, else an exponential backoff with jitter.
+   *
+   * @param {!ApiError} error - The error of the call.
+   * @param {!HTTPResponse|!Object} response - The response of the call.
+   * @param {number} attempt - The number of times the request was sent.
+   * @return {number} The delay, in milliseconds.
+   */
+  getRetryDelay(error, response, attempt) {
+    const retryAfter = getRetryAfter(error, response);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    const backoff = Math.min(
+        this.maxDelayMs, this.initialDelayMs * Math.pow(2, attempt - 1));
+    return backoff / 2 + this.random() * backoff / 2;
+  }
+
+  /**
+   * Logs the outcome of a request: always for errors, and for every request
+   * when `logRequests` is set.
+   *
+   * @param {!Object} request - The request.
+   * @param {!Object|!ApiError} result - The parsed response or the error.
+   * @param {number} elapsed - The duration of the call, in milliseconds.
+   */
+  logResponse(request, result, elapsed) {
+    const method = (request.method || 'get').toUpperCase();
+    if (result instanceof ApiError) {
+      Logger.log(
+          method + ' ' + request.url + ' failed (attempt ' + result.attempts +
+          '): ' + JSON.stringify(result));
+    } else if (this.logRequests) {
+      Logger.log(
+          method + ' ' + request.url + ' ' +
+          (request.payload ? request.payload.length + ' bytes ' : '') +
+          '-> OK in ' + elapsed + ' ms');
+    }
+  }
+}
+
+/**
+ * Reads the delay requested by the API before retrying a call, from the
+ * `Retry-After` header (in seconds or as a date) or the `RetryInfo` detail of
+ * the error.
+ *
+ * @param {!ApiError} error - The error of the call.
+ * @param {!HTTPResponse|!Object} response - The response of the call.
+ * @return {?number} The delay in milliseconds, or null if none was requested.
+ */
+function getRetryAfter(error, response) {
+  if (!response.exception) {
+    const headers = response.getHeaders() || {};
+    const name = Object.keys(headers).find(function(header) {
+      return header.toLowerCase() == 'retry-after';
+    });
+    if (name) {
+      const value = String(headers[name]).trim();
+      if (/^\d+$/.test(value)) {
+        return Number(value) * 1000;
+      }
+      const date = Date.parse(value);
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+  }
+  const retryInfo = error.details.find(function(detail) {
+    return detail['@type'] == 'type.googleapis.com/google.rpc.RetryInfo';
+  });
+  if (retryInfo && /^[\d.]+s$/.test(retryInfo.retryDelay)) {
+    return parseFloat(retryInfo.retryDelay) * 1000;
+  }
+  return null;
+}
+
+/**
+ * Creates the HTTP client of the API classes.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @return {!HttpClient} The client.
+ */
+function createHttpClient(env) {
+  return new HttpClient(env.http, {
+    'sleep': env.sleep,
+    'logRequests': env.config.logHttpRequests
+  });
+}
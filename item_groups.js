@@ -0,0 +1,151 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Calculates the relative price of each item group of a market, from the
+ * relative prices of its benchmarked variants, so the whole group gets the
+ * same label.
+ *
+ * @param {!Object} data - The data of a market, see `mergeData`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Object} The relative price of each item group, keyed by item group
+ *     ID. The offers without an item group aren't in it.
+ */
+function getItemGroupPrices(data, config) {
+  let groups = {};
+  data.benchmarkData.forEach(function(row) {
+    const flatRow = flatten(row);
+    const product = data.productData[flatRow['productView.id']];
+    if (!(flatRow['priceCompetitiveness.benchmarkPriceMicros'] > 0) ||
+        !product || !product.itemGroupId) {
+      return;
+    }
+    const stats = data.statsData[flatRow['productView.offerId']];
+    if (!groups[product.itemGroupId]) {
+      groups[product.itemGroupId] = [];
+    }
+    groups[product.itemGroupId].push({
+      'relativePrice': flatRow['productView.priceMicros'] /
+              flatRow['priceCompetitiveness.benchmarkPriceMicros'] -
+          1,
+      'impressions': stats ? Number(stats.impressions) || 0 : 0
+    });
+  });
+  let prices = {};
+  Object.keys(groups).forEach(function(itemGroupId) {
+    prices[itemGroupId] = aggregateRelativePrices(
+        groups[itemGroupId], config.itemGroupAggregation);
+  });
+  return prices;
+}
+
+/**
+ * Labels the variants of the benchmarked item groups of a market that have no
+ * benchmark of their own, by the relative price of their group. As an item
+ * group can be sold in several countries, a variant only belongs to the
+ * market if it has the feed label of a benchmarked variant, the third part of
+ * their product IDs. Label rules and the stability of the labels need the
+ * benchmark of an offer, so they don't apply to these variants.
+ *
+ * @param {!Object} data - The data of a market, see `mergeData`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The variants, with `productId`, `offerId`,
+ *     `country`, `account` (empty unless a multi-client account is run),
+ *     `itemGroupId`, `groupRelativePrice`, `currentLabel` and `label`. The
+ *     label is empty if it isn't exported or the variant is out of stock.
+ */
+function getVariantLabels(data, config) {
+  const groupPrices = getItemGroupPrices(data, config);
+  const feedGroup = function(productId, itemGroupId) {
+    return productId.split(':')[2] + ':' + itemGroupId;
+  };
+  let groups = new Set();
+  data.benchmarkData.forEach(function(row) {
+    const productId = flatten(row)['productView.id'];
+    const product = data.productData[productId];
+    if (product && groupPrices[product.itemGroupId] !== undefined) {
+      groups.add(feedGroup(productId, product.itemGroupId));
+    }
+  });
+  let variants = [];
+  Object.keys(data.variantData || {}).forEach(function(productId) {
+    const product = data.variantData[productId];
+    if (!groups.has(feedGroup(productId, product.itemGroupId))) {
+      return;
+    }
+    const groupPrice = groupPrices[product.itemGroupId];
+    const label = calculateLabel(groupPrice, config);
+    variants.push({
+      'productId': productId,
+      'offerId': product.offerId,
+      'country': data.market.country,
+      'account': config.mcaEnabled ? data.account : '',
+      'itemGroupId': product.itemGroupId,
+      'groupRelativePrice': groupPrice,
+      'currentLabel': product.currentLabel,
+      'label': config.exportLabels.includes(label) &&
+              product.availability == 'in stock' &&
+              checkStock(product.stockQuantity, config) ?
+          label :
+          ''
+    });
+  });
+  return variants;
+}
+
+/**
+ * Aggregates the relative prices of the variants of an item group.
+ *
+ * @param {!Array<!Object>} variants - The variants, with their
+ *     `relativePrice` and `impressions`.
+ * @param {string} aggregation - One of `ITEM_GROUP_AGGREGATIONS`.
+ * @return {number} The relative price of the group. Without impressions, the
+ *     impression-weighted price is the average of the variants.
+ * @throws {Error} If the aggregation is unknown.
+ */
+function aggregateRelativePrices(variants, aggregation) {
+  const prices = variants.map(function(variant) {
+    return variant.relativePrice;
+  });
+  switch (aggregation) {
+    case ITEM_GROUP_AGGREGATIONS.MINIMUM:
+      return Math.min.apply(null, prices);
+    case ITEM_GROUP_AGGREGATIONS.MEDIAN: {
+      const sorted = prices.slice().sort(function(a, b) {
+        return a - b;
+      });
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 == 1 ? sorted[middle] :
+                                      (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    case ITEM_GROUP_AGGREGATIONS.IMPRESSION_WEIGHTED: {
+      let impressions = 0;
+      let weighted = 0;
+      variants.forEach(function(variant) {
+        impressions += variant.impressions;
+        weighted += variant.relativePrice * variant.impressions;
+      });
+      if (impressions == 0) {
+        return prices.reduce(function(sum, price) {
+          return sum + price;
+        }, 0) / prices.length;
+      }
+      return weighted / impressions;
+    }
+    default:
+      throw new Error('Unknown item group aggregation: ' + aggregation);
+  }
+}
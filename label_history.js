@@ -0,0 +1,352 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Compares the labels assigned in this run with the ones of the previous run,
+ * writes the differences to the 'label changes' tab and appends the labels to
+ * the 'label history' tab.
+ *
+ * @param {!Array<!Object>} labelUpdates - The labelled products, as returned by
+ *     `mergeData`.
+ * @param {string=} runId - The start time of the run, as an ISO 8601
+ *     timestamp. A run retried with the same ID is compared with the run
+ *     before it, and isn't added to the history again.
+ */
+function trackLabelChanges(labelUpdates, runId) {
+  const runTimestamp = formatTimestamp(runId || new Date().toISOString());
+  const previousRun = getPreviousRun(runId);
+  let changes = [[
+    'id', 'country', 'change', 'previous_label', 'label',
+    'previous_relative_price', 'relative_price', 'benchmark_price',
+    'previous_run', 'account'
+  ]];
+  if (previousRun) {
+    compareLabels(previousRun.labels, labelUpdates).forEach(function(change) {
+      changes.push([
+        change.offerId, change.country, change.change, change.previousLabel,
+        change.label, change.previousRelativePrice, change.relativePrice,
+        change.benchmarkPrice, previousRun.timestamp, change.account
+      ]);
+    });
+    Logger.log(
+        (changes.length - 1) + ' label changes since ' + previousRun.timestamp);
+  } else {
+    Logger.log('No previous run found in the label history');
+  }
+  pushToSheets(LABEL_CHANGES_SHEET, changes, UPDATED_AT_BENCHMARK);
+  appendToHistory(
+      LABEL_HISTORY_SHEET, LABEL_HISTORY_HEADERS, runId,
+      labelUpdates.map(function(update) {
+        return [
+          runTimestamp, update.offerId, update.country, update.label,
+          update.relativePrice, update.benchmarkPrice, update.account || '',
+          update.pendingLabel || '', update.pendingRuns || 0, runId || ''
+        ];
+      }),
+      getEnv().config.historyRuns);
+}
+
+/**
+ * Reads the labels of the most recent run from the 'label history' tab.
+ *
+ * @param {string=} skipRunId - The ID of a run to skip if it's the last one,
+ *     see `readLastRun`.
+ * @return {?Object} The `timestamp` of the previous run and its `labels`,
+ *     keyed by `labelKey`, or null if there's no history yet. Each label has
+ *     the `offerId`, `country`, `account`, `label`, `relativePrice`,
+ *     `benchmarkPrice`, and the `pendingLabel` and `pendingRuns` of the
+ *     minimum number of runs.
+ */
+function getPreviousRun(skipRunId) {
+  const lastRun = readLastRun(
+      LABEL_HISTORY_SHEET, LABEL_HISTORY_HEADERS.length, skipRunId);
+  if (!lastRun) {
+    return null;
+  }
+  let labels = {};
+  lastRun.rows.forEach(function(row, i) {
+    // Rows written before the account column was added have no account.
+    const account = row[6] === undefined ? '' : String(row[6]);
+    labels[labelKey(row[2], row[1], account)] = {
+      'offerId': row[1],
+      'country': row[2],
+      'account': account,
+      'label': row[3],
+      'relativePrice': row[4],
+      'benchmarkPrice': row[5],
+      // Rows written before the pending labels were added have none.
+      'pendingLabel': row[7] === undefined ? '' : String(row[7]),
+      'pendingRuns': Number(row[8] || 0)
+    };
+  });
+  return {'timestamp': lastRun.timestamp, 'labels': labels};
+}
+
+/**
+ * Reads the rows of the most recent run from a history tab, whose first column
+ * is the timestamp of the run and last column the ID of the run.
+ *
+ * As the history is append-only, the last run is the block of rows at the end
+ * of the sheet sharing the same timestamp and run ID. The rows are read
+ * backwards, `HISTORY_READ_CHUNK` at a time, until the run before, so only the
+ * end of the sheet is read. Rows written before the run ID was added have
+ * none, and are told apart by their timestamp alone.
+ *
+ * @param {string} sheetName - The history tab.
+ * @param {number} numColumns - The number of columns of the tab.
+ * @param {string=} skipRunId - The ID of a run to skip if it's the last one,
+ *     so a retried run reads the run before it.
+ * @return {?Object} The `timestamp` of the run and its `rows`, or null if
+ *     there's no history yet.
+ */
+function readLastRun(sheetName, numColumns, skipRunId) {
+  const lastRow = getEnv().sheets.getLastRow(sheetName);
+  let run = readRunBefore(sheetName, numColumns, lastRow + 1);
+  if (run && skipRunId && run.runId == skipRunId) {
+    run = readRunBefore(sheetName, numColumns, run.firstRow);
+  }
+  return run && {'timestamp': run.timestamp, 'rows': run.rows};
+}
+
+/**
+ * Reads every run of a history tab, see `readLastRun`.
+ *
+ * @param {string} sheetName - The history tab.
+ * @param {number} numColumns - The number of columns of the tab.
+ * @param {string=} skipRunId - The ID of a run to leave out if it's the last
+ *     one, so a retried run isn't read as its own previous run.
+ * @return {!Array<!Object>} The `timestamp`, `runId` and `rows` of each run,
+ *     from the oldest to the most recent.
+ */
+function readHistoryRuns(sheetName, numColumns, skipRunId) {
+  const sheets = getEnv().sheets;
+  const lastRow = sheets.getLastRow(sheetName);
+  if (lastRow < 2) {
+    return [];
+  }
+  let runs = [];
+  let key = null;
+  sheets.read(sheetName, 2, lastRow - 1, numColumns).forEach(function(row) {
+    // Sheets turns the timestamps into dates, so they're compared as text.
+    const rowKey = String(row[0]) + '|' + String(row[numColumns - 1] || '');
+    if (rowKey != key) {
+      runs.push({
+        'timestamp': String(row[0]),
+        'runId': String(row[numColumns - 1] || ''),
+        'rows': []
+      });
+      key = rowKey;
+    }
+    runs[runs.length - 1].rows.push(row);
+  });
+  if (skipRunId && runs.length > 0 &&
+      runs[runs.length - 1].runId == skipRunId) {
+    runs.pop();
+  }
+  return runs;
+}
+
+/**
+ * Reads the rows of the run ending right before a row of a history tab, see
+ * `readLastRun`.
+ *
+ * @param {string} sheetName - The history tab.
+ * @param {number} numColumns - The number of columns of the tab.
+ * @param {number} endRow - The row after the run.
+ * @return {?Object} The `timestamp`, `runId`, `firstRow` and `rows` of the
+ *     run, or null if there are no rows before.
+ */
+function readRunBefore(sheetName, numColumns, endRow) {
+  const sheets = getEnv().sheets;
+  const lastRow = endRow - 1;
+  if (lastRow < 2) {
+    return null;
+  }
+  const runKey = function(row) {
+    // Sheets turns the timestamps into dates, so they're compared as text.
+    return String(row[0]) + '|' + String(row[numColumns - 1] || '');
+  };
+  const last = sheets.read(sheetName, lastRow, 1, numColumns)[0];
+  const key = runKey(last);
+  let firstRow = lastRow;
+  while (firstRow > 2) {
+    const chunkStart = Math.max(2, firstRow - HISTORY_READ_CHUNK);
+    const rows =
+        sheets.read(sheetName, chunkStart, firstRow - chunkStart, numColumns);
+    let i = rows.length - 1;
+    while (i >= 0 && runKey(rows[i]) == key) {
+      i--;
+    }
+    firstRow = chunkStart + i + 1;
+    if (i >= 0) {
+      break;
+    }
+  }
+  return {
+    'timestamp': String(last[0]),
+    'runId': String(last[numColumns - 1] || ''),
+    'firstRow': firstRow,
+    'rows':
+        sheets.read(sheetName, firstRow, lastRow - firstRow + 1, numColumns)
+  };
+}
+
+/**
+ * Appends the rows of a run to a history tab, then deletes its oldest runs,
+ * see `pruneHistory`. A retried run whose rows are already at the end of the
+ * tab isn't added again.
+ *
+ * @param {string} sheetName - The history tab.
+ * @param {!Array<string>} headers - The headers of the tab, the last one
+ *     being the run ID.
+ * @param {string|undefined} runId - The ID of the run.
+ * @param {!Array<!Array>} rows - The rows of the run.
+ * @param {number} keepRuns - The number of runs to keep, or 0 for every run.
+ */
+function appendToHistory(sheetName, headers, runId, rows, keepRuns) {
+  const sheets = getEnv().sheets;
+  const lastRow = sheets.getLastRow(sheetName);
+  const last =
+      lastRow > 1 ? sheets.read(sheetName, lastRow, 1, headers.length)[0] : [];
+  if (runId && last[headers.length - 1] == runId) {
+    Logger.log(
+        'The run is already in the \'' + sheetName + '\' tab, not adding it ' +
+        'again');
+    return;
+  }
+  appendToSheet(sheetName, headers, rows);
+  pruneHistory(sheetName, headers.length, keepRuns);
+}
+
+/**
+ * Deletes the oldest runs of a history tab, keeping the last `keepRuns` runs
+ * as long as they fit in `HISTORY_MAX_CELLS`. The last run is always kept.
+ *
+ * @param {string} sheetName - The history tab.
+ * @param {number} numColumns - The number of columns of the tab.
+ * @param {number} keepRuns - The number of runs to keep, or 0 to keep every
+ *     run that fits.
+ */
+function pruneHistory(sheetName, numColumns, keepRuns) {
+  const sheets = getEnv().sheets;
+  const lastRow = sheets.getLastRow(sheetName);
+  // Sheets turns the timestamps into dates, so they're compared as text.
+  const timestamps = sheets.read(sheetName, 2, lastRow - 1, 1)
+                         .map(function(row) {
+                           return String(row[0]);
+                         });
+  const maxRows = Math.floor(HISTORY_MAX_CELLS / numColumns);
+  // Index of the first row of the oldest run kept, counting back from the end.
+  let first = timestamps.length;
+  let runs = 0;
+  while (first > 0 && (keepRuns == 0 || runs < keepRuns)) {
+    let start = first - 1;
+    while (start > 0 && timestamps[start - 1] == timestamps[first - 1]) {
+      start--;
+    }
+    if (runs > 0 && timestamps.length - start > maxRows) {
+      break;
+    }
+    first = start;
+    runs++;
+  }
+  if (first > 0) {
+    sheets.deleteRows(sheetName, 2, first);
+    Logger.log(
+        'Deleted ' + first + ' rows of older runs from the \'' + sheetName +
+        '\' tab');
+  }
+}
+
+/**
+ * Counts the changes of the 'label changes' tab, written by the last run.
+ *
+ * @return {!Object} The number of labels that are `new`, `changed` and
+ *     `removed` since the run before.
+ */
+function countLabelChanges() {
+  const sheets = getEnv().sheets;
+  const rows = sheets.read(
+      LABEL_CHANGES_SHEET, 2, sheets.getLastRow(LABEL_CHANGES_SHEET) - 1, 3);
+  let counts = {'new': 0, 'changed': 0, 'removed': 0};
+  rows.forEach(function(row) {
+    counts[row[2]]++;
+  });
+  return counts;
+}
+
+/**
+ * Lists the labels that were added, removed or changed since the previous run.
+ *
+ * @param {!Object} previousLabels - The labels of the previous run, keyed by
+ *     `labelKey`.
+ * @param {!Array<!Object>} labelUpdates - The labelled products of this run.
+ * @return {!Array<!Object>} The changes, each with `offerId`, `country`,
+ *     `account`, `change` ('new', 'removed' or 'changed'), `previousLabel`,
+ *     `label`, `previousRelativePrice`, `relativePrice` and `benchmarkPrice`.
+ */
+function compareLabels(previousLabels, labelUpdates) {
+  let changes = [];
+  let seen = {};
+  labelUpdates.forEach(function(update) {
+    const key =
+        labelKey(update.country, update.offerId, String(update.account || ''));
+    const previous = previousLabels[key];
+    seen[key] = true;
+    if (!previous || previous.label != update.label) {
+      changes.push({
+        'offerId': update.offerId,
+        'country': update.country,
+        'account': update.account || '',
+        'change': previous ? 'changed' : 'new',
+        'previousLabel': previous ? previous.label : '',
+        'label': update.label,
+        'previousRelativePrice': previous ? previous.relativePrice : '',
+        'relativePrice': update.relativePrice,
+        'benchmarkPrice': update.benchmarkPrice
+      });
+    }
+  });
+  Object.keys(previousLabels).forEach(function(key) {
+    if (!seen[key]) {
+      const previous = previousLabels[key];
+      changes.push({
+        'offerId': previous.offerId,
+        'country': previous.country,
+        'account': previous.account || '',
+        'change': 'removed',
+        'previousLabel': previous.label,
+        'label': '',
+        'previousRelativePrice': previous.relativePrice,
+        'relativePrice': '',
+        'benchmarkPrice': ''
+      });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Builds the key identifying an offer in a market across runs.
+ *
+ * @param {string} country - The country of the market.
+ * @param {string} offerId - The offer ID.
+ * @param {string=} account - The sub-account of the offer, if any.
+ * @return {string} The key.
+ */
+function labelKey(country, offerId, account) {
+  return (account ? account + ':' : '') + country + ':' + offerId;
+}
@@ -0,0 +1,303 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Evaluates the performance of each label from the Ads data: writes the
+ * aggregates of each label over the configured windows to the 'label
+ * performance' tab, and the performance of the labels before and after each
+ * run of the booster to the 'label lift' tab.
+ *
+ * @param {!Array<!Array>} adsData - The rows of the 'AdsData' tab, headers
+ *     first.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ */
+function writeLabelPerformance(adsData, config) {
+  const records = parseAdsData(adsData);
+  if (records.length == 0) {
+    Logger.log('No Ads data to evaluate the labels with');
+    return;
+  }
+  pushToSheets(
+      LABEL_PERFORMANCE_SHEET, summarizeLabelPerformance(records, config));
+  const labelSlot = 'custom_label_' + config.customLabelNumber;
+  if (config.reportLabelNumbers.includes(Number(config.customLabelNumber))) {
+    pushToSheets(
+        LABEL_LIFT_SHEET,
+        analyzeLabelLift(
+            records.filter(function(record) {
+              return record.labelSlot == labelSlot;
+            }),
+            getLabelApplications(), config.liftDays));
+  }
+}
+
+/**
+ * Aggregates the performance of each label over the last days of the Ads data,
+ * for each configured window, and compares the last 7 days with the 7 days
+ * before.
+ *
+ * @param {!Array<!Object>} records - The Ads data, as returned by
+ *     `parseAdsData`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Array>} The summary table, with one row per label.
+ */
+function summarizeLabelPerformance(records, config) {
+  const lastDay = records.reduce(function(last, record) {
+    return record.date > last ? record.date : last;
+  }, '');
+  let headers = ['label_slot', 'label_value'];
+  config.performanceWindows.forEach(function(days) {
+    PERFORMANCE_TOTALS.concat(PERFORMANCE_METRICS).forEach(function(metric) {
+      headers.push(metric + '_' + days + 'd');
+    });
+  });
+  PERFORMANCE_METRICS.forEach(function(metric) {
+    headers.push(metric + '_wow');
+  });
+  let rows = [headers];
+  groupByLabel(records).forEach(function(label) {
+    let row = [label.labelSlot, label.labelValue];
+    config.performanceWindows.forEach(function(days) {
+      const totals = aggregatePerformance(
+          label.records, shiftDate(lastDay, 1 - days), lastDay);
+      PERFORMANCE_TOTALS.concat(PERFORMANCE_METRICS).forEach(function(metric) {
+        row.push(totals[metric]);
+      });
+    });
+    const thisWeek =
+        aggregatePerformance(label.records, shiftDate(lastDay, -6), lastDay);
+    const lastWeek = aggregatePerformance(
+        label.records, shiftDate(lastDay, -13), shiftDate(lastDay, -7));
+    PERFORMANCE_METRICS.forEach(function(metric) {
+      row.push(relativeChange(lastWeek[metric], thisWeek[metric]));
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+/**
+ * Compares the performance of each label in the days before and after each
+ * run of the booster that assigned it. Runs without Ads data on both sides are
+ * left out.
+ *
+ * @param {!Array<!Object>} records - The Ads data of the label slot written by
+ *     the booster, as returned by `parseAdsData`.
+ * @param {!Array<!Object>} applications - The labels assigned by each run, as
+ *     returned by `getLabelApplications`.
+ * @param {number} days - The number of days compared on each side of a run.
+ * @return {!Array<!Array>} The lift table, with one row per run and label.
+ */
+function analyzeLabelLift(records, applications, days) {
+  let headers = ['run_date', 'label_value', 'offers', 'newly_labeled'];
+  PERFORMANCE_METRICS.forEach(function(metric) {
+    headers.push(metric + '_before', metric + '_after', metric + '_lift');
+  });
+  let rows = [headers];
+  const labels = groupByLabel(records);
+  applications.forEach(function(application) {
+    // Ads reports the custom labels in lower case.
+    const label = labels.find(function(label) {
+      return label.labelValue.toLowerCase() ==
+          application.label.toLowerCase();
+    });
+    if (!label) {
+      return;
+    }
+    const before = aggregatePerformance(
+        label.records, shiftDate(application.date, -days),
+        shiftDate(application.date, -1));
+    const after = aggregatePerformance(
+        label.records, application.date,
+        shiftDate(application.date, days - 1));
+    if (before.impressions == 0 || after.impressions == 0) {
+      return;
+    }
+    let row = [
+      application.date, application.label, application.offers,
+      application.newlyLabeled
+    ];
+    PERFORMANCE_METRICS.forEach(function(metric) {
+      row.push(
+          before[metric], after[metric],
+          relativeChange(before[metric], after[metric]));
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+/**
+ * Reads the 'label history' tab to find when each label was assigned.
+ *
+ * @return {!Array<!Object>} For each run and label, the `date` of the run, the
+ *     `label`, the number of `offers` it was assigned to and how many of them
+ *     didn't have it in the previous run (`newlyLabeled`), in run order.
+ */
+function getLabelApplications() {
+  const sheets = getEnv().sheets;
+  const lastRow = sheets.getLastRow(LABEL_HISTORY_SHEET);
+  const rows = sheets.read(
+      LABEL_HISTORY_SHEET, 2, lastRow - 1, LABEL_HISTORY_HEADERS.length);
+  let applications = [];
+  let previousLabels = {};
+  let i = 0;
+  while (i < rows.length) {
+    // Sheets turns the timestamps into dates, so they're compared as text.
+    const timestamp = String(rows[i][0]);
+    const date = formatDay(rows[i][0]);
+    let labels = {};
+    let counts = {};
+    for (; i < rows.length && String(rows[i][0]) == timestamp; i++) {
+      const row = rows[i];
+      const label = String(row[3]);
+      if (label == '') {
+        continue;
+      }
+      const key = labelKey(
+          row[2], row[1], row[6] === undefined ? '' : String(row[6]));
+      labels[key] = label;
+      counts[label] = counts[label] || {'offers': 0, 'newlyLabeled': 0};
+      counts[label].offers++;
+      if (previousLabels[key] != label) {
+        counts[label].newlyLabeled++;
+      }
+    }
+    Object.keys(counts).forEach(function(label) {
+      applications.push({
+        'date': date,
+        'label': label,
+        'offers': counts[label].offers,
+        'newlyLabeled': counts[label].newlyLabeled
+      });
+    });
+    previousLabels = labels;
+  }
+  return applications;
+}
+
+/**
+ * Reads the rows of the 'AdsData' tab.
+ *
+ * @param {!Array<!Array>} adsData - The rows, headers first.
+ * @return {!Array<!Object>} The rows, with their `date`, `labelSlot`,
+ *     `labelValue` and numeric metrics.
+ */
+function parseAdsData(adsData) {
+  if (adsData.length < 2) {
+    return [];
+  }
+  const headers = adsData[0];
+  const dateColumn = headers.indexOf('date');
+  // Rows without a date are blank rows, e.g. next to formulas.
+  const rows = adsData.slice(1).filter(function(row) {
+    return row[dateColumn] !== '';
+  });
+  return rows.map(function(row) {
+    let record = {};
+    headers.forEach(function(header, i) {
+      record[header] = row[i];
+    });
+    return {
+      'date': formatDay(record.date),
+      'labelSlot': String(record.labelSlot),
+      'labelValue': String(record.labelValue),
+      'impressions': Number(record.impressions) || 0,
+      'clicks': Number(record.clicks) || 0,
+      'cost': Number(record.cost) || 0,
+      'conversions': Number(record.conversions) || 0,
+      'conversionsValue': Number(record.conversionsValue) || 0
+    };
+  });
+}
+
+/**
+ * Groups the Ads data by label.
+ *
+ * @param {!Array<!Object>} records - The Ads data, as returned by
+ *     `parseAdsData`.
+ * @return {!Array<!Object>} The `labelSlot`, `labelValue` and `records` of
+ *     each label, in order of appearance.
+ */
+function groupByLabel(records) {
+  let labels = {};
+  records.forEach(function(record) {
+    const key = record.labelSlot + ':' + record.labelValue;
+    labels[key] = labels[key] || {
+      'labelSlot': record.labelSlot,
+      'labelValue': record.labelValue,
+      'records': []
+    };
+    labels[key].records.push(record);
+  });
+  return Object.values(labels);
+}
+
+/**
+ * Adds up the Ads data between two days and computes its rates.
+ *
+ * @param {!Array<!Object>} records - The Ads data of a label.
+ * @param {string} firstDay - The first day, as yyyy-MM-dd.
+ * @param {string} lastDay - The last day, as yyyy-MM-dd, included.
+ * @return {!Object} The `impressions`, `clicks`, `cost`, `conversions` and
+ *     `conversions_value` totals, and the `ctr`, `cvr`, `roas` and `cpc`,
+ *     empty when they can't be computed.
+ */
+function aggregatePerformance(records, firstDay, lastDay) {
+  let totals = {
+    'impressions': 0,
+    'clicks': 0,
+    'cost': 0,
+    'conversions': 0,
+    'conversions_value': 0
+  };
+  records.forEach(function(record) {
+    if (record.date >= firstDay && record.date <= lastDay) {
+      totals.impressions += record.impressions;
+      totals.clicks += record.clicks;
+      totals.cost += record.cost;
+      totals.conversions += record.conversions;
+      totals.conversions_value += record.conversionsValue;
+    }
+  });
+  totals.ctr = divide(totals.clicks, totals.impressions);
+  totals.cvr = divide(totals.conversions, totals.clicks);
+  totals.roas = divide(totals.conversions_value, totals.cost);
+  totals.cpc = divide(totals.cost, totals.clicks);
+  return totals;
+}
+
+/**
+ * @param {number} numerator
+ * @param {number} denominator
+ * @return {number|string} The ratio, or '' if the denominator is 0.
+ */
+function divide(numerator, denominator) {
+  return denominator == 0 ? '' : numerator / denominator;
+}
+
+/**
+ * @param {number|string} before - The value of the earlier period.
+ * @param {number|string} after - The value of the later period.
+ * @return {number|string} The change, as a fraction of the earlier value, or
+ *     '' if either is missing or the earlier one is 0.
+ */
+function relativeChange(before, after) {
+  if (before === '' || after === '' || before == 0) {
+    return '';
+  }
+  return after / before - 1;
+}
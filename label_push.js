@@ -0,0 +1,109 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Writes the custom labels directly to Merchant Center, instead of going
+ * through the sheet based supplemental feed.
+ *
+ * Only the products whose label differs from the one currently set in Merchant
+ * Center are written, in batches of `BATCH_SIZE`, see `getLabelChanges`. Every
+ * change is listed in the 'label push' tab along with its outcome. In dry-run
+ * mode nothing is written, and the tab shows what would change.
+ *
+ * Without `labelPushDataSource`, the Content API updates the products in
+ * place, which it only accepts for the products inserted through the API. The
+ * products of a feed fail, and their status in the tab says so.
+ *
+ * @param {!Object} api - The MerchantCenterAPI or MerchantAPI instance.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @param {!Array<!Object>} labelUpdates - The labels returned by `mergeData`.
+ * @param {boolean} dryRun - Whether to only report the changes.
+ * @return {!Array<!Object>} The label updates that failed, with their `error`.
+ */
+function pushLabels(api, config, labelUpdates, dryRun) {
+  let changes = getLabelChanges(labelUpdates, config);
+  Logger.log(
+      changes.length + ' of ' + labelUpdates.length + ' labels changed' +
+      (dryRun ? ' (dry run)' : ''));
+  let failed = [];
+  if (!dryRun && changes.length > 0) {
+    let entries = changes.map(function(update, i) {
+      return {
+        'batchId': i,
+        'merchantId': update.account || config.merchantId,
+        'productId': update.productId,
+        'label': update.label
+      };
+    });
+    let responses = sendInBatches(entries, BATCH_SIZE, function(batch) {
+      return api.custom_batch_set_labels(
+          batch, config.customLabelNumber, config.labelPushDataSource);
+    });
+    responses.forEach(function(row, i) {
+      if (row.errors) {
+        changes[row.batchId].error = row.errors.message ||
+            JSON.stringify(row.errors);
+        failed.push(changes[row.batchId]);
+      }
+    });
+    if (failed.length > 0) {
+      Logger.log(failed.length + ' labels could not be pushed');
+    }
+  }
+  let report = [[
+    'id', 'offer_id', 'country', 'current_label',
+    ('custom_label_' + config.customLabelNumber), 'status'
+  ]];
+  if (config.mcaEnabled) {
+    report[0].push('account');
+  }
+  changes.forEach(function(update, i) {
+    let status = 'updated';
+    if (dryRun) {
+      status = 'would update';
+    } else if (update.error) {
+      status = 'error: ' + update.error;
+      if (!config.labelPushDataSource) {
+        status += ' (products from a feed need labelPush.dataSource)';
+      }
+    }
+    report.push([
+      update.productId, update.offerId, update.country, update.currentLabel,
+      update.label, status
+    ]);
+    if (config.mcaEnabled) {
+      report[report.length - 1].push(update.account);
+    }
+  });
+  pushToSheets(LABEL_PUSH_SHEET, report, UPDATED_AT_OUTPUT);
+  return failed;
+}
+
+/**
+ * Lists the label updates to write to Merchant Center.
+ *
+ * @param {!Array<!Object>} labelUpdates - The labels returned by `mergeData`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The updates whose label differs from the one set
+ *     in Merchant Center. The products left unlabeled, e.g. out of stock, keep
+ *     their current label unless `labelPushClear` is set.
+ */
+function getLabelChanges(labelUpdates, config) {
+  return labelUpdates.filter(function(update) {
+    return update.label != update.currentLabel &&
+        (update.label != '' || config.labelPushClear);
+  });
+}
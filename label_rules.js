@@ -0,0 +1,181 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Parses the label rules of the control panel.
+ *
+ * Each rule has a label and its conditions, joined with AND, e.g.
+ * `priceLabel = Below benchmark AND margin > 20% AND clicks > 50`. Each
+ * condition compares one of the `RULE_FIELDS` with a value, using `=`, `!=`,
+ * `>`, `>=`, `<`, `<=`, or for text fields `contains` and `not contains`.
+ *
+ * @param {!Array<!Array>} rows - The rows of the rules table, with the label in
+ *     the first column and the conditions in the second one.
+ * @return {!Array<!Object>} The rules, in order, each with its `label` and
+ *     `conditions`.
+ * @throws {Error} If a condition can't be parsed.
+ */
+function parseLabelRules(rows) {
+  let rules = [];
+  rows.forEach(function(row, i) {
+    if (!row[0]) {
+      return;
+    }
+    const conditions = String(row[1]).trim() == '' ?
+        [] :
+        String(row[1]).split(/\s+AND\s+/i).map(function(text) {
+          return parseCondition(text, i + 1);
+        });
+    rules.push({'label': String(row[0]), 'conditions': conditions});
+  });
+  return rules;
+}
+
+/**
+ * Parses a single rule condition, e.g. `margin > 20%`.
+ *
+ * @param {string} text - The condition.
+ * @param {number} ruleNumber - The position of the rule, for error messages.
+ * @return {!Object} The condition, with its `field`, `operator` and `value`.
+ * @throws {Error} If the condition can't be parsed.
+ */
+function parseCondition(text, ruleNumber) {
+  const match = text.trim().match(
+      /^(\w+)\s*(>=|<=|!=|=|>|<|not contains|contains)\s*(.+)$/i);
+  if (!match) {
+    throw new Error(
+        'Rule ' + ruleNumber + ': can\'t parse condition "' + text + '"');
+  }
+  const field = RULE_FIELDS[match[1]];
+  const operator = match[2].toLowerCase();
+  if (!field) {
+    throw new Error(
+        'Rule ' + ruleNumber + ': unknown field "' + match[1] + '". Use one ' +
+        'of ' + Object.keys(RULE_FIELDS).join(', '));
+  }
+  if (field == 'text' && ['>', '>=', '<', '<='].includes(operator)) {
+    throw new Error(
+        'Rule ' + ruleNumber + ': "' + operator + '" can\'t be used on "' +
+        match[1] + '"');
+  }
+  if (field != 'text' && operator.endsWith('contains')) {
+    throw new Error(
+        'Rule ' + ruleNumber + ': "' + operator + '" can only be used on text');
+  }
+  let value = match[3].trim().replace(/^(['"])(.*)\1$/, '$2');
+  if (field == 'percentage') {
+    value = parsePercentage(value);
+  } else if (field == 'number') {
+    value = Number(value);
+  }
+  if (field != 'text' && isNaN(value)) {
+    throw new Error(
+        'Rule ' + ruleNumber + ': "' + match[3].trim() + '" is not a number');
+  }
+  return {'field': match[1], 'operator': operator, 'value': value};
+}
+
+/**
+ * Returns the label of the first rule whose conditions all match a product.
+ *
+ * @param {!Array<!Object>} rules - The rules returned by `parseLabelRules`.
+ * @param {!Object} facts - The product data the conditions are checked
+ *     against, keyed by the names of the `RULE_FIELDS`.
+ * @return {?string} The label of the first matching rule, or null.
+ */
+function evaluateLabelRules(rules, facts) {
+  for (const rule of rules) {
+    const matches = rule.conditions.every(function(condition) {
+      return matchesCondition(condition, facts[condition.field]);
+    });
+    if (matches) {
+      return rule.label;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a value against a condition. Missing values never match, and text is
+ * compared ignoring case.
+ *
+ * @param {!Object} condition - The condition, as returned by `parseCondition`.
+ * @param {*} actual - The value of the product.
+ * @return {boolean} Whether the value matches.
+ */
+function matchesCondition(condition, actual) {
+  if (actual === null || actual === undefined || actual === '') {
+    return false;
+  }
+  let expected = condition.value;
+  if (RULE_FIELDS[condition.field] == 'text') {
+    actual = String(actual).toLowerCase();
+    expected = String(expected).toLowerCase();
+  } else {
+    actual = Number(actual);
+  }
+  switch (condition.operator) {
+    case '=':
+      return actual == expected;
+    case '!=':
+      return actual != expected;
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case 'contains':
+      return actual.includes(expected);
+    case 'not contains':
+      return !actual.includes(expected);
+  }
+  return false;
+}
+
+/**
+ * Gathers the product data the rule conditions are checked against.
+ *
+ * @param {!Object} flatRow - The flattened price benchmark row.
+ * @param {!Object} product - The product data returned by `getProducts`.
+ * @param {string} priceLabel - The label calculated from the relative price.
+ * @param {number} relativePrice - The relative difference between the product
+ *     price and the benchmark price.
+ * @param {number} impressions - The impressions of the offer.
+ * @param {number} clicks - The clicks of the offer.
+ * @return {!Object} The values of the `RULE_FIELDS` for the product.
+ */
+function getRuleFacts(
+    flatRow, product, priceLabel, relativePrice, impressions, clicks) {
+  const price = flatRow['productView.priceMicros'] / 1000000;
+  let margin = null;
+  if (product.cost !== '' && !isNaN(product.cost) && price > 0) {
+    margin = (price - product.cost) / price;
+  }
+  return {
+    'priceLabel': priceLabel,
+    'relativePrice': relativePrice,
+    'brand': flatRow['productView.brand'],
+    'title': flatRow['productView.title'],
+    'productType': product.productType,
+    'impressions': impressions,
+    'clicks': clicks,
+    'stock': product.stockQuantity,
+    'margin': margin
+  };
+}
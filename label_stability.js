@@ -0,0 +1,99 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Checks whether a relative price is still close enough to the range of a
+ * label for an offer to keep it, with `labelHysteresis`.
+ *
+ * @param {number} relativePrice - The relative price of the offer.
+ * @param {string} label - The previous label of the offer.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {boolean} Whether the price is within the range of the label,
+ *     widened by the hysteresis on both sides. Always false for the labels
+ *     that aren't assigned by a price range, e.g. by a label rule.
+ */
+function isWithinLabelBand(relativePrice, label, config) {
+  const margin = config.labelHysteresis;
+  return getLabelRanges(label, config).some(function(range) {
+    return relativePrice >= range.from - margin &&
+        relativePrice < range.to + margin;
+  });
+}
+
+/**
+ * Lists the ranges of relative price a label is assigned for, by the price
+ * tiers or the Below / At / Above benchmark rules.
+ *
+ * @param {string} label - The label.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The ranges, with their `from` (inclusive) and `to`
+ *     (exclusive) bounds.
+ */
+function getLabelRanges(label, config) {
+  if (config.labelTiers.length > 0) {
+    return config.labelTiers.filter(function(tier) {
+      return tier.name == label;
+    });
+  }
+  let ranges = [];
+  if (label == config.belowBenchmarkName) {
+    ranges.push({'from': -Infinity, 'to': config.belowBenchmarkRule});
+  }
+  if (label == config.atBenchmarkName) {
+    ranges.push(
+        {'from': -config.atBenchmarkRule, 'to': config.atBenchmarkRule});
+  }
+  if (label == config.aboveBenchmarkName) {
+    ranges.push({'from': config.aboveBenchmarkRule, 'to': Infinity});
+  }
+  return ranges;
+}
+
+/**
+ * Holds back the label change of an offer until the new label was calculated
+ * in `labelMinRuns` consecutive runs. Meanwhile the previous label is kept,
+ * and the new one is pending.
+ *
+ * @param {string} label - The label calculated in this run.
+ * @param {?Object} previous - The offer in the previous run, as returned by
+ *     `getPreviousRun`, or null if it wasn't labeled.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Object} The `label` to publish, and the `pendingLabel` waiting to
+ *     replace it with the number of runs it was calculated in as
+ *     `pendingRuns`, or '' and 0 if none.
+ */
+function applyMinimumDwell(label, previous, config) {
+  if (config.labelMinRuns <= 1 || !previous || previous.label == '' ||
+      label == previous.label) {
+    return {'label': label, 'pendingLabel': '', 'pendingRuns': 0};
+  }
+  const runs = previous.pendingLabel == label ?
+      Number(previous.pendingRuns || 0) + 1 :
+      1;
+  if (runs >= config.labelMinRuns) {
+    return {'label': label, 'pendingLabel': '', 'pendingRuns': 0};
+  }
+  return {'label': previous.label, 'pendingLabel': label, 'pendingRuns': runs};
+}
+
+/**
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {boolean} Whether the labels of the previous run are taken into
+ *     account, with a hysteresis or a minimum number of runs.
+ */
+function isLabelStabilityEnabled(config) {
+  return config.labelHysteresis > 0 || config.labelMinRuns > 1;
+}
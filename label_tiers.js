@@ -0,0 +1,94 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Checks that the label tiers are well formed and, once sorted by their lower
+ * bound, neither overlap nor leave gaps between them.
+ *
+ * @param {!Array<!Object>} tiers - The tiers, with `name`, `from` and `to`.
+ * @return {!Array<string>} The problems found, empty if the tiers are valid.
+ */
+function validateTiers(tiers) {
+  let problems = [];
+  const sorted = sortTiers(tiers);
+  sorted.forEach(function(tier, i) {
+    if (isNaN(tier.from) || isNaN(tier.to)) {
+      problems.push('"' + tier.name + '" has a bound that is not a number');
+      return;
+    }
+    if (tier.from >= tier.to) {
+      problems.push(
+          '"' + tier.name + '" starts at ' + formatBound(tier.from) +
+          ' but ends at ' + formatBound(tier.to));
+    }
+    const next = sorted[i + 1];
+    if (!next || isNaN(next.from)) {
+      return;
+    }
+    if (tier.to > next.from + TIER_TOLERANCE) {
+      problems.push(
+          '"' + tier.name + '" overlaps "' + next.name + '" between ' +
+          formatBound(next.from) + ' and ' + formatBound(tier.to));
+    } else if (tier.to < next.from - TIER_TOLERANCE) {
+      problems.push(
+          'Gap between "' + tier.name + '" and "' + next.name + '" from ' +
+          formatBound(tier.to) + ' to ' + formatBound(next.from));
+    }
+  });
+  return problems;
+}
+
+/**
+ * Finds the tier a relative price falls in.
+ *
+ * @param {number} relativePrice - The relative difference between a product's
+ *     price and the benchmark price.
+ * @param {!Array<!Object>} tiers - The tiers, with `name`, `from` and `to`.
+ * @return {?Object} The tier, or null if the price is outside every tier.
+ */
+function findTier(relativePrice, tiers) {
+  for (const tier of tiers) {
+    if (relativePrice >= tier.from && relativePrice < tier.to) {
+      return tier;
+    }
+  }
+  return null;
+}
+
+/**
+ * Sorts tiers by their lower bound, without changing the original list.
+ *
+ * @param {!Array<!Object>} tiers - The tiers, with `name`, `from` and `to`.
+ * @return {!Array<!Object>} The sorted tiers.
+ */
+function sortTiers(tiers) {
+  return tiers.slice().sort(function(a, b) {
+    return a.from - b.from;
+  });
+}
+
+/**
+ * Formats a tier bound as a percentage for validation messages.
+ *
+ * @param {number} bound - The bound, as a fraction.
+ * @return {string} The formatted bound, e.g. '-15%'.
+ */
+function formatBound(bound) {
+  if (!isFinite(bound)) {
+    return bound > 0 ? '+∞' : '-∞';
+  }
+  return Math.round(bound * 10000) / 100 + '%';
+}
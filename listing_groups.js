@@ -0,0 +1,495 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Builds the listing groups of the configured Shopping ad groups and
+ * Performance Max asset groups from the labels, see `updateListingGroupTrees`.
+ *
+ * @throws {Error} If the listing groups are turned off.
+ */
+function updateListingGroups() {
+  const env = getEnv();
+  if (env.config.listingGroupMode == LISTING_GROUP_MODES.OFF) {
+    throw new Error(
+        'Set listingGroups.mode to ' + LISTING_GROUP_MODES.PREVIEW + ' or ' +
+        LISTING_GROUP_MODES.APPLY + ' to build the listing groups');
+  }
+  updateListingGroupTrees(env);
+}
+
+/**
+ * Makes the listing groups of every target split its products by the custom
+ * label the labels are written to: one unit per label, and one for the
+ * products with any other label or none.
+ *
+ * A tree that already has these units is kept, and only the bids that changed
+ * are updated. Any other tree is removed and built again, in the same mutate
+ * request, as long as it's only split by the custom label of the labels: the
+ * trees with other subdivisions, e.g. built by hand, are only replaced with
+ * `listingGroups.overwrite`. In preview mode the requests are only validated
+ * by Google Ads. The operations of every target and their outcome are listed
+ * in the 'listing groups' tab.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @return {!Array<string>} The errors of the targets that couldn't be updated.
+ */
+function updateListingGroupTrees(env) {
+  const config = env.config;
+  const preview = config.listingGroupMode == LISTING_GROUP_MODES.PREVIEW;
+  const api = createGoogleAdsApi(env);
+  const customerId = String(config.accountCid).replaceAll('-', '');
+  const units = getListingGroupUnits(config);
+  let rows = [LISTING_GROUPS_HEADERS];
+  let errors = [];
+  config.listingGroupTargets.forEach(function(target) {
+    const name = target.type + ' ' + target.id;
+    let changes = [];
+    let status;
+    try {
+      const tree = readListingGroupTree(api, customerId, target);
+      changes = planListingGroupChanges(
+          customerId, target, tree, units, config.customLabelNumber,
+          config.listingGroupOverwrite);
+      if (changes.length > 0) {
+        api.mutate(
+            customerId, getListingGroupService(target),
+            changes.map(function(change) {
+              return change.operation;
+            }),
+            preview);
+      }
+      status = preview ? 'validated' : 'applied';
+      Logger.log(
+          name + ': ' + changes.length + ' listing group operations ' + status);
+    } catch (e) {
+      status = 'error: ' + e.message;
+      errors.push('Listing groups of ' + name + ' not updated: ' + e.message);
+      Logger.log(errors[errors.length - 1]);
+    }
+    if (changes.length == 0) {
+      rows.push([
+        target.type, target.id, 'none', '', '', '',
+        status.startsWith('error') ? status : 'up to date'
+      ]);
+    }
+    changes.forEach(function(change) {
+      rows.push([
+        target.type, target.id, change.type, change.listingGroup,
+        change.action, change.cpcBid, status
+      ]);
+    });
+  });
+  pushToSheets(LISTING_GROUPS_SHEET, rows, UPDATED_AT_OUTPUT);
+  return errors;
+}
+
+/**
+ * Lists the units the listing groups are split into.
+ *
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The units, with the lower case custom label
+ *     `value` they match ('' for the products with any other label), the
+ *     `label` shown in the 'listing groups' tab, whether they're `negative`,
+ *     i.e. excluded, and their `bidModifier`, or null to use the default bid.
+ */
+function getListingGroupUnits(config) {
+  const labels = config.listingGroupLabels.length > 0 ?
+      config.listingGroupLabels :
+      config.exportLabels.map(function(label) {
+        return {
+          'label': label,
+          'action': LISTING_GROUP_ACTIONS.INCLUDE,
+          'bidModifier': null
+        };
+      });
+  let units = [];
+  labels.forEach(function(label) {
+    const value = String(label.label).trim().toLowerCase();
+    if (value == '' ||
+        units.some(function(unit) {
+          return unit.value == value;
+        })) {
+      return;
+    }
+    units.push({
+      'value': value,
+      'label': label.label,
+      'negative': label.action == LISTING_GROUP_ACTIONS.EXCLUDE,
+      'bidModifier': label.bidModifier
+    });
+  });
+  units.push({
+    'value': '',
+    'label': 'Everything else',
+    'negative': config.listingGroupOthers == LISTING_GROUP_ACTIONS.EXCLUDE,
+    'bidModifier': null
+  });
+  return units;
+}
+
+/**
+ * Reads the listing groups of a target.
+ *
+ * @param {!GoogleAdsApi} api - The Google Ads API client.
+ * @param {string} customerId - The Google Ads account of the target.
+ * @param {!Object} target - The `type` and `id` of the target.
+ * @return {!Object} The tree, with its `nodes`, and the `defaultCpcBidMicros`
+ *     of the ad group (0 for an asset group). Each node has its
+ *     `resourceName`, the resource name of its `parent` ('' for the root),
+ *     whether it's a `subdivision`, the `index` ('INDEX0' to 'INDEX4') and
+ *     lower case `value` of the custom label it matches, if any, whether it's
+ *     `negative`, and its `cpcBidMicros`, or null for the default bid.
+ * @throws {Error} If the ad group or asset group doesn't exist.
+ */
+function readListingGroupTree(api, customerId, target) {
+  const shopping = target.type == LISTING_GROUP_TARGETS.SHOPPING;
+  const groupQuery = shopping ?
+      'SELECT ad_group.id, ad_group.cpc_bid_micros FROM ad_group ' +
+          'WHERE ad_group.id = ' + target.id :
+      'SELECT asset_group.id FROM asset_group WHERE asset_group.id = ' +
+          target.id;
+  const groups = api.executeSearch(groupQuery, customerId, false).records;
+  if (groups.length == 0) {
+    throw new Error(
+        (shopping ? 'Ad group ' : 'Asset group ') + target.id + ' not found');
+  }
+  let nodes;
+  if (shopping) {
+    const query = 'SELECT ad_group_criterion.resource_name, ' +
+        'ad_group_criterion.negative, ad_group_criterion.cpc_bid_micros, ' +
+        'ad_group_criterion.listing_group.type, ' +
+        'ad_group_criterion.listing_group.parent_ad_group_criterion, ' +
+        'ad_group_criterion.listing_group.case_value.' +
+        'product_custom_attribute.index, ' +
+        'ad_group_criterion.listing_group.case_value.' +
+        'product_custom_attribute.value ' +
+        'FROM ad_group_criterion ' +
+        'WHERE ad_group_criterion.type = \'LISTING_GROUP\' ' +
+        'AND ad_group_criterion.status != \'REMOVED\' ' +
+        'AND ad_group.id = ' + target.id;
+    nodes = api.executeSearch(query, customerId, false)
+                .records.map(function(record) {
+                  const criterion = record.adGroupCriterion;
+                  const listingGroup = criterion.listingGroup;
+                  return toListingGroupNode(
+                      criterion.resourceName,
+                      listingGroup.parentAdGroupCriterion,
+                      listingGroup.type == 'SUBDIVISION',
+                      listingGroup.caseValue, Boolean(criterion.negative),
+                      criterion.cpcBidMicros);
+                });
+  } else {
+    const query = 'SELECT asset_group_listing_group_filter.resource_name, ' +
+        'asset_group_listing_group_filter.type, ' +
+        'asset_group_listing_group_filter.parent_listing_group_filter, ' +
+        'asset_group_listing_group_filter.case_value.' +
+        'product_custom_attribute.index, ' +
+        'asset_group_listing_group_filter.case_value.' +
+        'product_custom_attribute.value ' +
+        'FROM asset_group_listing_group_filter ' +
+        'WHERE asset_group_listing_group_filter.listing_source = ' +
+        '\'SHOPPING\' AND asset_group.id = ' + target.id;
+    nodes = api.executeSearch(query, customerId, false)
+                .records.map(function(record) {
+                  const filter = record.assetGroupListingGroupFilter;
+                  return toListingGroupNode(
+                      filter.resourceName, filter.parentListingGroupFilter,
+                      filter.type == 'SUBDIVISION', filter.caseValue,
+                      filter.type == 'UNIT_EXCLUDED', undefined);
+                });
+  }
+  return {
+    'nodes': nodes,
+    'defaultCpcBidMicros':
+        shopping ? Number(groups[0].adGroup.cpcBidMicros || 0) : 0
+  };
+}
+
+/**
+ * @param {string} resourceName - The resource name of the listing group.
+ * @param {string|undefined} parent - The resource name of its parent.
+ * @param {boolean} subdivision - Whether it's a subdivision.
+ * @param {!Object|undefined} caseValue - The products it matches.
+ * @param {boolean} negative - Whether it's excluded.
+ * @param {string|undefined} cpcBidMicros - Its bid.
+ * @return {!Object} The node, see `readListingGroupTree`.
+ */
+function toListingGroupNode(
+    resourceName, parent, subdivision, caseValue, negative, cpcBidMicros) {
+  const attribute = (caseValue || {}).productCustomAttribute;
+  return {
+    'resourceName': resourceName,
+    'parent': parent || '',
+    'subdivision': subdivision,
+    'index': attribute ? attribute.index : '',
+    'value': attribute ? String(attribute.value || '').toLowerCase() : '',
+    'negative': negative,
+    'cpcBidMicros': cpcBidMicros ? Number(cpcBidMicros) : null
+  };
+}
+
+/**
+ * Plans the operations making the listing groups of a target match the
+ * units.
+ *
+ * @param {string} customerId - The Google Ads account of the target.
+ * @param {!Object} target - The `type` and `id` of the target.
+ * @param {!Object} tree - Its listing groups, see `readListingGroupTree`.
+ * @param {!Array<!Object>} units - The units, see `getListingGroupUnits`.
+ * @param {number} labelNumber - The custom label slot (0-4) of the labels.
+ * @param {boolean} overwrite - Whether to replace a tree split by anything
+ *     else than the custom label.
+ * @return {!Array<!Object>} The changes, in order, each with its mutate
+ *     `operation`, and its `type`, `listingGroup`, `action` and `cpcBid` as
+ *     shown in the 'listing groups' tab. Empty if the tree is up to date.
+ * @throws {Error} If the tree has to be replaced, but is split by anything
+ *     else than the custom label and `overwrite` is off.
+ */
+function planListingGroupChanges(
+    customerId, target, tree, units, labelNumber, overwrite) {
+  const shopping = target.type == LISTING_GROUP_TARGETS.SHOPPING;
+  const index = 'INDEX' + labelNumber;
+  const bids = units.map(function(unit) {
+    if (!shopping || unit.negative || unit.bidModifier === null) {
+      return null;
+    }
+    if (!tree.defaultCpcBidMicros) {
+      throw new Error(
+          'Ad group ' + target.id + ' has no default max. CPC for the bid ' +
+          'modifier of ' + unit.label);
+    }
+    return Math.max(
+        CPC_BID_INCREMENT_MICROS,
+        Math.round(
+            tree.defaultCpcBidMicros * unit.bidModifier /
+            CPC_BID_INCREMENT_MICROS) *
+            CPC_BID_INCREMENT_MICROS);
+  });
+  const existingUnits = matchListingGroupUnits(tree.nodes, units, index);
+  if (existingUnits) {
+    let changes = [];
+    units.forEach(function(unit, i) {
+      if (bids[i] !== null && existingUnits[i].cpcBidMicros != bids[i]) {
+        changes.push({
+          'operation': {
+            'update': {
+              'resourceName': existingUnits[i].resourceName,
+              'cpcBidMicros': String(bids[i])
+            },
+            'updateMask': 'cpcBidMicros'
+          },
+          'type': 'update',
+          'listingGroup': unit.label,
+          'action': getListingGroupAction(unit),
+          'cpcBid': bids[i] / 1e6
+        });
+      }
+    });
+    return changes;
+  }
+  if (!overwrite && !isLabelListingGroupTree(tree.nodes, index)) {
+    throw new Error(
+        'Listing groups split by other attributes than custom_label_' +
+        labelNumber + ', set listingGroups.overwrite to TRUE to replace them');
+  }
+
+  let changes = [];
+  // Removing an ad group criterion removes its children, while the children
+  // of an asset group listing group filter have to be removed first.
+  const removed = shopping ?
+      tree.nodes.filter(function(node) {
+        return node.parent == '';
+      }) :
+      sortLeavesFirst(tree.nodes);
+  removed.forEach(function(node) {
+    changes.push({
+      'operation': {'remove': node.resourceName},
+      'type': 'remove',
+      'listingGroup': node.parent == '' ? 'root' :
+          node.value == ''              ? 'Everything else' :
+                                          node.value,
+      'action': '',
+      'cpcBid': ''
+    });
+  });
+
+  const prefix = 'customers/' + customerId;
+  const rootName = prefix +
+      (shopping ? '/adGroupCriteria/' : '/assetGroupListingGroupFilters/') +
+      target.id + '~-1';
+  const root = shopping ?
+      {
+        'resourceName': rootName,
+        'adGroup': prefix + '/adGroups/' + target.id,
+        'status': 'ENABLED',
+        'listingGroup': {'type': 'SUBDIVISION'}
+      } :
+      {
+        'resourceName': rootName,
+        'assetGroup': prefix + '/assetGroups/' + target.id,
+        'type': 'SUBDIVISION',
+        'listingSource': 'SHOPPING'
+      };
+  changes.push({
+    'operation': {'create': root},
+    'type': 'create',
+    'listingGroup': 'root',
+    'action': '',
+    'cpcBid': ''
+  });
+  units.forEach(function(unit, i) {
+    // The unit of the other products has an index without a value.
+    let caseValue = {'productCustomAttribute': {'index': index}};
+    if (unit.value != '') {
+      caseValue.productCustomAttribute.value = unit.value;
+    }
+    let create;
+    if (shopping) {
+      create = {
+        'adGroup': root.adGroup,
+        'status': 'ENABLED',
+        'negative': unit.negative,
+        'listingGroup': {
+          'type': 'UNIT',
+          'parentAdGroupCriterion': rootName,
+          'caseValue': caseValue
+        }
+      };
+      if (bids[i] !== null) {
+        create.cpcBidMicros = String(bids[i]);
+      }
+    } else {
+      create = {
+        'assetGroup': root.assetGroup,
+        'type': unit.negative ? 'UNIT_EXCLUDED' : 'UNIT_INCLUDED',
+        'listingSource': 'SHOPPING',
+        'parentListingGroupFilter': rootName,
+        'caseValue': caseValue
+      };
+    }
+    changes.push({
+      'operation': {'create': create},
+      'type': 'create',
+      'listingGroup': unit.label,
+      'action': getListingGroupAction(unit),
+      'cpcBid': bids[i] === null ? '' : bids[i] / 1e6
+    });
+  });
+  return changes;
+}
+
+/**
+ * Matches the nodes of a tree with the units, if the tree is a root split by
+ * the custom label into these units, each included or excluded as planned.
+ * The bids can differ.
+ *
+ * @param {!Array<!Object>} nodes - The nodes of the tree.
+ * @param {!Array<!Object>} units - The units, see `getListingGroupUnits`.
+ * @param {string} index - The index of the custom label, e.g. 'INDEX0'.
+ * @return {?Array<!Object>} The node of each unit, or null if the tree doesn't
+ *     match.
+ */
+function matchListingGroupUnits(nodes, units, index) {
+  const roots = nodes.filter(function(node) {
+    return node.parent == '';
+  });
+  if (roots.length != 1 || !roots[0].subdivision ||
+      nodes.length != units.length + 1) {
+    return null;
+  }
+  let matched = [];
+  for (const unit of units) {
+    const node = nodes.find(function(node) {
+      return node.parent == roots[0].resourceName && !node.subdivision &&
+          node.index == index && node.value == unit.value &&
+          node.negative == unit.negative;
+    });
+    if (!node) {
+      return null;
+    }
+    matched.push(node);
+  }
+  return matched;
+}
+
+/**
+ * Checks whether a tree can be replaced without losing listing groups built
+ * another way: it holds every product in a single unit, or its root is only
+ * split by the custom label, as built by `planListingGroupChanges`.
+ *
+ * @param {!Array<!Object>} nodes - The nodes of the tree.
+ * @param {string} index - The index of the custom label, e.g. 'INDEX0'.
+ * @return {boolean} Whether the tree has no other subdivision.
+ */
+function isLabelListingGroupTree(nodes, index) {
+  const roots = nodes.filter(function(node) {
+    return node.parent == '';
+  });
+  if (roots.length != 1) {
+    return roots.length == 0;
+  }
+  return nodes.every(function(node) {
+    return node == roots[0] ||
+        (node.parent == roots[0].resourceName && !node.subdivision &&
+         node.index == index);
+  });
+}
+
+/**
+ * @param {!Array<!Object>} nodes - The nodes of a tree.
+ * @return {!Array<!Object>} The nodes, each after its children.
+ */
+function sortLeavesFirst(nodes) {
+  const byName = Object.fromEntries(nodes.map(function(node) {
+    return [node.resourceName, node];
+  }));
+
+  /**
+   * @param {!Object} node - A node.
+   * @return {number} Its depth, 0 for the root.
+   */
+  function depth(node) {
+    let depth = 0;
+    while (node.parent != '' && byName[node.parent]) {
+      node = byName[node.parent];
+      depth++;
+    }
+    return depth;
+  }
+
+  return nodes.slice().sort(function(a, b) {
+    return depth(b) - depth(a);
+  });
+}
+
+/**
+ * @param {!Object} target - The `type` of a target.
+ * @return {string} The service mutating its listing groups.
+ */
+function getListingGroupService(target) {
+  return target.type == LISTING_GROUP_TARGETS.SHOPPING ?
+      'adGroupCriteria' :
+      'assetGroupListingGroupFilters';
+}
+
+/**
+ * @param {!Object} unit - A unit, see `getListingGroupUnits`.
+ * @return {string} Whether it's included or excluded, as in the settings.
+ */
+function getListingGroupAction(unit) {
+  return unit.negative ? LISTING_GROUP_ACTIONS.EXCLUDE :
+                         LISTING_GROUP_ACTIONS.INCLUDE;
+}
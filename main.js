@@ -15,42 +15,49 @@ limitations under the License.
  * Mainexpand_more function to run the visibility booster process.
  *
  * This function orchestrates the entire process, including:
+ *  - Validating the configuration.
  *  - Fetching price benchmarks.
  *  - Retrieving product data.
  *  - Merging and processing data.
+ *
+ * Any unfinished run is discarded. When the run doesn't fit in a single
+ * execution, it continues in `resumeVisibilityBooster`, see `startBoosterRun`.
+ * A summary of the run is sent when it completes, and an alert if it fails,
+ * to the recipients of the notification settings.
  */
 function runVisibilityBooster() {
-  // Read configuration and create instances
-  const merchantApi = new MerchantCenterAPI(ScriptApp.getOAuthToken());
-  let [offerList, benchmarkData] = getPriceBenchmark(merchantApi);
-  let stats = getStats(merchantApi, merchantId, offerList);
-  let productData = getProducts(offerList, merchantApi, BATCH_SIZE);
-  mergeData(benchmarkData, productData, stats);
+  const env = getEnv();
+  runWithFailureAlert(env, function() {
+    startBoosterRun(env);
+  });
+}
+/**
+ * Continues the unfinished run of the visibility booster.
+ *
+ * Runs from the trigger created when an execution runs out of time, and can be
+ * run manually to retry a run that stopped on an error.
+ */
+function resumeVisibilityBooster() {
+  const env = getEnv();
+  runWithFailureAlert(env, function() {
+    resumeBoosterRun(env);
+  });
 }
 /**
  * Installs a weekly trigger to run the visibility booster.
  *
- * This function checks if a weekly trigger already exists. If not, it creates a
- * new trigger to run `runVisibilityBooster` every Monday.
+ * This function schedules `runVisibilityBooster` every Monday, at the hour of
+ * `schedule.boosterHour`, replacing any other schedule of it. See
+ * `installSchedules` to configure the schedules from the control panel.
  */
 function installWeeklyTrigger() {
-  const hasWeeklyTrigger =
-      ScriptApp.getProjectTriggers()
-          .filter(function(trigger) {
-            return trigger.getHandlerFunction() == 'runVisibilityBooster';
-          })
-          .length > 0;
-  if (!hasWeeklyTrigger) {
-    ScriptApp.newTrigger('runVisibilityBooster')
-        .timeBased()
-        .everyWeeks(1)
-        .onWeekDay(ScriptApp.WeekDay.MONDAY)
-        .create();
-    SPREADSHEET.toast('Created weekly task to update the data');
-  }
-  else {
-    SPREADSHEET.toast('Weekly trigger already installed');
-  }
+  const env = getEnv();
+  const result = reconcileSchedule(env, 'runVisibilityBooster', {
+    'frequency': SCHEDULE_FREQUENCIES.WEEKLY,
+    'day': 'MONDAY',
+    'hour': env.config.boosterSchedule.hour
+  });
+  SpreadsheetApp.getActive().toast('Weekly trigger ' + result);
 }
 /**
  * Retrieves performance statistics (impressions, clicks) for a list of offers.
@@ -58,23 +65,22 @@ function installWeeklyTrigger() {
  * @param {!Object} api - The MerchantCenterAPI instance.
  * @param {string} merchantId - The merchant ID.
  * @param {!Array} offerList - An array of offer IDs.
+ * @param {string} country - The customer country to get the statistics for.
+ * @param {!Object} dateRange - The `startDate` and `endDate` of the statistics,
+ *     as yyyy-MM-dd, see `resolveDateRange`.
  * @return {!Object} An object mapping offer IDs to their impressions and clicks.
  */
-function getStats(api, merchantId, offerList) {
+function getStats(api, merchantId, offerList, country, dateRange) {
   let idList = [];
   if (offerList.length > 0) {
     offerList.forEach(function(row, i) {
-      idList.push('\'' + row.split(':')[3] + '\'');
+      idList.push(row.split(':')[3]);
     });
     let uniqueList = [...new Set(idList)];
-    let query =
-        'SELECT segments.offer_id, metrics.impressions, metrics.clicks ' +
-        'FROM MerchantPerformanceView ' +
-        'WHERE segments.date DURING LAST_30_DAYS ' +
-        'AND metrics.impressions > 0 ' +
-        'AND segments.offer_id IN (' + uniqueList.join(',') + ') ' +
-        'AND segments.customer_country_code = \'' + COUNTRY_FILTER + '\'';
-    Logger.log('Getting performance data for account ' + merchantId);
+    let query = api.getStatsQuery(uniqueList, country, dateRange);
+    Logger.log(
+        'Getting performance data for account ' + merchantId + ' (' + country +
+        ')');
     let stats = downloadReport(api, merchantId, query);
     let metrics = {};
     if (stats.length > 0) {
@@ -100,53 +106,33 @@ function getStats(api, merchantId, offerList) {
  * @param {!Array} productList - An array of product IDs.
  * @param {!Object} api - The MerchantCenterAPI instance.
  * @param {number} batch_size - The number of products to fetch per batch.
- * @return {!Object} An object mapping product IDs to their stock and availability.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Object} An object mapping product IDs to their stock, availability,
+ *     product types, cost and the custom label currently set in Merchant Center.
  */
-function getProducts(productList, api, batch_size) {
+function getProducts(productList, api, batch_size, config) {
   if (productList.length > 0) {
     let products = {};
     let entries = [];
-    let responses = [];
     productList.forEach(function(row, i) {
       const batch_entry = {
         'batchId': i,
-        'merchantId': merchantId,
+        'merchantId': config.merchantId,
         'method': 'get',
         'productId': row
       };
       entries.push(batch_entry);
-      if ((i + 1) % batch_size == 0 || i == productList.length - 1) {
-        let shoppingResponse = api.custom_batch_get({'entries': entries});
-        if (shoppingResponse.error) {
-          Log.output(
-              'Error occurred on call: ' + JSON.stringify(shoppingResponse));
-        }
-        else {
-          responses = responses.concat(shoppingResponse.entries);
-        }
-        entries =[];
-        }
+    });
+    let responses = sendInBatches(entries, batch_size, function(batch) {
+      return api.custom_batch_get(batch);
     });
     if (responses.length > 0) {
       responses.forEach(function(row, i) {
-        let custom_attribute_value = '';
-        if (STOCK_ENABLED) {
-          try {
-            if (row.product.customAttributes) {
-              row.product.customAttributes.forEach(function(att, index) {
-                if (att.name == STOCK_ATTRIBUTE) {
-                  custom_attribute_value = att.value;
-                }
-              });
-            }
-          } catch (err) {
-            Logger.log(err);
-          }
+        if (!row.product) {
+          Logger.log('Error getting product: ' + JSON.stringify(row.errors));
+          return;
         }
-        products[row.product.id] = {
-          'stockQuantity': custom_attribute_value,
-          'availability': row.product.availability
-        };
+        products[row.product.id] = getProductData(row.product, config);
       });
     }
     return products;
@@ -154,95 +140,199 @@ function getProducts(productList, api, batch_size) {
     throw new Error('No products returned from the price benchmark query');
   }
 }
+/**
+ * Extracts the data the solution uses from a product.
+ *
+ * @param {!Object} product - The product returned by the API.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Object} The stock, availability, product types, item group, cost,
+ *     minimum price and the custom label currently set in Merchant Center.
+ */
+function getProductData(product, config) {
+  let custom_attribute_value = '';
+  let cost = getCostOfGoodsSold(product);
+  let minPrice = '';
+  try {
+    if (product.customAttributes) {
+      product.customAttributes.forEach(function(att, index) {
+        if (config.stockEnabled && att.name == config.stockAttribute) {
+          custom_attribute_value = att.value;
+        }
+        if (config.costAttribute && att.name == config.costAttribute) {
+          cost = parseFloat(att.value);
+        }
+        if (config.minPriceAttribute && att.name == config.minPriceAttribute) {
+          minPrice = parseFloat(att.value);
+        }
+      });
+    }
+  } catch (err) {
+    Logger.log(err);
+  }
+  return {
+    'stockQuantity': custom_attribute_value,
+    'availability': product.availability,
+    'currentLabel': product['customLabel' + config.customLabelNumber] || '',
+    'productType': (product.productTypes || []).join(', '),
+    'itemGroupId': product.itemGroupId || '',
+    'cost': cost,
+    'minPrice': minPrice
+  };
+}
+/**
+ * Reads the cost of goods sold of a product.
+ *
+ * @param {!Object} product - The product returned by the API.
+ * @return {number|string} The cost, or an empty string if it isn't set.
+ */
+function getCostOfGoodsSold(product) {
+  if (!product.costOfGoodsSold) {
+    return '';
+  }
+  return Number(product.costOfGoodsSold.value);
+}
+/**
+ * Sends batch request entries to the API, at most `batch_size` at a time.
+ *
+ * When a whole batch fails, an error entry is returned for each of its entries,
+ * so callers can handle failures per entry.
+ *
+ * @param {!Array<!Object>} entries - The batch request entries.
+ * @param {number} batch_size - The maximum number of entries per batch.
+ * @param {function(!Object): !Object} sendBatch - Sends one batch, given as
+ *     `{'entries': [...]}`, and returns the API response.
+ * @return {!Array<!Object>} The response entries of every batch.
+ */
+function sendInBatches(entries, batch_size, sendBatch) {
+  let responses = [];
+  for (let i = 0; i < entries.length; i += batch_size) {
+    const batch = entries.slice(i, i + batch_size);
+    let shoppingResponse = sendBatch({'entries': batch});
+    if (shoppingResponse.error) {
+      Logger.log('Error occurred on call: ' + JSON.stringify(shoppingResponse));
+      responses = responses.concat(batch.map(function(entry) {
+        return {'batchId': entry.batchId, 'errors': shoppingResponse.error};
+      }));
+    }
+    else {
+      responses = responses.concat(shoppingResponse.entries);
+    }
+  }
+  return responses;
+}
 /**
  * Fetches a list of products from the Merchant Center API.
  *
  * This function retrieves products in batches using pagination, handling potential
- * errors and logging progress along the way.
+ * errors and logging progress along the way. Failed calls are retried by the
+ * HTTP client of the API.
  *
  * @param {!Object} api - An instance of the MerchantCenterAPI.
  * @param {string} merchantId - The ID of the merchant whose products to fetch.
  * @param {number} maxResults - The maximum number of products to retrieve per page.
  * @return {!Array} An array containing the fetched product resources.
- * @throws {Error} If an internal server error (code 500) occurs while fetching the report.
+ * @throws {ApiError} If a page still can't be fetched after retries.
  */
 function getProductList(api, merchantId, maxResults) {
   let pageToken = '';
   let fullResults = [];
   while (pageToken != null) {
-    let response = api.list_products(merchantId, maxResults, pageToken);
-    if (response.resources != null) {
-      pageToken = response.nextPageToken;
-      fullResults = fullResults.concat(response.resources);
-    }
-    else if (response.error != null) {
-      Logger.log(
-          'Error(' + response.error.code + '): ' + response.error.message);
-      if (response.error.code == 500) {
-        Logger.log('Got ' + fullResults.length + ' so far...');
-        throw new Error(
-            'Internal error when getting report. Please try it again');
-      }
-      break;
-    }
-    else {
-      break;
+    let page;
+    try {
+      page = downloadProductPage(api, merchantId, maxResults, pageToken);
+    } catch (e) {
+      Logger.log('Got ' + fullResults.length + ' so far...');
+      throw e;
     }
+    pageToken = page.nextPageToken;
+    fullResults = fullResults.concat(page.products);
   }
   Logger.log('Final results: ' + fullResults.length + ' rows.');
   return fullResults;
 }
+/**
+ * Fetches a single page of the products of a Merchant Center account.
+ *
+ * @param {!Object} api - An instance of the MerchantCenterAPI.
+ * @param {string} merchantId - The ID of the merchant whose products to fetch.
+ * @param {number} maxResults - The maximum number of products of the page.
+ * @param {string} pageToken - The token of the page, empty for the first one.
+ * @return {!Object} The `products` of the page, and the `nextPageToken`, null
+ *     for the last page.
+ * @throws {ApiError} If the page still can't be fetched after retries.
+ */
+function downloadProductPage(api, merchantId, maxResults, pageToken) {
+  let response = api.listProducts(merchantId, maxResults, pageToken);
+  if (response.error != null) {
+    Logger.log(
+        'Error(' + response.error.code + '): ' + response.error.message);
+    throw response.error;
+  }
+  return {
+    'products': response.resources || [],
+    'nextPageToken': response.nextPageToken || null
+  };
+}
 /**
  * Downloads a report from the Merchant Center API using pagination and error handling.
  *
- * This function fetches a report in batches, handling potential API errors
- * and retrying in case of internal server errors (code 500) for a limited number of times.
+ * This function fetches a report in batches, handling potential API errors.
+ * Failed calls, e.g. internal server errors (code 500) or exceeded quotas, are
+ * retried with a backoff by the HTTP client of the API.
  * It logs the final number of fetched rows upon completion.
  *
  * @param {!Object} api - The API instance used to make the report request.
  * @param {string} merchantId - The ID of the merchant whose report is being requested.
  * @param {string} query - The query string used to filter and retrieve specific report data.
  * @return {!Array}  An array containing the fetched report results.
- * @throws {Error} If an internal server error persists after retries or if another type of error occurs.
+ * @throws {ApiError} If a page still can't be fetched after retries.
  */
 
 function downloadReport(api, merchantId, query) {
   let pageToken = '';
   let fullResults = [];
-  let nTries = 0;
-  let maxTries = 3;
   while (pageToken != null) {
-    let entries = {
-      'query': query,
-      'pageSize': PAGE_SIZE,
-      'pageToken': pageToken
-    };
-    let response = api.getReport(merchantId, entries);
-    if (response.results != null) {
-      pageToken = response.nextPageToken;
-      fullResults = fullResults.concat(response.results);
-    }
-    else if (response.error != null) {
-      Logger.log(
-          'Error(' + response.error.code + '): ' + response.error.message);
-      if (response.error.code == 500) {
-        if (nTries < maxTries) {
-          Logger.log('Internal error. Trying again #' + (nTries + 1));
-          nTries += 1;
-          continue;
-        }
-        throw new Error(
-            'Internal error getting report. Please try it again later');
-      }
-      break;
-    }
-    else {
-      break;
+    let page;
+    try {
+      page = downloadReportPage(api, merchantId, query, pageToken);
+    } catch (e) {
+      Logger.log('Got ' + fullResults.length + ' so far...');
+      throw e;
     }
+    pageToken = page.nextPageToken;
+    fullResults = fullResults.concat(page.results);
   }
   Logger.log('Final results: ' + fullResults.length + ' rows.');
   return fullResults;
 }
+/**
+ * Downloads a single page of a report.
+ *
+ * @param {!Object} api - The API instance used to make the report request.
+ * @param {string} merchantId - The ID of the merchant whose report is being requested.
+ * @param {string} query - The query string of the report.
+ * @param {string} pageToken - The token of the page, empty for the first one.
+ * @return {!Object} The `results` of the page, and the `nextPageToken`, null
+ *     for the last page.
+ * @throws {ApiError} If the page still can't be fetched after retries.
+ */
+function downloadReportPage(api, merchantId, query, pageToken) {
+  let entries = {
+    'query': query,
+    'pageSize': PAGE_SIZE,
+    'pageToken': pageToken
+  };
+  let response = api.getReport(merchantId, entries);
+  if (response.error != null) {
+    Logger.log(
+        'Error(' + response.error.code + '): ' + response.error.message);
+    throw response.error;
+  }
+  return {
+    'results': response.results || [],
+    'nextPageToken': response.nextPageToken || null
+  };
+}
 /**
  * Flattens a nested object into a single-level object.
  *
@@ -292,26 +382,41 @@ function flatten(src) {
  * Calculates a custom label based on the relative price difference.
  *
  * This function categorizes a product's price relative to a benchmark price
- * and assigns a label based on predefined rules and thresholds.
+ * and assigns a label based on predefined rules and thresholds. When price
+ * tiers are configured in the control panel, the label of the tier the price
+ * falls in is used instead of the Below / At / Above benchmark rules. With a
+ * `labelHysteresis`, the previous label of the product is kept as long as the
+ * price stays within the hysteresis of its range, see `isWithinLabelBand`.
  *
  * @param {number} relativePrice - The relative difference between a product's price and the benchmark price, calculated as (product_price / benchmark_price) - 1.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @param {string=} previousLabel - The label of the product in the previous run, if any.
  * @return {string} The calculated label based on the relative price. Possible values are:
- *   - `BELOW_BENCHMARK_NAME` (if relativePrice is below the BELOW_BENCHMARK_RULE)
- *   - `AT_BENCHMARK_NAME`   (if relativePrice is within the AT_BENCHMARK_RULE range)
- *   - `ABOVE_BENCHMARK_NAME` (if relativePrice is above the ABOVE_BENCHMARK_RULE)
- *   - An empty string (`''`) if none of the above conditions are met.
+ *   - The name of the matching tier (if `labelTiers` are configured)
+ *   - `belowBenchmarkName` (if relativePrice is below the belowBenchmarkRule)
+ *   - `atBenchmarkName`   (if relativePrice is within the atBenchmarkRule range)
+ *   - `aboveBenchmarkName` (if relativePrice is above the aboveBenchmarkRule)
+ *   - `unlabeledName` (empty by default) if none of the above conditions are met.
  */
-function calculateLabel(relativePrice) {
-  if (relativePrice < BELOW_BENCHMARK_RULE) {
-    return BELOW_BENCHMARK_NAME;
+function calculateLabel(relativePrice, config, previousLabel) {
+  if (previousLabel && config.labelHysteresis > 0 &&
+      isWithinLabelBand(relativePrice, previousLabel, config)) {
+    return previousLabel;
+  }
+  if (config.labelTiers.length > 0) {
+    const tier = findTier(relativePrice, config.labelTiers);
+    return tier ? tier.name : config.unlabeledName;
+  }
+  if (relativePrice < config.belowBenchmarkRule) {
+    return config.belowBenchmarkName;
   } else if (
-      relativePrice >= AT_BENCHMARK_RULE * (-1) &&
-      relativePrice < AT_BENCHMARK_RULE) {
-    return AT_BENCHMARK_NAME;
-  } else if (relativePrice > ABOVE_BENCHMARK_RULE) {
-    return ABOVE_BENCHMARK_NAME;
+      relativePrice >= config.atBenchmarkRule * (-1) &&
+      relativePrice < config.atBenchmarkRule) {
+    return config.atBenchmarkName;
+  } else if (relativePrice > config.aboveBenchmarkRule) {
+    return config.aboveBenchmarkName;
   } else {
-    return '';
+    return config.unlabeledName;
   }
 }
 /**
@@ -319,26 +424,21 @@ function calculateLabel(relativePrice) {
  *
  * This function fetches price competitiveness data for products, including their IDs,
  * titles, brands, prices, currencies, and benchmark prices. It filters the results
- * based on the `COUNTRY_FILTER` and `CURRENCY_FILTER` settings.
+ * based on the country and currency of the given market.
  *
  * @param {!Object} api - The API instance used to make the request.
+ * @param {string} merchantId - The merchant ID.
+ * @param {!Object} market - The market to get the benchmark for, with its
+ *     `country` and `currency` codes.
  * @return {!Array} An array containing two elements:
  *   1. A unique list of product IDs (`uniqueList`).
  *   2. The full price benchmark data (`price_comp`) returned from the API.
  */
-function getPriceBenchmark(api) {
-  let query = 'SELECT product_view.id, product_view.offer_id, ' +
-      'product_view.title, product_view.brand,  ' +
-      'product_view.price_micros, product_view.currency_code, ' +
-      'price_competitiveness.country_code, ' +
-      'price_competitiveness.benchmark_price_micros, ' +
-      'price_competitiveness.benchmark_price_currency_code ' +
-      'FROM PriceCompetitivenessProductView ' +
-      'WHERE price_competitiveness.country_code = \'' + COUNTRY_FILTER + '\' ' +
-      'AND product_view.currency_code = \'' + CURRENCY_FILTER + '\' ' +
-      'AND price_competitiveness.benchmark_price_currency_code = \'' +
-      CURRENCY_FILTER + '\'';
-  Logger.log('Getting Price Benchmark stats for account ' + merchantId);
+function getPriceBenchmark(api, merchantId, market) {
+  let query = api.getBenchmarkQuery(market);
+  Logger.log(
+      'Getting Price Benchmark stats for account ' + merchantId + ' (' +
+      market.country + ')');
   let priceComp = downloadReport(api, merchantId, query);
   let offerList = [];
   priceComp.forEach(function(row, i) {
@@ -351,155 +451,309 @@ function getPriceBenchmark(api) {
  * Merges and processes benchmark, product, and statistics data.
  *
  * This function takes data from multiple sources and combines it to create
- * two output arrays:
+ * two kinds of output:
  *
  * 1. `output`: A detailed report including product information, price comparison,
-*    custom labels, and performance stats (impressions, clicks).
+ *    custom labels, and performance stats (impressions, clicks) for every market,
+ *    with the Google Ads cost, conversions and ROAS of each product if enabled.
  * 2. `supplemental_feed`: A simplified feed containing only product IDs and their
- *    associated custom labels (if enabled).
+ *    associated custom labels (if enabled). When more than one market is
+ *    configured, one feed tab is written per country, as the same offer ID can
+ *    get a different label in each market. With a multi-client account, one
+ *    feed tab is written per sub-account (and country).
  *
  * The function filters and transforms the data based on various conditions,
  * such as availability, stock levels, and price competitiveness. The results are
- * then pushed to the appropriate sheets in a spreadsheet.
- *
- * @param {!Array} benchmarkData - An array of objects containing price benchmark data.
- * @param {!Object} productData - An object mapping product IDs to their stock and availability information.
- * @param {!Object} statsData - An object mapping offer IDs to their impressions and clicks.
- * @global {boolean} STOCK_ENABLED - A global flag indicating if stock information should be included.
- * @global {boolean} ACTIVATE_LABELS - A global flag indicating if the supplemental feed should be created.
- * @global {string[]} EXPORT_LABELS - A global array of allowed custom labels for export.
+ * then pushed to the appropriate sheets in a spreadsheet, and the assigned
+ * labels are compared with the previous run and added to the label history.
+ * With a hysteresis or a minimum number of runs, the labels of the previous
+ * run are kept when the new ones aren't stable enough yet.
+ *
+ * @param {!Array<!Object>} marketData - The data retrieved for each market, with:
+ *   - `market`: The market, with its `country` and `currency` codes.
+ *   - `account`: Optional sub-account of a multi-client account the market
+ *     belongs to.
+ *   - `benchmarkData`: An array of objects containing price benchmark data.
+ *   - `productData`: An object mapping product IDs to their stock and availability information.
+ *   - `statsData`: An object mapping offer IDs to their impressions and clicks.
+ *   - `adsData`: Optional Google Ads metrics of the products in each country,
+ *     keyed by `productMetricsKey`, added to the output with
+ *     `adsProductMetrics`.
+ *   - `variantData`: Optional product data of the variants of the item groups
+ *     without a benchmark, with their `offerId`, keyed by product ID. Their
+ *     group's label is added to the supplemental feed, see `getVariantLabels`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`, with:
+ *   - `stockEnabled`: A flag indicating if stock information should be included.
+ *   - `activateLabels`: A flag indicating if the supplemental feed should be created.
+ *   - `exportLabels`: An array of allowed custom labels for export.
+ * @param {!Array<!Object>=} labelRules - Optional rules, as returned by
+ *     `parseLabelRules`, overriding the price label of the products they match.
+ * @param {string=} runId - The start time of the run, as an ISO 8601
+ *     timestamp, which identifies the run in the label history.
+ * @return {!Array<!Object>} The label each benchmarked product should have,
+ *     with `productId`, `offerId`, `country`, `account` (empty unless a
+ *     multi-client account is run), `currentLabel`, `label`, `relativePrice`,
+ *     `benchmarkPrice`, `title`, `brand`, `price`, `currency`, `impressions`,
+ *     `clicks` and the `product` data, the `itemGroupId` and the
+ *     `groupRelativePrice` the offer is labeled by, the same as its relative
+ *     price unless item groups are labeled together, the `priceLabel`
+ *     calculated from that price alone, and the `pendingLabel` held back by the
+ *     minimum number of runs with its `pendingRuns`. The label is empty for
+ *     products that are filtered out.
  */
-function mergeData(benchmarkData, productData, statsData) {
+function mergeData(marketData, config, labelRules, runId) {
+  labelRules = labelRules || [];
   let output = [];
-  let supplemental_feed = [];
-  if (STOCK_ENABLED) {
-    output.push([
-      'id', 'title', 'brand', 'current_price', 'currency', 'country',
-      'benchmark_price', '% current vs. benchmark',
-      ('custom_label_' + CUSTOM_LABEL_NUMBER), 'impressions', 'clicks',
-      STOCK_ATTRIBUTE
-    ]);
+  let supplementalFeeds = {};
+  let labelUpdates = [];
+  const previousLabels = isLabelStabilityEnabled(config) ?
+      (getPreviousRun(runId) || {'labels': {}}).labels :
+      {};
+  output.push([
+    'id', 'title', 'brand', 'current_price', 'currency', 'country',
+    'benchmark_price', '% current vs. benchmark',
+    ('custom_label_' + config.customLabelNumber), 'impressions', 'clicks'
+  ]);
+  if (config.adsProductMetrics) {
+    output[0].push(
+        'ads_cost', 'ads_conversions', 'ads_conversions_value', 'ads_roas');
   }
-  else {
-    output.push([
-      'id', 'title', 'brand', 'current_price', 'currency', 'country',
-      'benchmark_price', '% current vs. benchmark',
-      ('custom_label_' + CUSTOM_LABEL_NUMBER), 'impressions', 'clicks'
-    ]);
+  const groupItems =
+      config.itemGroupAggregation != ITEM_GROUP_AGGREGATIONS.OFF;
+  if (groupItems) {
+    output[0].push('item_group_id', 'group_relative_price');
+  }
+  if (config.stockEnabled) {
+    output[0].push(config.stockAttribute);
   }
-  supplemental_feed.push(['id', ('custom_label_' + CUSTOM_LABEL_NUMBER)]);
-  if (benchmarkData.length > 0) {
-    benchmarkData.forEach(function(row, i) {
+  if (config.mcaEnabled) {
+    output[0].push('account');
+  }
+  marketData.forEach(function(data, i) {
+    const productData = data.productData;
+    const statsData = data.statsData;
+    const adsData = data.adsData || {};
+    const account = config.mcaEnabled ? data.account : '';
+    let supplemental_feed = [];
+    supplemental_feed.push(
+        ['id', ('custom_label_' + config.customLabelNumber)]);
+    let feedName = getMarketName(data.market, config);
+    if (config.mcaEnabled) {
+      feedName = config.markets.length > 1 ?
+          account + ' - ' + feedName :
+          String(account);
+    }
+    supplementalFeeds[feedName] = supplemental_feed;
+    const groupPrices = groupItems ? getItemGroupPrices(data, config) : {};
+    data.benchmarkData.forEach(function(row, i) {
       let flatRow = flatten(row);
       if (flatRow['priceCompetitiveness.benchmarkPriceMicros'] > 0 &&
           productData[flatRow['productView.id']]) {
         let relativePrice = flatRow['productView.priceMicros'] /
                 flatRow['priceCompetitiveness.benchmarkPriceMicros'] -
             1;
-        let custom_label = calculateLabel(relativePrice);
-        if (EXPORT_LABELS.includes(custom_label) &&
+        let clicks = 0;
+        let impressions = 0;
+        if (statsData[flatRow['productView.offerId']]) {
+          impressions = statsData[flatRow['productView.offerId']].impressions;
+          clicks = statsData[flatRow['productView.offerId']].clicks;
+        }
+        // The variants of an item group are labeled by the price of the group.
+        const itemGroupId = productData[flatRow['productView.id']].itemGroupId;
+        const labelPrice = groupPrices[itemGroupId] === undefined ?
+            relativePrice :
+            groupPrices[itemGroupId];
+        const priceLabel = calculateLabel(labelPrice, config);
+        const previous = previousLabels[labelKey(
+            data.market.country, flatRow['productView.offerId'],
+            String(account || ''))] || null;
+        let custom_label = previous && config.labelHysteresis > 0 ?
+            calculateLabel(labelPrice, config, previous.label) :
+            priceLabel;
+        if (labelRules.length > 0) {
+          const ruleLabel = evaluateLabelRules(
+              labelRules,
+              getRuleFacts(
+                  flatRow, productData[flatRow['productView.id']],
+                  custom_label, labelPrice, impressions, clicks));
+          if (ruleLabel !== null) {
+            custom_label = ruleLabel;
+          }
+        }
+        const dwell = applyMinimumDwell(custom_label, previous, config);
+        custom_label = dwell.label;
+        let labelUpdate = {
+          'productId': flatRow['productView.id'],
+          'offerId': flatRow['productView.offerId'],
+          'country': data.market.country,
+          'account': account,
+          'currentLabel': productData[flatRow['productView.id']].currentLabel,
+          'label': '',
+          'relativePrice': relativePrice,
+          'benchmarkPrice':
+              flatRow['priceCompetitiveness.benchmarkPriceMicros'] / 1000000,
+          'title': flatRow['productView.title'],
+          'brand': flatRow['productView.brand'] || '',
+          'itemGroupId': itemGroupId || '',
+          'groupRelativePrice': labelPrice,
+          'priceLabel': priceLabel,
+          'price': flatRow['productView.priceMicros'] / 1000000,
+          'currency': flatRow['productView.currencyCode'],
+          'impressions': impressions,
+          'clicks': clicks,
+          'product': productData[flatRow['productView.id']],
+          'pendingLabel': dwell.pendingLabel,
+          'pendingRuns': dwell.pendingRuns
+        };
+        labelUpdates.push(labelUpdate);
+        if (config.exportLabels.includes(custom_label) &&
             productData[flatRow['productView.id']].availability ==
                 'in stock' &&
             checkStock(
-                productData[flatRow['productView.id']].stockQuantity)) {
-          let clicks = 0;
-          let impressions = 0;
+                productData[flatRow['productView.id']].stockQuantity,
+                config)) {
+          labelUpdate.label = custom_label;
           let stock_quantity = '';
-          if (statsData[flatRow['productView.offerId']]) {
-            impressions =
-                statsData[flatRow['productView.offerId']].impressions;
-            clicks = statsData[flatRow['productView.offerId']].clicks;
-          }
           if (productData[flatRow['productView.id']]) {
             stock_quantity =
                 productData[flatRow['productView.id']].stockQuantity;
           }
           supplemental_feed.push(
               [flatRow['productView.offerId'], custom_label]);
-          if (STOCK_ENABLED) {
-            output.push([
-              flatRow['productView.offerId'], flatRow['productView.title'],
-              flatRow['productView.brand'],
-              flatRow['productView.priceMicros'] / 1000000,
-              flatRow['productView.currencyCode'],
-              flatRow['priceCompetitiveness.countryCode'],
-              flatRow['priceCompetitiveness.benchmarkPriceMicros'] / 1000000,
-              relativePrice, custom_label, impressions, clicks, stock_quantity
-            ]);
+          let outputRow = [
+            flatRow['productView.offerId'], flatRow['productView.title'],
+            flatRow['productView.brand'],
+            flatRow['productView.priceMicros'] / 1000000,
+            flatRow['productView.currencyCode'],
+            flatRow['priceCompetitiveness.countryCode'],
+            flatRow['priceCompetitiveness.benchmarkPriceMicros'] / 1000000,
+            relativePrice, custom_label, impressions, clicks
+          ];
+          if (config.adsProductMetrics) {
+            const metrics = adsData[productMetricsKey(
+                data.account, data.market.country,
+                flatRow['productView.offerId'])];
+            outputRow.push.apply(outputRow, metrics ? [
+              metrics.cost, metrics.conversions, metrics.conversionsValue,
+              metrics.cost > 0 ? metrics.conversionsValue / metrics.cost : ''
+            ] : [0, 0, 0, '']);
           }
-          else {
-            output.push([
-              flatRow['productView.offerId'], flatRow['productView.title'],
-              flatRow['productView.brand'],
-              flatRow['productView.priceMicros'] / 1000000,
-              flatRow['productView.currencyCode'],
-              flatRow['priceCompetitiveness.countryCode'],
-              flatRow['priceCompetitiveness.benchmarkPriceMicros'] / 1000000,
-              relativePrice, custom_label, impressions, clicks
-            ]);
+          if (groupItems) {
+            outputRow.push(itemGroupId || '', labelPrice);
+          }
+          if (config.stockEnabled) {
+            outputRow.push(stock_quantity);
+          }
+          if (config.mcaEnabled) {
+            outputRow.push(account);
           }
+          output.push(outputRow);
         }
       }
     });
-    pushToSheets('benchmark data', output, RANGE_BENCHMARK);
-    if (ACTIVATE_LABELS) {
-      pushToSheets(
-          'output - supplemental feed', supplemental_feed, RANGE_OUTPUT);
+    if (groupItems) {
+      getVariantLabels(data, config).forEach(function(variant) {
+        if (variant.label != '') {
+          supplemental_feed.push([variant.offerId, variant.label]);
+        }
+      });
+    }
+  });
+  if (marketData.length > 0) {
+    pushToSheets(BENCHMARK_SHEET, output, UPDATED_AT_BENCHMARK);
+    trackLabelChanges(labelUpdates.filter(function(update) {
+      return update.label != '';
+    }), runId);
+    if (config.activateLabels) {
+      const feedNames = Object.keys(supplementalFeeds);
+      feedNames.forEach(function(feedName, i) {
+        const sheetName = feedNames.length > 1 || config.mcaEnabled ?
+            SUPPLEMENTAL_FEED_SHEET + ' - ' + feedName :
+            SUPPLEMENTAL_FEED_SHEET;
+        pushToSheets(
+            sheetName, supplementalFeeds[feedName], UPDATED_AT_OUTPUT);
+      });
     }
   }
   else {
     Logger.log('No price benchmark data retrieved');
   }
+  return labelUpdates;
+}
+/**
+ * Names a market in the supplemental feed tabs.
+ *
+ * This function names the market by its country, followed by its currency if
+ * the country is configured with several currencies, so that each market keeps
+ * a feed of its own.
+ *
+ * @param {!Object} market The market, with its `country` and `currency`.
+ * @param {!Object} config The configuration, as returned by `readConfig`.
+ * @return {string} The name of the market.
+ */
+function getMarketName(market, config) {
+  const currencies = config.markets.filter(function(other) {
+    return other.country == market.country;
+  });
+  return currencies.length > 1 ? market.country + ' - ' + market.currency :
+                                 market.country;
 }
 /**
  * Clears a specified sheet and writes data to it, updating a timestamp.
  *
- * This function takes a 2D array of data, clears the specified sheet in the
- * spreadsheet, writes the data to the sheet starting from cell A1, and updates a
- * range that stores a timestamp indicating when the sheet was last updated.
+ * This function takes a 2D array of data, clears the specified sheet (creating
+ * it if it doesn't exist yet), writes the data to the sheet starting from cell
+ * A1, and updates a range that stores a timestamp indicating when the sheet was
+ * last updated. The sheet is written through the sheet writer of the
+ * environment returned by `getEnv`.
  *
  * @param {string} sheetName - The name of the sheet to update.
  * @param {!Array} data - A 2D array containing the data to write to the sheet.
- * @param {!Range} updatedAtRange - The range where the timestamp of the last update should be recorded.
- * @global {Spreadsheet} SPREADSHEET - The global Spreadsheet object representing the current spreadsheet.
+ * @param {string=} updatedAtRangeName - Optional name of the range where the timestamp of the last update should be recorded.
+ */
+function pushToSheets(sheetName, data, updatedAtRangeName) {
+  getEnv().sheets.write(sheetName, data, updatedAtRangeName);
+}
+/**
+ * Appends rows at the end of a sheet, creating the sheet with a header row if
+ * it doesn't exist yet.
+ *
+ * @param {string} sheetName - The name of the sheet to append to.
+ * @param {!Array<string>} headers - The header row of the sheet.
+ * @param {!Array<!Array>} rows - A 2D array containing the rows to append.
  */
-function pushToSheets(sheetName, data, updatedAtRange) {
-  let sheet = SPREADSHEET.getSheetByName(sheetName);
-  sheet.clear();
-  sheet.getRange(1, 1, data.length, data[0].length).setValues(data);
-  let currentTimeZone = Session.getScriptTimeZone();
-  let updatedAt =
-      Utilities.formatDate(new Date(), currentTimeZone, 'yyyy-MM-dd HH:mm:ss');
-  updatedAtRange.setValue(updatedAt);
+function appendToSheet(sheetName, headers, rows) {
+  getEnv().sheets.append(sheetName, headers, rows);
 }
 /**
  * Checks if a product is in stock based on stock information and a threshold.
  *
  * This function evaluates the provided stock information. If stock tracking is
- * disabled (`STOCK_ENABLED` is false), it always returns `true`. If stock
+ * disabled (`stockEnabled` is false), it always returns `true`. If stock
  * tracking is enabled, it compares the stock quantity to the
- * `STOCK_THRESHOLD` and returns `true` if the quantity meets or exceeds
+ * `stockThreshold` and returns `true` if the quantity meets or exceeds
  * the threshold, otherwise `false`.
  *
  * Note: The function handles cases where `stockInfo` is not a number or is
  * an empty string by treating it as zero.
  *
  * @param {number|string} stockInfo - The stock quantity of a product.
- * @global {boolean} STOCK_ENABLED - A global flag indicating if stock information should be considered.
- * @global {number} STOCK_THRESHOLD - A global value representing the minimum stock quantity for a product to be considered in stock.
+ * @param {!Object} config - The configuration, as returned by `readConfig`, with:
+ *   - `stockEnabled`: A flag indicating if stock information should be considered.
+ *   - `stockThreshold`: The minimum stock quantity for a product to be considered in stock.
  * @return {boolean} `true` if the product is considered in stock, `false` otherwise.
  */
-function checkStock(stockInfo) {
+function checkStock(stockInfo, config) {
   if (isNaN(stockInfo) || stockInfo == '') {
     stockInfo = 0;
   }
-  if (!STOCK_ENABLED) {
+  if (!config.stockEnabled) {
     return true;
   }
-  if (STOCK_ENABLED && stockInfo >= STOCK_THRESHOLD) {
+  if (config.stockEnabled && stockInfo >= config.stockThreshold) {
     return true;
   }
-  if (STOCK_ENABLED && stockInfo < STOCK_THRESHOLD) {
+  if (config.stockEnabled && stockInfo < config.stockThreshold) {
     return false;
   } else {
     return true;
@@ -0,0 +1,405 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Access to the Merchant API, exposing the same methods as MerchantCenterAPI.
+ *
+ * Responses are normalized to the shape returned by the Content API, so the
+ * rest of the solution doesn't need to know which API produced them.
+ *
+ * @class MerchantAPI
+ * @constructor
+ * @param {string} token The OAuth token to be used to call the API
+ * @param {!HttpClient} client The HTTP client sending the calls
+ */
+function MerchantAPI(token, client) {
+  this.url = 'https://merchantapi.googleapis.com/';
+  this.token = token;
+  this.client = client;
+
+  /**
+   * Makes a call to the Merchant API
+   * @param {string} service The service to be called, including the sub-API
+   * @param {string} method The method to be called
+   * @param {string} payload The payload to be sent
+   * @return {!object} The response from the API, with the `ApiError` as
+   *     `error` if the call failed
+   */
+  this.call = function(service, method, payload) {
+    return this.callAll(
+        [{'service': service, 'method': method, 'payload': payload}])[0];
+  };
+
+  /**
+   * Makes several calls to the Merchant API in parallel, in groups of
+   * `MERCHANT_API_PARALLEL_CALLS`
+   * @param {!Array<!object>} calls The calls to be made, each with the
+   *     `service`, `method` and `payload` arguments of `call`
+   * @return {!Array<!object>} The responses from the API, in the same order,
+   *     with the `ApiError` as `error` for the calls that failed
+   */
+  this.callAll = function(calls) {
+    const requests = calls.map((call) => {
+      const request = this.params(call.method, call.payload);
+      request.url = this.url + call.service;
+      return request;
+    });
+    let responses = [];
+    for (let i = 0; i < requests.length; i += MERCHANT_API_PARALLEL_CALLS) {
+      responses = responses.concat(this.client.fetchAll(
+          requests.slice(i, i + MERCHANT_API_PARALLEL_CALLS)));
+    }
+    return responses.map(function(response) {
+      return response instanceof ApiError ? {'error': response} : response;
+    });
+  };
+
+  /**
+   * Builds the request parameters of a call
+   * @param {string} method The method to be called
+   * @param {string} payload The payload to be sent
+   * @return {!object} The request parameters
+   */
+  this.params = function(method, payload) {
+    const params = {
+      method: method,
+      contentType: 'application/json',
+      headers: {Authorization: 'Bearer ' + this.token}
+    };
+    if (payload != '') {
+      params.payload = JSON.stringify(payload);
+    }
+    return params;
+  };
+}
+
+/**
+ * Fetches reports from the Merchant API Reports sub-API.
+ * @function getReport
+ * @memberof MerchantAPI
+ * @param {string} mcId - The Merchant Center ID.
+ * @param {!object} entries - The report query parameters.
+ * @return {!object} - The report data, with rows in the Content API shape.
+ */
+MerchantAPI.prototype.getReport = function(mcId, entries) {
+  const params = {'query': entries.query, 'pageSize': entries.pageSize};
+  if (entries.pageToken) {
+    params.pageToken = entries.pageToken;
+  }
+  const response = this.call(
+      'reports/v1/accounts/' + mcId + '/reports:search', 'post', params);
+  if (response.results) {
+    response.results = response.results.map(normalizeMerchantApiReportRow);
+  } else if (!response.error) {
+    // Unlike the Content API, empty reports come back without results.
+    response.results = [];
+  }
+  return response;
+};
+
+/**
+ * Gets a batch of products. The Merchant API has no batch method, so the
+ * products are fetched in parallel instead.
+ * @function custom_batch_get
+ * @memberof MerchantAPI
+ * @param {!object} entries - The batch request entries, as sent to the
+ *     Content API `products/batch` method.
+ * @return {!object} - The batch results, in the Content API shape.
+ */
+MerchantAPI.prototype.custom_batch_get = function(entries) {
+  const calls = entries.entries.map(function(entry) {
+    const productId = toMerchantApiProductId(entry.productId);
+    return {
+      'service': 'products/v1/accounts/' + entry.merchantId +
+          '/products/' + encodeURIComponent(productId),
+      'method': 'get',
+      'payload': ''
+    };
+  });
+  const responses = this.callAll(calls);
+  return {
+    'entries': responses.map(function(response, i) {
+      const batchId = entries.entries[i].batchId;
+      if (response.error) {
+        return {'batchId': batchId, 'errors': response.error};
+      }
+      return {
+        'batchId': batchId,
+        'product': normalizeMerchantApiProduct(response)
+      };
+    })
+  };
+};
+
+/**
+ * Lists the products of a Merchant Center account.
+ * @function listProducts
+ * @memberof MerchantAPI
+ * @param {string} mcId - The Merchant Center ID.
+ * @param {number} maxResults - The maximum number of results to return.
+ * @param {string} [nextPageToken] - Optional token for retrieving the next page
+ *     of results.
+ * @return {!object} - The products as `resources`, in the Content API shape.
+ */
+MerchantAPI.prototype.listProducts = function(
+    mcId, maxResults, nextPageToken) {
+  let service =
+      'products/v1/accounts/' + mcId + '/products?pageSize=' + maxResults;
+  if (nextPageToken) {
+    service += '&pageToken=' + encodeURIComponent(nextPageToken);
+  }
+  const response = this.call(service, 'get', '');
+  if (!response.error) {
+    response.resources =
+        (response.products || []).map(normalizeMerchantApiProduct);
+    delete response.products;
+  }
+  return response;
+};
+
+/**
+ * Sets the custom label of a batch of products, by inserting product inputs in
+ * a supplemental data source.
+ * @function custom_batch_set_labels
+ * @memberof MerchantAPI
+ * @param {!object} entries - The batch entries, each with `batchId`,
+ *     `merchantId`, `productId` and `label`.
+ * @param {number} labelNumber - The custom label (0-4) to set.
+ * @param {string} dataSource - The ID of the supplemental data source.
+ * @return {!object} - The batch results, in the Content API shape.
+ */
+MerchantAPI.prototype.custom_batch_set_labels = function(
+    entries, labelNumber, dataSource) {
+  if (!dataSource) {
+    throw new Error(
+        'A supplemental data source is required to push labels with the ' +
+        'Merchant API');
+  }
+  const calls = entries.entries.map(function(entry) {
+    const parts = entry.productId.split(':');
+    const attributes = {};
+    attributes['customLabel' + labelNumber] = entry.label;
+    let payload = {
+      'contentLanguage': parts[1],
+      'feedLabel': parts[2],
+      'offerId': parts.slice(3).join(':'),
+      'productAttributes': attributes
+    };
+    if (parts[0] == 'local') {
+      payload.legacyLocal = true;
+    }
+    return {
+      'service': 'products/v1/accounts/' + entry.merchantId +
+          '/productInputs:insert?dataSource=' +
+          encodeURIComponent(
+              'accounts/' + entry.merchantId + '/dataSources/' + dataSource),
+      'method': 'post',
+      'payload': payload
+    };
+  });
+  const responses = this.callAll(calls);
+  return {
+    'entries': responses.map(function(response, i) {
+      const batchId = entries.entries[i].batchId;
+      if (response.error) {
+        return {'batchId': batchId, 'errors': response.error};
+      }
+      return {'batchId': batchId, 'productInput': response};
+    })
+  };
+};
+
+/**
+ * Gets the information of a Merchant Center account.
+ * @function getAccount
+ * @memberof MerchantAPI
+ * @param {string} mcId - The Merchant Center ID.
+ * @return {!object} - The parsed JSON response containing the account.
+ */
+MerchantAPI.prototype.getAccount = function(mcId) {
+  return this.call('accounts/v1/accounts/' + mcId, 'get', '');
+};
+
+/**
+ * Lists the sub-accounts of a multi-client account.
+ * @function listSubAccounts
+ * @memberof MerchantAPI
+ * @param {string} mcId - The ID of the multi-client account.
+ * @param {number} maxResults - The maximum number of results to return.
+ * @param {string} [nextPageToken] - Optional token for retrieving the next page
+ *     of results.
+ * @return {!object} - The accounts as `resources`, each with its `id` and
+ *     `name`, in the Content API shape.
+ */
+MerchantAPI.prototype.listSubAccounts = function(
+    mcId, maxResults, nextPageToken) {
+  let service = 'accounts/v1/accounts/' + mcId +
+      ':listSubaccounts?pageSize=' + maxResults;
+  if (nextPageToken) {
+    service += '&pageToken=' + encodeURIComponent(nextPageToken);
+  }
+  const response = this.call(service, 'get', '');
+  if (!response.error) {
+    response.resources = (response.accounts || []).map(function(account) {
+      return {'id': account.accountId, 'name': account.accountName};
+    });
+    delete response.accounts;
+  }
+  return response;
+};
+
+/**
+ * Builds the report query returning the price benchmark of the products sold
+ * in a market.
+ * @function getBenchmarkQuery
+ * @memberof MerchantAPI
+ * @param {!object} market - The market, with its country and currency codes.
+ * @return {string} - The report query.
+ */
+MerchantAPI.prototype.getBenchmarkQuery = function(market) {
+  return 'SELECT id, offer_id, title, brand, price, report_country_code, ' +
+      'benchmark_price ' +
+      'FROM price_competitiveness_product_view ' +
+      'WHERE report_country_code = \'' + market.country + '\' ' +
+      'AND price.currency_code = \'' + market.currency + '\' ' +
+      'AND benchmark_price.currency_code = \'' + market.currency + '\'';
+};
+
+/**
+ * Builds the report query returning the impressions and clicks of a list of
+ * offers over a date range.
+ * @function getStatsQuery
+ * @memberof MerchantAPI
+ * @param {!Array<string>} offerIds - The offer IDs to get the statistics for.
+ * @param {string} country - The customer country to get the statistics for.
+ * @param {!Object} dateRange - The `startDate` and `endDate`, as yyyy-MM-dd.
+ * @return {string} - The report query.
+ */
+MerchantAPI.prototype.getStatsQuery = function(offerIds, country, dateRange) {
+  const idList = offerIds.map(function(offerId) {
+    return '\'' + offerId + '\'';
+  });
+  return 'SELECT offer_id, impressions, clicks ' +
+      'FROM product_performance_view ' +
+      'WHERE date BETWEEN \'' + dateRange.startDate + '\' AND \'' +
+      dateRange.endDate + '\' ' +
+      'AND impressions > 0 ' +
+      'AND offer_id IN (' + idList.join(',') + ') ' +
+      'AND customer_country_code = \'' + country + '\'';
+};
+
+/**
+ * Converts a Merchant API product REST ID (`language~feedLabel~offerId`, with a
+ * `local~` prefix for the local products) to the Content API format
+ * (`channel:language:feedLabel:offerId`).
+ * @param {string} restId - The Merchant API product ID.
+ * @return {string} - The Content API product ID.
+ */
+function toContentApiProductId(restId) {
+  let parts = restId.split('/').pop().split('~');
+  const channel = parts[0] == 'local' ? parts.shift() : 'online';
+  return [channel]
+      .concat(parts.slice(0, 2), parts.slice(2).join('~'))
+      .join(':');
+}
+
+/**
+ * Converts a Content API product ID (`channel:language:feedLabel:offerId`) to
+ * the Merchant API REST ID format (`language~feedLabel~offerId`, with a
+ * `local~` prefix for the local products).
+ * @param {string} productId - The Content API product ID.
+ * @return {string} - The Merchant API product ID.
+ */
+function toMerchantApiProductId(productId) {
+  const parts = productId.split(':');
+  const restParts = parts.slice(1, 3).concat(parts.slice(3).join(':'));
+  if (parts[0] == 'local') {
+    restParts.unshift('local');
+  }
+  return restParts.join('~');
+}
+
+/**
+ * Converts a Merchant API report row to the Content API report row shape.
+ * @param {!object} row - The Merchant API report row.
+ * @return {!object} - The report row, as returned by the Content API.
+ */
+function normalizeMerchantApiReportRow(row) {
+  if (row.priceCompetitivenessProductView) {
+    const view = row.priceCompetitivenessProductView;
+    const price = view.price || {};
+    const benchmarkPrice = view.benchmarkPrice || {};
+    return {
+      'productView': {
+        'id': toContentApiProductId(view.id),
+        'offerId': view.offerId,
+        'title': view.title,
+        'brand': view.brand,
+        'priceMicros': price.amountMicros,
+        'currencyCode': price.currencyCode
+      },
+      'priceCompetitiveness': {
+        'countryCode': view.reportCountryCode,
+        'benchmarkPriceMicros': benchmarkPrice.amountMicros,
+        'benchmarkPriceCurrencyCode': benchmarkPrice.currencyCode
+      }
+    };
+  } else if (row.productPerformanceView) {
+    const view = row.productPerformanceView;
+    return {
+      'segments': {'offerId': view.offerId},
+      'metrics': {'impressions': view.impressions, 'clicks': view.clicks}
+    };
+  }
+  return row;
+}
+
+/**
+ * Converts a Merchant API product to the Content API product shape.
+ * @param {!object} product - The Merchant API product.
+ * @return {!object} - The product, as returned by the Content API.
+ */
+function normalizeMerchantApiProduct(product) {
+  const normalized = Object.assign({}, product.productAttributes);
+  normalized.id = toContentApiProductId(product.name);
+  normalized.offerId = product.offerId;
+  if (normalized.availability) {
+    normalized.availability =
+        normalized.availability.toLowerCase().replace(/_/g, ' ');
+  }
+  if (normalized.costOfGoodsSold) {
+    normalized.costOfGoodsSold = {
+      'value': normalized.costOfGoodsSold.amountMicros / 1000000,
+      'currency': normalized.costOfGoodsSold.currencyCode
+    };
+  }
+  normalized.customAttributes = product.customAttributes || [];
+  return normalized;
+}
+
+/**
+ * Creates the client for the API selected in the control panel.
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @return {!MerchantCenterAPI|!MerchantAPI} - The API client.
+ */
+function createMerchantBackend(env) {
+  const token = env.tokens.getOAuthToken();
+  const client = createHttpClient(env);
+  if (env.config.merchantBackend == MERCHANT_BACKENDS.MERCHANT_API) {
+    return new MerchantAPI(token, client);
+  }
+  return new MerchantCenterAPI(token, client);
+}
@@ -18,42 +18,37 @@ limitations under the License.
  * @class MerchantCenterAPI
  * @constructor
  * @param {string} token The OAuth token to be used to call the API
+ * @param {!HttpClient} client The HTTP client sending the calls
  */
-function MerchantCenterAPI(token) {
+function MerchantCenterAPI(token, client) {
   this.url = 'https://shoppingcontent.googleapis.com/content/v2.1/';
   this.token = token;
+  this.client = client;
 
   /**
    * Makes a call to the Content API version 2.1
    * @param {string} service The service to be called
    * @param {string} method The method to be called
    * @param {string} payload The payload to be sent
-   * @return {!object} The response from the API
+   * @return {!object} The response from the API, with the `ApiError` as
+   *     `error` if the call failed
    */
   this.call = function(service, method, payload) {
-    if (payload == '') {
-      const params = {
-        method: method,
-        contentType: 'application/json',
-        headers: {Authorization: 'Bearer ' + this.token},
-        muteHttpExceptions: true
-      };
-
-      const response = UrlFetchApp.fetch(this.url + service, params);
-
-      return JSON.parse(response.getContentText());
-    } else {
-      let params = {
-        method: method,
-        payload: JSON.stringify(payload),
-        contentType: 'application/json',
-        headers: {Authorization: 'Bearer ' + this.token},
-        muteHttpExceptions: true
-      };
-
-      const response = UrlFetchApp.fetch(this.url + service, params);
-
-      return JSON.parse(response.getContentText());
+    let params = {
+      method: method,
+      contentType: 'application/json',
+      headers: {Authorization: 'Bearer ' + this.token}
+    };
+    if (payload != '') {
+      params.payload = JSON.stringify(payload);
+    }
+    try {
+      return this.client.fetch(this.url + service, params);
+    } catch (e) {
+      if (e instanceof ApiError) {
+        return {'error': e};
+      }
+      throw e;
     }
   };
 }
@@ -101,4 +96,124 @@ MerchantCenterAPI.prototype.getReport = function(mcId, entries) {
  */
 MerchantCenterAPI.prototype.custom_batch_get = function(entries) {
   return this.call('products/batch', 'post', entries);
-};
\ No newline at end of file
+};
+/**
+ * Sets the custom label of a batch of products.
+ * @function custom_batch_set_labels
+ * @memberof MerchantCenterAPI
+ * @param {!object} entries - The batch entries, each with `batchId`,
+ *     `merchantId`, `productId` and `label`.
+ * @param {number} labelNumber - The custom label (0-4) to set.
+ * @param {string} [feedId] - Optional supplemental feed ID to write the labels
+ *     to. Without it, the products are updated in place.
+ * @return {!object} - The parsed JSON response containing the batch results.
+ */
+MerchantCenterAPI.prototype.custom_batch_set_labels = function(
+    entries, labelNumber, feedId) {
+  const attribute = 'customLabel' + labelNumber;
+  const batchEntries = entries.entries.map(function(entry) {
+    const product = {};
+    product[attribute] = entry.label;
+    if (feedId) {
+      const parts = entry.productId.split(':');
+      product.channel = parts[0];
+      product.contentLanguage = parts[1];
+      product.feedLabel = parts[2];
+      product.offerId = parts.slice(3).join(':');
+      return {
+        'batchId': entry.batchId,
+        'merchantId': entry.merchantId,
+        'method': 'insert',
+        'feedId': feedId,
+        'product': product
+      };
+    }
+    return {
+      'batchId': entry.batchId,
+      'merchantId': entry.merchantId,
+      'method': 'update',
+      'productId': entry.productId,
+      'product': product,
+      'updateMask': attribute
+    };
+  });
+  return this.call('products/batch', 'post', {'entries': batchEntries});
+};
+
+/**
+ * Builds the report query returning the price benchmark of the products sold
+ * in a market.
+ * @function getBenchmarkQuery
+ * @memberof MerchantCenterAPI
+ * @param {!object} market - The market, with its country and currency codes.
+ * @return {string} - The report query.
+ */
+MerchantCenterAPI.prototype.getBenchmarkQuery = function(market) {
+  return 'SELECT product_view.id, product_view.offer_id, ' +
+      'product_view.title, product_view.brand,  ' +
+      'product_view.price_micros, product_view.currency_code, ' +
+      'price_competitiveness.country_code, ' +
+      'price_competitiveness.benchmark_price_micros, ' +
+      'price_competitiveness.benchmark_price_currency_code ' +
+      'FROM PriceCompetitivenessProductView ' +
+      'WHERE price_competitiveness.country_code = ' +
+      '\'' + market.country + '\' ' +
+      'AND product_view.currency_code = \'' + market.currency + '\' ' +
+      'AND price_competitiveness.benchmark_price_currency_code = \'' +
+      market.currency + '\'';
+};
+
+/**
+ * Builds the report query returning the impressions and clicks of a list of
+ * offers over a date range.
+ * @function getStatsQuery
+ * @memberof MerchantCenterAPI
+ * @param {!Array<string>} offerIds - The offer IDs to get the statistics for.
+ * @param {string} country - The customer country to get the statistics for.
+ * @param {!Object} dateRange - The `startDate` and `endDate`, as yyyy-MM-dd.
+ * @return {string} - The report query.
+ */
+MerchantCenterAPI.prototype.getStatsQuery = function(
+    offerIds, country, dateRange) {
+  const idList = offerIds.map(function(offerId) {
+    return '\'' + offerId + '\'';
+  });
+  return 'SELECT segments.offer_id, metrics.impressions, metrics.clicks ' +
+      'FROM MerchantPerformanceView ' +
+      'WHERE segments.date BETWEEN \'' + dateRange.startDate + '\' AND \'' +
+      dateRange.endDate + '\' ' +
+      'AND metrics.impressions > 0 ' +
+      'AND segments.offer_id IN (' + idList.join(',') + ') ' +
+      'AND segments.customer_country_code = \'' + country + '\'';
+};
+
+/**
+ * Gets the information of a Merchant Center account.
+ * @function getAccount
+ * @memberof MerchantCenterAPI
+ * @param {string} mcId - The Merchant Center ID.
+ * @return {!object} - The parsed JSON response containing the account.
+ */
+MerchantCenterAPI.prototype.getAccount = function(mcId) {
+  return this.call(mcId + '/accounts/' + mcId, 'get', '');
+};
+
+/**
+ * Lists the sub-accounts of a multi-client account.
+ * @function listSubAccounts
+ * @memberof MerchantCenterAPI
+ * @param {string} mcId - The ID of the multi-client account.
+ * @param {number} maxResults - The maximum number of results to return.
+ * @param {string} [nextPageToken] - Optional token for retrieving the next page
+ *     of results.
+ * @return {!object} - The parsed JSON response, with the accounts as
+ *     `resources`.
+ */
+MerchantCenterAPI.prototype.listSubAccounts = function(
+    mcId, maxResults, nextPageToken) {
+  let service = mcId + '/accounts?maxResults=' + maxResults;
+  if (nextPageToken) {
+    service += '&pageToken=' + encodeURIComponent(nextPageToken);
+  }
+  return this.call(service, 'get', '');
+};
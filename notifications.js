@@ -0,0 +1,201 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Runs an entry point of the solution, and sends an alert if it throws. The
+ * error is thrown again, so the execution still shows as failed.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {function()} entryPoint - The entry point.
+ * @param {string=} job - What failed, e.g. 'Ads report', if it isn't a run of
+ *     the visibility booster.
+ */
+function runWithFailureAlert(env, entryPoint, job) {
+  try {
+    entryPoint();
+  } catch (e) {
+    sendFailureAlert(env, e, job);
+    throw e;
+  }
+}
+
+/**
+ * Summarizes a completed run of the visibility booster.
+ *
+ * @param {!Object} run - The run.
+ * @param {!Array<!Object>} labelUpdates - The benchmarked products, as
+ *     returned by `mergeData`.
+ * @param {!Array<string>} errors - What went wrong without stopping the run,
+ *     e.g. a skipped sub-account.
+ * @param {?Object=} movers - The benchmark movers, as returned by
+ *     `trackBenchmarkMovers`, if they're tracked.
+ * @return {!Object} The summary, with the `startedAt` time of the run, its
+ *     `runtimeMs` and number of `executions`, the number of benchmarked
+ *     `offers`, the number of offers of each label as `labels`, the number of
+ *     `unlabeled` offers, the label `changes` since the previous run, see
+ *     `countLabelChanges`, the `errors`, and the benchmark `movers`.
+ */
+function summarizeRun(run, labelUpdates, errors, movers) {
+  let labels = {};
+  let unlabeled = 0;
+  labelUpdates.forEach(function(update) {
+    if (update.label == '') {
+      unlabeled++;
+    } else {
+      labels[update.label] = (labels[update.label] || 0) + 1;
+    }
+  });
+  return {
+    'startedAt': run.state.startedAt,
+    'runtimeMs': Date.now() - Date.parse(run.state.startedAt),
+    'executions': run.state.executions,
+    'offers': labelUpdates.length,
+    'labels': labels,
+    'unlabeled': unlabeled,
+    'changes': labelUpdates.length > 0 ? countLabelChanges() :
+                                         {'new': 0, 'changed': 0, 'removed': 0},
+    'errors': errors,
+    'movers': movers || null
+  };
+}
+
+/**
+ * Sends the summary of a completed run to the configured recipients.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {!Object} summary - The summary, as returned by `summarizeRun`.
+ */
+function sendRunSummary(env, summary) {
+  let lines = [
+    'Started: ' + formatTimestamp(summary.startedAt),
+    'Runtime: ' + formatDuration(summary.runtimeMs) + ' in ' +
+        summary.executions + ' execution(s)',
+    'Offers benchmarked: ' + summary.offers, 'Offers labeled:'
+  ];
+  Object.keys(summary.labels).forEach(function(label) {
+    lines.push('  - ' + label + ': ' + summary.labels[label]);
+  });
+  lines.push('  - Unlabeled: ' + summary.unlabeled);
+  lines.push(
+      'Label changes since the last run: ' + summary.changes.new + ' new, ' +
+      summary.changes.changed + ' changed, ' + summary.changes.removed +
+      ' removed');
+  if (summary.movers) {
+    const movers = summary.movers;
+    lines.push(
+        'Benchmark movers since ' + movers.since + ': ' + movers.dropped +
+            ' dropped, ' + movers.rose + ' rose by more than ' +
+            formatBound(movers.threshold),
+        'Labels changed by a benchmark move alone: ' + movers.crossed);
+    if (movers.brands.length > 0) {
+      lines.push('Brands with the largest benchmark moves:');
+      movers.brands.forEach(function(change) {
+        lines.push(
+            '  - ' + change.brand + ': ' +
+            (change.benchmarkChange > 0 ? '+' : '') +
+            formatBound(change.benchmarkChange) + ' over ' +
+            change.offers + ' offer(s)');
+      });
+    }
+  }
+  if (summary.errors.length == 0) {
+    lines.push('Errors: none');
+  } else {
+    lines.push('Errors:');
+    summary.errors.forEach(function(error) {
+      lines.push('  - ' + error);
+    });
+  }
+  const status = summary.errors.length == 0 ?
+      'run completed' :
+      'run completed with ' + summary.errors.length + ' error(s)';
+  sendNotification(env, NOTIFICATION_TITLE + ': ' + status, lines.join('\n'));
+}
+
+/**
+ * Sends an alert about a run that stopped on an error. The alert of a run of
+ * the visibility booster has its progress, if it can be resumed.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {!Error} error - The error.
+ * @param {string=} job - What failed, if it isn't a run of the visibility
+ *     booster.
+ */
+function sendFailureAlert(env, error, job) {
+  let lines = ['Error: ' + error.message];
+  const state = job ? null : loadRunState(env.properties);
+  if (state) {
+    lines.push(
+        'Started: ' + formatTimestamp(state.startedAt),
+        'Stopped in phase: ' + state.phase,
+        'Run resumeVisibilityBooster to continue from the last saved step.');
+  }
+  sendNotification(
+      env, NOTIFICATION_TITLE + ': ' + (job || 'run') + ' failed',
+      lines.join('\n'));
+}
+
+/**
+ * Sends a message by email and to the webhook, whichever are configured. A
+ * failed delivery is logged, so it never fails the run.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {string} subject - The subject of the message.
+ * @param {string} text - The text of the message.
+ */
+function sendNotification(env, subject, text) {
+  const config = env.config;
+  if (config.notificationEmail) {
+    try {
+      env.mail.sendEmail(config.notificationEmail, subject, text);
+    } catch (e) {
+      Logger.log('Couldn\'t send the notification email: ' + e.message);
+    }
+  }
+  if (config.notificationWebhook) {
+    try {
+      // The `text` field is understood by Google Chat and Slack webhooks.
+      createHttpClient(env).fetch(config.notificationWebhook, {
+        'method': 'post',
+        'contentType': 'application/json',
+        'payload': JSON.stringify({'text': '*' + subject + '*\n' + text}),
+        // A retried message could be posted twice.
+        'idempotent': false
+      });
+    } catch (e) {
+      Logger.log('Couldn\'t send the notification webhook: ' + e.message);
+    }
+  }
+}
+
+/**
+ * @param {string} timestamp - An ISO 8601 timestamp.
+ * @return {string} The timestamp in the script time zone, as
+ *     yyyy-MM-dd HH:mm:ss.
+ */
+function formatTimestamp(timestamp) {
+  return Utilities.formatDate(
+      new Date(timestamp), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+}
+
+/**
+ * @param {number} milliseconds - A duration.
+ * @return {string} The duration in minutes and seconds, e.g. '3 min 12 s'.
+ */
+function formatDuration(milliseconds) {
+  const seconds = Math.round(milliseconds / 1000);
+  return Math.floor(seconds / 60) + ' min ' + seconds % 60 + ' s';
+}
@@ -0,0 +1,306 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Writes the price recommendations of the offers priced above the At benchmark
+ * label to the 'price recommendations' tab: the highest prices getting the At
+ * and Below benchmark labels, how far they are from the current price, and
+ * the clicks the offer could get at benchmark.
+ *
+ * Prices under the floor of an offer, the highest of its cost and of the
+ * minimum price custom attribute, aren't recommended. Only the offers in stock
+ * are recommended. The prices approved in the `approved_price` column are kept
+ * for the offers still recommended, as long as their price didn't change.
+ *
+ * @param {!Array<!Object>} labelUpdates - The labels returned by `mergeData`.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ */
+function writePriceRecommendations(labelUpdates, config) {
+  const atBound = getTargetBound(
+      config, config.atBenchmarkName, config.atBenchmarkRule);
+  const belowBound = getTargetBound(
+      config, config.belowBenchmarkName, config.belowBenchmarkRule);
+  if (atBound === null) {
+    Logger.log(
+        'No price recommendations: the "' + config.atBenchmarkName +
+        '" label has no upper bound');
+    return;
+  }
+  const approvals = readApprovedPrices();
+  const clickRates = getClickRatesAtBenchmark(labelUpdates, atBound);
+  let rows = [PRICE_RECOMMENDATIONS_HEADERS];
+  labelUpdates.forEach(function(update) {
+    if (update.relativePrice < atBound ||
+        update.product.availability != 'in stock' ||
+        !checkStock(update.product.stockQuantity, config)) {
+      return;
+    }
+    const floor = getFloorPrice(update.product);
+    const atPrice = getTargetPrice(update.benchmarkPrice, atBound, floor);
+    const belowPrice = belowBound === null ?
+        null :
+        getTargetPrice(update.benchmarkPrice, belowBound, floor);
+    let constraints = [];
+    if (atPrice.underFloor) {
+      constraints.push('At benchmark price under the floor');
+    }
+    if (belowPrice && belowPrice.underFloor) {
+      constraints.push('Below benchmark price under the floor');
+    }
+    const approval = approvals[recommendationKey(
+        update.account, update.country, update.offerId)];
+    const clickRate = clickRates[update.account + '/' + update.country];
+    rows.push([
+      update.productId, update.offerId, update.country, update.account,
+      update.title, update.price, update.currency, update.benchmarkPrice,
+      update.relativePrice, update.label
+    ].concat(getPriceChange(atPrice, update.price))
+        .concat(getPriceChange(belowPrice, update.price))
+        .concat([
+          floor, constraints.join(', '), Number(update.impressions),
+          Number(update.clicks),
+          clickRate === undefined ?
+              '' :
+              Math.round(update.impressions * clickRate),
+          approval && approval.price == update.price ? approval.approved : ''
+        ]));
+  });
+  pushToSheets(PRICE_RECOMMENDATIONS_SHEET, rows, UPDATED_AT_OUTPUT);
+  Logger.log((rows.length - 1) + ' price recommendations');
+}
+
+/**
+ * Writes the prices approved in the 'price recommendations' tab as the
+ * `sale_price` of the offers, to the 'output - sale price feed' tab. Like the
+ * supplemental feed, one tab is written per country when more than one market
+ * is configured, and per sub-account with a multi-client account.
+ *
+ * Approved prices under the floor of the offer are skipped.
+ */
+function exportSalePriceFeed() {
+  const env = getEnv();
+  const config = env.config;
+  const sheets = env.sheets;
+  const lastRow = sheets.getLastRow(PRICE_RECOMMENDATIONS_SHEET);
+  if (lastRow < 2) {
+    Logger.log('No price recommendations to export');
+    return;
+  }
+  const column = columnIndexes(PRICE_RECOMMENDATIONS_HEADERS);
+  let feeds = {};
+  let skipped = [];
+  sheets
+      .read(
+          PRICE_RECOMMENDATIONS_SHEET, 2, lastRow - 1,
+          PRICE_RECOMMENDATIONS_HEADERS.length)
+      .forEach(function(row) {
+        const approved = parseFloat(row[column.approved_price]);
+        if (!(approved > 0)) {
+          return;
+        }
+        if (row[column.floor_price] !== '' &&
+            approved < Number(row[column.floor_price])) {
+          skipped.push(row[column.offer_id]);
+          return;
+        }
+        const feedName = getSalePriceFeedName(
+            String(row[column.account]), row[column.country], config);
+        feeds[feedName] = feeds[feedName] || [['id', 'sale_price']];
+        feeds[feedName].push([
+          row[column.offer_id],
+          approved.toFixed(2) + ' ' + row[column.currency]
+        ]);
+      });
+  if (skipped.length > 0) {
+    Logger.log(
+        'Approved prices under the floor, skipped: ' + skipped.join(', '));
+  }
+  Object.keys(feeds).forEach(function(feedName) {
+    pushToSheets(feedName, feeds[feedName], UPDATED_AT_OUTPUT);
+    Logger.log(
+        (feeds[feedName].length - 1) + ' sale prices written to ' + feedName);
+  });
+}
+
+/**
+ * Returns the upper bound of the relative price of a label: a price is given
+ * the label when its relative price is below it.
+ *
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @param {string} labelName - The name of the label.
+ * @param {number} rule - The threshold of the label, used without tiers.
+ * @return {?number} The bound, or null if the label has none.
+ */
+function getTargetBound(config, labelName, rule) {
+  if (config.labelTiers.length > 0) {
+    const tier = config.labelTiers.find(function(tier) {
+      return tier.name == labelName;
+    });
+    return tier && isFinite(tier.to) ? tier.to : null;
+  }
+  return isNaN(rule) ? null : rule;
+}
+
+/**
+ * Computes the highest price, to the cent, below a relative price bound.
+ *
+ * @param {number} benchmarkPrice - The benchmark price.
+ * @param {number} bound - The upper bound of the relative price, excluded.
+ * @param {number|string} floor - The floor price, or '' if there's none.
+ * @return {!Object} The `price`, and whether it's `underFloor`.
+ */
+function getTargetPrice(benchmarkPrice, bound, floor) {
+  // Rounded first, so that 100 * 1.05 is 105 rather than 105.00000000000001.
+  const limit = Math.round(benchmarkPrice * (1 + bound) * 100 * 1e6) / 1e6;
+  const price = (Math.ceil(limit) - 1) / 100;
+  return {
+    'price': price,
+    'underFloor': price <= 0 || (floor !== '' && price < floor)
+  };
+}
+
+/**
+ * Formats a target price with its change from the current price.
+ *
+ * @param {?Object} target - The target price, as returned by `getTargetPrice`.
+ * @param {number} price - The current price.
+ * @return {!Array} The target price, the absolute and the relative change, all
+ *     empty if there's no target or it's under the floor.
+ */
+function getPriceChange(target, price) {
+  if (!target || target.underFloor) {
+    return ['', '', ''];
+  }
+  return [
+    target.price, Math.round((target.price - price) * 100) / 100,
+    target.price / price - 1
+  ];
+}
+
+/**
+ * Returns the lowest price an offer can be sold at.
+ *
+ * @param {!Object} product - The product data, see `getProductData`.
+ * @return {number|string} The highest of the cost and the minimum price, or ''
+ *     if the product has neither.
+ */
+function getFloorPrice(product) {
+  const floors = [product.cost, product.minPrice].filter(function(value) {
+    return typeof value == 'number' && !isNaN(value);
+  });
+  return floors.length > 0 ? Math.max.apply(null, floors) : '';
+}
+
+/**
+ * Computes the click-through rate of the offers priced at or below benchmark,
+ * in each market, to estimate the clicks of the offers reaching it.
+ *
+ * @param {!Array<!Object>} labelUpdates - The labels returned by `mergeData`.
+ * @param {number} atBound - The upper bound of the At benchmark label.
+ * @return {!Object} The click-through rate, keyed by account and country, for
+ *     the markets where these offers had impressions.
+ */
+function getClickRatesAtBenchmark(labelUpdates, atBound) {
+  let totals = {};
+  labelUpdates.forEach(function(update) {
+    if (update.relativePrice >= atBound) {
+      return;
+    }
+    const key = update.account + '/' + update.country;
+    totals[key] = totals[key] || {'impressions': 0, 'clicks': 0};
+    totals[key].impressions += Number(update.impressions);
+    totals[key].clicks += Number(update.clicks);
+  });
+  let rates = {};
+  Object.keys(totals).forEach(function(key) {
+    if (totals[key].impressions > 0) {
+      rates[key] = totals[key].clicks / totals[key].impressions;
+    }
+  });
+  return rates;
+}
+
+/**
+ * Reads the prices approved in the 'price recommendations' tab.
+ *
+ * @return {!Object} The `approved` price and the current `price` it was
+ *     approved for, keyed by `recommendationKey`.
+ */
+function readApprovedPrices() {
+  const sheets = getEnv().sheets;
+  const lastRow = sheets.getLastRow(PRICE_RECOMMENDATIONS_SHEET);
+  const column = columnIndexes(PRICE_RECOMMENDATIONS_HEADERS);
+  let approvals = {};
+  sheets
+      .read(
+          PRICE_RECOMMENDATIONS_SHEET, 2, lastRow - 1,
+          PRICE_RECOMMENDATIONS_HEADERS.length)
+      .forEach(function(row) {
+        if (row[column.approved_price] !== '') {
+          approvals[recommendationKey(
+              String(row[column.account]), row[column.country],
+              String(row[column.offer_id]))] = {
+            'approved': row[column.approved_price],
+            'price': Number(row[column.current_price])
+          };
+        }
+      });
+  return approvals;
+}
+
+/**
+ * Names the sale price feed tab of a market.
+ *
+ * @param {string} account - The sub-account, or '' without a multi-client
+ *     account.
+ * @param {string} country - The country of the market.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {string} The tab name.
+ */
+function getSalePriceFeedName(account, country, config) {
+  let parts = [SALE_PRICE_FEED_SHEET];
+  if (config.mcaEnabled) {
+    parts.push(account);
+  }
+  if (config.markets.length > 1) {
+    parts.push(country);
+  }
+  return parts.join(' - ');
+}
+
+/**
+ * Builds the key of an offer in the 'price recommendations' tab.
+ *
+ * @param {string} account - The sub-account, or ''.
+ * @param {string} country - The country of the market.
+ * @param {string} offerId - The offer ID.
+ * @return {string} The key.
+ */
+function recommendationKey(account, country, offerId) {
+  return [account, country, offerId].join('/');
+}
+
+/**
+ * Maps each header to its column index.
+ *
+ * @param {!Array<string>} headers - The header row.
+ * @return {!Object} The index of each column, keyed by header.
+ */
+function columnIndexes(headers) {
+  return Object.fromEntries(headers.map(function(header, i) {
+    return [header, i];
+  }));
+}
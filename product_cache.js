@@ -0,0 +1,171 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Product data kept between runs, keyed by account and product ID, so products
+ * fetched recently aren't fetched again.
+ *
+ * Each row of the 'product cache' tab holds the Merchant Center account, a
+ * product ID, when it was fetched, and the data returned by `getProductData`
+ * as JSON. New rows are appended, so the last row of a product wins, until
+ * `compact` rewrites the tab. Entries older than `maxAgeDays` are ignored.
+ * With a maximum age of 0 the cache is disabled: nothing is read or written.
+ */
+class ProductCache {
+  /**
+   * @param {!Object} sheets - The sheet writer, see `getEnv`.
+   * @param {number} maxAgeDays - The number of days an entry is used for.
+   */
+  constructor(sheets, maxAgeDays) {
+    this.sheets = sheets;
+    this.maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+    this.entries = null;
+  }
+
+  /**
+   * @return {boolean} Whether the cache is used.
+   */
+  isEnabled() {
+    return this.maxAgeMs > 0;
+  }
+
+  /**
+   * Returns the cached data of a product.
+   *
+   * @param {string} merchantId - The account of the product.
+   * @param {string} productId - The product ID.
+   * @return {?Object} The product data, or null if it's missing or too old.
+   *     Entries cached before the item group was added to the product data
+   *     are too old too.
+   */
+  get(merchantId, productId) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    const entry = this.load()[cacheKey(merchantId, productId)];
+    if (!entry || Date.now() - entry.fetchedAt > this.maxAgeMs ||
+        entry.data.itemGroupId === undefined) {
+      return null;
+    }
+    return entry.data;
+  }
+
+  /**
+   * Adds freshly fetched products to the cache.
+   *
+   * @param {string} merchantId - The account of the products.
+   * @param {!Object} products - The product data, keyed by product ID.
+   */
+  add(merchantId, products) {
+    if (!this.isEnabled()) {
+      return;
+    }
+    const entries = this.load();
+    const fetchedAt = new Date();
+    const rows = Object.keys(products).map(function(productId) {
+      entries[cacheKey(merchantId, productId)] = {
+        'merchantId': merchantId,
+        'productId': productId,
+        'fetchedAt': fetchedAt.getTime(),
+        'data': products[productId]
+      };
+      return [
+        merchantId, productId, fetchedAt.toISOString(),
+        JSON.stringify(products[productId])
+      ];
+    });
+    this.sheets.append(PRODUCT_CACHE_SHEET, PRODUCT_CACHE_HEADERS, rows);
+  }
+
+  /**
+   * Removes products from the cache, e.g. after changing them. The tab keeps
+   * them until `compact` rewrites it.
+   *
+   * @param {string} merchantId - The account of the products.
+   * @param {!Array<string>} productIds - The product IDs.
+   */
+  forget(merchantId, productIds) {
+    if (!this.isEnabled()) {
+      return;
+    }
+    const entries = this.load();
+    productIds.forEach(function(productId) {
+      delete entries[cacheKey(merchantId, productId)];
+    });
+  }
+
+  /**
+   * Rewrites the tab with the latest entry of each product, leaving out the
+   * ones too old to be used and the forgotten ones.
+   */
+  compact() {
+    if (!this.isEnabled()) {
+      return;
+    }
+    const now = Date.now();
+    const entries = this.load();
+    let rows = [PRODUCT_CACHE_HEADERS];
+    Object.values(entries).forEach((entry) => {
+      if (now - entry.fetchedAt <= this.maxAgeMs) {
+        rows.push([
+          entry.merchantId, entry.productId,
+          new Date(entry.fetchedAt).toISOString(), JSON.stringify(entry.data)
+        ]);
+      }
+    });
+    this.sheets.write(PRODUCT_CACHE_SHEET, rows);
+    Logger.log((rows.length - 1) + ' products in the product cache');
+  }
+
+  /**
+   * Reads the tab on first use.
+   *
+   * @return {!Object} The latest entry of each product, with its
+   *     `merchantId`, `productId`, `fetchedAt` time and `data`, keyed by
+   *     `cacheKey`.
+   */
+  load() {
+    if (!this.entries) {
+      this.entries = {};
+      const lastRow = this.sheets.getLastRow(PRODUCT_CACHE_SHEET);
+      this.sheets
+          .read(
+              PRODUCT_CACHE_SHEET, 2, lastRow - 1,
+              PRODUCT_CACHE_HEADERS.length)
+          .forEach((row) => {
+            this.entries[cacheKey(row[0], row[1])] = {
+              'merchantId': row[0],
+              'productId': row[1],
+              // Sheets may turn the timestamps into dates.
+              'fetchedAt': new Date(row[2]).getTime(),
+              'data': JSON.parse(row[3])
+            };
+          });
+    }
+    return this.entries;
+  }
+}
+
+/**
+ * Builds the key of a product in the product cache.
+ *
+ * @param {string} merchantId - The account of the product.
+ * @param {string} productId - The product ID.
+ * @return {string} The key.
+ */
+function cacheKey(merchantId, productId) {
+  return merchantId + '/' + productId;
+}
@@ -0,0 +1,909 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Intermediate results of a run, kept in a sheet between executions.
+ *
+ * Each row holds a key (e.g. 'benchmark:0' for the benchmark rows of the first
+ * market), the step of the run that wrote it, and a JSON list of items. Lists
+ * are split over as many rows as needed to stay under the size limit of a
+ * cell, so large catalogs take few cells.
+ */
+class CheckpointStore {
+  /**
+   * @param {!Object} sheets - The sheet writer, see `getEnv`.
+   */
+  constructor(sheets) {
+    this.sheets = sheets;
+  }
+
+  /**
+   * Adds items to a key.
+   *
+   * @param {string} key - The key.
+   * @param {number} step - The step of the run writing the items.
+   * @param {!Array} items - The items, which can be serialized to JSON.
+   */
+  append(key, step, items) {
+    let rows = [];
+    let chunk = [];
+    let size = 0;
+    items.forEach(function(item) {
+      const json = JSON.stringify(item);
+      if (chunk.length > 0 && size + json.length + 2 > CHECKPOINT_CELL_SIZE) {
+        rows.push([key, step, '[' + chunk.join(',') + ']']);
+        chunk = [];
+        size = 0;
+      }
+      chunk.push(json);
+      size += json.length + 1;
+    });
+    if (chunk.length > 0) {
+      rows.push([key, step, '[' + chunk.join(',') + ']']);
+    }
+    if (rows.length > 0) {
+      this.sheets.append(CHECKPOINT_SHEET, CHECKPOINT_HEADERS, rows);
+    }
+  }
+
+  /**
+   * Reads the items of a key.
+   *
+   * @param {string} key - The key.
+   * @return {!Array} The items, in the order they were added.
+   */
+  read(key) {
+    let items = [];
+    this.readRows().forEach(function(row) {
+      if (row[0] == key) {
+        for (const item of JSON.parse(row[2])) {
+          items.push(item);
+        }
+      }
+    });
+    return items;
+  }
+
+  /**
+   * Removes the items written at or after a step, e.g. by an execution that
+   * stopped before saving its progress.
+   *
+   * @param {number} step - The first step to remove.
+   */
+  discardFrom(step) {
+    const rows = this.readRows();
+    const first = rows.findIndex(function(row) {
+      return Number(row[1]) >= step;
+    });
+    if (first >= 0) {
+      // Rows are appended in step order, and the header is the first row.
+      this.sheets.truncate(CHECKPOINT_SHEET, first + 1);
+    }
+  }
+
+  /**
+   * Removes every checkpoint.
+   */
+  clear() {
+    this.sheets.remove(CHECKPOINT_SHEET);
+  }
+
+  /**
+   * @return {!Array<!Array>} The rows of the sheet, without the header.
+   */
+  readRows() {
+    const lastRow = this.sheets.getLastRow(CHECKPOINT_SHEET);
+    return this.sheets.read(
+        CHECKPOINT_SHEET, 2, lastRow - 1, CHECKPOINT_HEADERS.length);
+  }
+}
+
+/**
+ * Starts a new run of the visibility booster, discarding any unfinished one.
+ *
+ * The run is split in steps: each page of the price benchmark, then for each
+ * market the statistics of `BATCH_SIZE` offers at a time, the products of
+ * `BATCH_SIZE` offers at a time or, once for every market of an account, of a
+ * page of the product list at a time, see `config.productSource`, then the
+ * Google Ads metrics of the products if `config.adsProductMetrics` is set, and
+ * finally the merge writing the outputs. When the time budget of the execution
+ * is spent, the progress is saved and a trigger continues the run in a new
+ * execution, see `resumeBoosterRun`. The output sheets are only written by the
+ * last step, once everything was downloaded.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {number=} timeBudgetMs - The time after which to stop and continue in
+ *     a new execution, `RUN_TIME_BUDGET_MS` by default.
+ * @return {boolean} Whether the run completed in this execution.
+ * @throws {Error} If the configuration is invalid.
+ */
+function startBoosterRun(env, timeBudgetMs) {
+  const checks = validateSettings(env.config);
+  if (hasFailedChecks(checks)) {
+    writeValidationReport(checks);
+    throw new Error(
+        'Invalid configuration, see the \'' + VALIDATION_SHEET + '\' tab');
+  }
+  const previous = loadRunState(env.properties);
+  if (previous) {
+    Logger.log(
+        'Discarding the unfinished run started at ' + previous.startedAt);
+  }
+  env.triggers.deleteAll(CONTINUATION_HANDLER);
+  new CheckpointStore(env.sheets).clear();
+  const state = {
+    'startedAt': new Date().toISOString(),
+    'phase': env.config.mcaEnabled ? RUN_PHASES.ACCOUNTS :
+                                     RUN_PHASES.BENCHMARK,
+    'market': 0,
+    'pageToken': '',
+    'offset': 0,
+    'step': 0,
+    'executions': 0
+  };
+  return continueBoosterRun(env, state, timeBudgetMs);
+}
+
+/**
+ * Continues the unfinished run, from its last saved step.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {number=} timeBudgetMs - The time after which to stop and continue in
+ *     a new execution, `RUN_TIME_BUDGET_MS` by default.
+ * @return {boolean} Whether the run completed in this execution.
+ */
+function resumeBoosterRun(env, timeBudgetMs) {
+  env.triggers.deleteAll(CONTINUATION_HANDLER);
+  const state = loadRunState(env.properties);
+  if (!state) {
+    Logger.log('No unfinished run to continue');
+    return true;
+  }
+  Logger.log(
+      'Continuing the run started at ' + state.startedAt + ' in phase ' +
+      state.phase);
+  new CheckpointStore(env.sheets).discardFrom(state.step);
+  return continueBoosterRun(env, state, timeBudgetMs);
+}
+
+/**
+ * Runs the steps of a run until it completes or the time budget is spent. At
+ * least one step is run, so every execution makes progress.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {!Object} state - The progress of the run.
+ * @param {number=} timeBudgetMs - The time budget of the execution.
+ * @return {boolean} Whether the run completed.
+ */
+function continueBoosterRun(env, state, timeBudgetMs) {
+  const deadline = Date.now() +
+      (timeBudgetMs === undefined ? RUN_TIME_BUDGET_MS : timeBudgetMs);
+  const run = {
+    'env': env,
+    'config': env.config,
+    'api': createMerchantBackend(env),
+    'checkpoints': new CheckpointStore(env.sheets),
+    'productCache': new ProductCache(env.sheets, env.config.productCacheDays),
+    'state': state,
+    // Offers of each market, read once per execution.
+    'offers': {},
+    'offerSets': {}
+  };
+  state.executions++;
+  let ranStep = false;
+  while (state.phase != RUN_PHASES.DONE) {
+    if (ranStep && Date.now() >= deadline) {
+      saveRunState(env.properties, state);
+      env.triggers.scheduleOnce(CONTINUATION_HANDLER, CONTINUATION_DELAY_MS);
+      Logger.log(
+          'Out of time in phase ' + state.phase + ', the run continues in a ' +
+          'new execution');
+      return false;
+    }
+    runBoosterStep(run);
+    ranStep = true;
+    state.step++;
+    saveRunState(env.properties, state);
+  }
+  run.checkpoints.clear();
+  clearRunState(env.properties);
+  Logger.log('Run completed in ' + state.executions + ' execution(s)');
+  return true;
+}
+
+/**
+ * Runs the next step of a run, and moves its state forward.
+ *
+ * @param {!Object} run - The run, with its `env`, `config`, `api`,
+ *     `checkpoints` and `state`.
+ */
+function runBoosterStep(run) {
+  switch (run.state.phase) {
+    case RUN_PHASES.ACCOUNTS:
+      listRunAccounts(run);
+      return;
+    case RUN_PHASES.ADS_METRICS:
+      downloadAdsMetrics(run);
+      return;
+    case RUN_PHASES.MERGE:
+      mergeCheckpoints(run);
+      return;
+    case RUN_PHASES.LABEL_PUSH:
+      pushRunLabels(run);
+      return;
+    case RUN_PHASES.BIGQUERY:
+      exportRunToBigQuery(run);
+      return;
+    case RUN_PHASES.LISTING_GROUPS:
+      updateRunListingGroups(run);
+      return;
+    case RUN_PHASES.SUMMARY:
+      sendRunReport(run);
+      return;
+  }
+  try {
+    runMarketStep(run);
+  } catch (e) {
+    if (!run.config.mcaEnabled || !(e instanceof ApiError)) {
+      throw e;
+    }
+    // A failing sub-account doesn't stop the others.
+    const account = getRunTarget(run).account;
+    Logger.log('Skipping account ' + account.id + ': ' + e.message);
+    run.checkpoints.append(
+        'failures', run.state.step, [[account.id, e.message]]);
+    skipAccount(run);
+  }
+}
+
+/**
+ * Runs the next step of the current market of a run.
+ *
+ * @param {!Object} run - The run.
+ */
+function runMarketStep(run) {
+  switch (run.state.phase) {
+    case RUN_PHASES.BENCHMARK:
+      downloadBenchmarkPage(run);
+      break;
+    case RUN_PHASES.STATS:
+      downloadStatsChunk(run);
+      break;
+    case RUN_PHASES.PRODUCTS:
+      if (readsProductList(run)) {
+        downloadProductListPage(run);
+      } else {
+        downloadProductsChunk(run);
+      }
+      break;
+    default:
+      throw new Error('Unknown run phase: ' + run.state.phase);
+  }
+}
+
+/**
+ * Lists the sub-accounts of the multi-client account to run for.
+ *
+ * @param {!Object} run - The run.
+ * @throws {Error} If no sub-account is selected.
+ */
+function listRunAccounts(run) {
+  const mcaId = run.config.merchantId;
+  const accounts = selectAccounts(getSubAccounts(run.api, mcaId), run.config);
+  if (accounts.length == 0) {
+    throw new Error('No sub-account to run in account ' + mcaId);
+  }
+  run.checkpoints.append('accounts', run.state.step, accounts);
+  run.state.phase = RUN_PHASES.BENCHMARK;
+}
+
+/**
+ * Downloads a page of the price benchmark of the current market. After the
+ * last page, the offers of the market are listed for the next phases.
+ *
+ * @param {!Object} run - The run.
+ */
+function downloadBenchmarkPage(run) {
+  const state = run.state;
+  const {market, config} = getRunTarget(run);
+  const key = 'benchmark:' + state.market;
+  if (!state.pageToken) {
+    Logger.log(
+        'Getting Price Benchmark stats for account ' + config.merchantId +
+        ' (' + market.country + ')');
+  }
+  const page = downloadReportPage(
+      run.api, config.merchantId, run.api.getBenchmarkQuery(market),
+      state.pageToken);
+  run.checkpoints.append(key, state.step, page.results);
+  if (page.nextPageToken) {
+    state.pageToken = page.nextPageToken;
+    return;
+  }
+  state.pageToken = '';
+  const offers = [...new Set(run.checkpoints.read(key).map(function(row) {
+    return row.productView.id;
+  }))];
+  Logger.log(offers.length + ' offers benchmarked in ' + market.country);
+  if (offers.length == 0) {
+    Logger.log(
+        'No price benchmark data for ' + market.country + ' (' +
+        market.currency + ')');
+    if (readsProductList(run) && isLastMarketOfAccount(run)) {
+      // The product list is still read for the other markets.
+      state.phase = RUN_PHASES.PRODUCTS;
+    } else {
+      moveToNextMarket(run);
+    }
+    return;
+  }
+  run.checkpoints.append('offers:' + state.market, state.step, offers);
+  run.offers[state.market] = offers;
+  state.phase = RUN_PHASES.STATS;
+  state.offset = 0;
+}
+
+/**
+ * Downloads the statistics of the next `BATCH_SIZE` offers of the current
+ * market.
+ *
+ * @param {!Object} run - The run.
+ */
+function downloadStatsChunk(run) {
+  const state = run.state;
+  const {market, config} = getRunTarget(run);
+  const offers = getRunOffers(run);
+  const stats = getStats(
+      run.api, config.merchantId,
+      offers.slice(state.offset, state.offset + BATCH_SIZE), market.country,
+      getStatsRange(run));
+  run.checkpoints.append(
+      'stats:' + state.market, state.step, Object.entries(stats || {}));
+  state.offset += BATCH_SIZE;
+  if (state.offset < offers.length) {
+    return;
+  }
+  if (readsProductList(run) && !isLastMarketOfAccount(run)) {
+    // The product list is read once for every market of the account, after
+    // the last one.
+    moveToNextMarket(run);
+  } else {
+    state.phase = RUN_PHASES.PRODUCTS;
+    state.offset = 0;
+  }
+}
+
+/**
+ * Downloads the products of the next `BATCH_SIZE` offers of the current
+ * market, except the ones in the product cache.
+ *
+ * @param {!Object} run - The run.
+ */
+function downloadProductsChunk(run) {
+  const state = run.state;
+  const offers = getRunOffers(run);
+  Logger.log(
+      'Getting products ' + (state.offset + 1) + ' to ' +
+      Math.min(state.offset + BATCH_SIZE, offers.length) + ' of ' +
+      offers.length);
+  const chunk = offers.slice(state.offset, state.offset + BATCH_SIZE);
+  const products = getCachedProducts(run, chunk);
+  const missing = chunk.filter(function(productId) {
+    return !products[productId];
+  });
+  if (missing.length > 0) {
+    const config = getRunTarget(run).config;
+    const fetched = getProducts(missing, run.api, BATCH_SIZE, config);
+    run.productCache.add(config.merchantId, fetched);
+    Object.assign(products, fetched);
+  }
+  run.checkpoints.append(
+      'products:' + state.market, state.step, Object.entries(products));
+  state.offset += BATCH_SIZE;
+  if (state.offset >= offers.length) {
+    moveToNextMarket(run);
+  }
+}
+
+/**
+ * Reads a page of the product list, keeping the products benchmarked in each
+ * market of the current account, whose last market the run is at: the list is
+ * read once for all of them. The products in the product cache are taken from
+ * it before the first page, and the list isn't read at all if every product is
+ * cached. When item groups are labeled together, the list is always read, and
+ * the other products with an item group and the feed label of a benchmarked
+ * offer of a market are kept as the variants of that market.
+ *
+ * @param {!Object} run - The run.
+ */
+function downloadProductListPage(run) {
+  const state = run.state;
+  const markets = getAccountMarkets(run);
+  const groupItems =
+      run.config.itemGroupAggregation != ITEM_GROUP_AGGREGATIONS.OFF;
+  if (!state.pageToken) {
+    let uncached = 0;
+    markets.forEach(function(market) {
+      const offers = getRunOffers(run, market);
+      const cached = getCachedProducts(run, offers);
+      run.checkpoints.append(
+          'products:' + market, state.step, Object.entries(cached));
+      uncached += offers.length - Object.keys(cached).length;
+    });
+    if (uncached == 0 && !groupItems) {
+      moveToNextMarket(run);
+      return;
+    }
+    Logger.log('Reading the product list for ' + uncached + ' products');
+  }
+  const config = getRunTarget(run).config;
+  const page = downloadProductPage(
+      run.api, config.merchantId, PRODUCT_LIST_PAGE_SIZE, state.pageToken);
+  const feedLabels = markets.map(function(market) {
+    return new Set(getRunOffers(run, market).map(function(productId) {
+      return productId.split(':')[2];
+    }));
+  });
+  let fetched = {};
+  let products = markets.map(function() {
+    return {};
+  });
+  let variants = markets.map(function() {
+    return [];
+  });
+  page.products.forEach(function(product) {
+    const cached = run.productCache.get(config.merchantId, product.id);
+    markets.forEach(function(market, i) {
+      if (getRunOfferSet(run, market).has(product.id)) {
+        if (!cached) {
+          fetched[product.id] =
+              fetched[product.id] || getProductData(product, config);
+          products[i][product.id] = fetched[product.id];
+        }
+      } else if (
+          groupItems && product.itemGroupId &&
+          feedLabels[i].has(product.id.split(':')[2])) {
+        variants[i].push([
+          product.id,
+          Object.assign(
+              {'offerId': product.offerId}, getProductData(product, config))
+        ]);
+      }
+    });
+  });
+  run.productCache.add(config.merchantId, fetched);
+  markets.forEach(function(market, i) {
+    run.checkpoints.append(
+        'products:' + market, state.step, Object.entries(products[i]));
+    run.checkpoints.append('variants:' + market, state.step, variants[i]);
+  });
+  if (page.nextPageToken) {
+    state.pageToken = page.nextPageToken;
+  } else {
+    moveToNextMarket(run);
+  }
+}
+
+/**
+ * Returns the products of a list found in the product cache.
+ *
+ * @param {!Object} run - The run.
+ * @param {!Array<string>} productIds - The product IDs.
+ * @return {!Object} The cached product data, keyed by product ID.
+ */
+function getCachedProducts(run, productIds) {
+  const merchantId = getRunTarget(run).config.merchantId;
+  let products = {};
+  productIds.forEach(function(productId) {
+    const data = run.productCache.get(merchantId, productId);
+    if (data) {
+      products[productId] = data;
+    }
+  });
+  return products;
+}
+
+/**
+ * Merges the downloaded data of every market and writes the outputs to the
+ * spreadsheet. With a multi-client account, the markets of the sub-accounts
+ * that failed are left out, and the roll-up of every sub-account is written.
+ *
+ * The labels are kept for the next phases, which push them and export them
+ * outside the spreadsheet in steps of their own, so retrying a step doesn't
+ * repeat the ones before. A retried merge writes the sheets again, but
+ * doesn't add the run to the histories twice.
+ *
+ * @param {!Object} run - The run.
+ * @throws {Error} If no market has price benchmark data.
+ */
+function mergeCheckpoints(run) {
+  const checkpoints = run.checkpoints;
+  const failures = Object.fromEntries(checkpoints.read('failures'));
+  const adsMetrics = Object.fromEntries(checkpoints.read('adsMetrics'));
+  let marketData = [];
+  getRunTargets(run).forEach(function(target, i) {
+    const benchmarkData = checkpoints.read('benchmark:' + i);
+    if (benchmarkData.length == 0 || failures[target.account.id]) {
+      return;
+    }
+    marketData.push({
+      'market': target.market,
+      'account': target.account.id,
+      'benchmarkData': benchmarkData,
+      'productData': Object.fromEntries(checkpoints.read('products:' + i)),
+      'statsData': Object.fromEntries(checkpoints.read('stats:' + i)),
+      'adsData': adsMetrics,
+      'variantData': Object.fromEntries(checkpoints.read('variants:' + i))
+    });
+  });
+  if (marketData.length == 0 && !run.config.mcaEnabled) {
+    throw new Error('No products returned from the price benchmark query');
+  }
+  const labelRules = parseLabelRules(run.config.labelRulesTable);
+  const labelUpdates =
+      mergeData(marketData, run.config, labelRules, run.state.startedAt);
+  if (run.config.recommendationsEnabled) {
+    writePriceRecommendations(labelUpdates, run.config);
+  }
+  if (run.config.mcaEnabled) {
+    writeAccountSummary(
+        getRunAccounts(run), labelUpdates, failures, run.config);
+  }
+  if (run.config.moversEnabled && labelUpdates.length > 0) {
+    const movers =
+        trackBenchmarkMovers(labelUpdates, run.config, run.state.startedAt);
+    if (movers) {
+      checkpoints.append('movers', run.state.step, [movers]);
+    }
+  }
+  checkpoints.append('labelUpdates', run.state.step, labelUpdates);
+  if (run.config.itemGroupAggregation != ITEM_GROUP_AGGREGATIONS.OFF) {
+    marketData.forEach(function(data) {
+      checkpoints.append(
+          'variantUpdates', run.state.step,
+          getVariantLabels(data, run.config));
+    });
+  }
+  moveToNextMergePhase(run);
+}
+
+/**
+ * Pushes the labels of a run to Merchant Center.
+ *
+ * @param {!Object} run - The run.
+ */
+function pushRunLabels(run) {
+  // The variants of the item groups without a benchmark get labels too.
+  const labelUpdates = run.checkpoints.read('labelUpdates')
+                           .concat(run.checkpoints.read('variantUpdates'));
+  pushLabels(
+      run.api, run.config, labelUpdates,
+      run.config.labelPushMode == LABEL_PUSH_MODES.DRY_RUN);
+  if (run.config.labelPushMode == LABEL_PUSH_MODES.DIRECT) {
+    // The cached labels of the pushed products are out of date. The cache is
+    // read again in each execution, so the tab is rewritten without them
+    // before the summary, which may run in another one.
+    getLabelChanges(labelUpdates, run.config).forEach(function(update) {
+      run.productCache.forget(
+          update.account || run.config.merchantId, [update.productId]);
+    });
+    run.productCache.compact();
+  }
+  moveToNextMergePhase(run);
+}
+
+/**
+ * Exports the benchmark of a run to BigQuery.
+ *
+ * @param {!Object} run - The run.
+ */
+function exportRunToBigQuery(run) {
+  if (!exportBenchmarkToBigQuery(
+          run.checkpoints.read('labelUpdates'), run.config)) {
+    run.checkpoints.append(
+        'errors', run.state.step,
+        ['BigQuery export failed, see the execution log']);
+  }
+  moveToNextMergePhase(run);
+}
+
+/**
+ * Updates the listing group trees of the Google Ads campaigns from the labels
+ * of a run.
+ *
+ * @param {!Object} run - The run.
+ */
+function updateRunListingGroups(run) {
+  run.checkpoints.append(
+      'errors', run.state.step, updateListingGroupTrees(run.env));
+  moveToNextMergePhase(run);
+}
+
+/**
+ * Sends the summary of a run, which completes it.
+ *
+ * @param {!Object} run - The run.
+ */
+function sendRunReport(run) {
+  const checkpoints = run.checkpoints;
+  const failures = Object.fromEntries(checkpoints.read('failures'));
+  const errors = Object.keys(failures)
+                     .map(function(accountId) {
+                       return 'Account ' + accountId + ' skipped: ' +
+                           failures[accountId];
+                     })
+                     .concat(checkpoints.read('errors'));
+  run.productCache.compact();
+  sendRunSummary(
+      run.env,
+      summarizeRun(
+          run, checkpoints.read('labelUpdates'), errors,
+          checkpoints.read('movers')[0] || null));
+  run.state.phase = RUN_PHASES.DONE;
+}
+
+/**
+ * Moves a run to the next phase of the merge that is configured, or to the
+ * summary after the last one.
+ *
+ * @param {!Object} run - The run.
+ */
+function moveToNextMergePhase(run) {
+  const config = run.config;
+  const phases = [
+    [RUN_PHASES.LABEL_PUSH, config.labelPushMode != LABEL_PUSH_MODES.OFF],
+    [RUN_PHASES.BIGQUERY, Boolean(config.bigqueryProjectId)],
+    [
+      RUN_PHASES.LISTING_GROUPS,
+      config.listingGroupMode != LISTING_GROUP_MODES.OFF
+    ],
+    [RUN_PHASES.SUMMARY, true]
+  ];
+  const current = phases.findIndex(function(phase) {
+    return phase[0] == run.state.phase;
+  });
+  run.state.phase = phases.slice(current + 1).find(function(phase) {
+    return phase[1];
+  })[0];
+}
+
+/**
+ * Moves a run to the benchmark of the next market, or to the merge after the
+ * last one.
+ *
+ * @param {!Object} run - The run.
+ */
+function moveToNextMarket(run) {
+  const state = run.state;
+  state.market++;
+  state.offset = 0;
+  state.pageToken = '';
+  if (state.market < getRunTargets(run).length) {
+    state.phase = RUN_PHASES.BENCHMARK;
+  } else {
+    state.phase = run.config.adsProductMetrics ? RUN_PHASES.ADS_METRICS :
+                                                 RUN_PHASES.MERGE;
+  }
+}
+
+/**
+ * Downloads the Google Ads metrics of the products of every account of the
+ * run, to be joined with the benchmark.
+ *
+ * @param {!Object} run - The run.
+ */
+function downloadAdsMetrics(run) {
+  const merchantIds = getRunAccounts(run).map(function(account) {
+    return account.id;
+  });
+  const metrics = getProductAdsMetrics(
+      createGoogleAdsApi(run.env),
+      String(run.config.accountCid).replaceAll('-', ''), merchantIds,
+      getStatsRange(run));
+  Logger.log('Google Ads metrics of ' + metrics.length + ' products');
+  run.checkpoints.append('adsMetrics', run.state.step, metrics);
+  run.state.phase = RUN_PHASES.MERGE;
+}
+
+/**
+ * Moves a run past the markets of the current account.
+ *
+ * @param {!Object} run - The run.
+ */
+function skipAccount(run) {
+  const targets = getRunTargets(run);
+  const accountId = targets[run.state.market].account.id;
+  while (run.state.market + 1 < targets.length &&
+         targets[run.state.market + 1].account.id == accountId) {
+    run.state.market++;
+  }
+  moveToNextMarket(run);
+}
+
+/**
+ * Returns the window of the statistics of a run, resolved on first use and
+ * kept in its state, so every market of the run has the same one.
+ *
+ * @param {!Object} run - The run.
+ * @return {!Object} The `startDate` and `endDate`, as yyyy-MM-dd.
+ */
+function getStatsRange(run) {
+  if (!run.state.statsRange) {
+    const timeZone =
+        getMerchantTimeZone(run.api, run.config.merchantId, run.config);
+    run.state.statsRange = resolveDateRange(run.config.statsWindow, timeZone);
+    Logger.log(
+        'Statistics from ' + run.state.statsRange.startDate + ' to ' +
+        run.state.statsRange.endDate + ' (' + timeZone + ')');
+  }
+  return run.state.statsRange;
+}
+
+/**
+ * Returns the accounts of a run: the selected sub-accounts of a multi-client
+ * account, or the Merchant Center account.
+ *
+ * @param {!Object} run - The run.
+ * @return {!Array<!Object>} The accounts, with their `id` and `name`.
+ */
+function getRunAccounts(run) {
+  if (!run.accounts) {
+    run.accounts = run.config.mcaEnabled ?
+        run.checkpoints.read('accounts') :
+        [{'id': run.config.merchantId, 'name': ''}];
+  }
+  return run.accounts;
+}
+
+/**
+ * Returns the markets of each account of a run, in the order they're run.
+ * `state.market` is the position of the current one.
+ *
+ * @param {!Object} run - The run.
+ * @return {!Array<!Object>} The `account`, `market`, and the configuration of
+ *     the account as `config`.
+ */
+function getRunTargets(run) {
+  if (!run.targets) {
+    run.targets = [];
+    getRunAccounts(run).forEach(function(account) {
+      const config = Object.assign({}, run.config, {'merchantId': account.id});
+      run.config.markets.forEach(function(market) {
+        run.targets.push(
+            {'account': account, 'market': market, 'config': config});
+      });
+    });
+  }
+  return run.targets;
+}
+
+/**
+ * Returns the current market of a run.
+ *
+ * @param {!Object} run - The run.
+ * @return {!Object} The market, see `getRunTargets`.
+ */
+function getRunTarget(run) {
+  return getRunTargets(run)[run.state.market];
+}
+
+/**
+ * Tells whether the products of a run are read from the product list, which is
+ * the only source of the variants of the item groups without a benchmark.
+ *
+ * @param {!Object} run - The run.
+ * @return {boolean} Whether the product list is read.
+ */
+function readsProductList(run) {
+  return run.config.productSource == PRODUCT_SOURCES.PRODUCT_LIST ||
+      run.config.itemGroupAggregation != ITEM_GROUP_AGGREGATIONS.OFF;
+}
+
+/**
+ * Tells whether the current market of a run is the last one of its account.
+ *
+ * @param {!Object} run - The run.
+ * @return {boolean} Whether the next market is in another account, or there
+ *     is none.
+ */
+function isLastMarketOfAccount(run) {
+  const targets = getRunTargets(run);
+  const next = targets[run.state.market + 1];
+  return !next || next.account.id != getRunTarget(run).account.id;
+}
+
+/**
+ * Returns the markets of the account of the current market of a run.
+ *
+ * @param {!Object} run - The run.
+ * @return {!Array<number>} The indexes of the markets, see `getRunTargets`.
+ */
+function getAccountMarkets(run) {
+  const accountId = getRunTarget(run).account.id;
+  let markets = [];
+  getRunTargets(run).forEach(function(target, i) {
+    if (target.account.id == accountId) {
+      markets.push(i);
+    }
+  });
+  return markets;
+}
+
+/**
+ * Returns the offers of a market of a run.
+ *
+ * @param {!Object} run - The run.
+ * @param {number=} market - The index of the market, the current one by
+ *     default.
+ * @return {!Array<string>} The product IDs of the benchmarked offers.
+ */
+function getRunOffers(run, market) {
+  if (market === undefined) {
+    market = run.state.market;
+  }
+  if (!run.offers[market]) {
+    run.offers[market] = run.checkpoints.read('offers:' + market);
+  }
+  return run.offers[market];
+}
+
+/**
+ * Returns the offers of a market of a run, as a set.
+ *
+ * @param {!Object} run - The run.
+ * @param {number=} market - The index of the market, the current one by
+ *     default.
+ * @return {!Set<string>} The product IDs of the benchmarked offers.
+ */
+function getRunOfferSet(run, market) {
+  if (market === undefined) {
+    market = run.state.market;
+  }
+  if (!run.offerSets[market]) {
+    run.offerSets[market] = new Set(getRunOffers(run, market));
+  }
+  return run.offerSets[market];
+}
+
+/**
+ * Reads the progress of the unfinished run.
+ *
+ * @param {!Object} properties - The script properties.
+ * @return {?Object} The state of the run, or null if there's none.
+ */
+function loadRunState(properties) {
+  const value = properties.getProperty(PROPERTY_NAMES.RUN_STATE);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Saves the progress of a run.
+ *
+ * @param {!Object} properties - The script properties.
+ * @param {!Object} state - The state of the run.
+ */
+function saveRunState(properties, state) {
+  properties.setProperty(PROPERTY_NAMES.RUN_STATE, JSON.stringify(state));
+}
+
+/**
+ * Forgets the progress of the last run.
+ *
+ * @param {!Object} properties - The script properties.
+ */
+function clearRunState(properties) {
+  properties.deleteProperty(PROPERTY_NAMES.RUN_STATE);
+}
@@ -0,0 +1,246 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Installs the recurring runs of the control panel, replacing the triggers
+ * whose schedule changed, and deleting the ones of the runs turned off. Runs
+ * whose trigger is already up to date are left alone. The result is written
+ * to the 'schedule' tab.
+ *
+ * @throws {Error} If a schedule is invalid.
+ */
+function installSchedules() {
+  const env = getEnv();
+  getScheduledJobs(env.config).forEach(function(job) {
+    const problem = checkSchedule(job.schedule);
+    if (problem) {
+      throw new Error(job.setting + ': ' + problem);
+    }
+  });
+  getScheduledJobs(env.config).forEach(function(job) {
+    const result = reconcileSchedule(env, job.handler, job.schedule);
+    Logger.log(job.name + ' schedule ' + result);
+  });
+  writeScheduleStatus(env);
+}
+
+/**
+ * Deletes the triggers of every recurring run, and writes the result to the
+ * 'schedule' tab. The settings of the control panel are kept, to install them
+ * again with `installSchedules`.
+ */
+function uninstallSchedules() {
+  const env = getEnv();
+  getScheduledJobs(env.config).forEach(function(job) {
+    reconcileSchedule(
+        env, job.handler, {'frequency': SCHEDULE_FREQUENCIES.OFF});
+  });
+  Logger.log('Every schedule uninstalled');
+  writeScheduleStatus(env);
+}
+
+/**
+ * Writes the installed triggers of the recurring runs, their next run and
+ * whether they match the control panel to the 'schedule' tab.
+ */
+function showScheduleStatus() {
+  writeScheduleStatus(getEnv());
+}
+
+/**
+ * Lists the functions that can run on a schedule.
+ *
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The `name`, `handler` function, control panel
+ *     `setting` and configured `schedule` of each of them.
+ */
+function getScheduledJobs(config) {
+  return [
+    {
+      'name': 'Labeling',
+      'handler': 'runVisibilityBooster',
+      'setting': 'schedule.booster',
+      'schedule': config.boosterSchedule
+    },
+    {
+      'name': 'Ads report',
+      'handler': 'runReport',
+      'setting': 'schedule.report',
+      'schedule': config.reportSchedule
+    },
+  ];
+}
+
+/**
+ * Makes the triggers of a function match a schedule.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @param {string} handler - The name of the function.
+ * @param {!Object} schedule - The schedule, see `ScriptTriggers`.
+ * @return {string} What was done: 'installed', 'updated', 'unchanged' or
+ *     'removed'.
+ */
+function reconcileSchedule(env, handler, schedule) {
+  let installed = readInstalledSchedules(env.properties);
+  const triggers = env.triggers.count(handler);
+  if (schedule.frequency != SCHEDULE_FREQUENCIES.OFF && triggers == 1 &&
+      installed[handler] && sameSchedule(installed[handler], schedule)) {
+    return 'unchanged';
+  }
+  let result;
+  if (schedule.frequency == SCHEDULE_FREQUENCIES.OFF) {
+    env.triggers.deleteAll(handler);
+    delete installed[handler];
+    result = triggers > 0 ? 'removed' : 'unchanged';
+  } else {
+    // Also replaces the triggers installed before their schedule was saved,
+    // e.g. by `installWeeklyTrigger`.
+    env.triggers.deleteAll(handler);
+    env.triggers.scheduleRecurring(handler, schedule);
+    result = triggers > 0 ? 'updated' : 'installed';
+    installed[handler] = {
+      'frequency': schedule.frequency,
+      'day': schedule.day,
+      'hour': schedule.hour
+    };
+  }
+  env.properties.setProperty(
+      PROPERTY_NAMES.INSTALLED_SCHEDULES, JSON.stringify(installed));
+  return result;
+}
+
+/**
+ * Writes the status of the recurring runs to the 'schedule' tab.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ */
+function writeScheduleStatus(env) {
+  const installed = readInstalledSchedules(env.properties);
+  const timeZone = Session.getScriptTimeZone();
+  let rows = [SCHEDULE_HEADERS];
+  getScheduledJobs(env.config).forEach(function(job) {
+    const triggers = env.triggers.count(job.handler);
+    const schedule = installed[job.handler] || job.schedule;
+    let nextRun = '';
+    if (triggers == 1 && installed[job.handler]) {
+      nextRun = getNextRun(schedule, new Date(), timeZone) + ' (' + timeZone +
+          ')';
+    }
+    rows.push([
+      job.name, job.handler, schedule.frequency,
+      schedule.frequency == SCHEDULE_FREQUENCIES.WEEKLY ? schedule.day : '',
+      schedule.frequency == SCHEDULE_FREQUENCIES.OFF ? '' : schedule.hour,
+      triggers, nextRun,
+      getScheduleStatus(job, installed[job.handler], triggers)
+    ]);
+  });
+  pushToSheets(SCHEDULE_SHEET, rows);
+}
+
+/**
+ * Compares the installed triggers of a function with its schedule in the
+ * control panel.
+ *
+ * @param {!Object} job - The job, as returned by `getScheduledJobs`.
+ * @param {?Object} installed - The schedule of its installed trigger, if any.
+ * @param {number} triggers - The number of triggers running the function.
+ * @return {string} The status.
+ */
+function getScheduleStatus(job, installed, triggers) {
+  const off = job.schedule.frequency == SCHEDULE_FREQUENCIES.OFF;
+  if (triggers == 0) {
+    return off ? 'off' : 'not installed, run installSchedules';
+  }
+  if (triggers > 1) {
+    return triggers + ' triggers, run installSchedules to keep one';
+  }
+  if (!installed) {
+    return 'unknown schedule, run installSchedules';
+  }
+  if (off || !sameSchedule(installed, job.schedule)) {
+    return 'differs from ' + job.setting + ', run installSchedules';
+  }
+  return 'installed';
+}
+
+/**
+ * Finds the next run of a schedule. Apps Script runs the triggers at some
+ * point during the hour, so only the hour is known.
+ *
+ * @param {!Object} schedule - The daily or weekly schedule.
+ * @param {!Date} now - The current time.
+ * @param {string} timeZone - The time zone of the schedule.
+ * @return {string} The hour of the next run, as yyyy-MM-dd HH:00.
+ */
+function getNextRun(schedule, now, timeZone) {
+  const today = Utilities.formatDate(now, timeZone, 'yyyy-MM-dd');
+  const hour = Number(Utilities.formatDate(now, timeZone, 'HH'));
+  let day = hour < schedule.hour ? today : shiftDate(today, 1);
+  if (schedule.frequency == SCHEDULE_FREQUENCIES.WEEKLY) {
+    const weekDay = WEEK_DAYS.indexOf(schedule.day);
+    while (new Date(day + 'T00:00:00Z').getUTCDay() != weekDay) {
+      day = shiftDate(day, 1);
+    }
+  }
+  return day + ' ' + String(schedule.hour).padStart(2, '0') + ':00';
+}
+
+/**
+ * Checks a schedule of the control panel.
+ *
+ * @param {!Object} schedule - The schedule, see `ScriptTriggers`.
+ * @return {string} What's wrong with the schedule, or '' if it's valid.
+ */
+function checkSchedule(schedule) {
+  if (!Object.values(SCHEDULE_FREQUENCIES).includes(schedule.frequency)) {
+    return '"' + schedule.frequency + '" should be one of: ' +
+        Object.values(SCHEDULE_FREQUENCIES).join(', ');
+  }
+  if (schedule.frequency == SCHEDULE_FREQUENCIES.OFF) {
+    return '';
+  }
+  if (schedule.frequency == SCHEDULE_FREQUENCIES.WEEKLY &&
+      !WEEK_DAYS.includes(schedule.day)) {
+    return 'The day "' + schedule.day + '" should be one of: ' +
+        WEEK_DAYS.join(', ');
+  }
+  if (!Number.isInteger(schedule.hour) || schedule.hour < 0 ||
+      schedule.hour > 23) {
+    return 'The hour should be a whole number from 0 to 23';
+  }
+  return '';
+}
+
+/**
+ * @param {!Object} a - A schedule.
+ * @param {!Object} b - Another schedule.
+ * @return {boolean} Whether both run at the same times.
+ */
+function sameSchedule(a, b) {
+  return a.frequency == b.frequency && a.hour == b.hour &&
+      (a.frequency != SCHEDULE_FREQUENCIES.WEEKLY || a.day == b.day);
+}
+
+/**
+ * Reads the schedules of the installed triggers.
+ *
+ * @param {!Object} properties - The script properties.
+ * @return {!Object} The schedules, keyed by function name.
+ */
+function readInstalledSchedules(properties) {
+  const value = properties.getProperty(PROPERTY_NAMES.INSTALLED_SCHEDULES);
+  return value ? JSON.parse(value) : {};
+}
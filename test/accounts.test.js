@@ -0,0 +1,177 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, beforeEach, describe, it} = require('node:test');
+
+const {loadBenchmark, loadWithEnv, plain, runBenchmark, startFakeServer} =
+    require('./harness');
+
+const SETTINGS = {
+  'mca.enabled': true,
+  'activateLabels': true,
+};
+
+const FEED = [
+  ['id', 'custom_label_0'],
+  ['sku1', 'Below benchmark'],
+  ['sku2', 'At benchmark'],
+  ['sku3', 'Above benchmark'],
+];
+
+const SUMMARY_HEADERS = [
+  'account_id', 'account_name', 'benchmarked_offers', 'Below benchmark',
+  'At benchmark', 'Above benchmark', 'unlabeled', 'status'
+];
+
+describe('multi-client accounts', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  beforeEach(function() {
+    server.reset();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('writes a feed per sub-account and a summary', function() {
+    const {sheets} = runBenchmark(server, SETTINGS);
+    ['111', '222', '333'].forEach(function(accountId) {
+      assert.deepStrictEqual(
+          sheets['output - supplemental feed - ' + accountId], FEED);
+    });
+    assert.strictEqual(sheets['output - supplemental feed'], undefined);
+    assert.deepStrictEqual(sheets['account summary'], [
+      SUMMARY_HEADERS,
+      ['111', 'Store One', 4, 1, 1, 1, 1, 'ok'],
+      ['222', 'Store Two', 4, 1, 1, 1, 1, 'ok'],
+      ['333', 'Store Three', 4, 1, 1, 1, 1, 'ok'],
+    ]);
+    const benchmark = sheets['benchmark data'];
+    assert.strictEqual(benchmark[0][11], 'account');
+    assert.deepStrictEqual(
+        benchmark.slice(1).map(function(row) {
+          return row[11] + ':' + row[0];
+        }),
+        [
+          '111:sku1', '111:sku2', '111:sku3', '222:sku1', '222:sku2',
+          '222:sku3', '333:sku1', '333:sku2', '333:sku3'
+        ]);
+    assert.strictEqual(sheets['label history'].length, 10);
+  });
+
+  it('calls the APIs with the ID of each sub-account', function() {
+    runBenchmark(server, SETTINGS, {'mca.accounts': [['222']]});
+    const reports = server.requests().filter(function(request) {
+      return request.path.endsWith('/reports/search');
+    });
+    assert.ok(reports.length > 0);
+    reports.forEach(function(request) {
+      assert.ok(request.path.startsWith('/content/v2.1/222/'));
+    });
+    const batches = server.requests().filter(function(request) {
+      return request.path.endsWith('/products/batch');
+    });
+    assert.deepStrictEqual(
+        batches.map(function(request) {
+          return request.body.entries[0].merchantId;
+        }),
+        ['222']);
+  });
+
+  it('only runs the selected sub-accounts', function() {
+    const {app, sheets} =
+        runBenchmark(server, SETTINGS, {'mca.accounts': [['333'], ['999']]});
+    assert.deepStrictEqual(
+        sheets['account summary'],
+        [SUMMARY_HEADERS, ['333', 'Store Three', 4, 1, 1, 1, 1, 'ok']]);
+    assert.ok(app.logs.includes('Not sub-accounts of 123456, skipped: 999'));
+  });
+
+  it('keeps running the other sub-accounts when one fails', function() {
+    server.addFault({
+      'host': 'shoppingcontent.googleapis.com',
+      'path': '/222/reports/search',
+      'status': 403,
+      'body': '{"error": {"code": 403, "message": "Market Insights off"}}',
+      'times': 1
+    });
+    const {sheets} = runBenchmark(server, SETTINGS);
+    assert.deepStrictEqual(sheets['account summary'][2], [
+      '222', 'Store Two', 0, 0, 0, 0, 0, 'error: Market Insights off'
+    ]);
+    assert.deepStrictEqual(sheets['output - supplemental feed - 111'], FEED);
+    assert.deepStrictEqual(sheets['output - supplemental feed - 333'], FEED);
+    assert.strictEqual(sheets['output - supplemental feed - 222'], undefined);
+  });
+
+  it('lists the sub-accounts with the Merchant API', function() {
+    const {sheets} =
+        runBenchmark(server, SETTINGS, {'merchantBackend': 'Merchant API'});
+    assert.deepStrictEqual(
+        sheets['account summary'].map(function(row) {
+          return row[0];
+        }),
+        ['account_id', '111', '222', '333']);
+  });
+
+  it('checks the selected sub-accounts', function() {
+    const {app} =
+        loadBenchmark(null, SETTINGS, {'mca.accounts': [['111'], ['abc']]});
+    const checks = plain(app.validateSettings(app.getEnv().config));
+    assert.ok(checks.some(function(check) {
+      return check.setting == 'mca.accounts' && check.status == 'FAIL';
+    }));
+  });
+});
+
+describe('label history with accounts', function() {
+  const {app} = loadWithEnv({});
+
+  it('tells apart the same offer in two sub-accounts', function() {
+    const previous = {};
+    previous[app.labelKey('US', 'sku1', '111')] = {
+      'offerId': 'sku1',
+      'country': 'US',
+      'account': '111',
+      'label': 'Below benchmark'
+    };
+    const changes = plain(app.compareLabels(previous, [
+      {
+        'offerId': 'sku1',
+        'country': 'US',
+        'account': '111',
+        'label': 'Below benchmark'
+      },
+      {
+        'offerId': 'sku1',
+        'country': 'US',
+        'account': '222',
+        'label': 'At benchmark'
+      },
+    ]));
+    assert.deepStrictEqual(
+        changes.map(function(change) {
+          return change.account + ':' + change.change;
+        }),
+        ['222:new']);
+  });
+});
@@ -0,0 +1,319 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+
+const {loadWithEnv, plain, startFakeServer} = require('./harness');
+
+const SETTINGS = {
+  'customLabelNumber': 0,
+  'reporting.ManagerCID': '123-456-7890',
+  'reporting.AccountCID': '098-765-4321',
+  'reporting.labelNumbers': '0, 1',
+};
+
+describe('runReport', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('aggregates the performance of every label slot', function() {
+    const {app, env} =
+        loadWithEnv(SETTINGS, server, {'DeveloperToken': 'dev-token'});
+    app.runReport();
+    assert.deepStrictEqual(env.sheets.sheets['AdsData'], [
+      [
+        'date', 'labelSlot', 'labelValue', 'clicks', 'impressions', 'cost',
+        'avgCpc', 'conversions', 'conversionsValue', 'allConversions',
+        'allConversionsValue'
+      ],
+      [
+        '2024-05-01', 'custom_label_0', 'below benchmark', '30', '1000', 15,
+        0.5, 2, 160, 2.5, 190
+      ],
+      [
+        '2024-05-01', 'custom_label_0', 'above benchmark', '5', '800', 4, 0.8,
+        0, 0, 0, 0
+      ],
+      [
+        '2024-05-01', 'custom_label_1', 'summer', '12', '400', 6, 0.5, 1, 80,
+        1, 80
+      ],
+    ]);
+  });
+
+  it('sends an alert when the report fails', function() {
+    const settings = {'notifications.email': 'team@example.com'};
+    const {app, env} = loadWithEnv(
+        Object.assign({}, SETTINGS, settings), server,
+        {'DeveloperToken': 'dev-token'});
+    server.addFault({
+      'host': 'googleads.googleapis.com',
+      'path': '/googleAds:',
+      'status': 403,
+      'body': JSON.stringify(
+          {'error': {'code': 403, 'message': 'Permission denied'}}),
+      'times': 1
+    });
+    assert.throws(function() {
+      app.runReport();
+    }, /Permission denied/);
+    assert.strictEqual(env.mail.sent.length, 1);
+    assert.strictEqual(
+        env.mail.sent[0].subject,
+        'Price Visibility Booster: Ads report failed');
+    assert.strictEqual(env.mail.sent[0].body, 'Error: Permission denied');
+  });
+
+  it('only appends the missing days in incremental mode', function() {
+    const {app, env} = loadWithEnv(
+        Object.assign({}, SETTINGS, {
+          'reporting.incremental': true,
+          'reporting.startDate': '2024-05-01',
+          'reporting.endDate': '2024-05-02',
+        }),
+        server, {'DeveloperToken': 'dev-token'});
+    const reported = [
+      '2024-05-01', 'custom_label_0', 'below benchmark', '30', '1000', 15, 0.5,
+      2, 160, 2.5, 190
+    ];
+    env.sheets.sheets['AdsData'] = [plain(app.HEADERS), reported];
+    server.reset();
+    app.runReport();
+    const queries = server.requests()
+                        .filter(function(request) {
+                          return /product_custom_attribute/.test(
+                              request.body.query);
+                        })
+                        .map(function(request) {
+                          return request.body.query.replace(/\s+/g, ' ');
+                        });
+    assert.match(queries[0], />= '2024-05-02' AND .* <= '2024-05-02'/);
+    assert.match(queries[1], />= '2024-05-01' AND .* <= '2024-05-02'/);
+    // The fake always answers 2024-05-01: only custom_label_1 lacked it.
+    assert.deepStrictEqual(env.sheets.sheets['AdsData'].slice(1), [
+      reported,
+      [
+        '2024-05-01', 'custom_label_1', 'summer', '12', '400', 6, 0.5, 1, 80,
+        1, 80
+      ],
+    ]);
+  });
+
+  it('queries the account through the manager account', function() {
+    const {app} = loadWithEnv(
+        Object.assign({}, SETTINGS, {'reporting.apiVersion': 'v14'}), server,
+        {'DeveloperToken': 'dev-token'});
+    app.runReport();
+    const request = server.requests().pop();
+    assert.strictEqual(
+        request.path, '/v14/customers/0987654321/googleAds:searchStream');
+    assert.strictEqual(request.headers['login-customer-id'], '1234567890');
+    assert.strictEqual(request.headers['developer-token'], 'dev-token');
+    assert.match(
+        request.body.query, /segments\.product_custom_attribute1 IS NOT NULL/);
+  });
+
+  it('reports on every client account of the manager account', function() {
+    const {app, env} = loadWithEnv(
+        Object.assign({}, SETTINGS, {
+          'reporting.AccountCID': '',
+          'reporting.allClients': true,
+          'reporting.labelNumbers': '0'
+        }),
+        server, {'DeveloperToken': 'dev-token'});
+    server.reset();
+    app.runReport();
+    const paths = server.requests().map(function(request) {
+      return request.path;
+    });
+    assert.deepStrictEqual(paths, [
+      '/v21/customers/1234567890/googleAds:searchStream',
+      '/v21/customers/1234567890/googleAds:search',
+      '/v21/customers/1111111111/googleAds:searchStream',
+      '/v21/customers/2222222222/googleAds:searchStream',
+    ]);
+    const adsData = env.sheets.sheets['AdsData'];
+    assert.strictEqual(adsData[0][11], 'customerId');
+    assert.deepStrictEqual(
+        adsData.slice(1).map(function(row) {
+          return [row[11], row[2], row[4]];
+        }),
+        [
+          ['1111111111', 'below benchmark', '1000'],
+          ['1111111111', 'above benchmark', '800'],
+          ['2222222222', 'below benchmark', '1000'],
+          ['2222222222', 'above benchmark', '800'],
+        ]);
+    // The label performance adds up the client accounts.
+    const performance = env.sheets.sheets['label performance'];
+    const below = performance.find(function(row) {
+      return row[1] == 'below benchmark';
+    });
+    assert.strictEqual(below[performance[0].indexOf('impressions_7d')], 2000);
+  });
+
+  it('only appends the missing days of each client account', function() {
+    const {app, env} = loadWithEnv(
+        Object.assign({}, SETTINGS, {
+          'reporting.allClients': true,
+          'reporting.labelNumbers': '0',
+          'reporting.incremental': true,
+          'reporting.startDate': '2024-05-01',
+          'reporting.endDate': '2024-05-01',
+        }),
+        server, {'DeveloperToken': 'dev-token'});
+    const reported = [
+      '2024-05-01', 'custom_label_0', 'below benchmark', '30', '1000', 15, 0.5,
+      2, 160, 2.5, 190, '1111111111'
+    ];
+    env.sheets.sheets['AdsData'] = [
+      plain(app.HEADERS).concat(['customerId']), reported
+    ];
+    server.reset();
+    app.runReport();
+    const reportedOn = server.requests()
+                           .filter(function(request) {
+                             return /product_custom_attribute/.test(
+                                 request.body.query);
+                           })
+                           .map(function(request) {
+                             return request.path.split('/')[3];
+                           });
+    assert.deepStrictEqual(reportedOn, ['2222222222']);
+    assert.deepStrictEqual(
+        env.sheets.sheets['AdsData'].slice(1).map(function(row) {
+          return row[11];
+        }),
+        ['1111111111', '2222222222', '2222222222']);
+  });
+
+  it('rewrites the tab once the client accounts are reported on', function() {
+    const {app, env} = loadWithEnv(
+        Object.assign({}, SETTINGS, {
+          'reporting.allClients': true,
+          'reporting.labelNumbers': '0',
+          'reporting.incremental': true,
+          'reporting.startDate': '2024-05-01',
+          'reporting.endDate': '2024-05-01',
+        }),
+        server, {'DeveloperToken': 'dev-token'});
+    env.sheets.sheets['AdsData'] = [
+      plain(app.HEADERS),
+      [
+        '2024-05-01', 'custom_label_0', 'below benchmark', '30', '1000', 15,
+        0.5, 2, 160, 2.5, 190
+      ],
+    ];
+    app.runReport();
+    const adsData = env.sheets.sheets['AdsData'];
+    assert.strictEqual(adsData[0][11], 'customerId');
+    assert.deepStrictEqual(
+        adsData.slice(1).map(function(row) {
+          return [row[11], row[2]];
+        }),
+        [
+          ['1111111111', 'below benchmark'],
+          ['1111111111', 'above benchmark'],
+          ['2222222222', 'below benchmark'],
+          ['2222222222', 'above benchmark'],
+        ]);
+  });
+
+  it('clears the customer IDs once a single account is reported on',
+     function() {
+       const {app, env} = loadWithEnv(
+           Object.assign({}, SETTINGS, {
+             'reporting.labelNumbers': '0',
+             'reporting.incremental': true,
+             'reporting.startDate': '2024-05-01',
+             'reporting.endDate': '2024-05-01',
+           }),
+           server, {'DeveloperToken': 'dev-token'});
+       env.sheets.sheets['AdsData'] = [
+         plain(app.HEADERS).concat(['customerId']),
+         [
+           '2024-05-01', 'custom_label_0', 'below benchmark', '30', '1000',
+           15, 0.5, 2, 160, 2.5, 190, '1111111111'
+         ],
+       ];
+       app.runReport();
+       const adsData = env.sheets.sheets['AdsData'];
+       assert.deepStrictEqual(
+           adsData.map(function(row) {
+             return [row[2], row[11]];
+           }),
+           [
+             ['labelValue', ''],
+             ['below benchmark', ''],
+             ['above benchmark', ''],
+           ]);
+     });
+
+  it('streams the report from the current API version', function() {
+    const {app} =
+        loadWithEnv(SETTINGS, server, {'DeveloperToken': 'dev-token'});
+    app.runReport();
+    const request = server.requests().pop();
+    assert.strictEqual(
+        request.path, '/v21/customers/0987654321/googleAds:searchStream');
+  });
+
+  it('calls the configured API version', function() {
+    const {app} = loadWithEnv(
+        Object.assign({}, SETTINGS, {'reporting.apiVersion': 'v22'}), server,
+        {'DeveloperToken': 'dev-token'});
+    server.reset();
+    app.runReport();
+    assert.ok(server.requests().every(function(request) {
+      return request.path.startsWith('/v22/customers/');
+    }));
+  });
+
+  it('checks the API version and the client accounts', function() {
+    const {app} = loadWithEnv(
+        Object.assign({}, SETTINGS, {
+          'reporting.AccountCID': '',
+          'reporting.allClients': true,
+          'reporting.apiVersion': '14'
+        }),
+        server, {'DeveloperToken': 'dev-token'});
+    let checks = plain(app.validateAdsAccess(app.getEnv()));
+    assert.deepStrictEqual(
+        checks.map(function(check) {
+          return [check.setting, check.status];
+        }),
+        [
+          ['reporting.ManagerCID', 'PASS'],
+          ['reporting.apiVersion', 'FAIL'],
+          ['DeveloperToken', 'PASS'],
+        ]);
+    app.getEnv().config.adsApiVersion = 'v21';
+    checks = plain(app.validateAdsAccess(app.getEnv()));
+    assert.deepStrictEqual(checks.pop(), {
+      'setting': 'Google Ads access',
+      'status': 'PASS',
+      'details': '2 client accounts reachable'
+    });
+  });
+});
@@ -0,0 +1,382 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+
+const {loadBenchmark, plain, runBenchmark, startFakeServer} =
+    require('./harness');
+
+const SETTINGS = {
+  'exportLabels': [
+    [true, 'Below benchmark'],
+    [true, 'At benchmark'],
+    [true, 'Above benchmark'],
+    [true, 'Clearance'],
+  ],
+  'activateLabels': true,
+};
+
+describe('runVisibilityBooster', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('merges every page of the benchmark with the products and stats',
+     function() {
+       const {sheets} = runBenchmark(server, SETTINGS);
+       const benchmark = sheets['benchmark data'];
+       assert.deepStrictEqual(benchmark[0], [
+         'id', 'title', 'brand', 'current_price', 'currency', 'country',
+         'benchmark_price', '% current vs. benchmark', 'custom_label_0',
+         'impressions', 'clicks'
+       ]);
+       assert.deepStrictEqual(
+           benchmark.map(function(row) {
+             return row[0];
+           }),
+           ['id', 'sku1', 'sku2', 'sku3']);
+       const sku1 = benchmark[1];
+       assert.deepStrictEqual(
+           sku1.slice(0, 7),
+           ['sku1', 'Trail running shoes', 'Acme', 80, 'USD', 'US', 100]);
+       assert.ok(Math.abs(sku1[7] + 0.2) < 1e-9);
+       assert.deepStrictEqual(sku1.slice(8), ['Below benchmark', '1200', '48']);
+       assert.deepStrictEqual(benchmark[2].slice(8), ['At benchmark', 0, 0]);
+     });
+
+  it('writes the in stock products to the supplemental feed', function() {
+    const {sheets} = runBenchmark(server, SETTINGS);
+    assert.deepStrictEqual(sheets['output - supplemental feed'], [
+      ['id', 'custom_label_0'],
+      ['sku1', 'Below benchmark'],
+      ['sku2', 'At benchmark'],
+      ['sku3', 'Above benchmark'],
+    ]);
+  });
+
+  it('writes a feed per currency of a country', function() {
+    const {sheets} = runBenchmark(
+        server, SETTINGS, {'markets': [['US', 'USD'], ['US', 'EUR']]});
+    assert.strictEqual(sheets['output - supplemental feed'], undefined);
+    assert.deepStrictEqual(
+        sheets['output - supplemental feed - US - USD'][1],
+        ['sku1', 'Below benchmark']);
+    assert.ok(sheets['output - supplemental feed - US - EUR']);
+  });
+
+  it('filters out products under the stock threshold', function() {
+    const {sheets} = runBenchmark(server, SETTINGS, {
+      'stockInfo.enabled': true,
+      'stockInfo.attribute': 'stock_level',
+      'stockInfo.threshold': 5,
+    });
+    const feed = sheets['output - supplemental feed'];
+    assert.deepStrictEqual(feed.slice(1).map(function(row) {
+      return row[0];
+    }), ['sku1', 'sku3']);
+    assert.strictEqual(sheets['benchmark data'][1][11], '12');
+  });
+
+  it('lets label rules override the price label', function() {
+    const {sheets} = runBenchmark(server, SETTINGS, {
+      'rules.conditions':
+          [['Clearance', 'brand = zenith AND relativePrice > 10%']],
+    });
+    assert.deepStrictEqual(
+        sheets['output - supplemental feed'][3], ['sku3', 'Clearance']);
+  });
+
+  it('adds the labels to the history', function() {
+    const {sheets} = runBenchmark(server, SETTINGS);
+    const history = sheets['label history'];
+    assert.strictEqual(history.length, 4);
+    assert.deepStrictEqual(
+        history[1].slice(1, 4), ['sku1', 'US', 'Below benchmark']);
+    assert.deepStrictEqual(sheets['label changes'].length, 1);
+  });
+
+  it('keeps only the last runs in the history', function() {
+    const {app, env} =
+        loadBenchmark(server, SETTINGS, {'history.keepRuns': 2});
+    env.sheets.sheets['label history'] = [
+      app.LABEL_HISTORY_HEADERS.slice(),
+      ['2024-05-01 06:00:00', 'sku1', 'US', 'At benchmark', -0.04, 100, ''],
+      ['2024-05-08 06:00:00', 'sku1', 'US', 'At benchmark', -0.04, 100, ''],
+      ['2024-05-15 06:00:00', 'sku1', 'US', 'At benchmark', -0.04, 100, ''],
+      ['2024-05-15 06:00:00', 'sku2', 'US', 'At benchmark', 0, 10, ''],
+    ];
+    app.runVisibilityBooster();
+    const history = env.sheets.sheets['label history'];
+    assert.strictEqual(history.length, 6);
+    assert.deepStrictEqual(
+        history.slice(1, 3).map(function(row) {
+          return row[0];
+        }),
+        ['2024-05-15 06:00:00', '2024-05-15 06:00:00']);
+    assert.deepStrictEqual(
+        plain(app.getPreviousRun()).timestamp, history[5][0]);
+  });
+
+  it('keeps every run in the history by default', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    let rows = [app.LABEL_HISTORY_HEADERS.slice()];
+    for (let day = 1; day <= 20; day++) {
+      const timestamp = '2024-05-' + String(day).padStart(2, '0') + ' 06:00:00';
+      rows.push([timestamp, 'sku1', 'US', 'At benchmark', -0.04, 100, '']);
+    }
+    env.sheets.sheets['label history'] = rows;
+    app.runVisibilityBooster();
+    const history = env.sheets.sheets['label history'];
+    assert.strictEqual(history.length, 24);
+    assert.strictEqual(history[1][0], '2024-05-01 06:00:00');
+  });
+
+  it('reads the last run from the end of a long history', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    let rows = [app.LABEL_HISTORY_HEADERS.slice()];
+    for (let i = 0; i < 3; i++) {
+      rows.push(['2024-05-01 06:00:00', 'old' + i, 'US', 'At benchmark']);
+    }
+    for (let i = 0; i < 6000; i++) {
+      rows.push(['2024-05-08 06:00:00', 'sku' + i, 'US', 'At benchmark']);
+    }
+    env.sheets.sheets['label history'] = rows;
+    const lastRun =
+        app.readLastRun('label history', app.LABEL_HISTORY_HEADERS.length);
+    assert.strictEqual(lastRun.timestamp, '2024-05-08 06:00:00');
+    assert.strictEqual(lastRun.rows.length, 6000);
+    assert.deepStrictEqual(
+        plain(lastRun.rows[0]).slice(0, 2), ['2024-05-08 06:00:00', 'sku0']);
+  });
+
+  it('holds back label changes until they last the minimum runs',
+     function() {
+       const {app, env} =
+           loadBenchmark(server, SETTINGS, {'stability.minRuns': 2});
+       env.sheets.sheets['label history'] = [
+         app.LABEL_HISTORY_HEADERS.slice(),
+         ['2024-05-01 06:00:00', 'sku1', 'US', 'At benchmark', -0.04, 100, ''],
+       ];
+       app.runVisibilityBooster();
+       let history = env.sheets.sheets['label history'];
+       assert.deepStrictEqual(
+           [history[2][3], history[2][7], history[2][8]],
+           ['At benchmark', 'Below benchmark', 1]);
+       assert.deepStrictEqual(
+           env.sheets.sheets['output - supplemental feed'][1],
+           ['sku1', 'At benchmark']);
+       app.runVisibilityBooster();
+       history = env.sheets.sheets['label history'];
+       const last = history[history.length - 3];
+       assert.deepStrictEqual(
+           [last[1], last[3], last[7], last[8]],
+           ['sku1', 'Below benchmark', '', 0]);
+       assert.deepStrictEqual(
+           env.sheets.sheets['output - supplemental feed'][1],
+           ['sku1', 'Below benchmark']);
+     });
+
+  it('reads the same data through the Merchant API', function() {
+    const {sheets} =
+        runBenchmark(server, SETTINGS, {'merchantBackend': 'Merchant API'});
+    assert.deepStrictEqual(sheets['output - supplemental feed'], [
+      ['id', 'custom_label_0'],
+      ['sku1', 'Below benchmark'],
+      ['sku2', 'At benchmark'],
+    ]);
+    assert.deepStrictEqual(
+        sheets['benchmark data'][1].slice(8),
+        ['Below benchmark', '1200', '48']);
+  });
+
+  it('reports the label changes in a dry run without pushing them',
+     function() {
+       const {sheets} =
+           runBenchmark(server, SETTINGS, {'labelPush.mode': 'Dry run'});
+       assert.deepStrictEqual(
+           sheets['label push'].slice(1).map(function(row) {
+             return [row[1], row[3], row[4], row[5]];
+           }),
+           [
+             ['sku1', 'At benchmark', 'Below benchmark', 'would update'],
+             ['sku2', '', 'At benchmark', 'would update'],
+           ]);
+       const pushes = server.requests().filter(function(request) {
+         return request.body && request.body.entries &&
+             request.body.entries.some(function(entry) {
+               return entry.method != 'get';
+             });
+       });
+       assert.deepStrictEqual(pushes, []);
+     });
+
+  it('keeps the label of the products left unlabeled', function() {
+    const settings = {
+      'labelPush.mode': 'Dry run',
+      'exportLabels': [[true, 'At benchmark'], [true, 'Above benchmark']]
+    };
+    const pushed = function(settings) {
+      return runBenchmark(server, SETTINGS, settings)
+          .sheets['label push']
+          .slice(1)
+          .map(function(row) {
+            return [row[1], row[4]];
+          });
+    };
+    assert.deepStrictEqual(pushed(settings), [['sku2', 'At benchmark']]);
+    assert.deepStrictEqual(
+        pushed(Object.assign({'labelPush.clearLabels': true}, settings)),
+        [['sku1', ''], ['sku2', 'At benchmark']]);
+  });
+
+  it('reports the products that can\'t be updated in place', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    const api = {
+      'custom_batch_set_labels': function(batch) {
+        return {
+          'entries': batch.entries.map(function(entry) {
+            return {
+              'batchId': entry.batchId,
+              'errors': {'message': 'Product not inserted through the API'}
+            };
+          })
+        };
+      }
+    };
+    const failed = app.pushLabels(api, env.config, [{
+      'productId': 'online:en:US:sku1',
+      'offerId': 'sku1',
+      'country': 'US',
+      'currentLabel': 'At benchmark',
+      'label': 'Below benchmark'
+    }], false);
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(
+        env.sheets.sheets['label push'][1][5],
+        'error: Product not inserted through the API (products from a feed ' +
+            'need labelPush.dataSource)');
+  });
+
+  it('adds the Google Ads metrics of each product', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {
+          'reporting.ManagerCID': '123-456-7890',
+          'reporting.AccountCID': '098-765-4321',
+          'reporting.productMetrics': true,
+          'reporting.apiVersion': 'v14',
+        },
+        {'DeveloperToken': 'dev-token'});
+    app.runVisibilityBooster();
+    const benchmark = env.sheets.sheets['benchmark data'];
+    assert.deepStrictEqual(
+        benchmark[0].slice(9),
+        [
+          'impressions', 'clicks', 'ads_cost', 'ads_conversions',
+          'ads_conversions_value', 'ads_roas'
+        ]);
+    // Rows of the same product are added up, and matched ignoring case.
+    assert.deepStrictEqual(benchmark[1].slice(11), [20, 2, 160, 8]);
+    assert.deepStrictEqual(benchmark[2].slice(11), [0, 0, 0, '']);
+    assert.deepStrictEqual(benchmark[3].slice(11), [5, 0, 0, 0]);
+    const request = server.requests().find(function(request) {
+      return request.path.startsWith('/v14/customers/0987654321/');
+    });
+    assert.match(
+        request.body.query, /segments\.product_merchant_id IN \(123456\)/);
+  });
+
+  it('streams the Google Ads metrics from the current API version',
+     function() {
+       const {app} = loadBenchmark(
+           server, SETTINGS, {
+             'reporting.ManagerCID': '123-456-7890',
+             'reporting.AccountCID': '098-765-4321',
+             'reporting.productMetrics': true,
+           },
+           {'DeveloperToken': 'dev-token'});
+       server.reset();
+       app.runVisibilityBooster();
+       const paths = server.requests()
+                         .filter(function(request) {
+                           return request.host == 'googleads.googleapis.com';
+                         })
+                         .map(function(request) {
+                           return request.path;
+                         });
+       // The second query reads the countries the products were sold in.
+       assert.deepStrictEqual(paths, [
+         '/v21/customers/0987654321/googleAds:searchStream',
+         '/v21/customers/0987654321/googleAds:searchStream'
+       ]);
+     });
+
+  it('adds the Google Ads metrics of the country of each market', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {
+          'markets': [['US', 'USD'], ['CA', 'CAD']],
+          'reporting.ManagerCID': '123-456-7890',
+          'reporting.AccountCID': '098-765-4321',
+          'reporting.productMetrics': true,
+        },
+        {'DeveloperToken': 'dev-token'});
+    app.runVisibilityBooster();
+    const metrics = {};
+    env.sheets.sheets['benchmark data'].slice(1).forEach(function(row) {
+      metrics[row[5] + ':' + row[0]] = row.slice(11);
+    });
+    // sku1 was also advertised in Canada, which isn't added to the US row.
+    assert.deepStrictEqual(metrics['US:sku1'], [20, 2, 160, 8]);
+    assert.deepStrictEqual(metrics['CA:sku6'], [4, 2, 30, 7.5]);
+  });
+
+  it('reads the statistics of the configured window', function() {
+    server.reset();
+    runBenchmark(
+        server, SETTINGS,
+        {'stats.startDate': '2024-04-01', 'stats.endDate': '2024-04-30'});
+    const request = server.requests().find(function(request) {
+      return request.path.endsWith('/reports/search') &&
+          request.body.query.includes('MerchantPerformanceView');
+    });
+    assert.match(
+        request.body.query,
+        /segments\.date BETWEEN '2024-04-01' AND '2024-04-30'/);
+  });
+
+  it('counts the statistics window in the time zone of the account',
+     function() {
+       const {app} =
+           loadBenchmark(server, SETTINGS, {'merchantBackend': 'Merchant API'});
+       app.runVisibilityBooster();
+       assert.ok(app.logs.some(function(message) {
+         return /^Statistics from .* \(America\/New_York\)$/.test(message);
+       }));
+     });
+
+  it('sends the OAuth token with every call', function() {
+    runBenchmark(server, SETTINGS);
+    server.requests().forEach(function(request) {
+      assert.strictEqual(request.headers.authorization, 'Bearer fake-token');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+
+const {loadBenchmark, plain, startFakeServer} = require('./harness');
+
+const SETTINGS = {
+  'movers.enabled': true,
+  'movers.threshold': '5%',
+  'notifications.email': 'team@example.com',
+};
+
+// The previous run: the benchmark of sku1 rose from 82 to 100 with the same
+// price, the one of sku2 barely moved and the one of sku3 dropped from 120 to
+// 100 while its price went up.
+const HISTORY = [
+  [
+    '2024-05-01 06:00:00', 'sku1', 'US', '', 'Acme', 80, 82, -0.02,
+    'At benchmark'
+  ],
+  [
+    '2024-05-01 06:00:00', 'sku2', 'US', '', 'Acme', 10, 10.2, -0.02,
+    'At benchmark'
+  ],
+  [
+    '2024-05-01 06:00:00', 'sku3', 'US', '', 'Zenith', 125, 120, 0.04,
+    'At benchmark'
+  ],
+];
+
+describe('benchmark movers', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  /**
+   * Runs the benchmark against the fake server, after the given runs.
+   *
+   * @param {!Object=} settings - The settings of the test.
+   * @param {!Array<!Array>=} history - The rows of the 'benchmark history' tab
+   *     before the run.
+   * @return {!Object} The test environment.
+   */
+  function run(settings, history) {
+    const {app, env} = loadBenchmark(server, SETTINGS, settings);
+    if (history) {
+      env.sheets.sheets['benchmark history'] =
+          [plain(app.BENCHMARK_HISTORY_HEADERS)].concat(history);
+    }
+    app.runVisibilityBooster();
+    return env;
+  }
+
+  it('starts the history on the first run', function() {
+    const env = run();
+    const sheets = env.sheets.sheets;
+    assert.strictEqual(sheets['benchmark movers'], undefined);
+    const sku1 = sheets['benchmark history'][1];
+    assert.deepStrictEqual(
+        sku1.slice(1, 7), ['sku1', 'US', '', 'Acme', 80, 100]);
+    assert.strictEqual(sku1[8], 'Below benchmark');
+    assert.ok(!env.mail.sent[0].body.includes('Benchmark movers'));
+  });
+
+  it('reports the offers whose benchmark moved', function() {
+    const sheets = run({}, HISTORY).sheets.sheets;
+    assert.deepStrictEqual(
+        sheets['benchmark movers'].map(function(row) {
+          return [row[0], row[5], row[10], row[11], row[12], row[13]];
+        }),
+        [
+          [
+            'id', 'movement', 'previous_price_label', 'price_label',
+            'crossed_label', 'previous_run'
+          ],
+          [
+            'sku1', 'rose', 'At benchmark', 'Below benchmark', true,
+            '2024-05-01 06:00:00'
+          ],
+          [
+            'sku3', 'dropped', 'At benchmark', 'Above benchmark', false,
+            '2024-05-01 06:00:00'
+          ],
+        ]);
+    assert.strictEqual(
+        Math.round(sheets['benchmark movers'][1][8] * 1000) / 1000, 0.22);
+    // Every benchmarked offer is added, including the unlabeled ones.
+    assert.strictEqual(sheets['benchmark history'].length, 8);
+  });
+
+  it('keeps only the last runs of the history', function() {
+    const older = HISTORY.map(function(row) {
+      return ['2024-04-24 06:00:00'].concat(row.slice(1));
+    });
+    const sheets =
+        run({'history.keepRuns': 2}, older.concat(HISTORY)).sheets.sheets;
+    const history = sheets['benchmark history'];
+    assert.strictEqual(history.length, 8);
+    assert.strictEqual(history[1][0], '2024-05-01 06:00:00');
+    assert.strictEqual(
+        sheets['benchmark movers'][1][13], '2024-05-01 06:00:00');
+  });
+
+  it('reports the offers crossing a label below the threshold', function() {
+    const sheets = run({'movers.threshold': '50%'}, HISTORY).sheets.sheets;
+    assert.deepStrictEqual(
+        sheets['benchmark movers'].slice(1).map(function(row) {
+          return [row[0], row[5], row[12]];
+        }),
+        [['sku1', '', true]]);
+  });
+
+  it('averages the moves of each brand since the last run', function() {
+    const brandChanges = run({}, HISTORY).sheets.sheets['brand changes'];
+    assert.deepStrictEqual(brandChanges.slice(1).map(function(row) {
+      return [row[0], row[1], Math.round(row[2] * 1000) / 1000, row[3], row[4]];
+    }), [
+      ['Zenith', 1, -0.167, 1, 0],
+      ['Acme', 2, 0.1, 0, 1],
+    ]);
+  });
+
+  it('follows the trend of each brand over every stored run', function() {
+    // The benchmarks rose by 25% from the run before the previous one.
+    const older = HISTORY.map(function(row) {
+      return ['2024-04-24 06:00:00'].concat(
+          row.slice(1, 6), [row[6] * 0.8], row.slice(7));
+    });
+    const sheets = run({}, older.concat(HISTORY)).sheets.sheets;
+    const round = function(value) {
+      return Math.round(value * 1000) / 1000;
+    };
+    assert.deepStrictEqual(sheets['brand trend'].slice(1).map(function(row) {
+      return [row[0], row[2], round(row[3]), round(row[4])];
+    }), [
+      ['Acme', 2, 0.25, 0.25],
+      ['Acme', 2, 0.1, 0.375],
+      ['Zenith', 1, 0.25, 0.25],
+      ['Zenith', 1, -0.167, 0.042],
+    ]);
+    assert.strictEqual(sheets['brand trend'][1][1], '2024-05-01 06:00:00');
+  });
+
+  it('highlights the movers in the run summary', function() {
+    const body = run({}, HISTORY).mail.sent[0].body;
+    assert.ok(body.includes(
+        'Benchmark movers since 2024-05-01 06:00:00: 1 dropped, 1 rose by ' +
+        'more than 5%\nLabels changed by a benchmark move alone: 1\n' +
+        'Brands with the largest benchmark moves:\n' +
+        '  - Zenith: -16.67% over 1 offer(s)\n' +
+        '  - Acme: +10% over 2 offer(s)\n'));
+  });
+
+  it('is off by default', function() {
+    const sheets = run({'movers.enabled': false}, HISTORY).sheets.sheets;
+    assert.strictEqual(sheets['benchmark movers'], undefined);
+    assert.strictEqual(sheets['benchmark history'].length, 4);
+  });
+
+  it('checks the threshold', function() {
+    const {app} =
+        loadBenchmark(null, SETTINGS, {'movers.threshold': 'a lot'});
+    const checks = plain(app.validateSettings(app.getEnv().config))
+                       .filter(function(check) {
+                         return check.setting == 'movers.threshold';
+                       });
+    assert.strictEqual(checks.length, 1);
+    assert.strictEqual(checks[0].status, 'FAIL');
+  });
+});
@@ -0,0 +1,135 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, beforeEach, describe, it} = require('node:test');
+
+const {loadBenchmark, startFakeServer} = require('./harness');
+
+const SETTINGS = {
+  'reporting.ManagerCID': '123-456-7890',
+  'reporting.AccountCID': '098-765-4321',
+  'reporting.startDate': '2024-05-01',
+  'reporting.endDate': '2024-05-07',
+  'bigquery.projectId': 'my-project',
+};
+
+describe('BigQuery export', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  beforeEach(function() {
+    server.reset();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  /**
+   * Runs the benchmark or the Ads report against the fake server.
+   *
+   * @param {string} entryPoint - The function to run.
+   * @return {!Object} The global scope of the solution.
+   */
+  function run(entryPoint) {
+    const {app} = loadBenchmark(
+        server, SETTINGS, {}, {'DeveloperToken': 'dev-token'});
+    app[entryPoint]();
+    return app;
+  }
+
+  it('creates the tables and exports the benchmark and labels', function() {
+    const app = run('runVisibilityBooster');
+    const bigquery = server.bigquery();
+    assert.deepStrictEqual(Object.keys(bigquery.datasets), ['price_benchmark']);
+    const benchmark = bigquery.tables['price_benchmark.benchmark'];
+    assert.deepStrictEqual(
+        benchmark.timePartitioning, {'type': 'DAY', 'field': 'run_date'});
+    assert.deepStrictEqual(
+        benchmark.rows.map(function(row) {
+          return [row.offer_id, row.account, row.price, row.impressions];
+        }),
+        [
+          ['sku1', '123456', 80, 1200], ['sku2', '123456', 10, 0],
+          ['sku3', '123456', 130, 300], ['sku4', '123456', 15, 0]
+        ]);
+    // Products that don't get a label, like the out of stock sku4, are only
+    // in the benchmark.
+    const labels = bigquery.tables['price_benchmark.labels'];
+    assert.deepStrictEqual(
+        labels.rows.map(function(row) {
+          return [row.offer_id, row.previous_label, row.label];
+        }),
+        [
+          ['sku1', 'At benchmark', 'Below benchmark'],
+          ['sku2', '', 'At benchmark'],
+          ['sku3', 'Above benchmark', 'Above benchmark']
+        ]);
+    assert.ok(app.logs.includes(
+        '3 rows exported to price_benchmark.labels for ' +
+        labels.rows[0].run_date));
+  });
+
+  it('replaces the partition of the day when run again', function() {
+    run('runVisibilityBooster');
+    run('runVisibilityBooster');
+    const tables = server.bigquery().tables;
+    assert.strictEqual(tables['price_benchmark.benchmark'].rows.length, 4);
+    assert.strictEqual(tables['price_benchmark.labels'].rows.length, 3);
+  });
+
+  it('replaces the days of the reporting window of the Ads report',
+     function() {
+       run('runReport');
+       run('runReport');
+       const rows = server.bigquery().tables['price_benchmark.ads_report'].rows;
+       assert.deepStrictEqual(
+           rows.map(function(row) {
+             return [row.date, row.label_value, row.clicks, row.cost];
+           }),
+           [
+             ['2024-05-01', 'below benchmark', 30, 15],
+             ['2024-05-01', 'above benchmark', 5, 4],
+           ]);
+       const deletes = server.requests().filter(function(request) {
+         return request.path.endsWith('/queries');
+       });
+       assert.strictEqual(deletes.length, 2);
+       assert.match(
+           deletes[0].body.query,
+           /WHERE date BETWEEN '2024-05-01' AND '2024-05-07'$/);
+     });
+
+  it('logs a failed export without failing the run', function() {
+    server.addFault({
+      'host': 'bigquery.googleapis.com',
+      'path': '/upload/',
+      'status': 403,
+      'body': JSON.stringify(
+          {'error': {'code': 403, 'message': 'Access Denied'}}),
+      'times': 1
+    });
+    const app = run('runVisibilityBooster');
+    assert.ok(app.logs.includes('BigQuery export failed: Access Denied'));
+    assert.ok(app.logs.some(function(message) {
+      return message.startsWith('Run completed');
+    }));
+  });
+});
@@ -0,0 +1,67 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {loadWithEnv, plain} = require('./harness');
+
+describe('resolveDateRange', function() {
+  const {app} = loadWithEnv({});
+  const now = new Date('2024-05-01T02:00:00Z');
+
+  it('ends the presets yesterday in the time zone of the account', function() {
+    assert.deepStrictEqual(
+        plain(app.resolveDateRange({'preset': 'LAST_7_DAYS'}, 'UTC', now)),
+        {'startDate': '2024-04-24', 'endDate': '2024-04-30'});
+    assert.deepStrictEqual(
+        plain(app.resolveDateRange(
+            {'preset': 'LAST_7_DAYS'}, 'America/Los_Angeles', now)),
+        {'startDate': '2024-04-23', 'endDate': '2024-04-29'});
+  });
+
+  it('counts the days across month boundaries', function() {
+    assert.deepStrictEqual(
+        plain(app.resolveDateRange(
+            {'preset': 'LAST_90_DAYS'}, 'UTC',
+            new Date('2024-03-05T12:00:00Z'))),
+        {'startDate': '2023-12-06', 'endDate': '2024-03-04'});
+    assert.deepStrictEqual(
+        plain(app.resolveDateRange({'preset': 'LAST_MONTH'}, 'UTC', now)),
+        {'startDate': '2024-04-01', 'endDate': '2024-04-30'});
+  });
+
+  it('uses the explicit dates over the preset', function() {
+    assert.deepStrictEqual(
+        plain(app.resolveDateRange(
+            {'preset': 'LAST_7_DAYS', 'startDate': '2024-03-01'}, 'UTC', now)),
+        {'startDate': '2024-03-01', 'endDate': '2024-04-30'});
+  });
+
+  it('reports invalid windows', function() {
+    assert.strictEqual(app.checkDateWindow({'preset': 'LAST_30_DAYS'}), '');
+    assert.match(
+        app.checkDateWindow({'preset': 'LAST_YEAR'}),
+        /"LAST_YEAR" should be one of/);
+    assert.strictEqual(
+        app.checkDateWindow(
+            {'startDate': '2024-05-01', 'endDate': '2024-04-01'}),
+        'The end date is before the start date');
+    assert.strictEqual(
+        app.checkDateWindow({'startDate': 'May 1st'}),
+        '"May 1st" should be a date, as yyyy-MM-dd');
+  });
+});
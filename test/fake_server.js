@@ -0,0 +1,513 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview Fake Content API, Merchant API, Google Ads API and BigQuery
+ * server, answering with the recorded responses of the fixtures directory. It
+ * also accepts the messages of Google Chat webhooks.
+ *
+ * Requests are expected as `http://127.0.0.1:<port>/<host>/<path>`, the way
+ * `FakeHttp` rewrites the API URLs. The server runs in its own process, as the
+ * solution calls the APIs synchronously, and prints its port once listening.
+ * Every request is recorded and can be read back from `GET /__requests`.
+ *
+ * Failures are injected with `POST /__faults`, given a `host`, a `path` the
+ * request path should contain, the `status`, `headers` and raw `body` of the
+ * response, and the number of `times` to fail. `POST /__reset` forgets the
+ * requests and faults.
+ *
+ * The fake BigQuery API keeps the datasets, tables and rows it's sent in
+ * memory, and `GET /__bigquery` returns them. Jobs finish on their first
+ * status check. `POST /__reset` also empties it.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Sub-accounts of every multi-client account. Each one has the products and
+// reports of the fixtures.
+const SUB_ACCOUNTS = [
+  {'id': '111', 'name': 'Store One'},
+  {'id': '222', 'name': 'Store Two'},
+  {'id': '333', 'name': 'Store Three'},
+];
+
+/**
+ * Reads a fixture file.
+ *
+ * @param {string} name - The file name, without the directory.
+ * @return {*} The parsed content.
+ */
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+// Resources of the listing groups, answered from the fixture keyed by the ID
+// of their ad group or asset group.
+const LISTING_GROUP_RESOURCES = [
+  'ad_group', 'ad_group_criterion', 'asset_group',
+  'asset_group_listing_group_filter'
+];
+
+/**
+ * Builds an API error response.
+ *
+ * @param {number} code - The HTTP status.
+ * @param {string} message - The error message.
+ * @return {!Array} The status and body of the response.
+ */
+function apiError(code, message) {
+  return [code, {'error': {'code': code, 'message': message}}];
+}
+
+/**
+ * Answers a report query with a page of the recorded report of the queried
+ * view and country. Recorded reports are lists of pages, and the page token
+ * is the position of the page.
+ *
+ * @param {!Object} reports - The recorded reports, keyed by view, then country.
+ * @param {!Object} body - The request body, with `query` and `pageToken`.
+ * @return {!Array} The status and body of the response.
+ */
+function searchReport(reports, body) {
+  const view = Object.keys(reports).find(function(name) {
+    return body.query.includes(name);
+  });
+  const country = (body.query.match(/country_code = '(\w+)'/) || [])[1];
+  const pages = view && reports[view][country];
+  if (!pages) {
+    return [200, {}];
+  }
+  const page = Number(body.pageToken || 0);
+  const response = Object.assign({}, pages[page]);
+  if (page + 1 < pages.length) {
+    response.nextPageToken = String(page + 1);
+  }
+  return [200, response];
+}
+
+/**
+ * Answers a Content API `products/batch` call.
+ *
+ * @param {!Object} body - The request body, with its `entries`.
+ * @return {!Array} The status and body of the response.
+ */
+function productsBatch(body) {
+  const products = fixture('content_products.json');
+  return [200, {
+    'kind': 'content#productsCustomBatchResponse',
+    'entries': body.entries.map(function(entry) {
+      if (entry.method == 'get') {
+        return products[entry.productId] ?
+            {'batchId': entry.batchId, 'product': products[entry.productId]} :
+            {
+              'batchId': entry.batchId,
+              'errors': {'code': 404, 'message': 'item not found'}
+            };
+      }
+      return {'batchId': entry.batchId, 'product': entry.product};
+    })
+  }];
+}
+
+/**
+ * Answers a product list call with a page of the recorded products. The page
+ * token is the position of the first product of the page.
+ *
+ * @param {!Object} products - The recorded products, keyed by ID.
+ * @param {number} pageSize - The number of products per page.
+ * @param {?string} pageToken - The page token, if any.
+ * @param {string} field - The field of the products in the response.
+ * @return {!Array} The status and body of the response.
+ */
+function listProducts(products, pageSize, pageToken, field) {
+  const all = Object.values(products);
+  const start = Number(pageToken || 0);
+  const response = {};
+  response[field] = all.slice(start, start + pageSize);
+  if (start + pageSize < all.length) {
+    response.nextPageToken = String(start + pageSize);
+  }
+  return [200, response];
+}
+
+/**
+ * Answers a sub-account list call with a page of `SUB_ACCOUNTS`. The page
+ * token is the position of the first account of the page.
+ *
+ * @param {number} pageSize - The number of accounts per page.
+ * @param {?string} pageToken - The page token, if any.
+ * @param {function(!Object): !Object} toResource - Converts an account to the
+ *     shape of the API.
+ * @param {string} field - The field of the accounts in the response.
+ * @return {!Array} The status and body of the response.
+ */
+function listAccounts(pageSize, pageToken, toResource, field) {
+  const start = Number(pageToken || 0);
+  const response = {};
+  response[field] =
+      SUB_ACCOUNTS.slice(start, start + pageSize).map(toResource);
+  if (start + pageSize < SUB_ACCOUNTS.length) {
+    response.nextPageToken = String(start + pageSize);
+  }
+  return [200, response];
+}
+
+/**
+ * Splits the rows of a streamed search into batches of two, to check that
+ * every batch is read.
+ *
+ * @param {!Array<!Object>} results - The rows.
+ * @return {!Array<!Object>} The batches, each with its `results`.
+ */
+function streamBatches(results) {
+  let batches = [];
+  for (let i = 0; i < results.length; i += 2) {
+    batches.push({'results': results.slice(i, i + 2)});
+  }
+  return batches;
+}
+
+/**
+ * Answers a mutate request of listing groups. Validated requests return no
+ * results, like the API.
+ *
+ * @param {!Object} body - The request, with its `operations`.
+ * @return {!Array} The status and body of the response.
+ */
+function mutateListingGroups(body) {
+  if (body.validateOnly) {
+    return [200, {}];
+  }
+  const results = body.operations.map(function(operation, i) {
+    if (operation.remove) {
+      return {'resourceName': operation.remove};
+    }
+    const resource = operation.create || operation.update;
+    return {'resourceName': resource.resourceName || 'created~' + (i + 1)};
+  });
+  return [200, {'results': results}];
+}
+
+/**
+ * Parses the job and the newline delimited JSON rows of a multipart upload.
+ *
+ * @param {string} body - The raw request body.
+ * @return {!Array} The job and the rows.
+ */
+function parseMultipart(body) {
+  const boundary = body.slice(0, body.indexOf('\r\n'));
+  const parts = body.split(boundary).slice(1, -1).map(function(part) {
+    return part.slice(part.indexOf('\r\n\r\n') + 4, -2);
+  });
+  const rows = parts[1].split('\n').filter(Boolean).map(function(line) {
+    return JSON.parse(line);
+  });
+  return [JSON.parse(parts[0]), rows];
+}
+
+/**
+ * Runs a load job on the fake BigQuery tables. A partition decorator limits
+ * a WRITE_TRUNCATE to the rows of that day.
+ *
+ * @param {!Object} job - The job, with its `configuration.load`.
+ * @param {!Array<!Object>} rows - The rows to load.
+ * @return {!Array} The status and body of the response.
+ */
+function loadRows(job, rows) {
+  const load = job.configuration.load;
+  const [tableId, partition] = load.destinationTable.tableId.split('$');
+  const table =
+      bigquery.tables[load.destinationTable.datasetId + '.' + tableId];
+  if (!table) {
+    return apiError(404, 'Not found: Table ' + tableId);
+  }
+  if (bigquery.jobs[job.jobReference.jobId]) {
+    return apiError(409, 'Already Exists: Job ' + job.jobReference.jobId);
+  }
+  if (load.writeDisposition == 'WRITE_TRUNCATE') {
+    const field = table.timePartitioning.field;
+    table.rows = partition ? table.rows.filter(function(row) {
+      return row[field].replaceAll('-', '') != partition;
+    }) : [];
+  }
+  table.rows.push(...rows);
+  bigquery.jobs[job.jobReference.jobId] =
+      Object.assign({}, job, {'status': {'state': 'DONE'}});
+  return [200, Object.assign({}, job, {'status': {'state': 'RUNNING'}})];
+}
+
+/**
+ * Runs the DELETE statements of the BigQuery export on the fake tables.
+ *
+ * @param {string} query - The query, deleting the rows of a date range.
+ * @return {!Array} The status and body of the response.
+ */
+function runQuery(query) {
+  const match = query.match(new RegExp(
+      '^DELETE FROM `[^.]+\\.(\\w+\\.\\w+)` ' +
+      'WHERE (\\w+) BETWEEN \'([\\d-]+)\' AND \'([\\d-]+)\'$'));
+  const table = match && bigquery.tables[match[1]];
+  if (!table) {
+    return apiError(400, 'Unsupported query: ' + query);
+  }
+  const [, , field, startDate, endDate] = match;
+  const count = table.rows.length;
+  table.rows = table.rows.filter(function(row) {
+    return row[field] < startDate || row[field] > endDate;
+  });
+  return [200, {
+    'jobComplete': true,
+    'numDmlAffectedRows': String(count - table.rows.length)
+  }];
+}
+
+/**
+ * Answers a BigQuery API call.
+ *
+ * @param {string} method - The HTTP method.
+ * @param {string} apiPath - The path of the API call, without the query.
+ * @param {?Object|string} body - The parsed request body, or the raw body of
+ *     an upload.
+ * @return {!Array} The status and body of the response.
+ */
+function routeBigQuery(method, apiPath, body) {
+  let match;
+  if (apiPath.startsWith('/upload/bigquery/v2/projects/')) {
+    return loadRows(...parseMultipart(body));
+  }
+  const path = apiPath.replace(/^\/bigquery\/v2\/projects\/[^/]+/, '');
+  if ((match = path.match(/^\/datasets\/(\w+)$/))) {
+    return bigquery.datasets[match[1]] ?
+        [200, bigquery.datasets[match[1]]] :
+        apiError(404, 'Not found: Dataset ' + match[1]);
+  }
+  if (path == '/datasets' && method == 'POST') {
+    bigquery.datasets[body.datasetReference.datasetId] = body;
+    return [200, body];
+  }
+  if ((match = path.match(/^\/datasets\/(\w+)\/tables\/(\w+)$/))) {
+    const table = bigquery.tables[match[1] + '.' + match[2]];
+    return table ? [200, table] : apiError(404, 'Not found: Table ' + match[2]);
+  }
+  if ((match = path.match(/^\/datasets\/(\w+)\/tables$/)) &&
+      method == 'POST') {
+    if (!bigquery.datasets[match[1]]) {
+      return apiError(404, 'Not found: Dataset ' + match[1]);
+    }
+    const table = Object.assign({'rows': []}, body);
+    bigquery.tables[match[1] + '.' + body.tableReference.tableId] = table;
+    return [200, body];
+  }
+  if ((match = path.match(/^\/jobs\/(\w+)$/))) {
+    const job = bigquery.jobs[match[1]];
+    return job ? [200, job] : apiError(404, 'Not found: Job ' + match[1]);
+  }
+  if (path == '/queries') {
+    return runQuery(body.query);
+  }
+  return apiError(404, 'No fake for ' + method + ' ' + apiPath);
+}
+
+/**
+ * Finds the recorded response of a request.
+ *
+ * @param {string} method - The HTTP method.
+ * @param {string} host - The API host.
+ * @param {string} apiPath - The path of the API call, without the query.
+ * @param {!URLSearchParams} params - The query parameters.
+ * @param {?Object} body - The parsed request body.
+ * @return {!Array} The status and body of the response.
+ */
+function route(method, host, apiPath, params, body) {
+  let match;
+  if (host == 'shoppingcontent.googleapis.com') {
+    if (apiPath == '/content/v2.1/products/batch') {
+      return productsBatch(body);
+    }
+    if (/^\/content\/v2\.1\/\d+\/reports\/search$/.test(apiPath)) {
+      return searchReport(fixture('content_reports.json'), body);
+    }
+    if (/^\/content\/v2\.1\/\d+\/products$/.test(apiPath)) {
+      return listProducts(
+          fixture('content_products.json'), Number(params.get('maxResults')),
+          params.get('pageToken'), 'resources');
+    }
+    if (/^\/content\/v2\.1\/\d+\/accounts$/.test(apiPath)) {
+      return listAccounts(
+          Number(params.get('maxResults')), params.get('pageToken'),
+          function(account) {
+            return account;
+          },
+          'resources');
+    }
+    if ((match = apiPath.match(/^\/content\/v2\.1\/\d+\/accounts\/(\d+)$/))) {
+      return [200, {'id': match[1], 'name': 'Fake store'}];
+    }
+  } else if (host == 'merchantapi.googleapis.com') {
+    if (/^\/reports\/v1\/accounts\/\d+\/reports:search$/.test(apiPath)) {
+      return searchReport(fixture('merchant_reports.json'), body);
+    }
+    if (/^\/products\/v1\/accounts\/\d+\/products$/.test(apiPath)) {
+      return listProducts(
+          fixture('merchant_products.json'), Number(params.get('pageSize')),
+          params.get('pageToken'), 'products');
+    }
+    if ((match = apiPath.match(
+             /^\/products\/v1\/accounts\/\d+\/products\/([^/]+)$/))) {
+      const product =
+          fixture('merchant_products.json')[decodeURIComponent(match[1])];
+      return product ? [200, product] : apiError(404, 'Product not found');
+    }
+    if (/^\/accounts\/v1\/accounts\/\d+:listSubaccounts$/.test(apiPath)) {
+      return listAccounts(
+          Number(params.get('pageSize')), params.get('pageToken'),
+          function(account) {
+            return {
+              'name': 'accounts/' + account.id,
+              'accountId': account.id,
+              'accountName': account.name
+            };
+          },
+          'accounts');
+    }
+    if ((match = apiPath.match(/^\/accounts\/v1\/accounts\/(\d+)$/))) {
+      return [200, {
+        'name': 'accounts/' + match[1],
+        'accountName': 'Fake',
+        'timeZone': {'id': 'America/New_York'}
+      }];
+    }
+  } else if (host == 'chat.googleapis.com') {
+    if (/^\/v1\/spaces\/\w+\/messages$/.test(apiPath)) {
+      return [200, {'name': apiPath.slice(4) + '/1', 'text': body.text}];
+    }
+  } else if (host == 'bigquery.googleapis.com') {
+    return routeBigQuery(method, apiPath, body);
+  } else if (host == 'googleads.googleapis.com') {
+    const search =
+        apiPath.match(/^\/v\d+\/customers\/\d+\/googleAds:(search\w*)$/);
+    if (search) {
+      const resource = (body.query.match(/\sFROM\s+(\w+)/) || [])[1];
+      const slot = (body.query.match(/product_custom_attribute(\d)/) || [])[1];
+      let results = [{'customer': {'id': apiPath.split('/')[3]}}];
+      if (LISTING_GROUP_RESOURCES.includes(resource)) {
+        const id = (body.query.match(/\.id = (\d+)/) || [])[1];
+        results = fixture('ads_listing_groups.json')[resource][id] || [];
+      } else if (resource == 'customer_client') {
+        results = fixture('ads_search.json')['clients'];
+      } else if (resource == 'geo_target_constant') {
+        results = fixture('ads_search.json')['countries'];
+      } else if (body.query.includes('segments.product_item_id')) {
+        results = fixture('ads_search.json')['items'];
+      } else if (slot !== undefined) {
+        results = fixture('ads_search.json')[slot] || [];
+      }
+      if (search[1] == 'searchStream') {
+        return [200, streamBatches(results)];
+      }
+      return [200, {'results': results, 'totalResultsCount': results.length}];
+    }
+    const mutate = apiPath.match(/^\/v\d+\/customers\/\d+\/(\w+):mutate$/);
+    if (mutate) {
+      return mutateListingGroups(body);
+    }
+  }
+  return apiError(404, 'No fake for ' + method + ' ' + host + apiPath);
+}
+
+let requests = [];
+let faults = [];
+let bigquery = {'datasets': {}, 'tables': {}, 'jobs': {}};
+
+/**
+ * Finds the injected fault a request should fail with.
+ *
+ * @param {string} host - The API host.
+ * @param {string} apiPath - The path of the API call.
+ * @return {?Object} The fault, or null if the request should succeed.
+ */
+function findFault(host, apiPath) {
+  const fault = faults.find(function(fault) {
+    return fault.times > 0 && fault.host == host &&
+        apiPath.includes(fault.path);
+  });
+  if (!fault) {
+    return null;
+  }
+  fault.times--;
+  return fault;
+}
+
+const server = http.createServer(function(req, res) {
+  let data = '';
+  req.on('data', function(chunk) {
+    data += chunk;
+  });
+  req.on('end', function() {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname == '/__requests') {
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(requests));
+      return;
+    }
+    if (url.pathname == '/__faults') {
+      faults.push(JSON.parse(data));
+      res.end('{}');
+      return;
+    }
+    if (url.pathname == '/__bigquery') {
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(bigquery));
+      return;
+    }
+    if (url.pathname == '/__reset') {
+      requests = [];
+      faults = [];
+      bigquery = {'datasets': {}, 'tables': {}, 'jobs': {}};
+      res.end('{}');
+      return;
+    }
+    const host = url.pathname.split('/')[1];
+    const apiPath = url.pathname.slice(host.length + 1);
+    // Uploads aren't JSON, and are kept as text.
+    const isUpload = /^multipart\//.test(req.headers['content-type'] || '');
+    const body = data ? (isUpload ? data : JSON.parse(data)) : null;
+    requests.push({
+      'method': req.method,
+      'host': host,
+      'path': apiPath + url.search,
+      'headers': req.headers,
+      'body': body
+    });
+    const fault = findFault(host, apiPath);
+    if (fault) {
+      res.writeHead(fault.status, fault.headers || {});
+      res.end(fault.body || '');
+      return;
+    }
+    const [status, response] =
+        route(req.method, host, apiPath, url.searchParams, body);
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(response));
+  });
+});
+server.listen(0, '127.0.0.1', function() {
+  process.stdout.write(server.address().port + '\n');
+});
@@ -0,0 +1,522 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview Runs the Apps Script files under Node for testing.
+ *
+ * The files are loaded in a shared `vm` context, the way Apps Script loads
+ * them in a shared global scope, with stand-ins for the few Apps Script
+ * services used outside of the environment (`Logger`, `Session` and
+ * `Utilities`). Everything else goes through the environment set with
+ * `setEnv`, built here from fakes: settings, sheets kept in memory and an
+ * HTTP fetcher sending the API calls to the fake server.
+ */
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * The settings of a benchmark of the US market of the fake server, labeling
+ * the offers Below, At or Above benchmark by ±5%. The tests only add or
+ * replace the settings they're about, see `loadBenchmark`.
+ */
+const BENCHMARK_SETTINGS = {
+  'merchantId': 123456,
+  'customLabelNumber': 0,
+  'countryFilter': 'US',
+  'currencyFilter': 'USD',
+  'rules.belowBenchmark': 0.05,
+  'rules.atBenchmark': 0.05,
+  'rules.aboveBenchmark': 0.05,
+  'labelName.below': 'Below benchmark',
+  'labelName.at': 'At benchmark',
+  'labelName.above': 'Above benchmark',
+  'exportLabels': [
+    [true, 'Below benchmark'],
+    [true, 'At benchmark'],
+    [true, 'Above benchmark'],
+  ],
+};
+
+/**
+ * Loads the solution in a new context.
+ *
+ * @param {!Object=} env - The environment to set, see `getEnv`.
+ * @param {string=} timeZone - The script time zone, UTC by default.
+ * @return {!Object} The global scope of the solution: any function, class or
+ *     constant is read by name, and `logs` lists what was logged.
+ */
+function loadSolution(env, timeZone) {
+  const logs = [];
+  const context = vm.createContext({
+    'console': console,
+    'Logger': {
+      log: function(message) {
+        logs.push(String(message));
+      }
+    },
+    'Session': {
+      getScriptTimeZone: function() {
+        return timeZone || 'UTC';
+      }
+    },
+    'Utilities': {'formatDate': formatDate},
+  });
+  fs.readdirSync(ROOT)
+      .filter(function(file) {
+        return file.endsWith('.js');
+      })
+      .sort()
+      .forEach(function(file) {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, {'filename': file});
+      });
+  if (env) {
+    vm.runInContext('setEnv', context)(env);
+  }
+  return new Proxy({}, {
+    get: function(target, name) {
+      if (name == 'logs') {
+        return logs;
+      }
+      return typeof name == 'string' ? vm.runInContext(name, context) :
+                                       undefined;
+    }
+  });
+}
+
+/**
+ * Copies a value created in the solution context as a plain value of this
+ * context, so it can be compared with `assert.deepStrictEqual`.
+ *
+ * @param {*} value - The value.
+ * @return {*} The copy.
+ */
+function plain(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Formats a date like `Utilities.formatDate`, for the patterns used by the
+ * solution (`yyyy`, `MM`, `dd`, `HH`, `mm` and `ss`).
+ *
+ * @param {!Date} date - The date.
+ * @param {string} timeZone - The time zone, e.g. 'UTC' or 'Europe/Paris'.
+ * @param {string} pattern - The pattern, e.g. 'yyyy-MM-dd HH:mm:ss'.
+ * @return {string} The formatted date.
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl
+      .DateTimeFormat('en-US', {
+        'timeZone': timeZone,
+        'hourCycle': 'h23',
+        'year': 'numeric',
+        'month': '2-digit',
+        'day': '2-digit',
+        'hour': '2-digit',
+        'minute': '2-digit',
+        'second': '2-digit'
+      })
+      .formatToParts(date)
+      .forEach(function(part) {
+        parts[part.type] = part.value;
+      });
+  return pattern.replace('yyyy', parts.year)
+      .replace('MM', parts.month)
+      .replace('dd', parts.day)
+      .replace('HH', parts.hour)
+      .replace('mm', parts.minute)
+      .replace('ss', parts.second);
+}
+
+/**
+ * Settings source backed by an object, see `readConfig`.
+ */
+class FakeSettings {
+  /**
+   * @param {!Object} values - The settings, keyed by range name. Tables are
+   *     given as 2D arrays.
+   */
+  constructor(values) {
+    this.values = values;
+  }
+
+  getValue(name) {
+    const value = this.values[name];
+    if (value === undefined) {
+      return null;
+    }
+    return Array.isArray(value) ? value[0][0] : value;
+  }
+
+  getValues(name) {
+    const value = this.values[name];
+    if (value === undefined) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [[value]];
+  }
+}
+
+/**
+ * Sheet writer keeping the sheets in memory, see `SpreadsheetWriter`.
+ */
+class FakeSheets {
+  constructor() {
+    this.sheets = {};
+    this.updatedAt = {};
+  }
+
+  write(sheetName, rows, updatedAtRangeName) {
+    this.sheets[sheetName] = plain(rows);
+    if (updatedAtRangeName) {
+      this.updatedAt[updatedAtRangeName] = new Date();
+    }
+  }
+
+  writeColumns(sheetName, rows) {
+    this.sheets[sheetName] = plain(rows);
+  }
+
+  append(sheetName, headers, rows) {
+    if (!this.sheets[sheetName]) {
+      this.sheets[sheetName] = [plain(headers)];
+    }
+    this.sheets[sheetName].push(...plain(rows));
+  }
+
+  getLastRow(sheetName) {
+    return this.sheets[sheetName] ? this.sheets[sheetName].length : 0;
+  }
+
+  truncate(sheetName, numRows) {
+    if (this.sheets[sheetName]) {
+      this.sheets[sheetName].length =
+          Math.min(numRows, this.sheets[sheetName].length);
+    }
+  }
+
+  deleteRows(sheetName, firstRow, numRows) {
+    if (this.sheets[sheetName]) {
+      this.sheets[sheetName].splice(firstRow - 1, numRows);
+    }
+  }
+
+  remove(sheetName) {
+    delete this.sheets[sheetName];
+  }
+
+  read(sheetName, firstRow, numRows, numColumns) {
+    if (!this.sheets[sheetName] || numRows < 1) {
+      return [];
+    }
+    return this.sheets[sheetName]
+        .slice(firstRow - 1, firstRow - 1 + numRows)
+        .map(function(row) {
+          return row.slice(0, numColumns);
+        });
+  }
+}
+
+/**
+ * Script properties kept in memory, with the methods of `Properties` used by
+ * the solution.
+ */
+class FakeProperties {
+  /**
+   * @param {!Object=} values - The initial properties, keyed by name.
+   */
+  constructor(values) {
+    this.values = Object.assign({}, values);
+  }
+
+  getProperty(name) {
+    return this.values[name] === undefined ? null : this.values[name];
+  }
+
+  setProperty(name, value) {
+    this.values[name] = String(value);
+  }
+
+  deleteProperty(name) {
+    delete this.values[name];
+  }
+}
+
+/**
+ * Trigger scheduler recording the triggers instead of creating them, see
+ * `ScriptTriggers`.
+ */
+class FakeTriggers {
+  constructor() {
+    this.scheduled = [];
+    this.recurring = [];
+  }
+
+  scheduleOnce(handler, delayMs) {
+    this.scheduled.push({'handler': handler, 'delayMs': delayMs});
+  }
+
+  scheduleRecurring(handler, schedule) {
+    this.recurring.push({'handler': handler, 'schedule': plain(schedule)});
+  }
+
+  count(handler) {
+    return this.scheduled.concat(this.recurring)
+        .filter(function(trigger) {
+          return trigger.handler == handler;
+        })
+        .length;
+  }
+
+  deleteAll(handler) {
+    const others = function(trigger) {
+      return trigger.handler != handler;
+    };
+    this.scheduled = this.scheduled.filter(others);
+    this.recurring = this.recurring.filter(others);
+  }
+}
+
+/**
+ * Email sender recording the emails instead of sending them, see `MailApp`.
+ */
+class FakeMail {
+  constructor() {
+    this.sent = [];
+  }
+
+  sendEmail(recipient, subject, body) {
+    this.sent.push({'recipient': recipient, 'subject': subject, 'body': body});
+  }
+}
+
+/**
+ * HTTP response with the methods of the Apps Script `HTTPResponse` used by
+ * the solution.
+ */
+class FakeResponse {
+  /**
+   * @param {!Object} response - The `code`, `headers` and `body` of the
+   *     response.
+   */
+  constructor(response) {
+    this.response = response;
+  }
+
+  getResponseCode() {
+    return this.response.code;
+  }
+
+  getHeaders() {
+    return this.response.headers;
+  }
+
+  getAllHeaders() {
+    return this.response.headers;
+  }
+
+  getContentText() {
+    return this.response.body;
+  }
+
+  toString() {
+    return this.response.body;
+  }
+}
+
+/**
+ * HTTP fetcher with the `fetch` and `fetchAll` methods of `UrlFetchApp`,
+ * sending every request to the fake server instead of the real host.
+ */
+class FakeHttp {
+  /**
+   * @param {string} serverUrl - The URL of the fake server.
+   */
+  constructor(serverUrl) {
+    this.serverUrl = serverUrl;
+  }
+
+  fetch(url, params) {
+    return this.fetchAll([Object.assign({'url': url}, params)])[0];
+  }
+
+  fetchAll(requests) {
+    const input = requests.map((request) => {
+      const headers = Object.assign({}, request.headers);
+      if (request.contentType) {
+        headers['Content-Type'] = request.contentType;
+      }
+      return {
+        'url': request.url.replace(/^https:\/\//, this.serverUrl + '/'),
+        'method': (request.method || 'get').toUpperCase(),
+        'headers': headers,
+        'body': request.payload
+      };
+    });
+    const result = childProcess.spawnSync(
+        process.execPath, [path.join(__dirname, 'sync_fetch.js')],
+        {'input': JSON.stringify(input), 'timeout': 30000});
+    if (result.status !== 0) {
+      throw new Error('Fetch failed: ' + result.stderr);
+    }
+    return JSON.parse(result.stdout).map(function(response, i) {
+      if (response.code >= 400 && !requests[i].muteHttpExceptions) {
+        throw new Error(
+            'Request failed for ' + requests[i].url + ' returned code ' +
+            response.code);
+      }
+      return new FakeResponse(response);
+    });
+  }
+}
+
+/**
+ * Starts the fake API server in its own process.
+ *
+ * @return {!Promise<!Object>} The server, with its `url`, a `requests()`
+ *     method listing the requests received so far, an `addFault(fault)` method
+ *     injecting a failure (see `fake_server.js`), a `bigquery()` method
+ *     returning the datasets, tables and jobs of the fake BigQuery API, a
+ *     `reset()` method forgetting them all, and a `stop()` method.
+ */
+function startFakeServer() {
+  const server = childProcess.spawn(
+      process.execPath, [path.join(__dirname, 'fake_server.js')],
+      {'stdio': ['ignore', 'pipe', 'inherit']});
+  return new Promise(function(resolve, reject) {
+    server.on('error', reject);
+    server.stdout.once('data', function(data) {
+      const url = 'http://127.0.0.1:' + String(data).trim();
+      const http = new FakeHttp(url);
+      resolve({
+        'url': url,
+        requests: function() {
+          const response = http.fetch(url + '/__requests', {});
+          return JSON.parse(response.getContentText());
+        },
+        addFault: function(fault) {
+          http.fetch(
+              url + '/__faults',
+              {'method': 'post', 'payload': JSON.stringify(fault)});
+        },
+        bigquery: function() {
+          const response = http.fetch(url + '/__bigquery', {});
+          return JSON.parse(response.getContentText());
+        },
+        reset: function() {
+          http.fetch(url + '/__reset', {'method': 'post'});
+        },
+        stop: function() {
+          server.kill();
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Loads the solution with a test environment, see `getEnv`, built from fakes.
+ *
+ * @param {!Object} settings - The settings, keyed by range name.
+ * @param {?Object=} server - The fake server the API calls are sent to.
+ * @param {!Object=} properties - The script properties.
+ * @return {!Object} The global scope of the solution as `app`, see
+ *     `loadSolution`, and the environment as `env`, with the `FakeSheets`
+ *     as `sheets`, the `FakeProperties` as `properties`, the `FakeTriggers`
+ *     as `triggers`, the `FakeMail` as `mail`, and the delays the solution
+ *     slept for as `sleeps`.
+ */
+function loadWithEnv(settings, server, properties) {
+  const env = {
+    'sheets': new FakeSheets(),
+    'http': server ? new FakeHttp(server.url) : null,
+    'tokens': {
+      getOAuthToken: function() {
+        return 'fake-token';
+      }
+    },
+    'properties': new FakeProperties(properties),
+    'triggers': new FakeTriggers(),
+    'mail': new FakeMail(),
+    'sleeps': [],
+    sleep: function(milliseconds) {
+      env.sleeps.push(milliseconds);
+    }
+  };
+  const app = loadSolution(env);
+  env.config = app.readConfig(new FakeSettings(settings));
+  return {'app': app, 'env': env};
+}
+
+/**
+ * Loads the solution with a test environment set up for a benchmark.
+ *
+ * @param {?Object} server - The fake server the API calls are sent to.
+ * @param {!Object} fileSettings - The settings of the test file, added to
+ *     `BENCHMARK_SETTINGS`.
+ * @param {!Object=} settings - The settings of the test, added to both.
+ * @param {!Object=} properties - The script properties.
+ * @return {!Object} The solution as `app` and its environment as `env`, see
+ *     `loadWithEnv`.
+ */
+function loadBenchmark(server, fileSettings, settings, properties) {
+  return loadWithEnv(
+      Object.assign({}, BENCHMARK_SETTINGS, fileSettings, settings), server,
+      properties);
+}
+
+/**
+ * Runs the benchmark against the fake server.
+ *
+ * @param {!Object} server - The fake server.
+ * @param {!Object} fileSettings - The settings of the test file, added to
+ *     `BENCHMARK_SETTINGS`.
+ * @param {!Object=} settings - The settings of the test, added to both.
+ * @param {!Object=} sheets - The sheets of a previous run to start from.
+ * @return {!Object} The solution as `app`, its environment as `env`, and the
+ *     sheets written, keyed by name, as `sheets`.
+ */
+function runBenchmark(server, fileSettings, settings, sheets) {
+  const {app, env} = loadBenchmark(server, fileSettings, settings);
+  if (sheets) {
+    env.sheets.sheets = sheets;
+  }
+  app.runVisibilityBooster();
+  return {'app': app, 'env': env, 'sheets': env.sheets.sheets};
+}
+
+module.exports = {
+  BENCHMARK_SETTINGS,
+  FakeHttp,
+  FakeMail,
+  FakeProperties,
+  FakeResponse,
+  FakeSettings,
+  FakeSheets,
+  FakeTriggers,
+  loadBenchmark,
+  loadSolution,
+  loadWithEnv,
+  plain,
+  runBenchmark,
+  startFakeServer,
+};
@@ -0,0 +1,317 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, beforeEach, describe, it} = require('node:test');
+
+const {
+  FakeResponse,
+  loadSolution,
+  loadWithEnv,
+  plain,
+  startFakeServer
+} = require('./harness');
+
+const app = loadSolution();
+
+/**
+ * HTTP fetcher answering with a list of scripted responses, in order.
+ */
+class ScriptedHttp {
+  /**
+   * @param {!Array<!Object|!Error>} responses - The `code`, `headers` and
+   *     `body` of each response, or an error to throw.
+   */
+  constructor(responses) {
+    this.responses = responses;
+    this.requests = [];
+  }
+
+  fetchAll(requests) {
+    return requests.map((request) => {
+      this.requests.push(request);
+      const response = this.responses.shift();
+      if (response instanceof Error) {
+        throw response;
+      }
+      return new FakeResponse(
+          Object.assign({'headers': {}, 'body': '{}'}, response));
+    });
+  }
+}
+
+/**
+ * Creates a client sending its calls to scripted responses.
+ *
+ * @param {!Array<!Object|!Error>} responses - The responses, see
+ *     `ScriptedHttp`.
+ * @return {!Object} The `client`, its `http` fetcher, and the delays it slept
+ *     for as `sleeps`.
+ */
+function scriptedClient(responses) {
+  const http = new ScriptedHttp(responses);
+  const sleeps = [];
+  const client = new app.HttpClient(http, {
+    'sleep': function(milliseconds) {
+      sleeps.push(milliseconds);
+    },
+    'random': function() {
+      return 0;
+    }
+  });
+  return {'client': client, 'http': http, 'sleeps': sleeps};
+}
+
+describe('HttpClient', function() {
+  it('parses JSON responses', function() {
+    const {client, http} = scriptedClient([{'code': 200, 'body': '{"a": 1}'}]);
+    assert.deepStrictEqual(
+        plain(client.fetch('https://example.com', {'method': 'get'})),
+        {'a': 1});
+    assert.strictEqual(http.requests[0].muteHttpExceptions, true);
+  });
+
+  it('retries server errors with an exponential backoff', function() {
+    const {client, sleeps} = scriptedClient([
+      {'code': 503},
+      {'code': 500},
+      new Error('Timeout'),
+      {'code': 200, 'body': '{"ok": true}'},
+    ]);
+    assert.deepStrictEqual(
+        plain(client.fetch('https://example.com', {})), {'ok': true});
+    assert.deepStrictEqual(sleeps, [500, 1000, 2000]);
+  });
+
+  it('waits for the delay requested by the API', function() {
+    const {client, sleeps} = scriptedClient([
+      {'code': 429, 'headers': {'retry-after': '7'}},
+      {
+        'code': 429,
+        'body': JSON.stringify({
+          'error': {
+            'code': 429,
+            'status': 'RESOURCE_EXHAUSTED',
+            'message': 'Quota exceeded',
+            'details': [{
+              '@type': 'type.googleapis.com/google.rpc.RetryInfo',
+              'retryDelay': '1.5s'
+            }]
+          }
+        })
+      },
+      {'code': 200},
+    ]);
+    client.fetch('https://example.com', {});
+    assert.deepStrictEqual(sleeps, [7000, 1500]);
+  });
+
+  it('fails without retrying client errors', function() {
+    const {client, http} = scriptedClient([{
+      'code': 404,
+      'body': JSON.stringify({
+        'error': {'code': 404, 'status': 'NOT_FOUND', 'message': 'No item'}
+      })
+    }]);
+    assert.throws(
+        function() {
+          client.fetch('https://example.com/item', {'method': 'get'});
+        },
+        function(error) {
+          assert.strictEqual(error.name, 'ApiError');
+          assert.deepStrictEqual(plain(error), {
+            'code': 404,
+            'status': 'NOT_FOUND',
+            'message': 'No item',
+            'details': []
+          });
+          assert.strictEqual(error.url, 'https://example.com/item');
+          return true;
+        });
+    assert.strictEqual(http.requests.length, 1);
+  });
+
+  it('reports HTML error pages once the retries are exhausted', function() {
+    const page = {
+      'code': 502,
+      'body': '<!DOCTYPE html><html><title>Error 502</title></html>'
+    };
+    const {client, sleeps} = scriptedClient(Array(6).fill(page));
+    assert.throws(function() {
+      client.fetch('https://example.com', {});
+    }, /Response is not JSON \(HTTP 502\): Error 502/);
+    assert.strictEqual(sleeps.length, 5);
+  });
+
+  it('fails right away on a successful response that isn\'t JSON',
+     function() {
+       const {client, http} = scriptedClient(
+           [{'code': 200, 'body': '<html><title>Sign in</title></html>'}]);
+       assert.throws(function() {
+         client.fetch('https://example.com', {});
+       }, /Response is not JSON \(HTTP 200\): Sign in/);
+       assert.strictEqual(http.requests.length, 1);
+     });
+
+  it('doesn\'t retry a request that isn\'t idempotent on a server error',
+     function() {
+       const {client, http} = scriptedClient([{'code': 503}]);
+       assert.throws(function() {
+         client.fetch(
+             'https://example.com', {'method': 'post', 'idempotent': false});
+       }, /HTTP 503/);
+       assert.strictEqual(http.requests.length, 1);
+       assert.strictEqual(http.requests[0].idempotent, undefined);
+     });
+
+  it('retries a request that isn\'t idempotent the API rejected',
+     function() {
+       const {client, sleeps} = scriptedClient([
+         {'code': 429, 'headers': {'retry-after': '1'}},
+         {'code': 200, 'body': '{"ok": true}'},
+       ]);
+       assert.deepStrictEqual(
+           plain(client.fetch(
+               'https://example.com', {'method': 'post', 'idempotent': false})),
+           {'ok': true});
+       assert.deepStrictEqual(sleeps, [1000]);
+     });
+
+  it('only retries the Google Ads mutates that validate', function() {
+    const {client, http} =
+        scriptedClient([{'code': 500}, {'code': 500}, {'code': 200}]);
+    const api = new app.GoogleAdsApi('token', '1', 'oauth', client, 'v21');
+    assert.throws(function() {
+      api.mutate('2', 'adGroupCriteria', [], false);
+    }, /HTTP 500/);
+    api.mutate('2', 'adGroupCriteria', [], true);
+    assert.strictEqual(http.requests.length, 3);
+  });
+
+  it('gives up when the API asks to wait too long', function() {
+    const {client, sleeps} =
+        scriptedClient([{'code': 503, 'headers': {'Retry-After': '3600'}}]);
+    assert.throws(function() {
+      client.fetch('https://example.com', {});
+    }, /HTTP 503/);
+    assert.deepStrictEqual(sleeps, []);
+  });
+
+  it('only retries the failed requests of a batch', function() {
+    const {client, http} = scriptedClient([
+      {'code': 200, 'body': '{"id": 1}'},
+      {'code': 503},
+      {'code': 404},
+      {'code': 200, 'body': '{"id": 2}'},
+    ]);
+    const results = client.fetchAll([
+      {'url': 'https://example.com/1'},
+      {'url': 'https://example.com/2'},
+      {'url': 'https://example.com/3'},
+    ]);
+    assert.deepStrictEqual(plain(results[0]), {'id': 1});
+    assert.deepStrictEqual(plain(results[1]), {'id': 2});
+    assert.strictEqual(results[2].code, 404);
+    assert.deepStrictEqual(
+        http.requests.map(function(request) {
+          return request.url;
+        }),
+        [
+          'https://example.com/1', 'https://example.com/2',
+          'https://example.com/3', 'https://example.com/2'
+        ]);
+  });
+});
+
+describe('API calls through the HTTP client', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  beforeEach(function() {
+    server.reset();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('retries a report page the API failed to return', function() {
+    server.addFault({
+      'host': 'shoppingcontent.googleapis.com',
+      'path': '/reports/search',
+      'status': 503,
+      'headers': {'Content-Type': 'text/html'},
+      'body': '<html>Service unavailable</html>',
+      'times': 2
+    });
+    const {app, env} = loadWithEnv({'merchantId': 123456}, server);
+    const api = app.createMerchantBackend(env);
+    const rows = app.downloadReport(
+        api, 123456,
+        api.getBenchmarkQuery({'country': 'US', 'currency': 'USD'}));
+    assert.strictEqual(rows.length, 5);
+    assert.strictEqual(env.sleeps.length, 2);
+  });
+
+  it('throws the error of a report that keeps failing', function() {
+    server.addFault({
+      'host': 'merchantapi.googleapis.com',
+      'path': '/reports:search',
+      'status': 403,
+      'body': JSON.stringify({
+        'error': {
+          'code': 403,
+          'status': 'PERMISSION_DENIED',
+          'message': 'Market Insights is not enabled'
+        }
+      }),
+      'times': 1
+    });
+    const {app, env} = loadWithEnv(
+        {'merchantId': 123456, 'merchantBackend': 'Merchant API'}, server);
+    const api = app.createMerchantBackend(env);
+    assert.throws(function() {
+      app.downloadReport(
+          api, 123456,
+          api.getBenchmarkQuery({'country': 'US', 'currency': 'USD'}));
+    }, /Market Insights is not enabled/);
+    assert.deepStrictEqual(env.sleeps, []);
+  });
+
+  it('retries a Google Ads call over its quota', function() {
+    server.addFault({
+      'host': 'googleads.googleapis.com',
+      'path': '/googleAds:search',
+      'status': 429,
+      'headers': {'Retry-After': '2'},
+      'body': '{"error": {"code": 429, "status": "RESOURCE_EXHAUSTED"}}',
+      'times': 1
+    });
+    const {app, env} = loadWithEnv(
+        {
+          'customLabelNumber': 0,
+          'reporting.ManagerCID': '123-456-7890',
+          'reporting.AccountCID': '098-765-4321',
+        },
+        server, {'DeveloperToken': 'dev-token'});
+    app.runReport();
+    assert.deepStrictEqual(env.sleeps, [2000]);
+    assert.strictEqual(env.sheets.sheets['AdsData'].length, 3);
+  });
+});
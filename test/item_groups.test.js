@@ -0,0 +1,170 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+
+const {loadBenchmark, plain, runBenchmark, startFakeServer} =
+    require('./harness');
+
+const SETTINGS = {
+  'countryFilter': 'CA',
+  'currencyFilter': 'CAD',
+  'activateLabels': true,
+  'itemGroups.aggregation': 'Minimum',
+};
+
+describe('item group labeling', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('gives every variant of a group the same label', function() {
+    const {sheets} = runBenchmark(server, SETTINGS);
+    // sku6 (-20%) and sku7 (0%) are in the same item group, sku8 in none.
+    assert.deepStrictEqual(sheets['output - supplemental feed'].slice(0, 4), [
+      ['id', 'custom_label_0'],
+      ['sku6', 'Below benchmark'],
+      ['sku7', 'Below benchmark'],
+      ['sku8', 'Above benchmark'],
+    ]);
+    const benchmark = sheets['benchmark data'];
+    assert.deepStrictEqual(
+        benchmark[0].slice(11), ['item_group_id', 'group_relative_price']);
+    assert.strictEqual(benchmark[2][7], 0);
+    assert.deepStrictEqual(benchmark[2].slice(11, 12), ['tee-1']);
+    assert.ok(Math.abs(benchmark[2][12] + 0.2) < 1e-9);
+    assert.deepStrictEqual(benchmark[3].slice(11), ['', benchmark[3][7]]);
+  });
+
+  it('labels the variants of a group without a benchmark', function() {
+    const {sheets} = runBenchmark(server, SETTINGS);
+    // sku10 is out of stock, and sku11 is sold in another country.
+    assert.deepStrictEqual(
+        sheets['output - supplemental feed'].slice(4),
+        [['sku9', 'Below benchmark']]);
+    // The benchmark data only has the benchmarked offers.
+    assert.strictEqual(sheets['benchmark data'].length, 4);
+  });
+
+  it('pushes the labels of the variants without a benchmark', function() {
+    const {sheets} =
+        runBenchmark(server, SETTINGS, {'labelPush.mode': 'Dry run'});
+    assert.deepStrictEqual(
+        sheets['label push'].slice(1).map(function(row) {
+          return [row[1], row[3], row[4]];
+        }),
+        [
+          ['sku6', '', 'Below benchmark'],
+          ['sku7', 'At benchmark', 'Below benchmark'],
+          ['sku8', '', 'Above benchmark'],
+          ['sku9', '', 'Below benchmark'],
+        ]);
+  });
+
+  it('reads the product list once for the markets of an account',
+     function() {
+       const {app, env} = loadBenchmark(
+           server, SETTINGS, {'markets': [['US', 'USD'], ['CA', 'CAD']]});
+       server.reset();
+       // One step per execution, to look at the checkpoints before the merge.
+       app.startBoosterRun(env, 0);
+       while (JSON.parse(env.properties.values['runState']).phase != 'merge') {
+         app.resumeBoosterRun(env, 0);
+       }
+       const lists = server.requests().filter(function(request) {
+         return /\/products(\?|$)/.test(request.path);
+       });
+       assert.strictEqual(lists.length, 1);
+       // The variants of each market only have its feed label.
+       const checkpoints = new app.CheckpointStore(env.sheets);
+       [['US', 0], ['CA', 1]].forEach(function([feedLabel, market]) {
+         const variants = checkpoints.read('variants:' + market);
+         assert.ok(variants.length > 0);
+         variants.forEach(function([productId]) {
+           assert.strictEqual(productId.split(':')[2], feedLabel);
+         });
+       });
+     });
+
+  it('labels each variant on its own when off', function() {
+    const {sheets} =
+        runBenchmark(server, SETTINGS, {'itemGroups.aggregation': 'Off'});
+    assert.deepStrictEqual(sheets['output - supplemental feed'], [
+      ['id', 'custom_label_0'],
+      ['sku6', 'Below benchmark'],
+      ['sku7', 'At benchmark'],
+      ['sku8', 'Above benchmark'],
+    ]);
+    assert.strictEqual(sheets['benchmark data'][0].length, 11);
+  });
+
+  it('reads the item groups through the Merchant API', function() {
+    const {sheets} =
+        runBenchmark(server, SETTINGS, {'merchantBackend': 'Merchant API'});
+    assert.deepStrictEqual(
+        sheets['output - supplemental feed'].slice(2), [
+          ['sku7', 'Below benchmark'],
+          ['sku8', 'Above benchmark'],
+          ['sku9', 'Below benchmark'],
+        ]);
+  });
+
+  it('aggregates the relative prices of the variants', function() {
+    const {app} = loadBenchmark(null, SETTINGS);
+    const variants = [
+      {'relativePrice': -0.2, 'impressions': 100},
+      {'relativePrice': 0.1, 'impressions': 300},
+      {'relativePrice': 0, 'impressions': 0},
+      {'relativePrice': 0.3, 'impressions': 0},
+    ];
+    const aggregate = function(aggregation, list) {
+      return Math.round(
+                 app.aggregateRelativePrices(list || variants, aggregation) *
+                 1000) /
+          1000;
+    };
+    assert.strictEqual(aggregate('Minimum'), -0.2);
+    assert.strictEqual(aggregate('Median'), 0.05);
+    assert.strictEqual(aggregate('Median', variants.slice(0, 3)), 0);
+    assert.strictEqual(aggregate('Impression-weighted'), 0.025);
+    assert.strictEqual(
+        aggregate('Impression-weighted', variants.slice(2)), 0.15);
+    assert.throws(function() {
+      app.aggregateRelativePrices(variants, 'Maximum');
+    }, /Unknown item group aggregation: Maximum/);
+  });
+
+  it('checks the aggregation', function() {
+    const {app} =
+        loadBenchmark(null, SETTINGS, {'itemGroups.aggregation': 'Average'});
+    const checks = plain(app.validateSettings(app.getEnv().config))
+                       .filter(function(check) {
+                         return check.setting == 'itemGroups.aggregation';
+                       });
+    assert.deepStrictEqual(
+        checks.map(function(check) {
+          return check.status;
+        }),
+        ['FAIL']);
+  });
+});
@@ -0,0 +1,153 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+
+const {loadWithEnv, plain, startFakeServer} = require('./harness');
+
+const SETTINGS = {
+  'customLabelNumber': 0,
+  'reporting.ManagerCID': '123-456-7890',
+  'reporting.AccountCID': '098-765-4321',
+  'performance.windows': '7, 14',
+};
+
+const ADS_HEADERS = [
+  'date', 'labelSlot', 'labelValue', 'clicks', 'impressions', 'cost', 'avgCpc',
+  'conversions', 'conversionsValue', 'allConversions', 'allConversionsValue'
+];
+
+/**
+ * Builds 14 days of Ads data for a label, from 2024-05-01 to 2024-05-14.
+ *
+ * @param {string} labelValue - The label.
+ * @param {number} firstWeekClicks - The daily clicks of the first week.
+ * @param {number} secondWeekClicks - The daily clicks of the second week.
+ * @return {!Array<!Array>} The rows, 100 impressions and 1 conversion worth 10
+ *     a day, each click costing 0.5.
+ */
+function adsRows(labelValue, firstWeekClicks, secondWeekClicks) {
+  let rows = [];
+  for (let day = 1; day <= 14; day++) {
+    const clicks = day <= 7 ? firstWeekClicks : secondWeekClicks;
+    rows.push([
+      '2024-05-' + String(day).padStart(2, '0'), 'custom_label_0', labelValue,
+      String(clicks), '100', clicks * 0.5, 0.5, 1, 10, 1, 10
+    ]);
+  }
+  return rows;
+}
+
+/**
+ * Reads a table as objects keyed by header.
+ *
+ * @param {!Array<!Array>} rows - The table, headers first.
+ * @return {!Array<!Object>} The rows.
+ */
+function asObjects(rows) {
+  return rows.slice(1).map(function(row) {
+    return Object.fromEntries(rows[0].map(function(header, i) {
+      return [header, row[i]];
+    }));
+  });
+}
+
+describe('summarizeLabelPerformance', function() {
+  const {app, env} = loadWithEnv(SETTINGS);
+
+  it('aggregates each window and compares the last two weeks', function() {
+    const records = app.parseAdsData([ADS_HEADERS].concat(
+        adsRows('below benchmark', 5, 10), adsRows('above benchmark', 2, 2)));
+    const summary =
+        asObjects(plain(app.summarizeLabelPerformance(records, env.config)));
+    assert.strictEqual(summary.length, 2);
+    const below = summary[0];
+    assert.strictEqual(below.label_value, 'below benchmark');
+    assert.strictEqual(below.clicks_7d, 70);
+    assert.strictEqual(below.impressions_7d, 700);
+    assert.strictEqual(below.ctr_7d, 0.1);
+    assert.strictEqual(below.clicks_14d, 105);
+    assert.strictEqual(below.cvr_7d, 0.1);
+    assert.strictEqual(below.roas_7d, 2);
+    assert.strictEqual(below.cpc_7d, 0.5);
+    assert.strictEqual(below.ctr_wow, 1);
+    assert.strictEqual(below.cvr_wow, -0.5);
+    assert.strictEqual(below.cpc_wow, 0);
+    assert.strictEqual(summary[1].ctr_wow, 0);
+  });
+});
+
+describe('analyzeLabelLift', function() {
+  it('compares the days before and after each run', function() {
+    const {app, env} = loadWithEnv(SETTINGS);
+    env.sheets.sheets['label history'] = [
+      plain(app.LABEL_HISTORY_HEADERS),
+      ['2024-05-01 06:00:00', 'sku1', 'US', 'Below benchmark', -0.2, 100, ''],
+      ['2024-05-01 06:00:00', 'sku2', 'US', 'At benchmark', 0, 10, ''],
+      ['2024-05-08 06:00:00', 'sku1', 'US', 'Below benchmark', -0.2, 100, ''],
+      ['2024-05-08 06:00:00', 'sku2', 'US', 'Below benchmark', -0.1, 11, ''],
+    ];
+    const applications = app.getLabelApplications();
+    assert.deepStrictEqual(plain(applications), [
+      {'date': '2024-05-01', 'label': 'Below benchmark', 'offers': 1,
+       'newlyLabeled': 1},
+      {'date': '2024-05-01', 'label': 'At benchmark', 'offers': 1,
+       'newlyLabeled': 1},
+      {'date': '2024-05-08', 'label': 'Below benchmark', 'offers': 2,
+       'newlyLabeled': 1},
+    ]);
+    const records = app.parseAdsData(
+        [ADS_HEADERS].concat(adsRows('below benchmark', 5, 10)));
+    const lift = asObjects(plain(
+        app.analyzeLabelLift(records, applications, env.config.liftDays)));
+    // Only the second run has Ads data on both sides.
+    assert.strictEqual(lift.length, 1);
+    assert.strictEqual(lift[0].run_date, '2024-05-08');
+    assert.strictEqual(lift[0].offers, 2);
+    assert.strictEqual(lift[0].newly_labeled, 1);
+    assert.strictEqual(lift[0].ctr_before, 0.05);
+    assert.strictEqual(lift[0].ctr_after, 0.1);
+    assert.strictEqual(lift[0].ctr_lift, 1);
+  });
+});
+
+describe('runReport', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('writes the performance of each label', function() {
+    const {app, env} =
+        loadWithEnv(SETTINGS, server, {'DeveloperToken': 'dev-token'});
+    app.runReport();
+    const summary = asObjects(env.sheets.sheets['label performance']);
+    assert.deepStrictEqual(
+        summary.map(function(row) {
+          return row.label_value;
+        }),
+        ['below benchmark', 'above benchmark']);
+    assert.strictEqual(summary[0].ctr_7d, 0.03);
+    assert.strictEqual(summary[0].ctr_wow, '');
+    assert.deepStrictEqual(env.sheets.sheets['label lift'].length, 1);
+  });
+});
@@ -0,0 +1,275 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {BENCHMARK_SETTINGS, FakeSettings, loadSolution, plain} =
+    require('./harness');
+
+const app = loadSolution();
+
+const SETTINGS = {
+  'rules.belowBenchmark': '-5%',
+  'rules.atBenchmark': '±5%',
+};
+
+/**
+ * Reads the configuration of settings added to the default ones.
+ *
+ * @param {!Object=} settings - The settings to add or replace.
+ * @return {!Object} The configuration.
+ */
+function configWith(settings) {
+  return app.readConfig(
+      new FakeSettings(
+          Object.assign({}, BENCHMARK_SETTINGS, SETTINGS, settings)));
+}
+
+describe('parsePercentage', function() {
+  it('reads percent cells and text', function() {
+    assert.strictEqual(app.parsePercentage(0.05), 0.05);
+    assert.strictEqual(app.parsePercentage('-15%'), -0.15);
+    assert.strictEqual(app.parsePercentage('±5%'), 0.05);
+  });
+
+  it('reads the other numbers as fractions', function() {
+    assert.strictEqual(app.parsePercentage(1), 1);
+    assert.strictEqual(app.parsePercentage(5), 5);
+    assert.strictEqual(app.parsePercentage('5'), 5);
+    assert.strictEqual(app.parsePercentage('±5'), 5);
+    assert.strictEqual(app.parsePercentage('5%'), 0.05);
+    assert.strictEqual(app.parsePercentage('0.05'), 0.05);
+  });
+
+  it('warns about the numbers likely meant as percents', function() {
+    const checks = plain(app.validateSettings(configWith({
+                     'rules.belowBenchmark': 0.6,
+                     'rules.atBenchmark': '5%',
+                     'stability.hysteresis': 1,
+                   }))).filter(function(check) {
+      return check.setting.startsWith('rules.') ||
+          check.setting == 'stability.hysteresis';
+    });
+    assert.deepStrictEqual(
+        checks.map(function(check) {
+          return [check.setting, check.status];
+        }),
+        [
+          ['rules.belowBenchmark', 'WARNING'],
+          ['rules.atBenchmark', 'PASS'],
+          ['rules.aboveBenchmark', 'PASS'],
+          ['stability.hysteresis', 'WARNING'],
+        ]);
+    assert.ok(checks[0].details.startsWith('-60%: numbers are read'));
+  });
+
+  it('fails on the numbers above 100%', function() {
+    const checks = plain(app.validateSettings(configWith({
+                     'rules.belowBenchmark': '5',
+                     'rules.atBenchmark': '±5',
+                     'rules.aboveBenchmark': '5%',
+                   }))).filter(function(check) {
+      return /^rules\.\w+Benchmark$/.test(check.setting);
+    }).slice(0, 3);  // The bounds, before the check of their order.
+    assert.deepStrictEqual(
+        checks.map(function(check) {
+          return [check.setting, check.status];
+        }),
+        [
+          ['rules.belowBenchmark', 'FAIL'],
+          ['rules.atBenchmark', 'FAIL'],
+          ['rules.aboveBenchmark', 'PASS'],
+        ]);
+    assert.ok(checks[0].details.startsWith('-500%: numbers are read'));
+  });
+
+  it('returns NaN for blank or invalid values', function() {
+    assert.ok(isNaN(app.parsePercentage('')));
+    assert.ok(isNaN(app.parsePercentage('cheap')));
+  });
+});
+
+describe('readConfig', function() {
+  it('falls back to the single market and default settings', function() {
+    const config = configWith({});
+    assert.deepStrictEqual(
+        plain(config.markets), [{'country': 'US', 'currency': 'USD'}]);
+    assert.strictEqual(config.merchantBackend, 'Content API');
+    assert.strictEqual(config.labelPushMode, 'Off');
+    assert.deepStrictEqual(plain(config.reportLabelNumbers), [0]);
+  });
+
+  it('reads the markets table', function() {
+    const config = configWith({'markets': [['us', 'usd'], ['fr ', 'eur'], []]});
+    assert.deepStrictEqual(plain(config.markets), [
+      {'country': 'US', 'currency': 'USD'},
+      {'country': 'FR', 'currency': 'EUR'},
+    ]);
+  });
+});
+
+describe('calculateLabel', function() {
+  it('uses the below, at and above benchmark rules', function() {
+    const config = configWith({});
+    assert.strictEqual(app.calculateLabel(-0.2, config), 'Below benchmark');
+    assert.strictEqual(app.calculateLabel(0, config), 'At benchmark');
+    assert.strictEqual(app.calculateLabel(-0.05, config), 'At benchmark');
+    assert.strictEqual(app.calculateLabel(0.3, config), 'Above benchmark');
+    assert.strictEqual(app.calculateLabel(0.05, config), '');
+  });
+
+  it('uses the price tiers when they are set', function() {
+    const config = configWith({
+      'rules.tiers': [
+        ['Much cheaper', '', '-15%'],
+        ['Cheaper', '-15%', '-2%'],
+        ['Same', '-2%', '2%'],
+      ],
+      'labelName.unlabeled': 'Other',
+    });
+    assert.strictEqual(app.calculateLabel(-0.5, config), 'Much cheaper');
+    assert.strictEqual(app.calculateLabel(-0.15, config), 'Cheaper');
+    assert.strictEqual(app.calculateLabel(0.01, config), 'Same');
+    assert.strictEqual(app.calculateLabel(0.3, config), 'Other');
+  });
+
+  it('keeps the previous label within the hysteresis', function() {
+    const config = configWith({'stability.hysteresis': '1%'});
+    assert.strictEqual(
+        app.calculateLabel(0.055, config, 'At benchmark'), 'At benchmark');
+    assert.strictEqual(
+        app.calculateLabel(0.065, config, 'At benchmark'), 'Above benchmark');
+    assert.strictEqual(
+        app.calculateLabel(0.045, config, 'Above benchmark'),
+        'Above benchmark');
+    assert.strictEqual(
+        app.calculateLabel(0.045, config, 'Clearance'), 'At benchmark');
+    assert.strictEqual(app.calculateLabel(0.055, config), 'Above benchmark');
+  });
+
+  it('widens the price tiers of the previous label', function() {
+    const config = configWith({
+      'rules.tiers': [['Cheaper', '', '-2%'], ['Same', '-2%', '2%']],
+      'stability.hysteresis': 0.005,
+    });
+    assert.strictEqual(app.calculateLabel(-0.023, config, 'Same'), 'Same');
+    assert.strictEqual(
+        app.calculateLabel(-0.017, config, 'Cheaper'), 'Cheaper');
+    assert.strictEqual(app.calculateLabel(-0.03, config, 'Same'), 'Cheaper');
+  });
+});
+
+describe('applyMinimumDwell', function() {
+  const config = configWith({'stability.minRuns': 3});
+
+  it('holds back a new label until it lasts the minimum runs', function() {
+    const previous =
+        {'label': 'At benchmark', 'pendingLabel': '', 'pendingRuns': 0};
+    let result =
+        plain(app.applyMinimumDwell('Above benchmark', previous, config));
+    assert.deepStrictEqual(result, {
+      'label': 'At benchmark',
+      'pendingLabel': 'Above benchmark',
+      'pendingRuns': 1
+    });
+    result = plain(app.applyMinimumDwell('Above benchmark', result, config));
+    assert.strictEqual(result.pendingRuns, 2);
+    result = plain(app.applyMinimumDwell('Above benchmark', result, config));
+    assert.deepStrictEqual(
+        result,
+        {'label': 'Above benchmark', 'pendingLabel': '', 'pendingRuns': 0});
+  });
+
+  it('starts counting again when the new label changes', function() {
+    const previous = {
+      'label': 'At benchmark',
+      'pendingLabel': 'Above benchmark',
+      'pendingRuns': 2
+    };
+    assert.deepStrictEqual(
+        plain(app.applyMinimumDwell('Below benchmark', previous, config)), {
+          'label': 'At benchmark',
+          'pendingLabel': 'Below benchmark',
+          'pendingRuns': 1
+        });
+    assert.deepStrictEqual(
+        plain(app.applyMinimumDwell('At benchmark', previous, config)),
+        {'label': 'At benchmark', 'pendingLabel': '', 'pendingRuns': 0});
+  });
+
+  it('labels new offers right away', function() {
+    assert.strictEqual(
+        app.applyMinimumDwell('Below benchmark', null, config).label,
+        'Below benchmark');
+  });
+});
+
+describe('validateTiers', function() {
+  it('reports gaps and overlaps', function() {
+    const problems = app.validateTiers([
+      {'name': 'A', 'from': -Infinity, 'to': -0.1},
+      {'name': 'B', 'from': -0.05, 'to': 0.1},
+      {'name': 'C', 'from': 0.05, 'to': Infinity},
+    ]);
+    assert.deepStrictEqual(plain(problems), [
+      'Gap between "A" and "B" from -10% to -5%',
+      '"B" overlaps "C" between 5% and 10%',
+    ]);
+  });
+});
+
+describe('label rules', function() {
+  const rules = app.parseLabelRules([
+    ['Clearance', 'brand = zenith AND relativePrice > 10%'],
+    ['Low margin', 'margin < 20%'],
+    ['', 'ignored'],
+  ]);
+
+  it('returns the label of the first matching rule', function() {
+    assert.strictEqual(
+        app.evaluateLabelRules(
+            rules, {'brand': 'Zenith', 'relativePrice': 0.3, 'margin': 0.1}),
+        'Clearance');
+    assert.strictEqual(
+        app.evaluateLabelRules(
+            rules, {'brand': 'Acme', 'relativePrice': 0.3, 'margin': 0.1}),
+        'Low margin');
+  });
+
+  it('never matches missing values', function() {
+    assert.strictEqual(
+        app.evaluateLabelRules(rules, {'brand': 'Acme', 'margin': null}),
+        null);
+  });
+
+  it('rejects unknown fields and operators', function() {
+    assert.throws(function() {
+      app.parseLabelRules([['X', 'colour = red']]);
+    }, /unknown field "colour"/);
+    assert.throws(function() {
+      app.parseLabelRules([['X', 'brand > acme']]);
+    }, /">" can't be used on "brand"/);
+  });
+});
+
+describe('flatten', function() {
+  it('joins nested keys with dots', function() {
+    assert.deepStrictEqual(
+        plain(app.flatten({'a': {'b': 1, 'c': {'d': 2}}, 'e': 3})),
+        {'a.b': 1, 'a.c.d': 2, 'e': 3});
+  });
+});
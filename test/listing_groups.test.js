@@ -0,0 +1,313 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, beforeEach, describe, it} = require('node:test');
+
+const {loadBenchmark, plain, startFakeServer} = require('./harness');
+
+const SETTINGS = {
+  'reporting.ManagerCID': '123-456-7890',
+  'reporting.AccountCID': '098-765-4321',
+  'listingGroups.mode': 'Preview',
+  'listingGroups.targets': [
+    ['Shopping', '111'],
+    ['Shopping', '222'],
+    ['Performance Max', '333'],
+  ],
+  'listingGroups.labels': [
+    ['Below benchmark', 'Include', 1.5],
+    ['At benchmark', 'Include', ''],
+    ['Above benchmark', 'Exclude', ''],
+  ],
+};
+
+const PROPERTIES = {'DeveloperToken': 'dev-token'};
+
+describe('listing groups', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  beforeEach(function() {
+    server.reset();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  /**
+   * @return {!Array<!Object>} The mutate requests, with their `path` and
+   *     `body`.
+   */
+  function mutateRequests() {
+    return server.requests().filter(function(request) {
+      return request.path.endsWith(':mutate');
+    });
+  }
+
+  /**
+   * @param {!Object} env - The test environment.
+   * @param {string} id - The ID of a target.
+   * @return {!Array<!Array>} The rows of the target in the 'listing groups'
+   *     tab, without the campaign type and ID.
+   */
+  function targetRows(env, id) {
+    return env.sheets.sheets['listing groups']
+        .filter(function(row) {
+          return row[1] == id;
+        })
+        .map(function(row) {
+          return row.slice(2);
+        });
+  }
+
+  it('previews the listing groups of every target', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS,
+        {'reporting.apiVersion': 'v14', 'listingGroups.overwrite': true},
+        PROPERTIES);
+    const errors = app.updateListingGroupTrees(env);
+    assert.deepStrictEqual(plain(errors), []);
+    assert.deepStrictEqual(targetRows(env, '111'), [
+      ['remove', 'root', '', '', 'validated'],
+      ['create', 'root', '', '', 'validated'],
+      ['create', 'Below benchmark', 'Include', 0.75, 'validated'],
+      ['create', 'At benchmark', 'Include', '', 'validated'],
+      ['create', 'Above benchmark', 'Exclude', '', 'validated'],
+      ['create', 'Everything else', 'Include', '', 'validated'],
+    ]);
+    // The tree already has the units, only the bid changes.
+    assert.deepStrictEqual(targetRows(env, '222'), [
+      ['update', 'Below benchmark', 'Include', 0.6, 'validated'],
+    ]);
+    assert.deepStrictEqual(targetRows(env, '333'), [
+      ['remove', 'root', '', '', 'validated'],
+      ['create', 'root', '', '', 'validated'],
+      ['create', 'Below benchmark', 'Include', '', 'validated'],
+      ['create', 'At benchmark', 'Include', '', 'validated'],
+      ['create', 'Above benchmark', 'Exclude', '', 'validated'],
+      ['create', 'Everything else', 'Include', '', 'validated'],
+    ]);
+    const requests = mutateRequests();
+    assert.deepStrictEqual(
+        requests.map(function(request) {
+          return request.path;
+        }),
+        [
+          '/v14/customers/0987654321/adGroupCriteria:mutate',
+          '/v14/customers/0987654321/adGroupCriteria:mutate',
+          '/v14/customers/0987654321/assetGroupListingGroupFilters:mutate',
+        ]);
+    assert.ok(requests.every(function(request) {
+      return request.body.validateOnly === true;
+    }));
+  });
+
+  it('calls the current API version by default', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {'listingGroups.overwrite': true}, PROPERTIES);
+    app.updateListingGroupTrees(env);
+    assert.deepStrictEqual(
+        mutateRequests().map(function(request) {
+          return request.path;
+        }),
+        [
+          '/v21/customers/0987654321/adGroupCriteria:mutate',
+          '/v21/customers/0987654321/adGroupCriteria:mutate',
+          '/v21/customers/0987654321/assetGroupListingGroupFilters:mutate',
+        ]);
+  });
+
+  it('builds the units of a Shopping tree', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {
+          'listingGroups.mode': 'Apply',
+          'listingGroups.targets': [['Shopping', '111']],
+          'listingGroups.overwrite': true
+        },
+        PROPERTIES);
+    app.updateListingGroupTrees(env);
+    const request = mutateRequests()[0];
+    assert.strictEqual(request.body.validateOnly, false);
+    const operations = request.body.operations;
+    assert.deepStrictEqual(
+        operations[0],
+        {'remove': 'customers/0987654321/adGroupCriteria/111~1'});
+    assert.deepStrictEqual(operations[1].create, {
+      'resourceName': 'customers/0987654321/adGroupCriteria/111~-1',
+      'adGroup': 'customers/0987654321/adGroups/111',
+      'status': 'ENABLED',
+      'listingGroup': {'type': 'SUBDIVISION'}
+    });
+    assert.deepStrictEqual(operations[2].create, {
+      'adGroup': 'customers/0987654321/adGroups/111',
+      'status': 'ENABLED',
+      'negative': false,
+      'listingGroup': {
+        'type': 'UNIT',
+        'parentAdGroupCriterion':
+            'customers/0987654321/adGroupCriteria/111~-1',
+        'caseValue': {
+          'productCustomAttribute':
+              {'index': 'INDEX0', 'value': 'below benchmark'}
+        }
+      },
+      'cpcBidMicros': '750000'
+    });
+    assert.strictEqual(operations[4].create.negative, true);
+    assert.deepStrictEqual(
+        operations[5].create.listingGroup.caseValue,
+        {'productCustomAttribute': {'index': 'INDEX0'}});
+    assert.strictEqual(env.sheets.sheets['listing groups'][1][6], 'applied');
+  });
+
+  it('keeps the trees split by other attributes', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {'listingGroups.mode': 'Apply'}, PROPERTIES);
+    const errors = plain(app.updateListingGroupTrees(env));
+    assert.deepStrictEqual(errors, [
+      'Listing groups of Shopping 111 not updated: Listing groups split by ' +
+          'other attributes than custom_label_0, set ' +
+          'listingGroups.overwrite to TRUE to replace them'
+    ]);
+    // The tree of 333 only has a unit with every product.
+    assert.deepStrictEqual(
+        mutateRequests().map(function(request) {
+          return request.path.split(':')[0].split('/').pop();
+        }),
+        ['adGroupCriteria', 'assetGroupListingGroupFilters']);
+    assert.ok(targetRows(env, '111')[0][4].startsWith('error: '));
+  });
+
+  it('excludes the units of a Performance Max tree', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {
+          'listingGroups.mode': 'Apply',
+          'listingGroups.targets': [['Performance Max', '333']],
+          'listingGroups.others': 'Exclude'
+        },
+        PROPERTIES);
+    app.updateListingGroupTrees(env);
+    const operations = mutateRequests()[0].body.operations;
+    assert.deepStrictEqual(operations.slice(2).map(function(operation) {
+      return [
+        operation.create.type,
+        operation.create.caseValue.productCustomAttribute.value
+      ];
+    }), [
+      ['UNIT_INCLUDED', 'below benchmark'],
+      ['UNIT_INCLUDED', 'at benchmark'],
+      ['UNIT_EXCLUDED', 'above benchmark'],
+      ['UNIT_EXCLUDED', undefined],
+    ]);
+    assert.strictEqual(
+        operations[2].create.parentListingGroupFilter,
+        'customers/0987654321/assetGroupListingGroupFilters/333~-1');
+  });
+
+  it('leaves an up to date tree alone', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {
+          'listingGroups.targets': [['Shopping', '222']],
+          'listingGroups.labels': [
+            ['Below benchmark', 'Include', 1],
+            ['At benchmark', 'Include', ''],
+            ['Above benchmark', 'Exclude', ''],
+          ]
+        },
+        PROPERTIES);
+    app.updateListingGroupTrees(env);
+    assert.deepStrictEqual(mutateRequests(), []);
+    assert.deepStrictEqual(
+        targetRows(env, '222'), [['none', '', '', '', 'up to date']]);
+  });
+
+  it('reports the targets that fail, and goes on', function() {
+    server.addFault({
+      'host': 'googleads.googleapis.com',
+      'path': '/assetGroupListingGroupFilters:mutate',
+      'status': 400,
+      'body': JSON.stringify(
+          {'error': {'code': 400, 'message': 'Invalid tree'}}),
+      'times': 1
+    });
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {
+          'listingGroups.targets': [
+            ['Shopping', '999'],
+            ['Performance Max', '333'],
+            ['Shopping', '222'],
+          ]
+        },
+        PROPERTIES);
+    const errors = plain(app.updateListingGroupTrees(env));
+    assert.strictEqual(errors.length, 2);
+    assert.strictEqual(
+        errors[0],
+        'Listing groups of Shopping 999 not updated: Ad group 999 not found');
+    assert.ok(errors[1].startsWith(
+        'Listing groups of Performance Max 333 not updated: '));
+    assert.ok(errors[1].includes('Invalid tree'));
+    assert.deepStrictEqual(
+        targetRows(env, '999'),
+        [['none', '', '', '', 'error: Ad group 999 not found']]);
+    assert.ok(targetRows(env, '333').every(function(row) {
+      return row[4].startsWith('error: ');
+    }));
+    assert.strictEqual(targetRows(env, '222')[0][4], 'validated');
+  });
+
+  it('is updated by the run, and its errors summarized', function() {
+    const {app, env} = loadBenchmark(
+        server, SETTINGS, {
+          'listingGroups.targets': [['Shopping', '999']],
+          'notifications.email': 'team@example.com'
+        },
+        PROPERTIES);
+    app.runVisibilityBooster();
+    assert.ok(env.sheets.sheets['listing groups']);
+    assert.strictEqual(
+        env.mail.sent[0].subject,
+        'Price Visibility Booster: run completed with 1 error(s)');
+    assert.ok(env.mail.sent[0].body.includes(
+        '  - Listing groups of Shopping 999 not updated: ' +
+        'Ad group 999 not found'));
+  });
+
+  it('checks the listing group settings', function() {
+    const {app} = loadBenchmark(null, SETTINGS, {
+      'listingGroups.targets': [['Search', '111'], ['Shopping', 'abc']],
+      'listingGroups.labels': [['Below benchmark', 'Boost', -1]]
+    });
+    const checks = plain(app.validateSettings(app.getEnv().config))
+                       .filter(function(check) {
+                         return check.setting.startsWith('listingGroups.');
+                       })
+                       .map(function(check) {
+                         return [check.setting, check.status];
+                       });
+    assert.deepStrictEqual(checks, [
+      ['listingGroups.targets', 'FAIL'],
+      ['listingGroups.targets', 'FAIL'],
+      ['listingGroups.labels', 'FAIL'],
+      ['listingGroups.labels', 'FAIL'],
+    ]);
+  });
+});
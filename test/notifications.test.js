@@ -0,0 +1,138 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, beforeEach, describe, it} = require('node:test');
+
+const {loadBenchmark, plain, runBenchmark, startFakeServer} =
+    require('./harness');
+
+const WEBHOOK_URL =
+    'https://chat.googleapis.com/v1/spaces/AAAA/messages?key=k&token=t';
+
+const SETTINGS = {
+  'notifications.email': 'team@example.com',
+  'notifications.webhookUrl': WEBHOOK_URL,
+};
+
+describe('run notifications', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  beforeEach(function() {
+    server.reset();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  /**
+   * @return {!Array<!Object>} The messages posted to the webhook.
+   */
+  function webhookMessages() {
+    return server.requests()
+        .filter(function(request) {
+          return request.host == 'chat.googleapis.com';
+        })
+        .map(function(request) {
+          return request.body;
+        });
+  }
+
+  it('sends a summary of the run', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    env.sheets.sheets['label history'] = [
+      plain(app.LABEL_HISTORY_HEADERS),
+      ['2024-05-01 06:00:00', 'sku1', 'US', 'At benchmark', 0, 80, ''],
+    ];
+    app.runVisibilityBooster();
+    assert.strictEqual(env.mail.sent.length, 1);
+    const email = env.mail.sent[0];
+    assert.strictEqual(email.recipient, 'team@example.com');
+    assert.strictEqual(
+        email.subject, 'Price Visibility Booster: run completed');
+    const lines = email.body.split('\n');
+    assert.match(lines[1], /^Runtime: 0 min \d+ s in 1 execution\(s\)$/);
+    assert.deepStrictEqual(lines.slice(2), [
+      'Offers benchmarked: 4',
+      'Offers labeled:',
+      '  - Below benchmark: 1',
+      '  - At benchmark: 1',
+      '  - Above benchmark: 1',
+      '  - Unlabeled: 1',
+      'Label changes since the last run: 2 new, 1 changed, 0 removed',
+      'Errors: none',
+    ]);
+    assert.deepStrictEqual(webhookMessages(), [
+      {'text': '*Price Visibility Booster: run completed*\n' + email.body},
+    ]);
+  });
+
+  it('sends an alert when the run fails', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    // The first execution runs out of time after the first page.
+    app.startBoosterRun(env, 0);
+    server.addFault({
+      'host': 'shoppingcontent.googleapis.com',
+      'path': '/reports/search',
+      'status': 403,
+      'body': JSON.stringify(
+          {'error': {'code': 403, 'message': 'Permission denied'}}),
+      'times': 1
+    });
+    assert.throws(function() {
+      app.resumeVisibilityBooster();
+    }, /Permission denied/);
+    assert.strictEqual(env.mail.sent.length, 1);
+    assert.strictEqual(
+        env.mail.sent[0].subject, 'Price Visibility Booster: run failed');
+    const lines = env.mail.sent[0].body.split('\n');
+    assert.strictEqual(lines[0], 'Error: Permission denied');
+    assert.deepStrictEqual(lines.slice(2), [
+      'Stopped in phase: benchmark',
+      'Run resumeVisibilityBooster to continue from the last saved step.',
+    ]);
+    assert.strictEqual(webhookMessages().length, 1);
+  });
+
+  it('only notifies the configured channels', function() {
+    const {env} =
+        runBenchmark(server, SETTINGS, {'notifications.webhookUrl': ''});
+    assert.strictEqual(env.mail.sent.length, 1);
+    assert.deepStrictEqual(webhookMessages(), []);
+  });
+
+  it('logs a failed delivery without failing the run', function() {
+    server.addFault({
+      'host': 'chat.googleapis.com',
+      'path': '/messages',
+      'status': 404,
+      'body': JSON.stringify(
+          {'error': {'code': 404, 'message': 'Space not found'}}),
+      'times': 1
+    });
+    const {app} = runBenchmark(server, SETTINGS);
+    assert.ok(app.logs.includes(
+        'Couldn\'t send the notification webhook: Space not found'));
+    assert.ok(app.logs.some(function(message) {
+      return message.startsWith('Run completed');
+    }));
+  });
+});
@@ -0,0 +1,151 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+
+const {loadWithEnv, plain, runBenchmark, startFakeServer} =
+    require('./harness');
+
+const SETTINGS = {
+  'activateLabels': true,
+  'recommendations.enabled': true,
+};
+
+describe('getTargetPrice', function() {
+  const {app} = loadWithEnv({});
+
+  it('returns the highest price below the bound', function() {
+    assert.deepStrictEqual(
+        plain(app.getTargetPrice(100, 0.05, '')),
+        {'price': 104.99, 'underFloor': false});
+    assert.deepStrictEqual(
+        plain(app.getTargetPrice(19.99, -0.1, '')),
+        {'price': 17.99, 'underFloor': false});
+  });
+
+  it('flags prices under the floor', function() {
+    assert.deepStrictEqual(
+        plain(app.getTargetPrice(100, -0.05, 95)),
+        {'price': 94.99, 'underFloor': true});
+  });
+});
+
+describe('price recommendations', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  /**
+   * Reads the recommendations as objects keyed by header.
+   *
+   * @param {!Object} sheets - The sheets written, keyed by name.
+   * @return {!Array<!Object>} The recommendations.
+   */
+  function readRecommendations(sheets) {
+    const rows = sheets['price recommendations'];
+    return rows.slice(1).map(function(row) {
+      return Object.fromEntries(rows[0].map(function(header, i) {
+        return [header, row[i]];
+      }));
+    });
+  }
+
+  it('recommends the At and Below benchmark prices of offers above it',
+     function() {
+       const {env} = runBenchmark(server, SETTINGS);
+       const recommendations = readRecommendations(env.sheets.sheets);
+       assert.deepStrictEqual(
+           recommendations.map(function(row) {
+             return row.offer_id;
+           }),
+           ['sku3']);
+       const sku3 = recommendations[0];
+       assert.strictEqual(sku3.current_price, 130);
+       assert.strictEqual(sku3.benchmark_price, 100);
+       assert.strictEqual(sku3.at_benchmark_price, 104.99);
+       assert.strictEqual(sku3.at_change, -25.01);
+       assert.ok(Math.abs(sku3.at_change_pct - (104.99 / 130 - 1)) < 1e-9);
+       assert.strictEqual(sku3.below_benchmark_price, 94.99);
+       assert.strictEqual(sku3.below_change, -35.01);
+       assert.strictEqual(sku3.floor_price, '');
+       assert.strictEqual(sku3.constraint, '');
+       assert.strictEqual(sku3.impressions, 300);
+       assert.strictEqual(sku3.clicks, 3);
+       // sku1, below benchmark, got 48 clicks from 1200 impressions.
+       assert.strictEqual(sku3.estimated_clicks_at_benchmark, 12);
+     });
+
+  it('leaves out the prices under the minimum price', function() {
+    const {env} = runBenchmark(
+        server, SETTINGS, {'recommendations.minPriceAttribute': 'min_price'});
+    const sku3 = readRecommendations(env.sheets.sheets)[0];
+    assert.strictEqual(sku3.floor_price, 99);
+    assert.strictEqual(sku3.at_benchmark_price, 104.99);
+    assert.strictEqual(sku3.below_benchmark_price, '');
+    assert.strictEqual(sku3.below_change, '');
+    assert.strictEqual(
+        sku3.constraint, 'Below benchmark price under the floor');
+  });
+
+  it('uses the bound of the tiers', function() {
+    const {env} = runBenchmark(server, SETTINGS, {
+      'rules.tiers': [
+        ['Below benchmark', '', -0.1],
+        ['At benchmark', -0.1, 0.1],
+        ['Above benchmark', 0.1, ''],
+      ],
+    });
+    const sku3 = readRecommendations(env.sheets.sheets)[0];
+    assert.strictEqual(sku3.at_benchmark_price, 109.99);
+    assert.strictEqual(sku3.below_benchmark_price, 89.99);
+  });
+
+  it('exports the approved prices as a sale price feed', function() {
+    const {sheets} = runBenchmark(
+        server, SETTINGS, {'recommendations.minPriceAttribute': 'min_price'});
+    const rows = sheets['price recommendations'];
+    rows[1][rows[0].indexOf('approved_price')] = 104.99;
+    // The approval is kept while the price doesn't change.
+    const {app, env} = runBenchmark(
+        server, SETTINGS, {'recommendations.minPriceAttribute': 'min_price'},
+        sheets);
+    assert.strictEqual(
+        readRecommendations(env.sheets.sheets)[0].approved_price, 104.99);
+    app.exportSalePriceFeed();
+    assert.deepStrictEqual(
+        env.sheets.sheets['output - sale price feed'],
+        [['id', 'sale_price'], ['sku3', '104.99 USD']]);
+  });
+
+  it('skips the approved prices under the floor', function() {
+    const {app, env} = runBenchmark(
+        server, SETTINGS, {'recommendations.minPriceAttribute': 'min_price'});
+    const rows = env.sheets.sheets['price recommendations'];
+    rows[1][rows[0].indexOf('approved_price')] = 90;
+    app.exportSalePriceFeed();
+    assert.strictEqual(
+        env.sheets.sheets['output - sale price feed'], undefined);
+    assert.ok(app.logs.includes(
+        'Approved prices under the floor, skipped: sku3'));
+  });
+});
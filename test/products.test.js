@@ -0,0 +1,256 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, beforeEach, describe, it} = require('node:test');
+
+const {
+  loadBenchmark,
+  loadWithEnv,
+  plain,
+  runBenchmark,
+  startFakeServer
+} = require('./harness');
+
+const SETTINGS = {
+  'activateLabels': true,
+  'stockInfo.enabled': true,
+  'stockInfo.attribute': 'stock_level',
+  'stockInfo.threshold': 5,
+};
+
+const OUTPUT_SHEETS = ['benchmark data', 'output - supplemental feed'];
+
+describe('product sources', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  beforeEach(function() {
+    server.reset();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  /**
+   * Lists the product calls received by the fake server.
+   *
+   * @return {!Array<string>} The IDs of the products fetched one by one, and
+   *     'list' for each page of the product list.
+   */
+  function productCalls() {
+    let calls = [];
+    server.requests().forEach(function(request) {
+      if (request.path.endsWith('/products/batch')) {
+        request.body.entries.forEach(function(entry) {
+          if (entry.method == 'get') {
+            calls.push(entry.productId);
+          }
+        });
+      } else if (/\/products(\?|$)/.test(request.path)) {
+        calls.push('list');
+      } else if (/\/products\/[^/]+$/.test(request.path)) {
+        calls.push(decodeURIComponent(request.path.split('/').pop()));
+      }
+    });
+    return calls;
+  }
+
+  [['Content API', {}], ['Merchant API', {'merchantBackend': 'Merchant API'}]]
+      .forEach(function([name, backend]) {
+        it('reads the same products from the product list with the ' + name,
+           function() {
+             const expected = runBenchmark(server, SETTINGS, backend).sheets;
+             server.reset();
+             const {sheets} = runBenchmark(
+                 server, SETTINGS,
+                 Object.assign({'products.source': 'Product list'}, backend));
+             OUTPUT_SHEETS.forEach(function(sheet) {
+               assert.deepStrictEqual(sheets[sheet], expected[sheet]);
+             });
+             assert.deepStrictEqual(productCalls(), ['list']);
+           });
+      });
+
+  it('reuses the cached products in the next run', function() {
+    const settings = {'products.cacheDays': 7};
+    const first = runBenchmark(server, SETTINGS, settings).sheets;
+    assert.strictEqual(productCalls().length, 5);
+    assert.strictEqual(first['product cache'].length, 5);
+    server.reset();
+    const second = runBenchmark(server, SETTINGS, settings, first).sheets;
+    assert.deepStrictEqual(productCalls(), ['online:en:US:sku5']);
+    OUTPUT_SHEETS.forEach(function(sheet) {
+      assert.deepStrictEqual(second[sheet], first[sheet]);
+    });
+  });
+
+  it('only reads the product list for the uncached products', function() {
+    const settings =
+        {'products.source': 'Product list', 'products.cacheDays': 7};
+    const first = runBenchmark(server, SETTINGS, settings).sheets;
+    server.reset();
+    const {app} = runBenchmark(server, SETTINGS, settings, first);
+    // The product missing from Merchant Center is never cached.
+    assert.ok(app.logs.includes('Reading the product list for 1 products'));
+    assert.deepStrictEqual(productCalls(), ['list']);
+  });
+
+  it('fetches the products again once the cache expired', function() {
+    const settings = {'products.cacheDays': 7};
+    const first = runBenchmark(server, SETTINGS, settings).sheets;
+    first['product cache'].slice(1).forEach(function(row) {
+      row[1] = '2020-01-01T00:00:00.000Z';
+    });
+    server.reset();
+    const second = runBenchmark(server, SETTINGS, settings, first).sheets;
+    assert.strictEqual(productCalls().length, 5);
+    assert.ok(second['product cache'][1][1] > '2020-01-01');
+  });
+
+  it('fetches the products cached without their item group again',
+     function() {
+       const settings = {'products.cacheDays': 7};
+       const first = runBenchmark(server, SETTINGS, settings).sheets;
+       const row = first['product cache'][1];
+       let data = JSON.parse(row[row.length - 1]);
+       delete data.itemGroupId;
+       row[row.length - 1] = JSON.stringify(data);
+       server.reset();
+       runBenchmark(server, SETTINGS, settings, first);
+       assert.deepStrictEqual(
+           productCalls(), [row[1], 'online:en:US:sku5']);
+     });
+
+  it('fetches the products whose label was pushed again', function() {
+    const settings = {'products.cacheDays': 7, 'labelPush.mode': 'Direct'};
+    const first = runBenchmark(server, SETTINGS, settings).sheets;
+    const pushed = first['label push'].slice(1).map(function(row) {
+      return row[0];
+    });
+    assert.ok(pushed.length > 0);
+    server.reset();
+    runBenchmark(server, SETTINGS, settings, first);
+    assert.deepStrictEqual(
+        productCalls().sort(), pushed.concat(['online:en:US:sku5']).sort());
+  });
+
+  it('fetches the pushed products again when the run was resumed',
+     function() {
+       const settings =
+           {'products.cacheDays': 7, 'labelPush.mode': 'Direct'};
+       const {app, env} = loadBenchmark(server, SETTINGS, settings);
+       // One step per execution, so the push and the summary run apart.
+       let done = app.startBoosterRun(env, 0);
+       while (!done) {
+         done = app.resumeBoosterRun(env, 0);
+       }
+       const first = env.sheets.sheets;
+       const pushed = first['label push'].slice(1).map(function(row) {
+         return row[0];
+       });
+       assert.ok(pushed.length > 0);
+       server.reset();
+       runBenchmark(server, SETTINGS, settings, first);
+       assert.deepStrictEqual(
+           productCalls().sort(),
+           pushed.concat(['online:en:US:sku5']).sort());
+     });
+});
+
+describe('getProductList', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('reads every page of the product list', function() {
+    const {app, env} = loadWithEnv({'merchantId': 123456}, server);
+    const products =
+        app.getProductList(app.createMerchantBackend(env), 123456, 3);
+    assert.deepStrictEqual(
+        plain(products.map(function(product) {
+          return product.offerId;
+        })),
+        [
+          'sku1', 'sku2', 'sku3', 'sku4', 'sku6', 'sku7', 'sku8', 'sku9',
+          'sku10', 'sku11'
+        ]);
+  });
+});
+
+describe('MerchantAPI', function() {
+  let server;
+
+  before(async function() {
+    server = await startFakeServer();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  it('gets the products from the v1 API in groups of parallel calls',
+     function() {
+       const {app, env} = loadWithEnv(
+           {'merchantId': 123456, 'merchantBackend': 'Merchant API'}, server);
+       let groups = [];
+       const fetchAll = env.http.fetchAll.bind(env.http);
+       env.http.fetchAll = function(requests) {
+         groups.push(requests.length);
+         return fetchAll(requests);
+       };
+       let entries = [];
+       for (let i = 0; i < 120; i++) {
+         entries.push({
+           'batchId': i,
+           'merchantId': 123456,
+           'productId': 'online:en:US:sku1'
+         });
+       }
+       server.reset();
+       const api = app.createMerchantBackend(env);
+       const response = api.custom_batch_get({'entries': entries});
+       assert.deepStrictEqual(groups, [50, 50, 20]);
+       assert.strictEqual(response.entries[119].batchId, 119);
+       assert.strictEqual(
+           response.entries[119].product.id, 'online:en:US:sku1');
+       assert.strictEqual(
+           server.requests()[0].path,
+           '/products/v1/accounts/123456/products/en~US~sku1');
+     });
+
+  it('converts the IDs of the local products', function() {
+    const {app} = loadWithEnv({});
+    assert.strictEqual(
+        app.toMerchantApiProductId('local:en:US:a:b'), 'local~en~US~a:b');
+    assert.strictEqual(
+        app.toContentApiProductId('accounts/1/products/local~en~US~a~b'),
+        'local:en:US:a~b');
+    assert.strictEqual(
+        app.toContentApiProductId('accounts/1/products/en~US~sku1'),
+        'online:en:US:sku1');
+  });
+});
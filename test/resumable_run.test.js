@@ -0,0 +1,205 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {after, before, beforeEach, describe, it} = require('node:test');
+
+const {
+  FakeSheets,
+  loadBenchmark,
+  loadWithEnv,
+  plain,
+  runBenchmark,
+  startFakeServer
+} = require('./harness');
+
+const SETTINGS = {
+  'activateLabels': true,
+};
+
+const OUTPUT_SHEETS = ['benchmark data', 'output - supplemental feed'];
+
+describe('CheckpointStore', function() {
+  const {app} = loadWithEnv({});
+
+  it('splits long lists over several cells', function() {
+    const sheets = new FakeSheets();
+    const store = new app.CheckpointStore(sheets);
+    const items = ['a', 'b', 'c'].map(function(letter) {
+      return letter.repeat(15000);
+    });
+    store.append('offers:0', 0, items);
+    store.append('offers:1', 1, ['d']);
+    assert.strictEqual(sheets.sheets['run checkpoints'].length, 4);
+    assert.deepStrictEqual(plain(store.read('offers:0')), items);
+    assert.deepStrictEqual(plain(store.read('offers:1')), ['d']);
+  });
+
+  it('discards the items of unfinished steps', function() {
+    const store = new app.CheckpointStore(new FakeSheets());
+    store.append('stats:0', 0, [['sku1', 1]]);
+    store.append('stats:0', 1, [['sku2', 2]]);
+    store.append('stats:0', 2, [['sku3', 3]]);
+    store.discardFrom(1);
+    assert.deepStrictEqual(plain(store.read('stats:0')), [['sku1', 1]]);
+  });
+});
+
+describe('resumable runs', function() {
+  let server;
+  let expected;
+
+  before(async function() {
+    server = await startFakeServer();
+    expected = runBenchmark(server, SETTINGS).sheets;
+  });
+
+  beforeEach(function() {
+    server.reset();
+  });
+
+  after(function() {
+    server.stop();
+  });
+
+  /**
+   * Continues a run until it completes, one step per execution.
+   *
+   * @param {!Object} app - The solution.
+   * @param {!Object} env - The environment.
+   * @return {number} The number of executions it took.
+   */
+  function resumeUntilDone(app, env) {
+    let executions = 0;
+    do {
+      assert.deepStrictEqual(
+          env.triggers.scheduled,
+          [{'handler': 'resumeVisibilityBooster', 'delayMs': 60000}]);
+      executions++;
+    } while (!app.resumeBoosterRun(env, 0));
+    return executions;
+  }
+
+  it('continues in new executions when out of time', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    assert.strictEqual(app.startBoosterRun(env, 0), false);
+    // The 2 benchmark pages, the stats, the products, the merge, then the
+    // summary.
+    assert.strictEqual(resumeUntilDone(app, env), 5);
+    OUTPUT_SHEETS.forEach(function(name) {
+      assert.deepStrictEqual(env.sheets.sheets[name], expected[name]);
+    });
+    assert.strictEqual(env.sheets.sheets['run checkpoints'], undefined);
+    assert.deepStrictEqual(env.properties.values, {});
+    assert.deepStrictEqual(env.triggers.scheduled, []);
+    assert.ok(app.logs.includes('Run completed in 6 execution(s)'));
+  });
+
+  it('ignores what an interrupted execution downloaded', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    app.startBoosterRun(env, 0);
+    // An execution stopped after downloading a page, but before saving its
+    // progress.
+    const state = JSON.parse(env.properties.getProperty('runState'));
+    new app.CheckpointStore(env.sheets).append(
+        'benchmark:0', state.step, [{'productView': {'id': 'sku9'}}]);
+    resumeUntilDone(app, env);
+    OUTPUT_SHEETS.forEach(function(name) {
+      assert.deepStrictEqual(env.sheets.sheets[name], expected[name]);
+    });
+  });
+
+  it('resumes from the failed step after an error', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    app.startBoosterRun(env, 0);
+    server.addFault({
+      'host': 'shoppingcontent.googleapis.com',
+      'path': '/reports/search',
+      'status': 403,
+      'body': '{"error": {"code": 403, "message": "Permission denied"}}',
+      'times': 1
+    });
+    assert.throws(function() {
+      app.resumeBoosterRun(env);
+    }, /Permission denied/);
+    assert.ok(env.properties.getProperty('runState'));
+    assert.strictEqual(app.resumeBoosterRun(env), true);
+    OUTPUT_SHEETS.forEach(function(name) {
+      assert.deepStrictEqual(env.sheets.sheets[name], expected[name]);
+    });
+    // The first page was only downloaded by the first execution.
+    const requests = server.requests().filter(function(request) {
+      return request.path.endsWith('/reports/search') &&
+          request.body.query.includes('price_competitiveness');
+    });
+    const pages = requests.map(function(request) {
+      return request.body.pageToken;
+    });
+    assert.deepStrictEqual(pages, ['', '1', '1']);
+  });
+
+  it('doesn\'t add a retried merge to the histories twice', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS, {
+      'movers.enabled': true,
+      'notifications.email': 'team@example.com'
+    });
+    env.sheets.sheets['label history'] = [
+      plain(app.LABEL_HISTORY_HEADERS),
+      ['2024-05-01 06:00:00', 'sku1', 'US', 'At benchmark', -0.04, 100, ''],
+    ];
+    app.startBoosterRun(env, 0);
+    let beforeMerge;
+    do {
+      beforeMerge = env.properties.getProperty('runState');
+      app.resumeBoosterRun(env, 0);
+    } while (JSON.parse(env.properties.getProperty('runState')).phase !=
+             'summary');
+    // The execution of the merge stopped before saving its progress.
+    env.properties.setProperty('runState', beforeMerge);
+    resumeUntilDone(app, env);
+    const sheets = env.sheets.sheets;
+    assert.strictEqual(sheets['label history'].length, 5);
+    assert.strictEqual(sheets['benchmark history'].length, 5);
+    assert.deepStrictEqual(
+        sheets['label changes'].slice(1).map(function(row) {
+          return [row[0], row[2], row[8]];
+        }),
+        [
+          ['sku1', 'changed', '2024-05-01 06:00:00'],
+          ['sku2', 'new', '2024-05-01 06:00:00'],
+          ['sku3', 'new', '2024-05-01 06:00:00'],
+        ]);
+    assert.strictEqual(env.mail.sent.length, 1);
+  });
+
+  it('starts over when run again', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    app.startBoosterRun(env, 0);
+    app.runVisibilityBooster();
+    assert.ok(app.logs.some(function(message) {
+      return message.startsWith('Discarding the unfinished run started at');
+    }));
+    assert.deepStrictEqual(env.triggers.scheduled, []);
+    assert.deepStrictEqual(env.properties.values, {});
+  });
+
+  it('does nothing without an unfinished run', function() {
+    const {app, env} = loadBenchmark(server, SETTINGS);
+    app.resumeVisibilityBooster();
+    assert.ok(app.logs.includes('No unfinished run to continue'));
+    assert.deepStrictEqual(server.requests(), []);
+  });
+});
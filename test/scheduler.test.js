@@ -0,0 +1,133 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {FakeSettings, loadWithEnv} = require('./harness');
+
+const SETTINGS = {
+  'schedule.booster': 'Daily',
+  'schedule.boosterHour': 5,
+  'schedule.report': 'Weekly',
+  'schedule.reportDay': 'friday',
+  'schedule.reportHour': 8,
+};
+
+describe('installSchedules', function() {
+  it('installs a trigger for each scheduled function', function() {
+    const {app, env} = loadWithEnv(SETTINGS);
+    app.installSchedules();
+    assert.deepStrictEqual(env.triggers.recurring, [
+      {
+        'handler': 'runVisibilityBooster',
+        'schedule': {'frequency': 'Daily', 'day': 'MONDAY', 'hour': 5}
+      },
+      {
+        'handler': 'runReport',
+        'schedule': {'frequency': 'Weekly', 'day': 'FRIDAY', 'hour': 8}
+      },
+    ]);
+    assert.deepStrictEqual(app.logs, [
+      'Labeling schedule installed',
+      'Ads report schedule installed',
+    ]);
+    const status = env.sheets.sheets['schedule'];
+    assert.deepStrictEqual(status[1].slice(0, 6), [
+      'Labeling', 'runVisibilityBooster', 'Daily', '', 5, 1
+    ]);
+    assert.match(status[1][6], /^\d{4}-\d{2}-\d{2} 05:00 \(UTC\)$/);
+    assert.strictEqual(status[1][7], 'installed');
+    assert.deepStrictEqual(status[2].slice(2, 5), ['Weekly', 'FRIDAY', 8]);
+  });
+
+  it('only replaces the triggers whose schedule changed', function() {
+    const {app, env} = loadWithEnv(SETTINGS);
+    app.installSchedules();
+    env.config = app.readConfig(new FakeSettings(
+        Object.assign({}, SETTINGS, {'schedule.report': 'Daily'})));
+    app.installSchedules();
+    assert.deepStrictEqual(app.logs.slice(2), [
+      'Labeling schedule unchanged',
+      'Ads report schedule updated',
+    ]);
+    assert.deepStrictEqual(
+        env.triggers.recurring.map(function(trigger) {
+          return trigger.handler + ' ' + trigger.schedule.frequency;
+        }),
+        ['runVisibilityBooster Daily', 'runReport Daily']);
+  });
+
+  it('replaces a trigger installed without a known schedule', function() {
+    const {app, env} = loadWithEnv(SETTINGS);
+    env.triggers.scheduleRecurring('runVisibilityBooster', {});
+    app.showScheduleStatus();
+    assert.strictEqual(
+        env.sheets.sheets['schedule'][1][7],
+        'unknown schedule, run installSchedules');
+    app.installSchedules();
+    assert.strictEqual(app.logs[0], 'Labeling schedule updated');
+    assert.strictEqual(env.triggers.count('runVisibilityBooster'), 1);
+  });
+
+  it('rejects an invalid schedule', function() {
+    const {app, env} = loadWithEnv(
+        Object.assign({}, SETTINGS, {'schedule.reportHour': 24}));
+    assert.throws(function() {
+      app.installSchedules();
+    }, /schedule.report: The hour should be a whole number from 0 to 23/);
+    assert.deepStrictEqual(env.triggers.recurring, []);
+  });
+});
+
+describe('uninstallSchedules', function() {
+  it('deletes the scheduled triggers only', function() {
+    const {app, env} = loadWithEnv(SETTINGS);
+    app.installSchedules();
+    env.triggers.scheduleOnce('resumeVisibilityBooster', 60000);
+    app.uninstallSchedules();
+    assert.deepStrictEqual(env.triggers.recurring, []);
+    assert.strictEqual(env.triggers.count('resumeVisibilityBooster'), 1);
+    const status = env.sheets.sheets['schedule'];
+    assert.deepStrictEqual(
+        [status[1][5], status[1][7]],
+        [0, 'not installed, run installSchedules']);
+  });
+});
+
+describe('getNextRun', function() {
+  const {app} = loadWithEnv({});
+
+  it('finds the next hour of a daily or weekly schedule', function() {
+    // A Wednesday, at 10:30 in Paris.
+    const now = new Date('2024-05-15T08:30:00Z');
+    const tz = 'Europe/Paris';
+    assert.strictEqual(
+        app.getNextRun({'frequency': 'Daily', 'hour': 11}, now, tz),
+        '2024-05-15 11:00');
+    assert.strictEqual(
+        app.getNextRun({'frequency': 'Daily', 'hour': 10}, now, tz),
+        '2024-05-16 10:00');
+    assert.strictEqual(
+        app.getNextRun(
+            {'frequency': 'Weekly', 'day': 'WEDNESDAY', 'hour': 6}, now, tz),
+        '2024-05-22 06:00');
+    assert.strictEqual(
+        app.getNextRun(
+            {'frequency': 'Weekly', 'day': 'MONDAY', 'hour': 6}, now, tz),
+        '2024-05-20 06:00');
+  });
+});
@@ -0,0 +1,44 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview Sends the requests read as JSON from stdin in parallel, and
+ * writes their status, headers and body as JSON to stdout.
+ *
+ * `FakeHttp` runs this script synchronously, to give the solution the blocking
+ * `fetch` and `fetchAll` of `UrlFetchApp`.
+ */
+
+let input = '';
+process.stdin.on('data', function(chunk) {
+  input += chunk;
+});
+process.stdin.on('end', async function() {
+  const responses = await Promise.all(
+      JSON.parse(input).map(async function(request) {
+        const response = await fetch(request.url, {
+          'method': request.method,
+          'headers': request.headers,
+          'body': request.body
+        });
+        return {
+          'code': response.status,
+          'headers': Object.fromEntries(response.headers),
+          'body': await response.text()
+        };
+      }));
+  process.stdout.write(JSON.stringify(responses));
+});
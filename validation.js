@@ -0,0 +1,724 @@
+/*
+Copyright 2024 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Currency of the benchmark prices in the most common countries, to spot
+// mismatched country / currency pairs.
+const COUNTRY_CURRENCIES = {
+  AR: 'ARS', AT: 'EUR', AU: 'AUD', BE: 'EUR', BR: 'BRL', CA: 'CAD', CH: 'CHF',
+  CL: 'CLP', CO: 'COP', CZ: 'CZK', DE: 'EUR', DK: 'DKK', ES: 'EUR', FI: 'EUR',
+  FR: 'EUR', GB: 'GBP', GR: 'EUR', HU: 'HUF', IE: 'EUR', IL: 'ILS', IN: 'INR',
+  IT: 'EUR', JP: 'JPY', KR: 'KRW', MX: 'MXN', NL: 'EUR', NO: 'NOK', NZ: 'NZD',
+  PL: 'PLN', PT: 'EUR', RO: 'RON', SE: 'SEK', SK: 'EUR', TR: 'TRY', UA: 'UAH',
+  US: 'USD', ZA: 'ZAR',
+};
+
+// Percentages above which a number was likely meant as a number of percents,
+// e.g. 5 for 5%, while it's read as a fraction, see `parsePercentage`.
+const MAX_LIKELY_PERCENTAGE = 0.5;
+
+// Percentages above which a number surely was, which stops the runs.
+const MAX_PERCENTAGE = 1;
+
+/**
+ * Checks every setting of the control panel, and that the Merchant Center and
+ * Google Ads accounts can be reached, and writes a pass / fail checklist to
+ * the 'validation' tab.
+ *
+ * @return {boolean} Whether no check failed.
+ */
+function validateConfiguration() {
+  const env = getEnv();
+  let checks = validateSettings(env.config);
+  if (!hasFailedChecks(checks)) {
+    checks = checks.concat(
+        validateMerchantAccess(createMerchantBackend(env), env.config));
+    checks = checks.concat(validateAdsAccess(env));
+    checks = checks.concat(validateBigQueryAccess(env));
+  }
+  writeValidationReport(checks);
+  return !hasFailedChecks(checks);
+}
+
+/**
+ * Checks the settings of the control panel, without calling any API.
+ *
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The checks, each with its `setting`, `status` (one
+ *     of `CHECK_STATUS`) and `details`.
+ */
+function validateSettings(config) {
+  let checks = [];
+
+  const merchantId = String(config.merchantId).trim();
+  if (merchantId == '') {
+    addCheck(checks, 'merchantId', CHECK_STATUS.FAIL, 'Missing Merchant ID');
+  } else if (!/^\d+$/.test(merchantId)) {
+    addCheck(
+        checks, 'merchantId', CHECK_STATUS.FAIL,
+        '"' + merchantId +
+            '" is not a Merchant ID, it should only have digits');
+  } else {
+    addCheck(checks, 'merchantId', CHECK_STATUS.PASS, merchantId);
+  }
+
+  if (config.mcaEnabled) {
+    const invalidAccounts = config.mcaAccounts.filter(function(accountId) {
+      return !/^\d+$/.test(accountId);
+    });
+    if (invalidAccounts.length > 0) {
+      addCheck(
+          checks, 'mca.accounts', CHECK_STATUS.FAIL,
+          'Not account IDs: ' + invalidAccounts.join(', '));
+    } else {
+      addCheck(
+          checks, 'mca.enabled', CHECK_STATUS.PASS,
+          config.mcaAccounts.length > 0 ?
+              config.mcaAccounts.length + ' selected sub-accounts' :
+              'Every sub-account');
+    }
+  }
+
+  const labelNumber = String(config.customLabelNumber).trim();
+  if (/^[0-4]$/.test(labelNumber)) {
+    addCheck(
+        checks, 'customLabelNumber', CHECK_STATUS.PASS,
+        'custom_label_' + labelNumber);
+  } else {
+    addCheck(
+        checks, 'customLabelNumber', CHECK_STATUS.FAIL,
+        '"' + labelNumber + '" should be a number from 0 to 4');
+  }
+
+  if (Object.values(MERCHANT_BACKENDS).includes(config.merchantBackend)) {
+    addCheck(
+        checks, 'merchantBackend', CHECK_STATUS.PASS, config.merchantBackend);
+  } else {
+    addCheck(
+        checks, 'merchantBackend', CHECK_STATUS.FAIL,
+        '"' + config.merchantBackend + '" should be one of: ' +
+            Object.values(MERCHANT_BACKENDS).join(', '));
+  }
+
+  config.markets.forEach(function(market, i) {
+    addCheck(checks, 'markets', ...checkMarket(market));
+  });
+
+  if (config.labelTiers.length > 0) {
+    const problems = validateTiers(config.labelTiers);
+    addCheck(
+        checks, 'rules.tiers',
+        problems.length > 0 ? CHECK_STATUS.FAIL : CHECK_STATUS.PASS,
+        problems.length > 0 ? problems.join('; ') :
+                              config.labelTiers.length + ' tiers');
+  } else {
+    [['rules.belowBenchmark', config.belowBenchmarkRule],
+     ['rules.atBenchmark', config.atBenchmarkRule],
+     ['rules.aboveBenchmark', config.aboveBenchmarkRule]]
+        .forEach(function([name, rule]) {
+          if (isNaN(rule)) {
+            addCheck(
+                checks, name, CHECK_STATUS.FAIL,
+                'Missing or not a percentage');
+          } else {
+            addPercentageCheck(checks, name, rule, formatBound(rule));
+          }
+        });
+    if (config.belowBenchmarkRule > -config.atBenchmarkRule ||
+        config.aboveBenchmarkRule < config.atBenchmarkRule) {
+      addCheck(
+          checks, 'rules.atBenchmark', CHECK_STATUS.WARNING,
+          'The At benchmark range overlaps the Below or Above benchmark ' +
+              'thresholds');
+    }
+  }
+
+  if (isNaN(config.labelHysteresis)) {
+    addCheck(
+        checks, 'stability.hysteresis', CHECK_STATUS.FAIL,
+        'Should be a percentage, e.g. 1%');
+  } else if (config.labelHysteresis > 0) {
+    addPercentageCheck(
+        checks, 'stability.hysteresis', config.labelHysteresis,
+        '±' + formatBound(config.labelHysteresis));
+  }
+  if (!Number.isInteger(config.labelMinRuns) || config.labelMinRuns < 1) {
+    addCheck(
+        checks, 'stability.minRuns', CHECK_STATUS.FAIL,
+        'Should be a whole number of runs, 1 to change the labels right away');
+  } else if (config.labelMinRuns > 1) {
+    addCheck(
+        checks, 'stability.minRuns', CHECK_STATUS.PASS,
+        config.labelMinRuns + ' runs');
+  }
+  if (!Number.isInteger(config.historyRuns) || config.historyRuns < 0) {
+    addCheck(
+        checks, 'history.keepRuns', CHECK_STATUS.FAIL,
+        'Should be a whole number of runs, or 0 to keep every run');
+  }
+  if (!Object.values(ITEM_GROUP_AGGREGATIONS)
+           .includes(config.itemGroupAggregation)) {
+    addCheck(
+        checks, 'itemGroups.aggregation', CHECK_STATUS.FAIL,
+        '"' + config.itemGroupAggregation + '" should be one of: ' +
+            Object.values(ITEM_GROUP_AGGREGATIONS).join(', '));
+  }
+  if (config.moversEnabled) {
+    if (isNaN(config.moversThreshold)) {
+      addCheck(
+          checks, 'movers.threshold', CHECK_STATUS.FAIL,
+          'Should be a percentage, e.g. 5%');
+    } else {
+      addPercentageCheck(
+          checks, 'movers.threshold', config.moversThreshold,
+          '±' + formatBound(config.moversThreshold));
+    }
+  }
+
+  try {
+    const rules = parseLabelRules(config.labelRulesTable);
+    if (rules.length > 0) {
+      addCheck(
+          checks, 'rules.conditions', CHECK_STATUS.PASS,
+          rules.length + ' rules');
+    }
+  } catch (e) {
+    addCheck(checks, 'rules.conditions', CHECK_STATUS.FAIL, e.message);
+  }
+
+  if (config.exportLabels.length == 0) {
+    addCheck(
+        checks, 'exportLabels', CHECK_STATUS.FAIL,
+        'No label is selected for export');
+  } else {
+    const knownLabels = getKnownLabels(config);
+    const unknownLabels = config.exportLabels.filter(function(label) {
+      return !knownLabels.includes(label);
+    });
+    if (unknownLabels.length > 0) {
+      addCheck(
+          checks, 'exportLabels', CHECK_STATUS.WARNING,
+          'No tier or rule assigns: ' + unknownLabels.join(', '));
+    } else {
+      addCheck(
+          checks, 'exportLabels', CHECK_STATUS.PASS,
+          config.exportLabels.join(', '));
+    }
+  }
+
+  if (config.stockEnabled) {
+    if (String(config.stockAttribute).trim() == '') {
+      addCheck(
+          checks, 'stockInfo.attribute', CHECK_STATUS.FAIL,
+          'Stock information is enabled but no attribute is set');
+    } else if (
+        config.stockThreshold === '' || isNaN(config.stockThreshold)) {
+      addCheck(
+          checks, 'stockInfo.threshold', CHECK_STATUS.FAIL,
+          '"' + config.stockThreshold + '" is not a number');
+    } else {
+      addCheck(
+          checks, 'stockInfo', CHECK_STATUS.PASS,
+          config.stockAttribute + ' >= ' + config.stockThreshold);
+    }
+  }
+
+  if (!Object.values(PRODUCT_SOURCES).includes(config.productSource)) {
+    addCheck(
+        checks, 'products.source', CHECK_STATUS.FAIL,
+        '"' + config.productSource + '" should be one of: ' +
+            Object.values(PRODUCT_SOURCES).join(', '));
+  }
+  if (isNaN(config.productCacheDays) || config.productCacheDays < 0) {
+    addCheck(
+        checks, 'products.cacheDays', CHECK_STATUS.FAIL,
+        'Should be a number of days, or 0 to disable the cache');
+  } else if (config.productCacheDays > 0) {
+    addCheck(
+        checks, 'products.cacheDays', CHECK_STATUS.PASS,
+        'Product data reused for ' + config.productCacheDays + ' days');
+  }
+
+  if (config.recommendationsEnabled) {
+    if (getTargetBound(
+            config, config.atBenchmarkName, config.atBenchmarkRule) === null) {
+      addCheck(
+          checks, 'recommendations.enabled', CHECK_STATUS.WARNING,
+          'No price is recommended: the "' + config.atBenchmarkName +
+              '" label has no upper bound');
+    } else {
+      addCheck(
+          checks, 'recommendations.enabled', CHECK_STATUS.PASS,
+          config.minPriceAttribute ?
+              'Prices floored by the cost and ' + config.minPriceAttribute :
+              'Prices floored by the cost');
+    }
+  }
+
+  const statsWindowProblem = checkDateWindow(config.statsWindow);
+  if (statsWindowProblem) {
+    addCheck(
+        checks, 'stats.window', CHECK_STATUS.FAIL, statsWindowProblem);
+  }
+
+  if (config.adsProductMetrics) {
+    if (!config.managerCid || !config.accountCid) {
+      addCheck(
+          checks, 'reporting.productMetrics', CHECK_STATUS.FAIL,
+          'The Google Ads metrics need the Manager and Account CIDs');
+    } else {
+      addCheck(
+          checks, 'reporting.productMetrics', CHECK_STATUS.PASS,
+          'Google Ads metrics from account ' + config.accountCid);
+    }
+  }
+
+  getScheduledJobs(config).forEach(function(job) {
+    const problem = checkSchedule(job.schedule);
+    if (problem) {
+      addCheck(checks, job.setting, CHECK_STATUS.FAIL, problem);
+    }
+  });
+
+  if (!Object.values(LABEL_PUSH_MODES).includes(config.labelPushMode)) {
+    addCheck(
+        checks, 'labelPush.mode', CHECK_STATUS.FAIL,
+        '"' + config.labelPushMode + '" should be one of: ' +
+            Object.values(LABEL_PUSH_MODES).join(', '));
+  } else if (
+      config.labelPushMode != LABEL_PUSH_MODES.OFF &&
+      config.merchantBackend == MERCHANT_BACKENDS.MERCHANT_API &&
+      !config.labelPushDataSource) {
+    addCheck(
+        checks, 'labelPush.dataSource', CHECK_STATUS.FAIL,
+        'A supplemental data source is required to push labels with the ' +
+            'Merchant API');
+  } else if (
+      config.labelPushMode != LABEL_PUSH_MODES.OFF &&
+      !config.labelPushDataSource) {
+    addCheck(
+        checks, 'labelPush.dataSource', CHECK_STATUS.WARNING,
+        'Without a supplemental feed, only the products inserted through the ' +
+            'Content API can be updated, the products of a feed fail');
+  }
+
+  return checks.concat(validateListingGroupSettings(config));
+}
+
+/**
+ * Checks the settings of the listing groups built from the labels.
+ *
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The checks.
+ */
+function validateListingGroupSettings(config) {
+  let checks = [];
+  const modes = Object.values(LISTING_GROUP_MODES);
+  if (!modes.includes(config.listingGroupMode)) {
+    addCheck(
+        checks, 'listingGroups.mode', CHECK_STATUS.FAIL,
+        '"' + config.listingGroupMode + '" should be one of: ' +
+            modes.join(', '));
+    return checks;
+  }
+  if (config.listingGroupMode == LISTING_GROUP_MODES.OFF) {
+    return checks;
+  }
+  if (!config.managerCid || !config.accountCid) {
+    addCheck(
+        checks, 'listingGroups.mode', CHECK_STATUS.FAIL,
+        'The listing groups need the Manager and Account CIDs');
+  }
+  const types = Object.values(LISTING_GROUP_TARGETS);
+  const actions = Object.values(LISTING_GROUP_ACTIONS);
+  if (config.listingGroupTargets.length == 0) {
+    addCheck(
+        checks, 'listingGroups.targets', CHECK_STATUS.FAIL,
+        'No ad group or asset group set');
+  }
+  config.listingGroupTargets.forEach(function(target) {
+    if (!types.includes(target.type)) {
+      addCheck(
+          checks, 'listingGroups.targets', CHECK_STATUS.FAIL,
+          'The campaign type "' + target.type + '" should be one of: ' +
+              types.join(', '));
+    } else if (!/^\d+$/.test(target.id)) {
+      addCheck(
+          checks, 'listingGroups.targets', CHECK_STATUS.FAIL,
+          '"' + target.id + '" is not an ID, it should only have digits');
+    }
+  });
+  if (!actions.includes(config.listingGroupOthers)) {
+    addCheck(
+        checks, 'listingGroups.others', CHECK_STATUS.FAIL,
+        '"' + config.listingGroupOthers + '" should be one of: ' +
+            actions.join(', '));
+  }
+  const knownLabels = getKnownLabels(config);
+  config.listingGroupLabels.forEach(function(label) {
+    if (!actions.includes(label.action)) {
+      addCheck(
+          checks, 'listingGroups.labels', CHECK_STATUS.FAIL,
+          label.label + ': "' + label.action + '" should be one of: ' +
+              actions.join(', '));
+    }
+    if (label.bidModifier !== null && !(label.bidModifier > 0)) {
+      addCheck(
+          checks, 'listingGroups.labels', CHECK_STATUS.FAIL,
+          label.label + ': the bid modifier should be a positive number, ' +
+              'e.g. 1.2 to bid 20% more');
+    }
+    if (!knownLabels.includes(label.label)) {
+      addCheck(
+          checks, 'listingGroups.labels', CHECK_STATUS.WARNING,
+          'No tier or rule assigns: ' + label.label);
+    }
+  });
+  const hasModifiers = config.listingGroupLabels.some(function(label) {
+    return label.bidModifier !== null;
+  });
+  const hasPerformanceMax = config.listingGroupTargets.some(function(target) {
+    return target.type == LISTING_GROUP_TARGETS.PERFORMANCE_MAX;
+  });
+  if (hasModifiers && hasPerformanceMax) {
+    addCheck(
+        checks, 'listingGroups.labels', CHECK_STATUS.WARNING,
+        'Performance Max listing groups have no bids, the bid modifiers ' +
+            'only apply to the Shopping ad groups');
+  }
+  if (!hasFailedChecks(checks)) {
+    addCheck(
+        checks, 'listingGroups.targets', CHECK_STATUS.PASS,
+        config.listingGroupTargets.length + ' targets (' +
+            config.listingGroupMode + ')');
+  }
+  return checks;
+}
+
+/**
+ * Checks that the Merchant Center account can be reached and that its price
+ * benchmark, which needs Market Insights, can be read. For a multi-client
+ * account, the sub-accounts to run are listed, and the benchmark of the first
+ * one is read.
+ *
+ * @param {!Object} api - The MerchantCenterAPI or MerchantAPI instance.
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<!Object>} The checks.
+ */
+function validateMerchantAccess(api, config) {
+  let checks = [];
+  const account = api.getAccount(config.merchantId);
+  if (account.error) {
+    addCheck(
+        checks, 'Merchant Center access', CHECK_STATUS.FAIL,
+        'Error(' + account.error.code + '): ' + account.error.message);
+    return checks;
+  }
+  addCheck(
+      checks, 'Merchant Center access', CHECK_STATUS.PASS,
+      account.name || account.accountName || config.merchantId);
+  let benchmarkAccountId = config.merchantId;
+  if (config.mcaEnabled) {
+    let subAccounts;
+    try {
+      subAccounts =
+          selectAccounts(getSubAccounts(api, config.merchantId), config);
+    } catch (e) {
+      addCheck(
+          checks, 'Sub-accounts', CHECK_STATUS.FAIL,
+          'Error(' + e.code + '): ' + e.message);
+      return checks;
+    }
+    if (subAccounts.length == 0) {
+      addCheck(
+          checks, 'Sub-accounts', CHECK_STATUS.FAIL,
+          'No sub-account to run, check that the Merchant ID is a ' +
+              'multi-client account');
+      return checks;
+    }
+    addCheck(
+        checks, 'Sub-accounts', CHECK_STATUS.PASS,
+        subAccounts.length + ' sub-accounts to run');
+    benchmarkAccountId = subAccounts[0].id;
+  }
+  config.markets.forEach(function(market, i) {
+    const report = api.getReport(benchmarkAccountId, {
+      'query': api.getBenchmarkQuery(market),
+      'pageSize': 1,
+      'pageToken': ''
+    });
+    const setting = 'Market Insights (' + market.country + ')';
+    if (report.error) {
+      addCheck(
+          checks, setting, CHECK_STATUS.FAIL,
+          'Can\'t read the price benchmark, check that Market Insights is ' +
+              'enabled. Error(' + report.error.code + '): ' +
+              report.error.message);
+    } else if (report.results.length == 0) {
+      addCheck(
+          checks, setting, CHECK_STATUS.WARNING,
+          'No price benchmark data for ' + market.country + ' in ' +
+              market.currency);
+    } else {
+      addCheck(checks, setting, CHECK_STATUS.PASS, 'Price benchmark available');
+    }
+  });
+  return checks;
+}
+
+/**
+ * Checks the settings of the optional Ads report and that the Google Ads
+ * account can be queried. The checks are skipped if no CID is set.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @return {!Array<!Object>} The checks.
+ */
+function validateAdsAccess(env) {
+  let checks = [];
+  const managerCid = env.config.managerCid;
+  const accountCid = env.config.accountCid;
+  if (!managerCid && !accountCid) {
+    addCheck(
+        checks, 'Google Ads report', CHECK_STATUS.SKIPPED,
+        'No Manager or Account CID set');
+    return checks;
+  }
+  let valid = true;
+  let cids = [['reporting.ManagerCID', managerCid]];
+  // Every client account is reported on, the Account CID is optional.
+  if (!env.config.adsAllClients || accountCid) {
+    cids.push(['reporting.AccountCID', accountCid]);
+  }
+  cids.forEach(function([name, cid]) {
+    if (/^\d{3}-?\d{3}-?\d{4}$/.test(String(cid).trim())) {
+      addCheck(checks, name, CHECK_STATUS.PASS, cid);
+    } else {
+      valid = false;
+      addCheck(
+          checks, name, CHECK_STATUS.FAIL,
+          '"' + cid + '" should be a 10 digit customer ID');
+    }
+  });
+  if (!/^v\d+$/.test(env.config.adsApiVersion)) {
+    valid = false;
+    addCheck(
+        checks, 'reporting.apiVersion', CHECK_STATUS.FAIL,
+        '"' + env.config.adsApiVersion + '" should be a version like ' +
+            ADS_API_VERSION);
+  }
+  const adsWindowProblem = checkDateWindow(env.config.adsWindow);
+  if (adsWindowProblem) {
+    valid = false;
+    addCheck(
+        checks, 'reporting.window', CHECK_STATUS.FAIL, adsWindowProblem);
+  }
+  if (env.config.performanceWindows.length == 0) {
+    addCheck(
+        checks, 'performance.windows', CHECK_STATUS.FAIL,
+        'Should be a comma separated list of numbers of days, e.g. 7, 28');
+  }
+  if (!(env.config.liftDays > 0)) {
+    addCheck(
+        checks, 'performance.liftDays', CHECK_STATUS.FAIL,
+        'Should be a number of days');
+  }
+  const developerToken =
+      env.properties.getProperty(PROPERTY_NAMES.DEVELOPER_TOKEN);
+  if (!developerToken) {
+    valid = false;
+    addCheck(
+        checks, PROPERTY_NAMES.DEVELOPER_TOKEN, CHECK_STATUS.FAIL,
+        'Missing script property');
+  } else {
+    addCheck(
+        checks, PROPERTY_NAMES.DEVELOPER_TOKEN, CHECK_STATUS.PASS,
+        'Script property set');
+  }
+  if (valid) {
+    try {
+      const googleAdsApi = createGoogleAdsApi(env);
+      if (env.config.adsAllClients) {
+        const clients = listClientAccounts(
+            googleAdsApi, String(managerCid).replaceAll('-', ''));
+        addCheck(
+            checks, 'Google Ads access',
+            clients.length > 0 ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL,
+            clients.length + ' client accounts reachable');
+      } else {
+        googleAdsApi.executeSearch(
+            'SELECT customer.id FROM customer LIMIT 1',
+            String(accountCid).replaceAll('-', ''), true);
+        addCheck(
+            checks, 'Google Ads access', CHECK_STATUS.PASS,
+            'Account reachable');
+      }
+    } catch (e) {
+      addCheck(checks, 'Google Ads access', CHECK_STATUS.FAIL, e.message);
+    }
+  }
+  return checks;
+}
+
+/**
+ * Checks the settings of the BigQuery export, and that the project can be
+ * reached. A missing dataset passes, as the export creates it.
+ *
+ * @param {!Object} env - The environment, as returned by `getEnv`.
+ * @return {!Array<!Object>} The checks.
+ */
+function validateBigQueryAccess(env) {
+  let checks = [];
+  const config = env.config;
+  if (!config.bigqueryProjectId) {
+    addCheck(
+        checks, 'BigQuery export', CHECK_STATUS.SKIPPED,
+        'No bigquery.projectId set');
+    return checks;
+  }
+  if (!/^\w+$/.test(config.bigqueryDataset)) {
+    addCheck(
+        checks, 'bigquery.dataset', CHECK_STATUS.FAIL,
+        '"' + config.bigqueryDataset +
+            '" should only have letters, numbers and underscores');
+    return checks;
+  }
+  try {
+    const found = createBigQueryApi(env).exists(
+        '/datasets/' + config.bigqueryDataset);
+    addCheck(
+        checks, 'BigQuery access', CHECK_STATUS.PASS,
+        found ? 'Dataset ' + config.bigqueryDataset + ' found' :
+                'Dataset ' + config.bigqueryDataset +
+                ' will be created by the first export');
+  } catch (e) {
+    addCheck(checks, 'BigQuery access', CHECK_STATUS.FAIL, e.message);
+  }
+  return checks;
+}
+
+/**
+ * Checks the country and currency codes of a market.
+ *
+ * @param {!Object} market - The market, with its country and currency codes.
+ * @return {!Array<string>} The status and details of the check.
+ */
+function checkMarket(market) {
+  const name = market.country + ' / ' + market.currency;
+  if (!/^[A-Z]{2}$/.test(market.country)) {
+    return [
+      CHECK_STATUS.FAIL,
+      '"' + market.country + '" is not a two letter country code'
+    ];
+  }
+  if (!/^[A-Z]{3}$/.test(market.currency)) {
+    return [
+      CHECK_STATUS.FAIL,
+      '"' + market.currency + '" is not a three letter currency code'
+    ];
+  }
+  const expectedCurrency = COUNTRY_CURRENCIES[market.country];
+  if (expectedCurrency && expectedCurrency != market.currency) {
+    return [
+      CHECK_STATUS.WARNING,
+      name + ': the benchmark in ' + market.country + ' is usually in ' +
+          expectedCurrency
+    ];
+  }
+  return [CHECK_STATUS.PASS, name];
+}
+
+/**
+ * Lists the labels the tiers, thresholds and rules can assign.
+ *
+ * @param {!Object} config - The configuration, as returned by `readConfig`.
+ * @return {!Array<string>} The labels.
+ */
+function getKnownLabels(config) {
+  let labels = config.labelTiers.length > 0 ?
+      config.labelTiers.map(function(tier) {
+        return tier.name;
+      }) :
+      [
+        config.belowBenchmarkName, config.atBenchmarkName,
+        config.aboveBenchmarkName
+      ];
+  labels.push(config.unlabeledName);
+  try {
+    parseLabelRules(config.labelRulesTable).forEach(function(rule) {
+      labels.push(rule.label);
+    });
+  } catch (e) {
+    // Invalid rules are reported by their own check.
+  }
+  return labels;
+}
+
+/**
+ * Adds a check to a list of checks.
+ *
+ * @param {!Array<!Object>} checks - The list of checks.
+ * @param {string} setting - The setting checked.
+ * @param {string} status - One of `CHECK_STATUS`.
+ * @param {string} details - The value checked, or what's wrong with it.
+ */
+function addCheck(checks, setting, status, details) {
+  checks.push({'setting': setting, 'status': status, 'details': details});
+}
+
+/**
+ * Adds the check of a percentage, failing when it's above 100%, and warning
+ * when it's above 50%, as it was then likely entered as a number of percents.
+ *
+ * @param {!Array<!Object>} checks - The list of checks.
+ * @param {string} setting - The setting checked.
+ * @param {number} percentage - The percentage, as a fraction.
+ * @param {string} details - The percentage, as shown in the checklist.
+ */
+function addPercentageCheck(checks, setting, percentage, details) {
+  const hint = ': numbers are read as fractions, so enter 5% or use the ' +
+      'percent format for 5 percent';
+  if (Math.abs(percentage) > MAX_PERCENTAGE) {
+    addCheck(checks, setting, CHECK_STATUS.FAIL, details + hint);
+  } else if (Math.abs(percentage) > MAX_LIKELY_PERCENTAGE) {
+    addCheck(checks, setting, CHECK_STATUS.WARNING, details + hint);
+  } else {
+    addCheck(checks, setting, CHECK_STATUS.PASS, details);
+  }
+}
+
+/**
+ * Tells whether any check failed.
+ *
+ * @param {!Array<!Object>} checks - The list of checks.
+ * @return {boolean} Whether any check failed.
+ */
+function hasFailedChecks(checks) {
+  return checks.some(function(check) {
+    return check.status == CHECK_STATUS.FAIL;
+  });
+}
+
+/**
+ * Writes the checks to the 'validation' tab.
+ *
+ * @param {!Array<!Object>} checks - The list of checks.
+ */
+function writeValidationReport(checks) {
+  let report = [['setting', 'status', 'details']];
+  checks.forEach(function(check) {
+    report.push([check.setting, check.status, check.details]);
+  });
+  pushToSheets(VALIDATION_SHEET, report);
+}